@@ -0,0 +1,29 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { auditInstructionCatalog, formatAuditReport } from '../src/encoding_utils.mjs';
+
+// Self-consistency audit of src/riscv_extensions.json. Run it after sync_instructions.mjs:
+//   node scripts/audit_instructions.mjs [--explained] [--json]
+// Exits with status 1 when there are data issues or overlaps without a known explanation.
+
+const args = new Set(process.argv.slice(2));
+const workspaceRoot = process.cwd();
+const catalogPath = path.join(workspaceRoot, 'src', 'riscv_extensions.json');
+
+const extensionsCatalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+const audit = auditInstructionCatalog(extensionsCatalog);
+
+if (args.has('--json')) {
+  console.log(JSON.stringify(audit, null, 2));
+} else {
+  process.stdout.write(formatAuditReport(audit, { explained: args.has('--explained') }));
+}
+
+if (audit.issues.length || audit.unexplained.length) {
+  console.error(
+    `\n${audit.issues.length} data issue(s) and ${audit.unexplained.length} unexplained overlap(s) ` +
+      `in ${path.relative(workspaceRoot, catalogPath)}.`
+  );
+  process.exitCode = 1;
+}
@@ -0,0 +1,655 @@
+// Encoding helpers shared by the visualizer and the node scripts in `scripts/`: pure functions over match/mask
+// patterns and the `riscv_extensions.json` catalog. Keep this module free of JSX and JSON imports so node can load
+// it as is.
+
+export const normalizeHexString = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  return text.toLowerCase().startsWith('0x') ? text.toLowerCase() : `0x${text.toLowerCase()}`;
+};
+
+export const parseHexToBigInt = (value) => {
+  const normalized = normalizeHexString(value);
+  if (!normalized) return null;
+  if (!/^0x[0-9a-f]+$/i.test(normalized)) return null;
+  try {
+    return BigInt(normalized);
+  } catch {
+    return null;
+  }
+};
+
+export const INSTRUCTION_LENGTHS = [16, 32, 48, 64];
+export const MAX_INSTRUCTION_LENGTH = 64;
+
+export const bitMask = (width) => (1n << BigInt(width)) - 1n;
+
+export const toHex = (value, width = 32) => {
+  const v = (value ?? 0n) & bitMask(width);
+  return `0x${v.toString(16).padStart(Math.ceil(width / 4), '0')}`;
+};
+
+// The catalog stores compressed instructions as 32-character encodings whose upper 16 bits are all `-`.
+export const isCompressedEncoding = (encoding) =>
+  typeof encoding === 'string' &&
+  encoding.length === 32 &&
+  encoding.startsWith('-'.repeat(16)) &&
+  !encoding.endsWith('11');
+
+export const toNativeEncoding = (encoding) => (isCompressedEncoding(encoding) ? encoding.slice(16) : encoding);
+
+// Length encoding of the base ISA: the low bits of the first parcel select the instruction length.
+// Steps are checked in order; when all `bits` of a step are 1 the instruction is longer than that step's `length`.
+// [1:0] != 11 → 16-bit, [4:2] != 111 → 32-bit, [5:0] = 011111 → 48-bit, [6:0] = 0111111 → 64-bit.
+export const LENGTH_ENCODING_STEPS = [
+  { length: 16, bits: [1, 0] },
+  { length: 32, bits: [4, 2] },
+  { length: 48, bits: [5, 5] },
+  { length: 64, bits: [6, 6] },
+];
+
+export const lengthEncodingOf = (match, mask) => {
+  for (const step of LENGTH_ENCODING_STEPS) {
+    const [msb, lsb] = step.bits;
+    const stepMask = bitMask(msb - lsb + 1) << BigInt(lsb);
+    if (((mask ?? 0n) & stepMask) !== stepMask) {
+      return {
+        length: null,
+        prefixMsb: msb,
+        error: `Bits ${formatFieldRange(step.bits)} must be fixed: they select the instruction length.`,
+      };
+    }
+    if (((match ?? 0n) & stepMask) !== stepMask) return { length: step.length, prefixMsb: msb, error: null };
+  }
+  return {
+    length: null,
+    prefixMsb: 6,
+    error: 'Bits [6:0] = 1111111 select an instruction longer than 64 bits, which is not supported.',
+  };
+};
+
+export const instructionLengthFromPattern = (match, mask) => lengthEncodingOf(match, mask).length;
+
+export const lengthEncodingError = (match, mask, length) => {
+  const formatPrefix = (msb) => (match & bitMask(msb + 1)).toString(2).padStart(msb + 1, '0');
+  const { length: encoded, prefixMsb, error } = lengthEncodingOf(match, mask);
+  if (error) {
+    // Bits that already mark a longer instruction explain the problem better than a later unfixed bit.
+    const declared = LENGTH_ENCODING_STEPS.find((step) => step.length === length);
+    if (declared && prefixMsb > declared.bits[0]) {
+      const msb = declared.bits[0];
+      return `Bits [${msb}:0] = ${formatPrefix(msb)} mark an instruction longer than ${length} bits.`;
+    }
+    return error;
+  }
+  if (encoded !== length) {
+    return `Bits [${prefixMsb}:0] = ${formatPrefix(prefixMsb)} mark a ${encoded}-bit instruction, not a ${length}-bit one.`;
+  }
+  if ((mask & ~bitMask(length)) !== 0n) return `A ${length}-bit instruction cannot constrain bits above bit ${length - 1}.`;
+  return null;
+};
+
+export const normalizeEncodingString = (value) => {
+  const encoding = String(value ?? '').replace(/\s+/g, '');
+  if (!encoding) return '';
+  return encoding;
+};
+
+// Accepts a native-width encoding (16, 32, 48 or 64 characters) or a catalog-style 32-character compressed encoding.
+export const encodingToMatchMask = (encoding) => {
+  const normalized = toNativeEncoding(normalizeEncodingString(encoding));
+  if (!normalized) return { match: null, mask: null, length: 0, error: 'Provide an encoding or match/mask.' };
+  if (!INSTRUCTION_LENGTHS.includes(normalized.length)) {
+    return {
+      match: null,
+      mask: null,
+      length: 0,
+      error: `Encoding must be 16, 32, 48 or 64 characters (got ${normalized.length}).`,
+    };
+  }
+  if (!/^[01-]+$/.test(normalized)) {
+    return { match: null, mask: null, length: 0, error: 'Encoding may only contain 0, 1, and -.' };
+  }
+
+  const length = normalized.length;
+  let match = 0n;
+  let mask = 0n;
+  for (let i = 0; i < length; i++) {
+    const bit = BigInt(length - 1 - i);
+    const ch = normalized[i];
+    if (ch === '-') continue;
+    mask |= 1n << bit;
+    if (ch === '1') match |= 1n << bit;
+  }
+  const error = lengthEncodingError(match, mask, length);
+  if (error) return { match: null, mask: null, length: 0, error };
+  return { match, mask, length, error: null };
+};
+
+export const matchMaskToEncoding = (match, mask, width = 32) => {
+  const m = (match ?? 0n) & bitMask(width);
+  const k = (mask ?? 0n) & bitMask(width);
+  let out = '';
+  for (let bit = BigInt(width - 1); bit >= 0n; bit--) {
+    const bitValue = 1n << bit;
+    if ((k & bitValue) === 0n) out += '-';
+    else out += (m & bitValue) === 0n ? '0' : '1';
+  }
+  return out;
+};
+
+export const patternsOverlap = (aMatch, aMask, bMatch, bMask) => {
+  const commonMask = (aMask ?? 0n) & (bMask ?? 0n);
+  const diff = ((aMatch ?? 0n) ^ (bMatch ?? 0n)) & commonMask;
+  return diff === 0n;
+};
+
+export const isSubsetPattern = (subsetMatch, subsetMask, supMatch, supMask) => {
+  const subsetMaskNorm = subsetMask ?? 0n;
+  const supMaskNorm = supMask ?? 0n;
+  const subsetMatchNorm = subsetMatch ?? 0n;
+  const supMatchNorm = supMatch ?? 0n;
+
+  const supBitsNotConstrainedBySubset = supMaskNorm & ~subsetMaskNorm;
+  if (supBitsNotConstrainedBySubset !== 0n) return false;
+  const mismatch = (subsetMatchNorm ^ supMatchNorm) & supMaskNorm;
+  return mismatch === 0n;
+};
+
+export const overlapExampleWord = (aMatch, aMask, bMatch, bMask) => {
+  const am = aMatch ?? 0n;
+  const ak = aMask ?? 0n;
+  const bm = bMatch ?? 0n;
+  const bk = bMask ?? 0n;
+  return (am & ak) | (bm & (bk & ~ak));
+};
+
+// Layout of each `variable_fields` name (bit ranges mirror riscv-opcodes' arg_lut):
+// - `bits`: [msb, lsb] of the field inside the instruction word.
+// - `reg`: register operand role; `offset` is added for the x8-x15 (prime) compressed fields.
+// - `operand` + `imm`: the field holds part of an immediate. `imm` lists, msb first, which immediate bit each
+//   instruction bit carries (ISA manual notation, e.g. `12|10:5`); fields sharing an `operand` are combined.
+// Anything else is shown as a raw unsigned value.
+export const VARIABLE_FIELD_LAYOUT = {
+  rd: { bits: [11, 7], reg: 'rd' },
+  rs1: { bits: [19, 15], reg: 'rs1' },
+  rs2: { bits: [24, 20], reg: 'rs2' },
+  rs3: { bits: [31, 27], reg: 'rs3' },
+  vd: { bits: [11, 7], reg: 'vd' },
+  vs3: { bits: [11, 7], reg: 'vs' },
+  vs1: { bits: [19, 15], reg: 'vs' },
+  vs2: { bits: [24, 20], reg: 'vs' },
+  aq: { bits: [26, 26] },
+  rl: { bits: [25, 25] },
+  vm: { bits: [25, 25] },
+  fm: { bits: [31, 28] },
+  pred: { bits: [27, 24] },
+  succ: { bits: [23, 20] },
+  rm: { bits: [14, 12] },
+  csr: { bits: [31, 20] },
+  bs: { bits: [31, 30] },
+  rnum: { bits: [23, 20] },
+  imm5: { bits: [24, 20] },
+  zimm10: { bits: [29, 20] },
+  zimm11: { bits: [30, 20] },
+  mop_r_t_30: { bits: [30, 30] },
+  mop_r_t_27_26: { bits: [27, 26] },
+  mop_r_t_21_20: { bits: [21, 20] },
+  mop_rr_t_30: { bits: [30, 30] },
+  mop_rr_t_27_26: { bits: [27, 26] },
+  imm12: { bits: [31, 20], operand: 'imm', imm: '11:0', signed: true },
+  imm12hi: { bits: [31, 25], operand: 'imm', imm: '11:5', signed: true },
+  imm12lo: { bits: [11, 7], operand: 'imm', imm: '4:0', signed: true },
+  bimm12hi: { bits: [31, 25], operand: 'offset', imm: '12|10:5', signed: true },
+  bimm12lo: { bits: [11, 7], operand: 'offset', imm: '4:1|11', signed: true },
+  imm20: { bits: [31, 12], operand: 'imm', imm: '19:0' },
+  jimm20: { bits: [31, 12], operand: 'offset', imm: '20|10:1|11|19:12', signed: true },
+  shamtw: { bits: [24, 20], operand: 'shamt', imm: '4:0' },
+  shamtd: { bits: [25, 20], operand: 'shamt', imm: '5:0' },
+  simm5: { bits: [19, 15], operand: 'imm', imm: '4:0', signed: true },
+  zimm5: { bits: [19, 15], operand: 'imm', imm: '4:0' },
+  zimm6hi: { bits: [26, 26], operand: 'imm', imm: '5' },
+  zimm6lo: { bits: [19, 15], operand: 'imm', imm: '4:0' },
+
+  // Compressed registers
+  rd_p: { bits: [4, 2], reg: 'rd', offset: 8 },
+  rs1_p: { bits: [9, 7], reg: 'rs1', offset: 8 },
+  rs2_p: { bits: [4, 2], reg: 'rs2', offset: 8 },
+  rd_rs1_p: { bits: [9, 7], reg: 'rd', offset: 8 },
+  rd_n0: { bits: [11, 7], reg: 'rd' },
+  rd_n2: { bits: [11, 7], reg: 'rd' },
+  rs1_n0: { bits: [11, 7], reg: 'rs1' },
+  rd_rs1_n0: { bits: [11, 7], reg: 'rd' },
+  c_rs1_n0: { bits: [11, 7], reg: 'rs1' },
+  c_rs2: { bits: [6, 2], reg: 'rs2' },
+  c_rs2_n0: { bits: [6, 2], reg: 'rs2' },
+  c_sreg1: { bits: [9, 7], reg: 'sreg' },
+  c_sreg2: { bits: [4, 2], reg: 'sreg' },
+
+  // Compressed immediates
+  c_nzuimm10: { bits: [12, 5], operand: 'imm', imm: '5:4|9:6|2|3' },
+  c_uimm7hi: { bits: [12, 10], operand: 'imm', imm: '5:3' },
+  c_uimm7lo: { bits: [6, 5], operand: 'imm', imm: '2|6' },
+  c_uimm8hi: { bits: [12, 10], operand: 'imm', imm: '5:3' },
+  c_uimm8lo: { bits: [6, 5], operand: 'imm', imm: '7:6' },
+  c_nzimm6hi: { bits: [12, 12], operand: 'imm', imm: '5', signed: true },
+  c_nzimm6lo: { bits: [6, 2], operand: 'imm', imm: '4:0', signed: true },
+  c_imm6hi: { bits: [12, 12], operand: 'imm', imm: '5', signed: true },
+  c_imm6lo: { bits: [6, 2], operand: 'imm', imm: '4:0', signed: true },
+  c_nzimm10hi: { bits: [12, 12], operand: 'imm', imm: '9', signed: true },
+  c_nzimm10lo: { bits: [6, 2], operand: 'imm', imm: '4|6|8:7|5', signed: true },
+  // C.LUI takes its immediate in LUI units (nzimm[17:12]), like the assembler does.
+  c_nzimm18hi: { bits: [12, 12], operand: 'imm', imm: '5', signed: true },
+  c_nzimm18lo: { bits: [6, 2], operand: 'imm', imm: '4:0', signed: true },
+  c_imm12: { bits: [12, 2], operand: 'offset', imm: '11|4|9:8|10|6|7|3:1|5', signed: true },
+  c_bimm9hi: { bits: [12, 10], operand: 'offset', imm: '8|4:3', signed: true },
+  c_bimm9lo: { bits: [6, 2], operand: 'offset', imm: '7:6|2:1|5', signed: true },
+  c_nzuimm6hi: { bits: [12, 12], operand: 'shamt', imm: '5' },
+  c_nzuimm6lo: { bits: [6, 2], operand: 'shamt', imm: '4:0' },
+  c_uimm8sphi: { bits: [12, 12], operand: 'imm', imm: '5' },
+  c_uimm8splo: { bits: [6, 2], operand: 'imm', imm: '4:2|7:6' },
+  c_uimm8sp_s: { bits: [12, 7], operand: 'imm', imm: '5:2|7:6' },
+  c_uimm9sphi: { bits: [12, 12], operand: 'imm', imm: '5' },
+  c_uimm9splo: { bits: [6, 2], operand: 'imm', imm: '4:3|8:6' },
+  c_uimm9sp_s: { bits: [12, 7], operand: 'imm', imm: '5:3|8:6' },
+  c_uimm2: { bits: [6, 5], operand: 'imm', imm: '0|1' },
+  c_uimm1: { bits: [5, 5], operand: 'imm', imm: '1' },
+  c_spimm: { bits: [3, 2], operand: 'spimm', imm: '5:4' },
+  c_index: { bits: [9, 2], operand: 'index', imm: '7:0' },
+  c_rlist: { bits: [7, 4] },
+  c_mop_t: { bits: [10, 8] },
+};
+
+export const formatFieldRange = ([msb, lsb]) => (msb === lsb ? `[${msb}]` : `[${msb}:${lsb}]`);
+
+// Maximal runs of set bits below `width`, as [msb, lsb] pairs, msb first.
+export const bitRuns = (bits, width) => {
+  const runs = [];
+  let msb = null;
+  for (let bit = width - 1; bit >= -1; bit -= 1) {
+    const set = bit >= 0 && ((bits >> BigInt(bit)) & 1n) === 1n;
+    if (set && msb == null) msb = bit;
+    if (!set && msb != null) {
+      runs.push([msb, bit + 1]);
+      msb = null;
+    }
+  }
+  return runs;
+};
+
+export const fieldBitsMask = ([msb, lsb]) => bitMask(msb - lsb + 1) << BigInt(lsb);
+
+// Bits covered by the known fields of a `variable_fields` list.
+export const variableFieldBits = (variableFields) =>
+  (variableFields || []).reduce((bits, field) => {
+    const layout = VARIABLE_FIELD_LAYOUT[field];
+    return layout ? bits | fieldBitsMask(layout.bits) : bits;
+  }, 0n);
+
+// Bits of a `length`-bit pattern that are neither fixed by `mask` nor covered by a known variable field.
+export const uncoveredPatternBits = (mask, length, variableFields) =>
+  bitMask(length) & ~(mask | variableFieldBits(variableFields));
+
+export const CONFLICT_TYPE_ORDER = {
+  identical: 0,
+  proposed_subset_of_existing: 1,
+  existing_subset_of_proposed: 2,
+  partial_overlap: 3,
+};
+
+// Classifies how a proposal overlaps another pattern of the same length; null when they do not overlap.
+// `labels` name both sides in the explanation.
+export const classifyEncodingConflict = (proposed, other, labels = {}) => {
+  const { self = 'Your proposed pattern', other: otherLabel = 'the existing instruction' } = labels;
+  // A 16-bit parcel and a 32-bit instruction never compete for the same encoding: bits [1:0] tell them apart.
+  if (other.length !== proposed.length) return null;
+  const matchNorm = proposed.matchValue;
+  const maskNorm = proposed.maskValue;
+  if (!patternsOverlap(matchNorm, maskNorm, other.match, other.mask)) return null;
+
+  const commonMask = maskNorm & other.mask;
+  const type =
+    matchNorm === other.match && maskNorm === other.mask
+      ? 'identical'
+      : isSubsetPattern(matchNorm, maskNorm, other.match, other.mask)
+        ? 'proposed_subset_of_existing'
+        : isSubsetPattern(other.match, other.mask, matchNorm, maskNorm)
+          ? 'existing_subset_of_proposed'
+          : 'partial_overlap';
+
+  let why = 'Overlapping decode space (there exist instruction words that satisfy both patterns).';
+  if (type === 'identical') {
+    why = 'Exact same match/mask pattern.';
+  } else if (type === 'proposed_subset_of_existing') {
+    why = `${self} is more specific, but every word it matches also matches ${otherLabel}.`;
+  } else if (type === 'existing_subset_of_proposed') {
+    why = `${self} is more general, and it would also match words intended for ${otherLabel}.`;
+  }
+
+  const exampleWord = overlapExampleWord(matchNorm, maskNorm, other.match, other.mask);
+  return {
+    type,
+    why,
+    commonMask: toHex(commonMask, proposed.length),
+    exampleWord: toHex(exampleWord, proposed.length),
+  };
+};
+
+const DEFAULT_EXTENSION_URL = 'https://github.com/riscv/riscv-isa-manual';
+
+// Flattens the extension catalog (`riscv_extensions.json`) into one native-width pattern per instruction and
+// extension. `tags` are the riscv-opcodes files the instruction comes from (`rv_i`, `rv64_c`, ...).
+export const buildInstructionPatterns = (catalog) => {
+  const patterns = [];
+  const allExts = Object.values(catalog).flat().filter(Boolean);
+
+  for (const ext of allExts) {
+    const instructions = ext?.instructions;
+    if (!instructions || typeof instructions !== 'object') continue;
+
+    for (const [mnemonic, details] of Object.entries(instructions)) {
+      const encoding = normalizeEncodingString(details?.encoding);
+      const matchParsed = parseHexToBigInt(details?.match);
+      const maskParsed = parseHexToBigInt(details?.mask);
+
+      let match = matchParsed;
+      let mask = maskParsed;
+
+      if ((match == null || mask == null) && encoding) {
+        const derived = encodingToMatchMask(encoding);
+        match = derived.match;
+        mask = derived.mask;
+      }
+
+      if (match == null || mask == null) continue;
+
+      const length = instructionLengthFromPattern(match, mask) ?? 32;
+      patterns.push({
+        extId: ext.id,
+        extName: ext.name,
+        mnemonic,
+        length,
+        encoding: toNativeEncoding(encoding) || matchMaskToEncoding(match, mask, length),
+        match: match & bitMask(length),
+        mask: mask & bitMask(length),
+        variableFields: Array.isArray(details?.variable_fields) ? details.variable_fields : [],
+        tags: Array.isArray(details?.extension) ? details.extension : [],
+        url: ext.url || DEFAULT_EXTENSION_URL,
+      });
+    }
+  }
+
+  return patterns;
+};
+
+// Checks one catalog entry on its own: the encoding string and match/mask must describe the same pattern, with
+// valid length-encoding bits, and every variable bit must belong to exactly one known `variable_fields` entry.
+const auditInstructionEntry = (details) => {
+  const issues = [];
+  const encoding = normalizeEncodingString(details?.encoding);
+  const hasMatchMask = details?.match != null || details?.mask != null;
+  const match = parseHexToBigInt(details?.match);
+  const mask = parseHexToBigInt(details?.mask);
+
+  if (!encoding && !hasMatchMask) return [{ kind: 'missing_pattern', message: 'No encoding and no match/mask.' }];
+
+  const derived = encoding ? encodingToMatchMask(encoding) : null;
+  if (derived?.error) issues.push({ kind: 'invalid_encoding', message: derived.error });
+  if (hasMatchMask && (match == null || mask == null)) {
+    issues.push({ kind: 'invalid_match_mask', message: `Match/mask ${details.match}/${details.mask} is not valid hex.` });
+  }
+
+  let pattern = null;
+  if (derived && !derived.error) pattern = derived;
+  if (match != null && mask != null) {
+    if ((match & ~mask) !== 0n) {
+      issues.push({ kind: 'invalid_match_mask', message: `Match ${details.match} sets bits outside mask ${details.mask}.` });
+    }
+    if (pattern && (pattern.match !== match || pattern.mask !== mask)) {
+      issues.push({
+        kind: 'encoding_mismatch',
+        message:
+          `Encoding ${encoding} is ${toHex(pattern.match, pattern.length)}/${toHex(pattern.mask, pattern.length)}, ` +
+          `but match/mask say ${details.match}/${details.mask}.`,
+      });
+    }
+    if (!pattern) {
+      const { length, error } = lengthEncodingOf(match, mask);
+      const lengthError = error || lengthEncodingError(match, mask, length);
+      if (lengthError) issues.push({ kind: 'invalid_match_mask', message: lengthError });
+      else pattern = { match, mask, length };
+    }
+  }
+  if (!pattern) return issues;
+
+  const fields = Array.isArray(details?.variable_fields) ? details.variable_fields : [];
+  const unknown = fields.filter((field) => !VARIABLE_FIELD_LAYOUT[field]);
+  if (unknown.length) {
+    issues.push({ kind: 'unknown_field', message: `Unknown variable field(s): ${unknown.join(', ')}.` });
+  }
+
+  let seen = 0n;
+  for (const field of fields) {
+    const layout = VARIABLE_FIELD_LAYOUT[field];
+    if (!layout) continue;
+    const fieldMask = fieldBitsMask(layout.bits);
+    if ((fieldMask & pattern.mask) !== 0n) {
+      issues.push({ kind: 'field_overlap', message: `Variable field ${field} ${formatFieldRange(layout.bits)} covers fixed bits.` });
+    } else if ((fieldMask & seen) !== 0n) {
+      issues.push({ kind: 'field_overlap', message: `Variable field ${field} ${formatFieldRange(layout.bits)} overlaps another field.` });
+    }
+    seen |= fieldMask;
+  }
+
+  if (!unknown.length) {
+    const uncovered = bitRuns(uncoveredPatternBits(pattern.mask, pattern.length, fields), pattern.length);
+    if (uncovered.length) {
+      issues.push({
+        kind: 'uncovered_bits',
+        message: `Bits ${uncovered.map(formatFieldRange).join(', ')} are variable but not covered by variable_fields.`,
+      });
+    }
+  }
+  return issues;
+};
+
+const ALL_XLENS = [32, 64, 128];
+
+// XLENs an instruction exists for, from its extension ID (RV32I, RV64E, ...) and its riscv-opcodes file tags
+// (`rv32_c` → 32, `rv64_zkr` → 64, `rv_*` → any).
+const patternXlens = (pattern) => {
+  const fromId = /^RV(32|64|128)/.exec(pattern.extId);
+  let xlens = fromId ? [Number(fromId[1])] : ALL_XLENS;
+  const tagged = pattern.tags.flatMap((tag) => {
+    const match = /^rv(32|64|128)?_/.exec(tag);
+    if (!match) return [];
+    return match[1] ? [Number(match[1])] : ALL_XLENS;
+  });
+  if (tagged.length) xlens = xlens.filter((xlen) => tagged.includes(xlen));
+  return xlens;
+};
+
+// riscv-opcodes files whose encodings knowingly reuse those of another file; the two can't be implemented together.
+const EXCLUSIVE_ENCODING_TAGS = [
+  { tags: ['rv_zcmp', 'rv_zcmt'], reuse: ['rv_c_d'], reason: 'Zcmp/Zcmt reuse the Zcd encoding space' },
+];
+
+// Mnemonics the catalog lists twice for the same encoding. riscv-opcodes keeps both, so they are accepted as is.
+const DUPLICATE_ENCODING_MNEMONICS = [
+  { mnemonics: ['CSRRAND', 'CSRRAND64'], reason: 'rv64_zkr repeats the rv_zkr seed CSR read' },
+];
+
+const isMayBeOperation = (pattern) =>
+  /^(C\.)?MOP\./i.test(pattern.mnemonic) || pattern.tags.some((tag) => /^rv_zc?mop$/.test(tag));
+
+// Why two overlapping catalog patterns are expected to overlap, or null. `specific` is the more specific side
+// (or either side for identical and partial overlaps). Explanations read `<reason>: <detail>`.
+const explainCatalogOverlap = (specific, general, type) => {
+  const hasTag = (pattern, tags) => pattern.tags.some((tag) => tags.includes(tag));
+  for (const rule of EXCLUSIVE_ENCODING_TAGS) {
+    if (
+      (hasTag(specific, rule.tags) && hasTag(general, rule.reuse)) ||
+      (hasTag(general, rule.tags) && hasTag(specific, rule.reuse))
+    ) {
+      return `Exclusive extensions: ${rule.reason}`;
+    }
+  }
+
+  if (type === 'identical') {
+    const rule = DUPLICATE_ENCODING_MNEMONICS.find(
+      ({ mnemonics }) => mnemonics.includes(specific.mnemonic) && mnemonics.includes(general.mnemonic)
+    );
+    if (rule) return `Duplicate listing: ${rule.reason}`;
+  }
+
+  // Pseudo-encodings and hints carve a special case out of an instruction by fixing some of its operand
+  // fields (C.NOP is C.ADDI with rd=0, ZEXT.H is PACK with rs2=0 on RV32).
+  if (type === 'proposed_subset_of_existing') {
+    const operandBits = variableFieldBits(general.variableFields);
+    if (operandBits && ((specific.mask & ~general.mask) & ~operandBits) === 0n) {
+      return `Special case: fixes operand fields of ${general.mnemonic} (pseudo-encoding or hint)`;
+    }
+  }
+
+  const xlensA = patternXlens(specific);
+  const xlensB = patternXlens(general);
+  if (!xlensA.some((xlen) => xlensB.includes(xlen))) {
+    return `XLEN variants: RV${xlensA.join('/')} vs RV${xlensB.join('/')}`;
+  }
+
+  if (isMayBeOperation(specific) || isMayBeOperation(general)) {
+    return 'May-be-operation: Zimop/Zcmop encoding redefined by another extension';
+  }
+  return null;
+};
+
+const orderOverlapPair = (a, b) => {
+  // Keep the more specific pattern first so every overlap reads as identical, subset or partial overlap.
+  const aInB = isSubsetPattern(a.match, a.mask, b.match, b.mask);
+  const bInA = isSubsetPattern(b.match, b.mask, a.match, a.mask);
+  if (bInA && !aInB) return [b, a];
+  if (aInB && !bInA) return [a, b];
+  return a.mnemonic.localeCompare(b.mnemonic) <= 0 ? [a, b] : [b, a];
+};
+
+// Audits the whole catalog: data issues of each instruction entry, and every pair of overlapping instructions
+// of the same length with different mnemonics. Overlaps with a known cause are `explained`; the others are likely
+// data errors. Results are grouped by mnemonic so an instruction listed under several extensions appears once.
+export const auditInstructionCatalog = (catalog) => {
+  const allExts = Object.values(catalog).flat().filter(Boolean);
+  const issueGroups = new Map();
+  let instructionCount = 0;
+
+  for (const ext of allExts) {
+    for (const [mnemonic, details] of Object.entries(ext?.instructions || {})) {
+      instructionCount += 1;
+      for (const issue of auditInstructionEntry(details)) {
+        const key = `${mnemonic}|${issue.kind}|${issue.message}`;
+        if (!issueGroups.has(key)) issueGroups.set(key, { mnemonic, ...issue, extIds: [] });
+        issueGroups.get(key).extIds.push(ext.id);
+      }
+    }
+  }
+
+  const patterns = buildInstructionPatterns(catalog);
+  const overlapGroups = new Map();
+  for (let i = 0; i < patterns.length; i += 1) {
+    for (let j = i + 1; j < patterns.length; j += 1) {
+      if (patterns[i].length !== patterns[j].length) continue;
+      if (patterns[i].mnemonic.toUpperCase() === patterns[j].mnemonic.toUpperCase()) continue;
+      if (!patternsOverlap(patterns[i].match, patterns[i].mask, patterns[j].match, patterns[j].mask)) continue;
+
+      const [a, b] = orderOverlapPair(patterns[i], patterns[j]);
+      const conflict = classifyEncodingConflict({ ...a, matchValue: a.match, maskValue: a.mask }, b, {
+        self: a.mnemonic,
+        other: b.mnemonic,
+      });
+      const explanation = explainCatalogOverlap(a, b, conflict.type);
+      const key = `${a.mnemonic}|${b.mnemonic}|${conflict.type}|${explanation}`;
+      if (!overlapGroups.has(key)) {
+        const side = (pattern) => ({
+          mnemonic: pattern.mnemonic,
+          encoding: pattern.encoding,
+          match: toHex(pattern.match, pattern.length),
+          mask: toHex(pattern.mask, pattern.length),
+          extIds: [],
+        });
+        overlapGroups.set(key, { a: side(a), b: side(b), length: a.length, ...conflict, explanation });
+      }
+      const group = overlapGroups.get(key);
+      if (!group.a.extIds.includes(a.extId)) group.a.extIds.push(a.extId);
+      if (!group.b.extIds.includes(b.extId)) group.b.extIds.push(b.extId);
+    }
+  }
+
+  const overlaps = Array.from(overlapGroups.values()).sort(
+    (x, y) =>
+      (CONFLICT_TYPE_ORDER[x.type] ?? 99) - (CONFLICT_TYPE_ORDER[y.type] ?? 99) ||
+      x.a.mnemonic.localeCompare(y.a.mnemonic) ||
+      x.b.mnemonic.localeCompare(y.b.mnemonic)
+  );
+
+  return {
+    instructionCount,
+    patternCount: patterns.length,
+    issues: Array.from(issueGroups.values()).sort(
+      (x, y) => x.mnemonic.localeCompare(y.mnemonic) || x.kind.localeCompare(y.kind)
+    ),
+    unexplained: overlaps.filter((overlap) => !overlap.explanation),
+    explained: overlaps.filter((overlap) => overlap.explanation),
+  };
+};
+
+export const formatAuditReport = (audit, { explained = true } = {}) => {
+  const lines = [];
+  const sides = (overlap) =>
+    `${overlap.a.mnemonic} (${overlap.a.extIds.join(', ')}) vs ${overlap.b.mnemonic} (${overlap.b.extIds.join(', ')})`;
+
+  lines.push('RISC-V Instruction Database Audit');
+  lines.push(`Instruction entries: ${audit.instructionCount} (${audit.patternCount} with a usable pattern)`);
+  lines.push('');
+
+  lines.push(`Data issues (${audit.issues.length}):`);
+  if (!audit.issues.length) lines.push('- None.');
+  for (const issue of audit.issues) {
+    lines.push(`- ${issue.mnemonic} [${issue.kind}] (${issue.extIds.join(', ')}): ${issue.message}`);
+  }
+  lines.push('');
+
+  lines.push(`Unexplained overlaps (${audit.unexplained.length}):`);
+  if (!audit.unexplained.length) lines.push('- None.');
+  for (const overlap of audit.unexplained) {
+    lines.push(`- ${sides(overlap)}: ${overlap.type}, ${overlap.length}-bit`);
+    lines.push(`  ${overlap.a.mnemonic}: ${overlap.a.match}/${overlap.a.mask}  ${overlap.b.mnemonic}: ${overlap.b.match}/${overlap.b.mask}`);
+    lines.push(`  Why: ${overlap.why}`);
+    lines.push(`  Example word: ${overlap.exampleWord}`);
+  }
+  lines.push('');
+
+  lines.push(`Explained overlaps (${audit.explained.length}):`);
+  if (explained) {
+    for (const overlap of audit.explained) lines.push(`- ${sides(overlap)}: ${overlap.type} · ${overlap.explanation}`);
+  } else {
+    const reasons = new Map();
+    for (const overlap of audit.explained) {
+      const [reason] = overlap.explanation.split(':');
+      reasons.set(reason, (reasons.get(reason) ?? 0) + 1);
+    }
+    for (const [reason, count] of reasons) lines.push(`- ${count} × ${reason}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Version of the data files next to the catalog: `extension_instructions.json`, `extension_csrs.json` and
+// `profiles.json`. Bump it together with every reader when the shape of one of them changes.
+export const DATA_FILE_VERSION = 1;
+
+// Returns a parsed data file after checking its version, so a stale file fails with its name rather than as a
+// missing property somewhere later.
+export const checkDataFileVersion = (data, fileName) => {
+  if (data?.version !== DATA_FILE_VERSION) {
+    throw new Error(`${fileName}: expected version ${DATA_FILE_VERSION}, found ${data?.version ?? 'none'}.`);
+  }
+  return data;
+};
@@ -9,11 +9,68 @@ import {
   Copy,
   ChevronLeft,
   ChevronRight,
+  Binary,
+  Hammer,
+  Target,
+  Grid3x3,
+  Upload,
+  ShieldCheck,
+  Download,
+  GitCompare,
+  Plus,
+  Pencil,
+  Trash2,
+  Cpu,
+  Network,
+  Wrench,
 } from 'lucide-react';
 import extensions from './riscv_extensions.json';
-
-const BIT_WIDTH = 32n;
-const BIT_MASK_32 = (1n << BIT_WIDTH) - 1n;
+import extensionInstructionsFile from './extension_instructions.json';
+import extensionCsrsFile from './extension_csrs.json';
+import profilesFile from './profiles.json';
+import {
+  parseHexToBigInt,
+  INSTRUCTION_LENGTHS,
+  MAX_INSTRUCTION_LENGTH,
+  bitMask,
+  toHex,
+  toNativeEncoding,
+  LENGTH_ENCODING_STEPS,
+  lengthEncodingOf,
+  lengthEncodingError,
+  normalizeEncodingString,
+  encodingToMatchMask,
+  matchMaskToEncoding,
+  patternsOverlap,
+  isSubsetPattern,
+  VARIABLE_FIELD_LAYOUT,
+  formatFieldRange,
+  bitRuns,
+  fieldBitsMask,
+  uncoveredPatternBits,
+  CONFLICT_TYPE_ORDER,
+  classifyEncodingConflict,
+  buildInstructionPatterns,
+  auditInstructionCatalog,
+  formatAuditReport,
+  checkDataFileVersion,
+} from './encoding_utils.mjs';
+
+// Instruction mnemonics of each extension, in the order the details sidebar lists them. The encodings live in
+// `riscv_extensions.json`; `scripts/sync_instructions.mjs` fills them in from `instr_dict.json`.
+const extensionInstructions = checkDataFileVersion(extensionInstructionsFile, 'extension_instructions.json').extensions;
+
+// CSRs listed in the details sidebar, with an optional heading per extension.
+const { csrs: extensionCsrs, labels: extensionCsrLabels } = checkDataFileVersion(
+  extensionCsrsFile,
+  'extension_csrs.json'
+);
+
+// Profile definitions: RVI20U32/U64, RVA20/22/23 and RVB23 (U64 + S64), and RVM23 (U32). Each mode lists its
+// mandatory extensions and its options, grouped like the profile documents: localized (regional or
+// market-specific), development (expected to become mandatory later) and expansion (useful in some systems).
+// Anything else is unsupported by the profile.
+const { profiles } = checkDataFileVersion(profilesFile, 'profiles.json');
 
 const normalizeMnemonicKey = (value) => String(value ?? '').trim().toUpperCase().split(/\s+/)[0];
 
@@ -273,3319 +330,7691 @@ const COMPRESSED_BY_STANDARD = COMPRESSED_INSTRUCTION_MAPPINGS.reduce((acc, entr
 
 const STANDARD_EQUIVALENT_PRIORITY = ['RV32I', 'RV64I', 'RV128I', 'RV32E', 'RV64E'];
 
-const normalizeHexString = (value) => {
-  const text = String(value ?? '').trim();
-  if (!text) return '';
-  return text.toLowerCase().startsWith('0x') ? text.toLowerCase() : `0x${text.toLowerCase()}`;
+const extractBits = (word, msb, lsb) => {
+  const width = BigInt(msb - lsb + 1);
+  return (word >> BigInt(lsb)) & ((1n << width) - 1n);
 };
 
-const parseHexToBigInt = (value) => {
-  const normalized = normalizeHexString(value);
-  if (!normalized) return null;
-  if (!/^0x[0-9a-f]+$/i.test(normalized)) return null;
-  try {
-    return BigInt(normalized);
-  } catch {
-    return null;
+const countSetBits = (value) => {
+  let v = value ?? 0n;
+  let count = 0;
+  while (v > 0n) {
+    if (v & 1n) count += 1;
+    v >>= 1n;
+  }
+  return count;
+};
+
+const parseInstructionWord = (value) => {
+  const text = String(value ?? '').trim().replace(/_/g, '');
+  if (!text) return { word: null, length: 0, error: 'Provide an instruction word in hex.' };
+
+  const word = parseHexToBigInt(text);
+  if (word == null) {
+    return { word: null, length: 0, error: 'Instruction word must be a hex value like 0x00a50533.' };
+  }
+  if (word > bitMask(MAX_INSTRUCTION_LENGTH)) {
+    return { word: null, length: 0, error: `Instruction word must fit in ${MAX_INSTRUCTION_LENGTH} bits.` };
+  }
+
+  // The lowest bits select the instruction length (see LENGTH_ENCODING_STEPS).
+  const { length, prefixMsb, error } = lengthEncodingOf(word, bitMask(MAX_INSTRUCTION_LENGTH));
+  if (error) return { word: null, length: 0, error };
+  if (word > bitMask(length)) {
+    return {
+      word: null,
+      length: 0,
+      error: `Bits [${prefixMsb}:0] mark a ${length}-bit instruction, but the word has bits set above bit ${length - 1}.`,
+    };
+  }
+  return { word, length, error: null };
+};
+
+// Expands ISA-manual immediate notation (`12|10:5`) into immediate bit indices, msb first.
+const parseImmediateSpec = (spec) =>
+  String(spec)
+    .split('|')
+    .flatMap((part) => {
+      const [hi, lo = hi] = part.split(':').map(Number);
+      return Array.from({ length: hi - lo + 1 }, (_, i) => hi - i);
+    });
+
+const X_REGISTER_ABI_NAMES = [
+  'zero', 'ra', 'sp', 'gp', 'tp', 't0', 't1', 't2',
+  's0', 's1', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5',
+  'a6', 'a7', 's2', 's3', 's4', 's5', 's6', 's7',
+  's8', 's9', 's10', 's11', 't3', 't4', 't5', 't6',
+];
+
+const F_REGISTER_ABI_NAMES = [
+  'ft0', 'ft1', 'ft2', 'ft3', 'ft4', 'ft5', 'ft6', 'ft7',
+  'fs0', 'fs1', 'fa0', 'fa1', 'fa2', 'fa3', 'fa4', 'fa5',
+  'fa6', 'fa7', 'fs2', 'fs3', 'fs4', 'fs5', 'fs6', 'fs7',
+  'fs8', 'fs9', 'fs10', 'fs11', 'ft8', 'ft9', 'ft10', 'ft11',
+];
+
+// FP instructions that read or write integer registers: int results, int sources, and int base addresses.
+const FP_INTEGER_RESULT_MNEMONIC = /^(FEQ|FLT|FLE|FLTQ|FLEQ|FCLASS)\.|^FMV\.X\.|^FMVH\.X\.|^FCVT\.(W|WU|L|LU)\.|^FCVTMOD\./;
+const FP_INTEGER_SOURCE_MNEMONIC = /^FMV\.[HWSDQ]\.X$|^FMVP\.|^FCVT\.[A-Z0-9]+\.(W|WU|L|LU)$/;
+const FP_MEMORY_MNEMONIC = /^(C\.)?F(L|S)[HWDQ](SP)?$/;
+const VECTOR_FP_SCALAR_MNEMONIC = /\.[VW]F$|^VFMV\.[SV]\.F$/;
+
+// Register file ('x', 'f' or 'v') that a register field of `mnemonic` indexes.
+const registerFileForField = (mnemonic, role) => {
+  if (role === 'vd' || role === 'vs') return 'v';
+  if (role === 'sreg') return 'x';
+
+  const m = String(mnemonic || '').toUpperCase();
+  if (m.startsWith('V')) {
+    if (m === 'VFMV.F.S' && role === 'rd') return 'f';
+    if (VECTOR_FP_SCALAR_MNEMONIC.test(m) && role === 'rs1') return 'f';
+    return 'x';
+  }
+
+  if (!/^(C\.)?F/.test(m) || m.startsWith('FENCE')) return 'x';
+  if (FP_MEMORY_MNEMONIC.test(m)) return role === 'rs1' ? 'x' : 'f';
+  if (FP_INTEGER_RESULT_MNEMONIC.test(m)) return role === 'rd' ? 'x' : 'f';
+  if (FP_INTEGER_SOURCE_MNEMONIC.test(m)) return role === 'rd' ? 'f' : 'x';
+  return 'f';
+};
+
+const formatRegisterName = (file, index) => {
+  if (file === 'v') return `v${index}`;
+  if (file === 'f') return F_REGISTER_ABI_NAMES[index];
+  return X_REGISTER_ABI_NAMES[index];
+};
+
+const signExtend = (value, width) => {
+  const signBit = 1n << BigInt(width - 1);
+  return value & signBit ? value - (signBit << 1n) : value;
+};
+
+// Turns the `variable_fields` of a matched instruction into operand values: registers get ABI names and
+// split immediates are reassembled (and sign-extended) across all of their fields.
+const decodeOperands = (word, mnemonic, variableFields) => {
+  const operands = [];
+  const immediates = new Map();
+
+  for (const field of variableFields || []) {
+    const layout = VARIABLE_FIELD_LAYOUT[field];
+    if (!layout) {
+      operands.push({ name: field, fields: [field], ranges: [], value: null, text: '?', detail: '' });
+      continue;
+    }
+
+    const raw = extractBits(word, layout.bits[0], layout.bits[1]);
+
+    if (layout.reg) {
+      const index = layout.reg === 'sreg' ? Number(raw < 2n ? raw + 8n : raw + 16n) : Number(raw) + (layout.offset || 0);
+      const file = registerFileForField(mnemonic, layout.reg);
+      operands.push({
+        name: field,
+        fields: [field],
+        ranges: [layout.bits],
+        value: BigInt(index),
+        text: formatRegisterName(file, index),
+        detail: file === 'v' ? '' : `${file}${index}`,
+      });
+      continue;
+    }
+
+    if (!layout.operand) {
+      operands.push({
+        name: field,
+        fields: [field],
+        ranges: [layout.bits],
+        value: raw,
+        text: raw.toString(),
+        detail: raw > 9n ? `0x${raw.toString(16)}` : '',
+      });
+      continue;
+    }
+
+    let operand = immediates.get(layout.operand);
+    if (!operand) {
+      operand = { name: layout.operand, fields: [], ranges: [], raw: 0n, width: 0, signed: false };
+      immediates.set(layout.operand, operand);
+      operands.push(operand);
+    }
+    operand.fields.push(field);
+    operand.ranges.push(layout.bits);
+    operand.signed = operand.signed || Boolean(layout.signed);
+
+    parseImmediateSpec(layout.imm).forEach((immBit, i) => {
+      const instBit = BigInt(layout.bits[0] - i);
+      if ((word >> instBit) & 1n) operand.raw |= 1n << BigInt(immBit);
+      operand.width = Math.max(operand.width, immBit + 1);
+    });
   }
+
+  for (const operand of immediates.values()) {
+    operand.value = operand.signed ? signExtend(operand.raw, operand.width) : operand.raw;
+    operand.text = operand.value.toString();
+    operand.detail = operand.value > 9n ? `0x${operand.value.toString(16)}` : '';
+    delete operand.raw;
+    delete operand.width;
+    delete operand.signed;
+  }
+
+  return operands;
+};
+
+const describeVariableField = (field) => {
+  const layout = VARIABLE_FIELD_LAYOUT[field];
+  if (!layout) return '';
+  const range = `bits ${formatFieldRange(layout.bits)}`;
+  if (layout.imm) return `${range} → ${layout.operand}[${layout.imm}]${layout.signed ? ', signed' : ''}`;
+  if (layout.offset) return `${range} → x${layout.offset}-x${layout.offset + 7}`;
+  return range;
 };
 
-const toHex32 = (value) => {
-  const v = (value ?? 0n) & BIT_MASK_32;
-  return `0x${v.toString(16).padStart(8, '0')}`;
+const REGISTER_FILE_LABELS = { x: 'integer', f: 'floating-point', v: 'vector' };
+
+// Accepts ABI names (a0, fs1, fp), architectural names (x10, f9, v8) and bare register numbers.
+const parseRegisterOperand = (text, file) => {
+  const t = String(text ?? '').trim().toLowerCase();
+  if (/^\d+$/.test(t)) return Number(t);
+  const arch = t.match(/^([xfv])(\d+)$/);
+  if (arch) return arch[1] === file ? Number(arch[2]) : null;
+  if (file === 'x' && t === 'fp') return 8;
+  const names = file === 'x' ? X_REGISTER_ABI_NAMES : file === 'f' ? F_REGISTER_ABI_NAMES : [];
+  const index = names.indexOf(t);
+  return index >= 0 ? index : null;
 };
 
-const normalizeEncodingString = (value) => {
-  const encoding = String(value ?? '').replace(/\s+/g, '');
-  if (!encoding) return '';
-  return encoding;
+// Accepts decimal, 0x hex and 0b binary values with an optional sign.
+const parseImmediateOperand = (text) => {
+  const t = String(text ?? '').trim().replace(/_/g, '').toLowerCase();
+  const m = t.match(/^([+-]?)(0x[0-9a-f]+|0b[01]+|\d+)$/);
+  if (!m) return null;
+  const value = BigInt(m[2]);
+  return m[1] === '-' ? -value : value;
 };
 
-const encodingToMatchMask = (encoding) => {
-  const normalized = normalizeEncodingString(encoding);
-  if (!normalized) return { match: null, mask: null, error: 'Provide an encoding or match/mask.' };
-  if (normalized.length !== 32) {
-    return { match: null, mask: null, error: `Encoding must be 32 characters (got ${normalized.length}).` };
+// The operands an assembler asks for, grouped like decodeOperands: one per register or raw field, one per
+// immediate (across all of its split fields). Ranges and alignment follow from the immediate bits the fields carry.
+const assemblerOperandSlots = (mnemonic, variableFields) => {
+  const slots = [];
+  const immediates = new Map();
+
+  for (const field of variableFields || []) {
+    const layout = VARIABLE_FIELD_LAYOUT[field];
+    if (!layout) {
+      slots.push({ name: field, kind: 'unknown', fields: [field] });
+      continue;
+    }
+
+    if (layout.reg) {
+      // `_n0` fields may not name x0; rd_n2 (C.LUI) may not name x0 or x2 either.
+      const excluded = /_n0$/.test(field) ? [0] : field === 'rd_n2' ? [0, 2] : [];
+      slots.push({
+        name: field,
+        kind: 'reg',
+        fields: [field],
+        file: registerFileForField(mnemonic, layout.reg),
+        excluded,
+      });
+      continue;
+    }
+
+    if (!layout.operand) {
+      slots.push({
+        name: field,
+        kind: 'raw',
+        fields: [field],
+        min: 0n,
+        max: bitMask(layout.bits[0] - layout.bits[1] + 1),
+        align: 0,
+        nonzero: false,
+      });
+      continue;
+    }
+
+    let slot = immediates.get(layout.operand);
+    if (!slot) {
+      slot = { name: layout.operand, kind: 'imm', fields: [], signed: false, nonzero: false, immBits: [] };
+      immediates.set(layout.operand, slot);
+      slots.push(slot);
+    }
+    slot.fields.push(field);
+    slot.signed = slot.signed || Boolean(layout.signed);
+    slot.nonzero = slot.nonzero || field.includes('nz');
+    slot.immBits.push(...parseImmediateSpec(layout.imm));
   }
-  if (!/^[01-]{32}$/.test(normalized)) {
-    return { match: null, mask: null, error: 'Encoding may only contain 0, 1, and -.' };
+
+  for (const slot of immediates.values()) {
+    const width = Math.max(...slot.immBits) + 1;
+    const covered = slot.immBits.reduce((acc, bit) => acc | (1n << BigInt(bit)), 0n);
+    slot.width = width;
+    slot.covered = covered;
+    slot.align = Math.min(...slot.immBits);
+    slot.min = slot.signed ? -(1n << BigInt(width - 1)) : 0n;
+    slot.max = slot.signed ? bitMask(width - 1) & covered : covered;
+    delete slot.immBits;
   }
 
-  let match = 0n;
-  let mask = 0n;
-  for (let i = 0; i < 32; i++) {
-    const bit = 31n - BigInt(i);
-    const ch = normalized[i];
-    if (ch === '-') continue;
-    mask |= 1n << bit;
-    if (ch === '1') match |= 1n << bit;
+  return slots;
+};
+
+const describeAssemblerSlot = (slot) => {
+  if (slot.kind === 'unknown') return 'unknown field layout';
+  if (slot.kind === 'reg') {
+    const layout = VARIABLE_FIELD_LAYOUT[slot.name];
+    if (layout.reg === 'sreg') return 's0-s7';
+    const range = layout.offset
+      ? `${slot.file}${layout.offset}-${slot.file}${layout.offset + 7}`
+      : `${slot.file}0-${slot.file}31`;
+    const excluded = slot.excluded.map((index) => `${slot.file}${index}`).join(', ');
+    return `${REGISTER_FILE_LABELS[slot.file]} register, ${range}${excluded ? ` except ${excluded}` : ''}`;
+  }
+  const parts = [`${slot.min}..${slot.max}`];
+  if (slot.align > 0) parts.push(`multiple of ${1 << slot.align}`);
+  if (slot.nonzero) parts.push('non-zero');
+  return parts.join(', ');
+};
+
+const encodeRegisterSlot = (slot, text) => {
+  const layout = VARIABLE_FIELD_LAYOUT[slot.name];
+  const index = parseRegisterOperand(text, slot.file);
+  if (index == null || index > 31) {
+    const article = slot.file === 'x' ? 'an' : 'a';
+    return { raw: null, error: `${slot.name}: "${text}" is not ${article} ${REGISTER_FILE_LABELS[slot.file]} register.` };
+  }
+  const name = formatRegisterName(slot.file, index);
+  if (slot.excluded.includes(index)) return { raw: null, error: `${slot.name}: ${name} cannot be encoded here.` };
+
+  if (layout.reg === 'sreg') {
+    // Zcmp stack registers: s0/s1 are x8/x9, s2-s7 are x18-x23.
+    if (index === 8 || index === 9) return { raw: BigInt(index - 8), error: null };
+    if (index >= 18 && index <= 23) return { raw: BigInt(index - 16), error: null };
+    return { raw: null, error: `${slot.name}: only s0-s7 can be encoded, not ${name}.` };
+  }
+  if (layout.offset) {
+    if (index < layout.offset || index > layout.offset + 7) {
+      return {
+        raw: null,
+        error: `${slot.name}: only ${slot.file}${layout.offset}-${slot.file}${layout.offset + 7} can be encoded, not ${name}.`,
+      };
+    }
+    return { raw: BigInt(index - layout.offset), error: null };
   }
-  return { match, mask, error: null };
+  return { raw: BigInt(index), error: null };
 };
 
-const matchMaskToEncoding = (match, mask) => {
-  const m = (match ?? 0n) & BIT_MASK_32;
-  const k = (mask ?? 0n) & BIT_MASK_32;
-  let out = '';
-  for (let bit = 31n; bit >= 0n; bit--) {
-    const bitMask = 1n << bit;
-    if ((k & bitMask) === 0n) out += '-';
-    else out += (m & bitMask) === 0n ? '0' : '1';
+const checkValueSlot = (slot, text) => {
+  const value = parseImmediateOperand(text);
+  if (value == null) return `${slot.name}: "${text}" is not a number.`;
+  if (value < slot.min || value > slot.max) return `${slot.name}: ${value} is out of range (${slot.min}..${slot.max}).`;
+  if (slot.align > 0 && value % (1n << BigInt(slot.align)) !== 0n) {
+    return `${slot.name}: ${value} must be a multiple of ${1 << slot.align}.`;
   }
-  return out;
+  if (slot.nonzero && value === 0n) return `${slot.name}: must be non-zero.`;
+  return null;
 };
 
-const patternsOverlap = (aMatch, aMask, bMatch, bMask) => {
-  const commonMask = (aMask & bMask) & BIT_MASK_32;
-  const diff = ((aMatch ^ bMatch) & commonMask) & BIT_MASK_32;
-  return diff === 0n;
+// Builds an instruction word from `pattern.match` and one text value per assembler slot. Returns the word and
+// the raw bits placed in each variable field, or the range/format errors of every operand.
+const assembleInstruction = (pattern, inputs) => {
+  const errors = [];
+  const fields = [];
+  let word = pattern.match;
+
+  const place = (field, raw) => {
+    const [msb, lsb] = VARIABLE_FIELD_LAYOUT[field].bits;
+    const value = raw & bitMask(msb - lsb + 1);
+    word |= value << BigInt(lsb);
+    fields.push({ field, bits: [msb, lsb], value });
+  };
+
+  for (const slot of assemblerOperandSlots(pattern.mnemonic, pattern.variableFields)) {
+    const text = String(inputs?.[slot.name] ?? '').trim();
+    if (slot.kind === 'unknown') {
+      errors.push(`${slot.name}: field layout unknown, cannot encode.`);
+      continue;
+    }
+    if (!text) {
+      errors.push(`${slot.name}: value required.`);
+      continue;
+    }
+
+    if (slot.kind === 'reg') {
+      const { raw, error } = encodeRegisterSlot(slot, text);
+      if (error) errors.push(error);
+      else place(slot.name, raw);
+      continue;
+    }
+
+    const error = checkValueSlot(slot, text);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+    const value = parseImmediateOperand(text);
+    if (slot.kind === 'raw') {
+      place(slot.name, value);
+      continue;
+    }
+
+    // Scatter the (two's complement) immediate over its fields, the inverse of decodeOperands.
+    const bits = value & bitMask(slot.width);
+    for (const field of slot.fields) {
+      const layout = VARIABLE_FIELD_LAYOUT[field];
+      const fieldWidth = layout.bits[0] - layout.bits[1] + 1;
+      let raw = 0n;
+      parseImmediateSpec(layout.imm).forEach((immBit, i) => {
+        if ((bits >> BigInt(immBit)) & 1n) raw |= 1n << BigInt(fieldWidth - 1 - i);
+      });
+      place(field, raw);
+    }
+  }
+
+  if (errors.length) return { word: null, length: pattern.length, fields, errors };
+  return { word, length: pattern.length, fields, errors };
 };
 
-const isSubsetPattern = (subsetMatch, subsetMask, supMatch, supMask) => {
-  const subsetMaskNorm = (subsetMask ?? 0n) & BIT_MASK_32;
-  const supMaskNorm = (supMask ?? 0n) & BIT_MASK_32;
-  const subsetMatchNorm = (subsetMatch ?? 0n) & BIT_MASK_32;
-  const supMatchNorm = (supMatch ?? 0n) & BIT_MASK_32;
+const formatBinaryWord = (word, length) =>
+  (word & bitMask(length))
+    .toString(2)
+    .padStart(length, '0')
+    .replace(/(.{4})(?=.)/g, '$1 ');
+
+const decodeInstructionWord = (word, length, patterns) => {
+  const byPattern = new Map();
+
+  for (const pattern of patterns) {
+    if (pattern.length !== length) continue;
+    if ((word & pattern.mask) !== pattern.match) continue;
+
+    const key = `${pattern.mnemonic}:${pattern.match}:${pattern.mask}`;
+    if (!byPattern.has(key)) {
+      byPattern.set(key, {
+        mnemonic: pattern.mnemonic,
+        encoding: pattern.encoding,
+        match: pattern.match,
+        mask: pattern.mask,
+        specificity: countSetBits(pattern.mask),
+        extensions: [],
+        operands: decodeOperands(word, pattern.mnemonic, pattern.variableFields),
+      });
+    }
+    byPattern.get(key).extensions.push({ extId: pattern.extId, extName: pattern.extName });
+  }
 
-  const supBitsNotConstrainedBySubset = supMaskNorm & ~subsetMaskNorm;
-  if (supBitsNotConstrainedBySubset !== 0n) return false;
-  const mismatch = (subsetMatchNorm ^ supMatchNorm) & supMaskNorm;
-  return mismatch === 0n;
+  // Most specific patterns first: hints and pseudo-encodings carve out of more general instructions.
+  return Array.from(byPattern.values()).sort(
+    (a, b) => b.specificity - a.specificity || a.mnemonic.localeCompare(b.mnemonic)
+  );
 };
 
-const overlapExampleWord = (aMatch, aMask, bMatch, bMask) => {
-  const am = (aMatch ?? 0n) & BIT_MASK_32;
-  const ak = (aMask ?? 0n) & BIT_MASK_32;
-  const bm = (bMatch ?? 0n) & BIT_MASK_32;
-  const bk = (bMask ?? 0n) & BIT_MASK_32;
-  return ((am & ak) | (bm & (bk & ~ak))) & BIT_MASK_32;
+// The all-zero parcel fits the C.ADDI4SPN pattern, but the spec reserves it as a defined illegal instruction
+// so that execution running into zeroed memory traps.
+const illegalInstructionNote = (word, length) =>
+  length === 16 && word === 0n ? 'The all-zero parcel is defined as an illegal instruction.' : null;
+
+// A word is ambiguous when more than one mnemonic ties for the most specific pattern.
+const classifyDecodedMatches = (matches) => {
+  if (!matches.length) return { status: 'unknown', primary: null };
+  const [primary] = matches;
+  const tied = new Set(
+    matches.filter((match) => match.specificity === primary.specificity).map((match) => match.mnemonic)
+  );
+  return { status: tied.size > 1 ? 'ambiguous' : 'ok', primary };
 };
 
-const EncodingDiagram = ({ encoding }) => {
-  const scrollRef = React.useRef(null);
-  const rafRef = React.useRef(null);
-  const dragRef = React.useRef(null);
-  const [scrollState, setScrollState] = React.useState({
-    scrollLeft: 0,
-    scrollWidth: 0,
-    clientWidth: 0,
+const HEX_DUMP_ADDRESS_LINE = /^(?:0x)?([0-9a-f]+)(?:\s*<[^>]*>)?\s*:\s*(.*)$/i;
+
+const isHexDumpWordToken = (token, { strict }) => {
+  if (/^0x[0-9a-f]+$/i.test(token)) return true;
+  if (!/^[0-9a-f]+$/i.test(token)) return false;
+  // After an address, objdump prints the disassembly next, so only accept 16/32/48/64-bit sized tokens there.
+  return strict ? [4, 8, 12, 16].includes(token.length) : token.length <= 16;
+};
+
+// Accepts objdump-style `addr: word ...` lines and bare lists of words (whitespace or comma separated).
+const parseHexDump = (text) => {
+  const entries = [];
+  const skippedLines = [];
+
+  String(text ?? '')
+    .split(/\r?\n/)
+    .forEach((rawLine, lineIndex) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      const addressMatch = line.match(HEX_DUMP_ADDRESS_LINE);
+      const tokens = (addressMatch ? addressMatch[2] : line).split(/[\s,]+/).filter(Boolean);
+      const words = [];
+
+      if (addressMatch) {
+        for (const token of tokens) {
+          if (!isHexDumpWordToken(token, { strict: true })) break;
+          words.push(token);
+        }
+        if (!words.length) {
+          // Symbol headers such as `80000000 <_start>:` carry no words; anything else after an address is not a dump line.
+          if (tokens.length) skippedLines.push(lineIndex + 1);
+          return;
+        }
+      } else {
+        if (!tokens.every((token) => isHexDumpWordToken(token, { strict: false }))) {
+          skippedLines.push(lineIndex + 1);
+          return;
+        }
+        words.push(...tokens);
+      }
+
+      let address = addressMatch ? BigInt(`0x${addressMatch[1]}`) : null;
+      for (const token of words) {
+        const parsed = parseInstructionWord(token);
+        entries.push({ line: lineIndex + 1, address, text: token, ...parsed });
+        if (address == null) continue;
+        // A token that is not a valid word still takes up its own width, rounded up to whole 16-bit parcels.
+        const digits = token.replace(/^0x/i, '').length;
+        address += BigInt(parsed.length ? parsed.length / 8 : Math.max(1, Math.ceil(digits / 4)) * 2);
+      }
+    });
+
+  return { entries, skippedLines };
+};
+
+const disassembleHexDump = (text, patterns) => {
+  const { entries, skippedLines } = parseHexDump(text);
+  const rows = entries.map((entry) => {
+    if (entry.error) return { ...entry, status: 'invalid', primary: null, matches: [] };
+    const matches = decodeInstructionWord(entry.word, entry.length, patterns);
+    const illegal = illegalInstructionNote(entry.word, entry.length);
+    if (illegal) return { ...entry, status: 'illegal', primary: null, matches, error: illegal };
+    return { ...entry, matches, ...classifyDecodedMatches(matches) };
   });
+  return { rows, skippedLines };
+};
 
-  const normalized = String(encoding || '').replace(/\s+/g, '');
-  if (normalized.length !== 32) {
-    return (
-      <div className="font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1 break-all">
-        {encoding}
-      </div>
+const formatOperandSummary = (operands) =>
+  operands
+    .map((operand) => `${operand.name}=${operand.text}`)
+    .join(' ');
+
+const formatDisassemblyTable = (rows) => {
+  const lines = ['address\tword\tmnemonic\textensions\toperands\tstatus'];
+  for (const row of rows) {
+    lines.push(
+      [
+        row.address == null ? '' : `0x${row.address.toString(16)}`,
+        row.word == null ? row.text : toHex(row.word, row.length),
+        row.primary?.mnemonic || '',
+        row.primary ? row.primary.extensions.map((ext) => ext.extId).join(',') : '',
+        row.primary ? formatOperandSummary(row.primary.operands) : row.error || '',
+        row.status,
+      ].join('\t')
     );
   }
+  return `${lines.join('\n')}\n`;
+};
 
-  const updateScrollState = React.useCallback(() => {
-    const el = scrollRef.current;
-    if (!el) return;
-    setScrollState((prev) => {
-      const next = {
-        scrollLeft: el.scrollLeft,
-        scrollWidth: el.scrollWidth,
-        clientWidth: el.clientWidth,
-      };
-      if (
-        prev.scrollLeft === next.scrollLeft &&
-        prev.scrollWidth === next.scrollWidth &&
-        prev.clientWidth === next.clientWidth
-      ) {
-        return prev;
+const OPCODES_FIELD_PATTERN = /^(\d+)(?:\.\.(\d+))?=(\S+)$/;
+
+const isOpcodesLine = (tokens) => tokens[0]?.startsWith('$') || tokens.some((token) => OPCODES_FIELD_PATTERN.test(token));
+
+// Converts one line of riscv-opcodes syntax (`add rd rs1 rs2 31..25=0 14..12=0 6..2=0x0C 1..0=3`) into
+// match/mask and, when the length-encoding bits allow it, an encoding string. `error` is set for lines
+// riscv-opcodes itself would reject; `warnings` lists arguments this tool does not know and bits that are
+// neither fixed nor covered by an argument.
+const parseOpcodesLine = (line) => {
+  const tokens = String(line ?? '')
+    .replace(/#.*$/, '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!tokens.length) return { error: 'Empty line.' };
+  if (tokens[0].startsWith('$')) {
+    return { error: `${tokens[0]} lines are not supported; paste the instruction it refers to instead.` };
+  }
+
+  const [mnemonic, ...rest] = tokens;
+  if (OPCODES_FIELD_PATTERN.test(mnemonic)) return { error: 'The line must start with the instruction name.' };
+
+  let match = 0n;
+  let mask = 0n;
+  // `msb..lsb=ignore` leaves the bits variable without naming them as an argument.
+  let ignored = 0n;
+  const variableFields = [];
+  const warnings = [];
+  for (const token of rest) {
+    const field = OPCODES_FIELD_PATTERN.exec(token);
+    if (!field) {
+      if (!/^[a-z_][a-z0-9_]*$/i.test(token)) return { error: `Unexpected token "${token}".` };
+      variableFields.push(token);
+      continue;
+    }
+
+    const msb = Number(field[1]);
+    const lsb = field[2] == null ? msb : Number(field[2]);
+    if (msb < lsb) return { error: `${token}: bit ranges are written msb..lsb.` };
+    if (msb >= MAX_INSTRUCTION_LENGTH) return { error: `${token}: bit ${msb} is beyond bit ${MAX_INSTRUCTION_LENGTH - 1}.` };
+
+    const fieldMask = fieldBitsMask([msb, lsb]);
+    if (((mask | ignored) & fieldMask) !== 0n) return { error: `${token} covers bits that are already fixed or ignored.` };
+    if (field[3] === 'ignore') {
+      ignored |= fieldMask;
+      continue;
+    }
+
+    let value;
+    try {
+      value = BigInt(field[3]);
+    } catch {
+      return { error: `${token}: "${field[3]}" is not a number.` };
+    }
+    const width = msb - lsb + 1;
+    if (value < 0n || value > bitMask(width)) return { error: `${token}: value does not fit in ${width} bit(s).` };
+
+    mask |= fieldMask;
+    match |= value << BigInt(lsb);
+  }
+  if (mask === 0n) return { error: 'No fixed bits found (e.g. 6..2=0x0C 1..0=3).' };
+
+  for (const arg of variableFields) {
+    const layout = VARIABLE_FIELD_LAYOUT[arg];
+    if (!layout) {
+      warnings.push(`Unknown argument "${arg}": its bits are treated as variable.`);
+    } else if ((fieldBitsMask(layout.bits) & (mask | ignored)) !== 0n) {
+      return { error: `Argument ${arg} ${formatFieldRange(layout.bits)} overlaps fixed or ignored bits.` };
+    }
+  }
+
+  const { length, error: prefixError } = lengthEncodingOf(match, mask);
+  const fits = !prefixError && (mask & ~bitMask(length)) === 0n;
+  if (fits && variableFields.every((arg) => VARIABLE_FIELD_LAYOUT[arg])) {
+    const uncovered = bitRuns(uncoveredPatternBits(mask | ignored, length, variableFields), length);
+    if (uncovered.length) {
+      warnings.push(`Bits ${uncovered.map(formatFieldRange).join(', ')} are neither fixed nor covered by an argument.`);
+    }
+  }
+
+  const hexWidth = Math.max(fits ? length : 0, INSTRUCTION_LENGTHS.find((width) => (mask >> BigInt(width)) === 0n));
+  return {
+    error: null,
+    mnemonic,
+    match: toHex(match, hexWidth),
+    mask: toHex(mask, hexWidth),
+    encoding: fits ? matchMaskToEncoding(match, mask, length) : '',
+    variableFields,
+    warnings,
+  };
+};
+
+// Normalizes an Encoder Validator entry (mnemonic plus an encoding and/or match/mask) into a native-width
+// proposal. Returns every input error; `proposed` is null when no usable pattern could be derived.
+const normalizeProposal = (input) => {
+  const errors = [];
+  const proposedMnemonic = String(input.mnemonic || '').trim();
+  const proposedEncoding = normalizeEncodingString(input.encoding);
+  const proposedMatchInput = String(input.match || '').trim();
+  const proposedMaskInput = String(input.mask || '').trim();
+
+  let proposedMatch = null;
+  let proposedMask = null;
+  let proposedLength = 0;
+  let normalizedEncoding = '';
+
+  const hasEncoding = Boolean(proposedEncoding);
+  const hasMatchMask = Boolean(proposedMatchInput || proposedMaskInput);
+
+  if (!hasEncoding && !hasMatchMask) {
+    errors.push('Provide either Encoding, or both Match and Mask.');
+  }
+
+  if (hasEncoding) {
+    const derived = encodingToMatchMask(proposedEncoding);
+    if (derived.error) errors.push(derived.error);
+    proposedMatch = derived.match;
+    proposedMask = derived.mask;
+    proposedLength = derived.length;
+    normalizedEncoding = toNativeEncoding(proposedEncoding);
+  }
+
+  if (hasMatchMask) {
+    const matchParsed = parseHexToBigInt(proposedMatchInput);
+    const maskParsed = parseHexToBigInt(proposedMaskInput);
+    if (matchParsed == null) errors.push('Match must be a hex value like 0x1234.');
+    if (maskParsed == null) errors.push('Mask must be a hex value like 0x707f.');
+
+    if (matchParsed != null && maskParsed != null) {
+      const matchNorm = matchParsed & bitMask(MAX_INSTRUCTION_LENGTH);
+      const maskNorm = maskParsed & bitMask(MAX_INSTRUCTION_LENGTH);
+      if (matchParsed !== matchNorm || maskParsed !== maskNorm) {
+        errors.push(`Match and Mask must fit in ${MAX_INSTRUCTION_LENGTH} bits.`);
       }
-      return next;
+      if ((matchNorm & ~maskNorm) !== 0n) {
+        errors.push('Match contains bits outside Mask (match & ~mask must be 0).');
+      }
+
+      if (!hasEncoding) {
+        const { length, error: prefixError } = lengthEncodingOf(matchNorm, maskNorm);
+        const lengthError = prefixError || lengthEncodingError(matchNorm, maskNorm, length);
+        if (lengthError) {
+          errors.push(lengthError);
+        } else {
+          proposedMatch = matchNorm;
+          proposedMask = maskNorm;
+          proposedLength = length;
+          normalizedEncoding = matchMaskToEncoding(matchNorm, maskNorm, length);
+        }
+      } else if (proposedMatch != null && proposedMask != null) {
+        if (proposedMatch !== matchNorm || proposedMask !== maskNorm) {
+          errors.push('Encoding does not match the provided Match/Mask.');
+        }
+      }
+    }
+  }
+
+  if (proposedMatch == null || proposedMask == null) return { errors, proposed: null };
+
+  const matchNorm = (proposedMatch ?? 0n) & bitMask(proposedLength);
+  const maskNorm = (proposedMask ?? 0n) & bitMask(proposedLength);
+
+  return {
+    errors,
+    proposed: {
+      mnemonic: proposedMnemonic,
+      length: proposedLength,
+      encoding:
+        normalizeEncodingString(normalizedEncoding) || matchMaskToEncoding(matchNorm, maskNorm, proposedLength),
+      match: toHex(matchNorm, proposedLength),
+      mask: toHex(maskNorm, proposedLength),
+      matchValue: matchNorm,
+      maskValue: maskNorm,
+      // Operand names (riscv-opcodes arguments) label the variable bits in diagrams and field comparisons.
+      variableFields: input.variableFields || [],
+    },
+  };
+};
+
+// Conflicts of a proposal with the catalog patterns, most severe first. `scopeIds` (null = everything)
+// marks which conflicts are in scope.
+const findEncodingConflicts = (proposed, patterns, scopeIds) => {
+  const conflicts = [];
+  for (const other of patterns) {
+    const conflict = classifyEncodingConflict(proposed, other);
+    if (!conflict) continue;
+    conflicts.push({
+      other,
+      ...conflict,
+      inScope: !scopeIds || scopeIds.has(other.extId),
+      comparison: compareConflictFields(proposed, other),
     });
-  }, []);
+  }
+  conflicts.sort((a, b) => (CONFLICT_TYPE_ORDER[a.type] ?? 99) - (CONFLICT_TYPE_ORDER[b.type] ?? 99));
+  return conflicts;
+};
 
-  React.useEffect(() => {
-    updateScrollState();
-    const el = scrollRef.current;
-    if (!el) return;
+const isEncodingToken = (token) => /^[01\-_]+$/.test(token) && /[01\-]/.test(token);
+
+// Reads one line of a batch: `MNEMONIC <encoding>` (the encoding may be split into groups by spaces or `_`),
+// `MNEMONIC <match> <mask>`, `MNEMONIC match=<hex> mask=<hex>` or a riscv-opcodes line. The mnemonic is
+// optional except in riscv-opcodes lines.
+const parseProposalLine = (line) => {
+  const tokens = line.split(/[\s,;]+/).filter(Boolean);
+  if (!tokens.length) return null;
+  if (isOpcodesLine(tokens)) {
+    const parsed = parseOpcodesLine(line);
+    if (parsed.error) return { error: parsed.error };
+    const { mnemonic, encoding, match, mask, variableFields, warnings } = parsed;
+    return { entry: { mnemonic, encoding, match, mask, variableFields, warnings } };
+  }
 
-    const onScroll = () => {
-      if (rafRef.current) return;
-      rafRef.current = requestAnimationFrame(() => {
-        rafRef.current = null;
-        updateScrollState();
+  const entry = { mnemonic: '', encoding: '', match: '', mask: '' };
+  const hexTokens = [];
+  const encodingTokens = [];
+  for (const [index, token] of tokens.entries()) {
+    const keyed = /^(match|mask|encoding)[=:](.+)$/i.exec(token);
+    if (keyed) {
+      entry[keyed[1].toLowerCase()] = keyed[2];
+    } else if (isEncodingToken(token)) {
+      encodingTokens.push(token.replace(/_/g, ''));
+    } else if (/^0x[0-9a-f]+$/i.test(token)) {
+      hexTokens.push(token);
+    } else if (index === 0) {
+      entry.mnemonic = token;
+    } else {
+      return { error: `Unexpected token "${token}".` };
+    }
+  }
+
+  if (encodingTokens.length) entry.encoding = encodingTokens.join('');
+  if (hexTokens.length > 2) return { error: 'Expected at most two hex values (match and mask).' };
+  if (hexTokens.length === 1 && !entry.match) return { error: 'Match and Mask must be given together.' };
+  if (hexTokens.length === 2) [entry.match, entry.mask] = hexTokens;
+  if (!entry.encoding && !entry.match && !entry.mask) return { error: 'No encoding or match/mask found.' };
+  return { entry };
+};
+
+// Parses a whole proposed extension for the batch validator: a JSON array of `{ mnemonic, encoding }` /
+// `{ mnemonic, match, mask }` objects, a JSON object keyed by mnemonic (instr_dict.json style), or one
+// entry per line. Blank lines and `#` / `//` comments are skipped. Entries keep their source line for the report.
+const parseProposalBatch = (text) => {
+  const source = String(text ?? '').trim();
+  const entries = [];
+  const errors = [];
+  if (!source) return { entries, errors };
+
+  if (source.startsWith('[') || source.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (err) {
+      errors.push({ line: null, text: '', message: `Invalid JSON: ${err.message}` });
+      return { entries, errors };
+    }
+
+    const items = Array.isArray(data)
+      ? data.map((item, index) => ({ item, source: `#${index + 1}` }))
+      : Object.entries(data).map(([mnemonic, item]) => ({ item, mnemonic, source: mnemonic }));
+
+    for (const { item: rawItem, mnemonic, source: itemSource } of items) {
+      if (typeof rawItem !== 'object' || rawItem === null || Array.isArray(rawItem)) {
+        errors.push({ line: null, text: itemSource, message: 'Entry is not an object.' });
+        continue;
+      }
+      // In the object form the key is the mnemonic.
+      const item = mnemonic == null ? rawItem : { mnemonic, ...rawItem };
+      entries.push({
+        source: itemSource,
+        mnemonic: String(item.mnemonic ?? item.name ?? ''),
+        encoding: String(item.encoding ?? ''),
+        match: item.match == null ? '' : String(item.match),
+        mask: item.mask == null ? '' : String(item.mask),
       });
-    };
-    el.addEventListener('scroll', onScroll, { passive: true });
+    }
+    return { entries, errors };
+  }
 
-    const onResize = () => updateScrollState();
-    window.addEventListener('resize', onResize);
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/(#|\/\/).*$/, '').trim();
+    if (!line) return;
+    const parsed = parseProposalLine(line);
+    if (parsed.error) {
+      errors.push({ line: index + 1, text: rawLine.trim(), message: parsed.error });
+      return;
+    }
+    entries.push({ source: `line ${index + 1}`, ...parsed.entry });
+  });
+  return { entries, errors };
+};
 
-    return () => {
-      el.removeEventListener('scroll', onScroll);
-      window.removeEventListener('resize', onResize);
-      if (rafRef.current) cancelAnimationFrame(rafRef.current);
-      rafRef.current = null;
+const proposalLabel = (entry) => entry.proposed?.mnemonic || entry.mnemonic || entry.source;
+
+// Validates every batch entry against the catalog (like the single validator) and against every other entry
+// of the same length, so overlaps inside the proposal itself are reported too.
+const validateProposalBatch = (batchEntries, patterns, scopeIds) => {
+  const entries = batchEntries.map((input, index) => {
+    const { errors, proposed } = normalizeProposal(input);
+    return {
+      index,
+      source: input.source,
+      mnemonic: input.mnemonic,
+      errors,
+      warnings: input.warnings || [],
+      proposed,
+      conflicts: proposed ? findEncodingConflicts(proposed, patterns, scopeIds) : [],
+      batchConflicts: [],
     };
-  }, [updateScrollState, normalized]);
+  });
 
-  const maxScrollLeft = Math.max(0, scrollState.scrollWidth - scrollState.clientWidth);
-  const canScroll = maxScrollLeft > 0;
-  const atLeft = scrollState.scrollLeft <= 0;
-  const atRight = scrollState.scrollLeft >= maxScrollLeft - 1;
-  const scrollProgress = canScroll ? scrollState.scrollLeft / maxScrollLeft : 0;
-  const thumbRatio = canScroll ? Math.min(1, scrollState.clientWidth / scrollState.scrollWidth) : 1;
-  const thumbLeftPct = (1 - thumbRatio) * scrollProgress * 100;
-  const thumbWidthPct = thumbRatio * 100;
+  const batchConflicts = [];
+  for (let i = 0; i < entries.length; i += 1) {
+    const a = entries[i];
+    if (!a.proposed) continue;
+    for (let j = i + 1; j < entries.length; j += 1) {
+      const b = entries[j];
+      if (!b.proposed) continue;
+      const other = { match: b.proposed.matchValue, mask: b.proposed.maskValue, length: b.proposed.length };
+      const conflict = classifyEncodingConflict(a.proposed, other, {
+        self: proposalLabel(a),
+        other: proposalLabel(b),
+      });
+      if (!conflict) continue;
+      const pair = { a: i, b: j, ...conflict };
+      batchConflicts.push(pair);
+      a.batchConflicts.push(pair);
+      b.batchConflicts.push(pair);
+    }
+  }
+  batchConflicts.sort((x, y) => (CONFLICT_TYPE_ORDER[x.type] ?? 99) - (CONFLICT_TYPE_ORDER[y.type] ?? 99));
+
+  const seen = new Map();
+  const duplicateMnemonics = [];
+  for (const entry of entries) {
+    const key = String(entry.proposed?.mnemonic || entry.mnemonic || '').toLowerCase();
+    if (!key) continue;
+    if (seen.get(key) === 1) duplicateMnemonics.push(key);
+    seen.set(key, (seen.get(key) ?? 0) + 1);
+  }
 
-  return (
-    <div>
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-2 text-[10px] uppercase tracking-wider text-slate-500 font-bold">
-          <span>Bits</span>
-          {canScroll && (
-            <span className="inline-flex items-center gap-1 text-yellow-200/80 font-mono normal-case tracking-normal">
-              scroll <ArrowRight size={12} />
-            </span>
-          )}
-        </div>
+  return {
+    entries,
+    batchConflicts,
+    duplicateMnemonics,
+    summary: {
+      total: entries.length,
+      invalid: entries.filter((entry) => entry.errors.length > 0).length,
+      conflictingInScope: entries.filter((entry) => entry.conflicts.some((conflict) => conflict.inScope)).length,
+      conflictingInBatch: entries.filter((entry) => entry.batchConflicts.length > 0).length,
+    },
+  };
+};
 
-        <div className="flex items-center gap-1">
-          <button
-            type="button"
-            className="p-1 rounded border border-slate-600 bg-slate-800 text-slate-100 disabled:opacity-30"
-            onClick={() => scrollRef.current?.scrollBy({ left: -220, behavior: 'smooth' })}
-            disabled={!canScroll || atLeft}
-            title="Scroll left"
-          >
-            <ChevronLeft size={14} />
-          </button>
-          <button
-            type="button"
-            className="p-1 rounded border border-slate-600 bg-slate-800 text-slate-100 disabled:opacity-30"
-            onClick={() => scrollRef.current?.scrollBy({ left: 220, behavior: 'smooth' })}
-            disabled={!canScroll || atRight}
-            title="Scroll right"
-          >
-            <ChevronRight size={14} />
-          </button>
-        </div>
-      </div>
+// Machine-readable exports of Encoder Validator results (single proposal or batch).
+const VALIDATOR_EXPORT_FORMATS = {
+  text: { label: 'Text', extension: 'txt', mimeType: 'text/plain' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+};
 
-      <div ref={scrollRef} className="overflow-x-auto">
-        <div className="inline-block pr-2">
-          <div className="inline-grid grid-flow-col auto-cols-[18px] rounded border border-slate-700 bg-slate-900/40">
-            {normalized.split('').map((bit, i) => {
-              const isVar = bit === '-';
-              const isGroupEnd = (i + 1) % 4 === 0 && i !== 31;
-              const value = isVar ? 'x' : bit;
-              return (
-                <div
-                  key={`${i}-${bit}`}
-                  className={[
-                    'h-7 flex items-center justify-center font-mono text-[11px]',
-                    i === 0 ? 'rounded-l' : '',
-                    i === 31 ? 'rounded-r' : '',
-                    isVar
-                      ? 'bg-slate-800/60 text-purple-100'
-                      : 'bg-slate-700/40 text-slate-100',
-                    i === 31
-                      ? ''
-                      : isGroupEnd
-                          ? 'border-r-2 border-slate-600'
-                          : 'border-r border-slate-700',
-                  ].join(' ')}
-                  title={`bit ${31 - i}`}
-                >
-                  {value}
-                </div>
-              );
-            })}
-          </div>
+const serializeProposal = (proposed) =>
+  proposed && {
+    mnemonic: proposed.mnemonic,
+    length: proposed.length,
+    encoding: proposed.encoding,
+    match: proposed.match,
+    mask: proposed.mask,
+  };
 
-          <div className="mt-1 flex justify-between text-[10px] font-mono text-slate-500 px-0.5">
-            <span>31</span>
-            <span>0</span>
-          </div>
-        </div>
-      </div>
+const serializeConflict = (conflict) => ({
+  mnemonic: conflict.other.mnemonic,
+  extension: conflict.other.extId,
+  extensionName: conflict.other.extName,
+  encoding: conflict.other.encoding,
+  match: toHex(conflict.other.match, conflict.other.length),
+  mask: toHex(conflict.other.mask, conflict.other.length),
+  type: conflict.type,
+  inScope: conflict.inScope,
+  why: conflict.why,
+  commonMask: conflict.commonMask,
+  exampleWord: conflict.exampleWord,
+  fieldComparison: {
+    summary: describeFieldComparison(conflict.comparison, conflict.other.mnemonic),
+    fields: conflict.comparison.fields.map(({ name, bits, proposed, existing, status }) => ({
+      name,
+      bits: formatFieldRange(bits),
+      proposed,
+      existing,
+      status,
+    })),
+    fixes: suggestedFieldFixes(conflict.comparison).map(describeFieldFix),
+  },
+});
+
+const serializeScope = (scope) =>
+  scope && {
+    mode: scope.mode,
+    label: scope.label,
+    ...(scope.mode === 'profile' ? { profile: scope.profile } : {}),
+    ...(scope.mode === 'custom' ? { customIds: scope.customIds } : {}),
+    unknown: scope.unknown,
+  };
 
-      {canScroll && (
-        <div
-          className="mt-2 h-2 rounded bg-purple-300/15 border border-purple-300/20 relative cursor-pointer"
-          onClick={(e) => {
-            const el = scrollRef.current;
-            if (!el) return;
-            const rect = e.currentTarget.getBoundingClientRect();
-            const x = Math.min(Math.max(0, e.clientX - rect.left), rect.width);
-            const next = (x / rect.width) * maxScrollLeft;
-            el.scrollTo({ left: next, behavior: 'smooth' });
-          }}
-          role="presentation"
-          title="Click to scroll"
-        >
-          <div
-            className="absolute top-0 bottom-0 rounded bg-purple-200/40 border border-purple-200/30 cursor-grab active:cursor-grabbing"
-            style={{ left: `${thumbLeftPct}%`, width: `${thumbWidthPct}%` }}
-            onPointerDown={(e) => {
-              const el = scrollRef.current;
-              if (!el) return;
-              e.stopPropagation();
-              const track = e.currentTarget.parentElement;
-              if (!track) return;
-              const trackRect = track.getBoundingClientRect();
-              dragRef.current = {
-                pointerId: e.pointerId,
-                startX: e.clientX,
-                startScrollLeft: el.scrollLeft,
-                trackWidth: trackRect.width,
-              };
-              e.currentTarget.setPointerCapture(e.pointerId);
-            }}
-            onPointerMove={(e) => {
-              const el = scrollRef.current;
-              const drag = dragRef.current;
-              if (!el || !drag || drag.pointerId !== e.pointerId) return;
-              const dx = e.clientX - drag.startX;
-              const delta = (dx / drag.trackWidth) * maxScrollLeft;
-              el.scrollLeft = Math.min(maxScrollLeft, Math.max(0, drag.startScrollLeft + delta));
-            }}
-            onPointerUp={(e) => {
-              const drag = dragRef.current;
-              if (!drag || drag.pointerId !== e.pointerId) return;
-              dragRef.current = null;
-              try {
-                e.currentTarget.releasePointerCapture(e.pointerId);
-              } catch {
-                // no-op
-              }
-            }}
-          />
-        </div>
-      )}
-    </div>
-  );
-};
+// Plain (BigInt-free) view of a validator result, as written by the JSON export. Batch results carry `entries`.
+const validatorReportData = (result, generated = new Date()) => {
+  if (!result.entries) {
+    return {
+      report: 'encoder-validation',
+      generated: generated.toISOString(),
+      scope: serializeScope(result.scope) ?? null,
+      proposed: serializeProposal(result.proposed),
+      errors: result.errors,
+      warnings: result.warnings ?? [],
+      conflicts: result.conflicts.map(serializeConflict),
+    };
+  }
 
-const RISCVExplorer = () => {
-  const [activeProfile, setActiveProfile] = useState(null);
-  const [activeVolume, setActiveVolume] = useState(null);
-  const [selectedExt, setSelectedExt] = useState(null);
-  const [selectedInstruction, setSelectedInstruction] = useState(null);
-  const [copyStatus, setCopyStatus] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchMatches, setSearchMatches] = useState(null);
-  const [encoderValidatorOpen, setEncoderValidatorOpen] = useState(false);
-  const [encoderValidatorInput, setEncoderValidatorInput] = useState({
-    mnemonic: '',
-    encoding: '',
-    match: '',
-    mask: '',
+  const entryRef = (index) => ({
+    source: result.entries[index].source,
+    mnemonic: proposalLabel(result.entries[index]),
   });
-  const [encoderValidatorResult, setEncoderValidatorResult] = useState(null);
-  const [encoderValidatorCopyStatus, setEncoderValidatorCopyStatus] = useState(null);
-  const lastScrolledKeyRef = React.useRef(null);
+  return {
+    report: 'batch-encoder-validation',
+    generated: generated.toISOString(),
+    scope: serializeScope(result.scope),
+    summary: result.summary,
+    parseErrors: result.parseErrors,
+    duplicateMnemonics: result.duplicateMnemonics,
+    entries: result.entries.map((entry) => ({
+      source: entry.source,
+      mnemonic: proposalLabel(entry),
+      proposed: serializeProposal(entry.proposed),
+      errors: entry.errors,
+      warnings: entry.warnings,
+      conflicts: entry.conflicts.map(serializeConflict),
+    })),
+    batchConflicts: result.batchConflicts.map((pair) => ({
+      a: entryRef(pair.a),
+      b: entryRef(pair.b),
+      type: pair.type,
+      why: pair.why,
+      commonMask: pair.commonMask,
+      exampleWord: pair.exampleWord,
+    })),
+  };
+};
 
-  // ---------------------------------------------------------------------------
-  // Extension Catalog – loaded from `src/riscv_extensions.json`
-  // ---------------------------------------------------------------------------
-  /*
-  const extensions = {
-    base: [
-      { id: 'RV32I', name: 'RV32I', desc: 'Standard Integer Base (32-bit)', use: 'Microcontrollers, IoT' },
-      { id: 'RV64I', name: 'RV64I', desc: 'Standard Integer Base (64-bit)', use: 'Servers, Mobile, PC' },
-      { id: 'RV32E', name: 'RV32E', desc: 'Embedded Base (16 regs)', use: 'Tiny cores (Reduced silicon)' },
-      { id: 'RV64E', name: 'RV64E', desc: 'Embedded Base (64-bit, 16 regs)', use: 'Efficient 64-bit controllers' },
-      { id: 'RV128I', name: 'RV128I', desc: '128-bit Address Space', use: 'Experimental/Research' },
-    ],
+const VALIDATOR_CSV_COLUMNS = [
+  'source',
+  'proposed_mnemonic',
+  'proposed_encoding',
+  'proposed_match',
+  'proposed_mask',
+  'conflict_with',
+  'conflict_extension',
+  'conflict_match',
+  'conflict_mask',
+  'type',
+  'in_scope',
+  'common_mask',
+  'example_word',
+  'why',
+  'fix_bits',
+];
 
-    // Single-letter + top-level “ISA environment” markers
-    standard: [
-      { id: 'A', name: 'A', desc: 'Atomics', use: 'LR/SC & AMO ops in hardware', discontinued: 0 },
-      { id: 'B', name: 'B', desc: 'Bit-Manip Bundle', use: 'Aggregates Zba/Zbb/Zbc/Zbs', discontinued: 0 },
-      { id: 'C', name: 'C', desc: 'Compressed', use: '16-bit instruction encodings', discontinued: 0 },
-      { id: 'D', name: 'D', desc: 'Double-Precision Float (64-bit)', use: 'General-purpose FP, HPC', discontinued: 0 },
-      { id: 'F', name: 'F', desc: 'Single-Precision Float (32-bit)', use: 'Basic floating-point workloads', discontinued: 0 },
-      { id: 'H', name: 'H', desc: 'Hypervisor', use: 'Virtualization / VMs', discontinued: 0 },
-      { id: 'K', name: 'K', desc: 'Crypto Umbrella (Scalar + Vector)', use: 'Top-level tag signaling bundled Zk* /Zvk* NIST & ShangMi crypto support', discontinued: 0 },
-      { id: 'M', name: 'M', desc: 'Integer Multiply/Divide', use: 'Hardware multiplication and division', discontinued: 0 },
-      { id: 'N', name: 'N', desc: 'User-Level Interrupts', use: 'User-mode interrupt handling', discontinued: 1 },
-      { id: 'P', name: 'P', desc: 'Packed-SIMD', use: 'Packed SIMD / DSP-style operations', discontinued: 0 },
-      { id: 'Q', name: 'Q', desc: 'Quad-Precision Float (128-bit)', use: 'High-precision scientific math', discontinued: 0 },
-      { id: 'S', name: 'S', desc: 'Supervisor ISA', use: 'Supervisor privilege level (Volume II)', discontinued: 0 },
-      { id: 'U', name: 'U', desc: 'User ISA', use: 'User privilege level (Volume II)', discontinued: 0 },
-      { id: 'V', name: 'V', desc: 'Vector (RVV)', use: 'Full RVV 1.0 vector ISA', discontinued: 0 },
-    ],
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-    // Zb* scalar bit-manip
-    z_bit: [
-      { id: 'Zba', name: 'Zba', desc: 'Address-Generation Bitmanip', use: 'Shift/add address generation' },
-      { id: 'Zbb', name: 'Zbb', desc: 'Basic Bitmanip', use: 'CLZ/CTZ, popcnt, min/max, etc.' },
-      { id: 'Zbc', name: 'Zbc', desc: 'Carry-less Multiply', use: 'CRC, Galois-field crypto' },
-      { id: 'Zbs', name: 'Zbs', desc: 'Single-Bit Ops', use: 'Set/clear/invert bit in word' },
-    ],
+// One CSV row per conflict (a proposal without conflicts still gets a row, with type `none`). Conflicts between
+// two batch entries use `batch` as their extension.
+const formatValidatorReportCsv = (data) => {
+  const entries = data.entries ?? [{ source: '', mnemonic: data.proposed?.mnemonic, ...data }];
+  const rows = [];
+  for (const entry of entries) {
+    const proposed = entry.proposed;
+    const base = [
+      entry.source,
+      proposed?.mnemonic || entry.mnemonic || '',
+      proposed?.encoding ?? '',
+      proposed?.match ?? '',
+      proposed?.mask ?? '',
+    ];
+    const batchConflicts = (data.batchConflicts ?? [])
+      .filter((pair) => pair.a.source === entry.source || pair.b.source === entry.source)
+      .map((pair) => ({ other: pair.a.source === entry.source ? pair.b : pair.a, pair }));
+
+    if (!proposed) {
+      rows.push([...base, '', '', '', '', 'invalid', '', '', '', entry.errors.join(' '), '']);
+      continue;
+    }
+    if (!entry.conflicts.length && !batchConflicts.length) {
+      rows.push([...base, '', '', '', '', 'none', '', '', '', '', '']);
+    }
+    for (const conflict of entry.conflicts) {
+      rows.push([
+        ...base,
+        conflict.mnemonic,
+        conflict.extension,
+        conflict.match,
+        conflict.mask,
+        conflict.type,
+        conflict.inScope ? 'yes' : 'no',
+        conflict.commonMask,
+        conflict.exampleWord,
+        conflict.why,
+        conflict.fieldComparison.fixes.join('; '),
+      ]);
+    }
+    for (const { other, pair } of batchConflicts) {
+      const otherEntry = entries.find((candidate) => candidate.source === other.source);
+      rows.push([
+        ...base,
+        other.mnemonic,
+        'batch',
+        otherEntry?.proposed?.match ?? '',
+        otherEntry?.proposed?.mask ?? '',
+        pair.type,
+        'yes',
+        pair.commonMask,
+        pair.exampleWord,
+        pair.why,
+        '',
+      ]);
+    }
+  }
+  // Batch lines that could not be read at all are reported like invalid entries.
+  for (const err of data.parseErrors ?? []) {
+    rows.push([err.line ? `line ${err.line}` : err.text, '', '', '', '', '', '', '', '', 'invalid', '', '', '', err.message, '']);
+  }
+  return `${[VALIDATOR_CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\n')}\n`;
+};
 
-    // Zc* compressed
-    z_compress: [
-      { id: 'Zca', name: 'Zca', desc: 'Base Compressed (no FP)', use: 'Compressed base integer ops' },
-      { id: 'Zcb', name: 'Zcb', desc: 'Extra Compressed Integer', use: 'More 16-bit ALU/control ops' },
-      { id: 'Zcd', name: 'Zcd', desc: 'Compressed Double Float', use: '16-bit encodings for 64-bit FP' },
-      { id: 'Zce', name: 'Zce', desc: 'Embedded Compressed', use: 'RV32E/RV64E-focused compressed subset' },
-      { id: 'Zcf', name: 'Zcf', desc: 'Compressed Float Load/Store', use: '16-bit encodings for FP LD/ST' },
-      { id: 'Zcmp', name: 'Zcmp', desc: 'Push/Pop & Reg Save/Restore', use: 'Stack push/pop, frame save' },
-      { id: 'Zcmt', name: 'Zcmt', desc: 'Compressed Table Jumps', use: 'Switch/jumptable compression' },
-      { id: 'Zcmop', name: 'Zcmop', desc: 'Compressed May-Be-Ops', use: 'Reserved 16-bit NOP/future ops' },
-      { id: 'Zclsd', name: 'Zclsd', desc: 'Compressed LS-Pair', use: 'Compressed load/store pairs' },
-      { id: 'Zcmlsd', name: 'Zcmlsd', desc: 'Compressed Mem-Loop', use: 'Compact memcpy/memset-style sequences' },
-    ],
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const markdownTable = (headers, rows) =>
+  [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(markdownCell).join(' | ')} |`),
+  ].join('\n');
+
+const markdownConflictTable = (conflicts, scoped) =>
+  markdownTable(
+    ['Instruction', 'Extension', 'Type', ...(scoped ? ['In scope'] : []), 'Common mask', 'Example word', 'Why'],
+    conflicts.map((conflict) => [
+      `\`${conflict.mnemonic}\``,
+      conflict.extension,
+      conflict.type,
+      ...(scoped ? [conflict.inScope ? 'yes' : 'no'] : []),
+      `\`${conflict.commonMask}\``,
+      `\`${conflict.exampleWord}\``,
+      conflict.why,
+    ])
+  );
 
-    // Zf* /Za* floating-point & atomics family
-    z_float: [
-      { id: 'Zfh', name: 'Zfh', desc: 'Half-Precision FP (16-bit)', use: 'Low-precision FP (AI/graphics)' },
-      { id: 'Zfhmin', name: 'Zfhmin', desc: 'Minimal Half-Precision FP', use: 'Conversions, no arithmetic' },
-      { id: 'Zfbfmin', name: 'Zfbfmin', desc: 'Minimal BF16 FP', use: 'BFloat16 conversions and storage' },
-      { id: 'Zfa', name: 'Zfa', desc: 'Additional FP Instructions', use: 'Fused ops, sign inject, etc.' },
-      { id: 'Zfinx', name: 'Zfinx', desc: 'FP in Integer Regs (F)', use: 'Single-precision FP in x-regs' },
-      { id: 'Zdinx', name: 'Zdinx', desc: 'FP in Integer Regs (D)', use: 'Double-precision FP in x-regs' },
-      { id: 'Zhinx', name: 'Zhinx', desc: 'FP in Integer Regs (Half)', use: 'Half-precision FP in x-regs' },
-      { id: 'Zhinxmin', name: 'Zhinxmin', desc: 'Minimal Half-in-Int', use: 'Minimal half-precision in x-regs' },
-      { id: 'Zacas', name: 'Zacas', desc: 'Atomic Compare-and-Swap', use: 'Lock-free algorithms (CAS)' },
-      { id: 'Zawrs', name: 'Zawrs', desc: 'Wait-on-Reservation-Set', use: 'Low-power waiting on LR/SC reservations' },
-    ],
+const formatValidatorReportMarkdown = (data) => {
+  const lines = [];
+  const scoped = data.scope && data.scope.mode !== 'all';
+  const pushList = (title, items) => {
+    if (!items?.length) return;
+    lines.push(`**${title}**`, '', ...items.map((item) => `- ${item}`), '');
+  };
 
-    // Vector subsets & capabilities (non-crypto)
-    z_vector: [
-      // Embedded vector base subsets
-      { id: 'Zve', name: 'Zve', desc: 'Embedded Vector Base', use: 'Baseline V subset for MCUs' },
-      { id: 'Zve32x', name: 'Zve32x', desc: 'Vec Int (32-bit, embedded)', use: 'Int-only embedded vectors' },
-      { id: 'Zve32f', name: 'Zve32f', desc: 'Vec FP32 (embedded)', use: 'Embedded FP32 vector compute' },
-      { id: 'Zve64x', name: 'Zve64x', desc: 'Vec Int (64-bit, embedded)', use: '64-bit int embedded vectors' },
-      { id: 'Zve64f', name: 'Zve64f', desc: 'Vec FP32+Int (64-bit, embedded)', use: 'FP32 + 64-bit int vectors' },
-      { id: 'Zve64d', name: 'Zve64d', desc: 'Vec FP64+FP32+Int', use: 'Full FP64 embedded vectors' },
+  if (!data.entries) {
+    lines.push('## RISC-V Encoder Validation Report', '');
+    lines.push(`Generated: ${data.generated}${data.scope ? ` · Scope: ${data.scope.label}` : ''}`, '');
+    if (data.proposed) {
+      lines.push(
+        markdownTable(
+          ['Mnemonic', 'Length', 'Encoding', 'Match', 'Mask'],
+          [
+            [
+              data.proposed.mnemonic || '—',
+              `${data.proposed.length}-bit`,
+              `\`${data.proposed.encoding}\``,
+              `\`${data.proposed.match}\``,
+              `\`${data.proposed.mask}\``,
+            ],
+          ]
+        ),
+        ''
+      );
+    }
+    pushList('Errors', data.errors);
+    pushList('Warnings', data.warnings);
+    lines.push(`### Conflicts (${data.conflicts.length})`, '');
+    lines.push(data.conflicts.length ? markdownConflictTable(data.conflicts, scoped) : 'None found.', '');
+    for (const conflict of data.conflicts) {
+      lines.push(`#### Fields of \`${conflict.mnemonic}\` (${conflict.extension})`, '');
+      lines.push(
+        markdownTable(
+          ['Field', 'Bits', 'Proposed', 'Existing', 'Status'],
+          conflict.fieldComparison.fields.map((field) => [
+            field.name,
+            field.bits,
+            `\`${field.proposed}\``,
+            `\`${field.existing}\``,
+            FIELD_COMPARISON_STATUS[field.status],
+          ])
+        ),
+        ''
+      );
+      lines.push(conflict.fieldComparison.summary, '');
+      pushList('Bits to fix', conflict.fieldComparison.fixes);
+    }
+    return `${lines.join('\n')}`;
+  }
 
-      // Aliases and VLEN capabilities
-      { id: 'Zv', name: 'Zv', desc: 'Vector Alias for V', use: 'ISA alias for full RVV' },
-      { id: 'Zvl32b', name: 'Zvl32b', desc: 'Min VLEN ≥ 32b', use: 'Vector length capability' },
-      { id: 'Zvl64b', name: 'Zvl64b', desc: 'Min VLEN ≥ 64b', use: 'Vector length capability' },
-      { id: 'Zvl128b', name: 'Zvl128b', desc: 'Min VLEN ≥ 128b', use: 'Vector length capability' },
-      { id: 'Zvl256b', name: 'Zvl256b', desc: 'Min VLEN ≥ 256b', use: 'Vector length capability' },
-      { id: 'Zvl512b', name: 'Zvl512b', desc: 'Min VLEN ≥ 512b', use: 'Vector length capability' },
-      { id: 'Zvl1024b', name: 'Zvl1024b', desc: 'Min VLEN ≥ 1024b', use: 'Vector length capability' },
+  lines.push('## RISC-V Batch Encoder Validation Report', '');
+  lines.push(`Generated: ${data.generated} · Scope: ${data.scope.label}`, '');
+  lines.push(
+    markdownTable(
+      ['Entries', 'Invalid', scoped ? 'Database conflicts in scope' : 'Database conflicts', 'Batch conflicts'],
+      [[data.summary.total, data.summary.invalid, data.summary.conflictingInScope, data.summary.conflictingInBatch]]
+    ),
+    ''
+  );
+  pushList(
+    'Unreadable input',
+    data.parseErrors.map((err) => `${err.line ? `Line ${err.line}: ` : ''}${err.message}`)
+  );
+  pushList('Duplicate mnemonics', data.duplicateMnemonics);
+
+  lines.push(`### Conflicts within the batch (${data.batchConflicts.length})`, '');
+  lines.push(
+    data.batchConflicts.length
+      ? markdownTable(
+          ['Entry', 'Entry', 'Type', 'Common mask', 'Example word', 'Why'],
+          data.batchConflicts.map((pair) => [
+            `\`${pair.a.mnemonic}\` (${pair.a.source})`,
+            `\`${pair.b.mnemonic}\` (${pair.b.source})`,
+            pair.type,
+            `\`${pair.commonMask}\``,
+            `\`${pair.exampleWord}\``,
+            pair.why,
+          ])
+        )
+      : 'None found.',
+    ''
+  );
 
-      // Vector FP numerics
-      { id: 'Zvf', name: 'Zvf', desc: 'Vector FP minimal', use: 'Minimal scalar-like vector FP' },
-      { id: 'Zvfh', name: 'Zvfh', desc: 'Vector Half-Precision FP', use: '16-bit FP vector arithmetic' },
-      { id: 'Zvfhmin', name: 'Zvfhmin', desc: 'Vector Half-Precision Minimal', use: 'Conv/storage, minimal Zvfh' },
-      { id: 'Zvfbfmin', name: 'Zvfbfmin', desc: 'Vector BF16 Minimal', use: 'BF16 conversions in vectors' },
-      { id: 'Zvfbfa', name: 'Zvfbfa', desc: 'Vector BF16 Arithmetic', use: 'BF16 arithmetic in vectors' },
-      { id: 'Zvfbfwma', name: 'Zvfbfwma', desc: 'Vector BF16 Widening MAC', use: 'BF16 GEMM-style MAC' },
-      { id: 'Zvfofp8min', name: 'Zvfofp8min', desc: 'Vector FP8 Minimal', use: 'Minimal FP8 vector support' },
+  lines.push('### Entries', '');
+  lines.push(
+    markdownTable(
+      ['Entry', 'Source', 'Encoding', 'Match', 'Mask', 'Database conflicts', 'Errors'],
+      data.entries.map((entry) => [
+        `\`${entry.mnemonic}\``,
+        entry.source,
+        entry.proposed ? `\`${entry.proposed.encoding}\`` : '',
+        entry.proposed ? `\`${entry.proposed.match}\`` : '',
+        entry.proposed ? `\`${entry.proposed.mask}\`` : '',
+        entry.conflicts
+          .filter((conflict) => conflict.inScope)
+          .map((conflict) => `${conflict.mnemonic} (${conflict.extension}, ${conflict.type})`)
+          .join(', '),
+        [...entry.errors, ...entry.warnings].join(' '),
+      ])
+    ),
+    ''
+  );
+  return `${lines.join('\n')}`;
+};
 
-      // Non-crypto vector arithmetic helpers
-      { id: 'Zvabd', name: 'Zvabd', desc: 'Vector Abs-Diff', use: 'Absolute-difference operations' },
-      { id: 'Zvbb', name: 'Zvbb', desc: 'Vector Bitmanip Base', use: 'Vectorized scalar Zbb ops' },
-      { id: 'Zvbc', name: 'Zvbc', desc: 'Vector Carryless Multiply', use: 'Vector CRC / GF ops' },
-      { id: 'Zvbc32e', name: 'Zvbc32e', desc: 'Vector CLMUL (32E)', use: 'Carryless multiply for embedded vectors' },
-      { id: 'Zvbdota', name: 'Zvbdota', desc: 'Vector BF16 Dot-Acc', use: 'BF16 dot-product accumulate' },
-      { id: 'Zvdota', name: 'Zvdota', desc: 'Vector Dot-Acc', use: 'Generic FP dot-product accumulate' },
-      { id: 'Zvdot4a', name: 'Zvdot4a', desc: 'Vector 4-way Dot-Acc', use: '4-way dot-product accumulate' },
+// Tile colors of each extension group in `riscv_extensions.json`; other views reuse them to color by group.
+const EXTENSION_GROUP_COLORS = {
+  base: 'bg-blue-950 border-blue-800 text-blue-100',
+  standard: 'bg-emerald-950 border-emerald-800 text-emerald-100',
+  z_bit: 'bg-purple-950/50 border-purple-800/50 text-purple-100',
+  z_atomics: 'bg-amber-950/40 border-amber-800/50 text-amber-100',
+  z_compress: 'bg-indigo-950/50 border-indigo-800/50 text-indigo-100',
+  z_float: 'bg-pink-950/50 border-pink-800/50 text-pink-100',
+  z_load_store: 'bg-sky-950/40 border-sky-800/40 text-sky-100',
+  z_integer: 'bg-fuchsia-950/40 border-fuchsia-800/40 text-fuchsia-100',
+  z_vector: 'bg-teal-950/50 border-teal-800/50 text-teal-100',
+  z_security: 'bg-red-950/50 border-red-800/50 text-red-100',
+  z_crypto: 'bg-slate-800 border-slate-600 text-slate-300',
+  z_vector_crypto: 'bg-violet-950/40 border-violet-800/40 text-violet-100',
+  z_system: 'bg-orange-950/50 border-orange-800/50 text-orange-100',
+  z_caches: 'bg-orange-950/30 border-orange-700/30 text-orange-100',
+  s_mem: 'bg-cyan-950/30 border-cyan-800/30 text-cyan-100',
+  s_interrupt: 'bg-cyan-950/30 border-cyan-800/30 text-cyan-100',
+  s_trap: 'bg-cyan-950/30 border-cyan-800/30 text-cyan-100',
+};
 
-      { id: 'Zvw', name: 'Zvw', desc: 'Vector Wide Groups', use: 'Wider element/vector width options' },
-    ],
+// Major opcode map of 32-bit instructions: rows are inst[6:5], columns inst[4:2] (inst[1:0] = 11).
+// Column 111 holds the prefixes of longer instructions rather than an opcode.
+const MAJOR_OPCODE_NAMES = [
+  ['LOAD', 'LOAD-FP', 'custom-0', 'MISC-MEM', 'OP-IMM', 'AUIPC', 'OP-IMM-32', '48b'],
+  ['STORE', 'STORE-FP', 'custom-1', 'AMO', 'OP', 'LUI', 'OP-32', '64b'],
+  ['MADD', 'MSUB', 'NMSUB', 'NMADD', 'OP-FP', 'OP-V', 'custom-2/rv128', '48b'],
+  ['BRANCH', 'JALR', 'reserved', 'JAL', 'SYSTEM', 'OP-VE', 'custom-3/rv128', '≥80b'],
+];
 
-    // Control-flow integrity, hints & “maybe ops”
-    z_security: [
-      { id: 'Zicfilp', name: 'Zicfilp', desc: 'CFI Landing Pads', use: 'Forward-edge CFI for calls' },
-      { id: 'Zicfiss', name: 'Zicfiss', desc: 'CFI Shadow Stacks', use: 'Backward-edge CFI (returns)' },
-      { id: 'Zicond', name: 'Zicond', desc: 'Integer Conditional Ops', use: 'Branchless selects / cmov' },
-      { id: 'Ziccrse', name: 'Ziccrse', desc: 'LR/SC Forward Progress', use: 'Guarantees LR/SC forward progress' },
-      { id: 'Zimop', name: 'Zimop', desc: 'May-Be-Ops (NOP family)', use: 'Reserved NOP encodings for future' },
-    ],
+const MAJOR_OPCODES = MAJOR_OPCODE_NAMES.flatMap((row, hi) =>
+  row.map((name, lo) => ({ name, opcode: (hi << 5) | (lo << 2) | 0b11, hi, lo }))
+).filter((entry) => entry.lo !== 0b111);
 
-    // Scalar & vector crypto
-    z_crypto: [
-      // Scalar crypto umbrella + splits
-      { id: 'Zk', name: 'Zk', desc: 'Scalar Crypto Base', use: 'Top-level scalar crypto bundle' },
-      { id: 'Zkn', name: 'Zkn', desc: 'NIST Suite (Scalar)', use: 'AES/SHA NIST suite' },
-      { id: 'Zknd', name: 'Zknd', desc: 'NIST AES Decrypt', use: 'AES decryption instructions' },
-      { id: 'Zkne', name: 'Zkne', desc: 'NIST AES Encrypt', use: 'AES encryption instructions' },
-      { id: 'Zknh', name: 'Zknh', desc: 'NIST Hash', use: 'SHA-2 hash instructions' },
-      { id: 'Zkr', name: 'Zkr', desc: 'Entropy Source', use: 'True random source interface' },
+const CUSTOM_OPCODE_NAMES = ['custom-0', 'custom-1', 'custom-2/rv128', 'custom-3/rv128'];
 
-      { id: 'Zks', name: 'Zks', desc: 'ShangMi Suite (Scalar)', use: 'Chinese SMx crypto bundle' },
-      { id: 'Zksed', name: 'Zksed', desc: 'SM4 Block Cipher', use: 'SM4 encrypt/decrypt' },
-      { id: 'Zksh', name: 'Zksh', desc: 'SM3 Hash', use: 'SM3 hash operations' },
+const formatMajorOpcode = (opcode) => opcode.toString(2).padStart(7, '0');
 
-      { id: 'Zkt', name: 'Zkt', desc: 'Timing-Safe Crypto', use: 'Data-independent latency constraints' },
+// Compressed opcode map: rows are the quadrant (inst[1:0]), columns funct3 (inst[15:13]).
+const COMPRESSED_QUADRANT_NAMES = ['Q0', 'Q1', 'Q2'];
 
-      // Scalar crypto bitmanip
-      { id: 'Zbkb', name: 'Zbkb', desc: 'Crypto Bitmanip (byte)', use: 'Byte-wise crypto bit ops' },
-      { id: 'Zbkc', name: 'Zbkc', desc: 'Crypto Bitmanip (carryless)', use: 'Carryless ops for crypto' },
-      { id: 'Zbkx', name: 'Zbkx', desc: 'Crypto Bitmanip (crossbar)', use: 'Bit/byte crossbar operations' },
+// Cells of both opcode maps with the instructions whose match/mask overlaps them. Instructions that leave
+// some of the cell's bits variable appear in every cell they reach.
+const buildOpcodeMap = (patterns) => {
+  const fill = (cell) => {
+    const instructions = patterns.filter(
+      (pattern) => pattern.length === cell.length && patternsOverlap(cell.match, cell.mask, pattern.match, pattern.mask)
+    );
+    return {
+      ...cell,
+      instructions: instructions.map((pattern) => ({ mnemonic: pattern.mnemonic, extId: pattern.extId })),
+      extIds: Array.from(new Set(instructions.map((pattern) => pattern.extId))),
+    };
+  };
 
-      // Vector crypto umbrella
-      { id: 'Zvk', name: 'Zvk', desc: 'Vector Crypto (umbrella)', use: 'Top-level vector crypto suite' },
+  const major = MAJOR_OPCODE_NAMES.map((row, hi) =>
+    row.map((name, lo) => {
+      const opcode = (hi << 5) | (lo << 2) | 0b11;
+      const cell = { key: `32:${opcode}`, name, length: lo === 0b111 ? null : 32, match: BigInt(opcode), mask: 0x7fn };
+      return fill({ ...cell, code: formatMajorOpcode(opcode) });
+    })
+  );
 
-      // Vector crypto subsets
-      { id: 'Zvkb', name: 'Zvkb', desc: 'Vector Crypto Bitmanip', use: 'Vector crypto bit ops' },
-      { id: 'Zvkg', name: 'Zvkg', desc: 'Vector GCM/GMAC', use: 'AES-GCM/GMAC acceleration' },
-      { id: 'Zvkgs', name: 'Zvkgs', desc: 'Vector GCM Shim', use: 'Profile-specific GCM subset' },
-      { id: 'Zvkn', name: 'Zvkn', desc: 'Vector NIST Suite', use: 'Vector AES/SHA suite' },
-      { id: 'Zvknc', name: 'Zvknc', desc: 'Vector NIST + CLMUL', use: 'NIST crypto with carryless multiply' },
-      { id: 'Zvkned', name: 'Zvkned', desc: 'Vector AES', use: 'Vector AES-ECB/CTR/GCM cores' },
-      { id: 'Zvknf', name: 'Zvknf', desc: 'Vector AES Finite-field', use: 'Vector AES finite-field helpers' },
-      { id: 'Zvkng', name: 'Zvkng', desc: 'Vector NIST + GCM', use: 'NIST suite + GCM vector bundle' },
-      { id: 'Zvknha', name: 'Zvknha', desc: 'Vector SHA-2 (subset)', use: 'Vector SHA-256 subset' },
-      { id: 'Zvknhb', name: 'Zvknhb', desc: 'Vector SHA-2 (full)', use: 'Vector SHA-256/512' },
-      { id: 'Zvks', name: 'Zvks', desc: 'Vector ShangMi Suite', use: 'Vector SMx algorithms' },
-      { id: 'Zvksc', name: 'Zvksc', desc: 'Vector ShangMi + CLMUL', use: 'SMx with carryless multiply' },
-      { id: 'Zvksed', name: 'Zvksed', desc: 'Vector SM4', use: 'Vector SM4 cipher' },
-      { id: 'Zvksg', name: 'Zvksg', desc: 'Vector ShangMi + GCM', use: 'ShangMi + GCM vectors' },
-      { id: 'Zvksh', name: 'Zvksh', desc: 'Vector SM3 Hash', use: 'Vector SM3' },
-      { id: 'Zvkt', name: 'Zvkt', desc: 'Vector Timing-Safe Crypto', use: 'Vector data-independent latency' },
-    ],
+  const compressed = COMPRESSED_QUADRANT_NAMES.map((quadrant, q) =>
+    Array.from({ length: 8 }, (_, funct3) =>
+      fill({
+        key: `16:${q}:${funct3}`,
+        name: `${quadrant} funct3=${funct3.toString(2).padStart(3, '0')}`,
+        code: `${funct3.toString(2).padStart(3, '0')}…${q.toString(2).padStart(2, '0')}`,
+        length: 16,
+        match: (BigInt(funct3) << 13n) | BigInt(q),
+        mask: 0xe003n,
+      })
+    )
+  );
 
-    // System / caches / atomics / load-store utilities
-    z_system: [
-      { id: 'Zicsr', name: 'Zicsr', desc: 'CSR Access', use: 'Explicit CSR read/write' },
-      { id: 'Zifencei', name: 'Zifencei', desc: 'Instruction-Fetch Fence', use: 'Sync I-cache with writes' },
+  return { major, compressed };
+};
 
-      { id: 'Zicntr', name: 'Zicntr', desc: 'Base Counters/Timers', use: 'cycle/instret + timers' },
-      { id: 'Zihpm', name: 'Zihpm', desc: 'Perf Counters', use: 'Hardware performance monitors' },
+// Fields a new instruction of each format can still choose, besides the major opcode.
+const OPCODE_SPACE_FORMATS = {
+  R: {
+    label: 'R-type (funct7 + funct3)',
+    fields: [
+      { name: 'funct3', bits: [14, 12] },
+      { name: 'funct7', bits: [31, 25] },
+    ],
+  },
+  R4: {
+    label: 'R4-type (funct2 + funct3)',
+    fields: [
+      { name: 'funct3', bits: [14, 12] },
+      { name: 'funct2', bits: [26, 25] },
+    ],
+  },
+  I: { label: 'I/S/B-type (funct3)', fields: [{ name: 'funct3', bits: [14, 12] }] },
+  U: { label: 'U/J-type (whole opcode)', fields: [] },
+};
 
-      { id: 'Zihintpause', name: 'Zihintpause', desc: 'Pause Hint', use: 'Power-friendly spin-wait' },
-      { id: 'Zihintntl', name: 'Zihintntl', desc: 'Non-Temporal Locality Hints', use: 'NT load/store hints' },
+const formatSlotFieldValue = (field, value) => {
+  const width = field.bits[0] - field.bits[1] + 1;
+  return width <= 3 ? value.toString(2).padStart(width, '0') : `0x${value.toString(16).padStart(2, '0')}`;
+};
 
-      { id: 'Zicbom', name: 'Zicbom', desc: 'Cache Management Operations', use: 'Invalidate/clean/flush blocks' },
-      { id: 'Zicbop', name: 'Zicbop', desc: 'Cache Prefetch', use: 'Prefetch cache blocks' },
-      { id: 'Zicboz', name: 'Zicboz', desc: 'Cache Block Zero', use: 'Fast memset-to-zero' },
+// Enumerates every funct combination of `formatKey` under a major opcode and classifies it against the
+// 32-bit patterns: `free` (nothing overlaps), `used` (an existing instruction covers the whole slot) or
+// `partial` (existing instructions only take part of it, e.g. with a fixed rs2).
+const findOpcodeSpaceSlots = (opcode, formatKey, patterns) => {
+  const { fields } = OPCODE_SPACE_FORMATS[formatKey];
+  const opcodeMatch = BigInt(opcode);
+  const opcodeMask = 0x7fn;
+  const candidates = patterns.filter(
+    (pattern) => pattern.length === 32 && patternsOverlap(opcodeMatch, opcodeMask, pattern.match, pattern.mask)
+  );
 
-      { id: 'Zmmul', name: 'Zmmul', desc: 'Multiply-Only (no DIV)', use: 'Cheaper M subset (mul only)' },
+  const combos = fields.reduce(
+    (acc, field) =>
+      acc.flatMap((values) =>
+        Array.from({ length: 1 << (field.bits[0] - field.bits[1] + 1) }, (_, value) => ({ ...values, [field.name]: value }))
+      ),
+    [{}]
+  );
 
-      { id: 'Zaamo', name: 'Zaamo', desc: 'Atomic Memory Operations', use: 'Defines atomic granularity' },
-      { id: 'Zabha', name: 'Zabha', desc: 'Byte/Halfword AMO', use: 'Subword AMO support' },
+  return combos.map((values) => {
+    let match = opcodeMatch;
+    let mask = opcodeMask;
+    for (const field of fields) {
+      const [msb, lsb] = field.bits;
+      match |= BigInt(values[field.name]) << BigInt(lsb);
+      mask |= bitMask(msb - lsb + 1) << BigInt(lsb);
+    }
 
-      { id: 'Zalrsc', name: 'Zalrsc', desc: 'LR/SC Extension', use: 'Extended LR/SC semantics' },
-      { id: 'Zalasr', name: 'Zalasr', desc: 'LR/SC Alias Rules', use: 'Alias rules for LR/SC sequences' },
+    const occupants = candidates.filter((pattern) => patternsOverlap(match, mask, pattern.match, pattern.mask));
+    const status = !occupants.length
+      ? 'free'
+      : occupants.some((pattern) => isSubsetPattern(match, mask, pattern.match, pattern.mask))
+        ? 'used'
+        : 'partial';
+    return {
+      values,
+      match,
+      mask,
+      encoding: matchMaskToEncoding(match, mask),
+      status,
+      occupants: Array.from(new Set(occupants.map((pattern) => `${pattern.mnemonic} (${pattern.extId})`))),
+    };
+  });
+};
 
-      { id: 'Ztso', name: 'Ztso', desc: 'Total Store Ordering', use: 'x86-style TSO memory model' },
+// One row per value of the first field when the format has two (funct3 rows of funct7 values), otherwise a
+// single row. Consecutive free values are merged into runs.
+const summarizeOpcodeSpace = (slots, formatKey) => {
+  const { fields } = OPCODE_SPACE_FORMATS[formatKey];
+  const rowField = fields.length > 1 ? fields[0] : null;
+  const valueField = fields.length > 1 ? fields[1] : fields[0] || null;
+  const rows = new Map();
+
+  for (const slot of slots) {
+    const key = rowField ? slot.values[rowField.name] : 'all';
+    if (!rows.has(key)) {
+      rows.set(key, { rowField, rowValue: rowField ? slot.values[rowField.name] : null, valueField, slots: [] });
+    }
+    rows.get(key).slots.push(slot);
+  }
 
-      { id: 'Zilsd', name: 'Zilsd', desc: 'Streaming LS (data)', use: 'Streaming loads/stores (data)' },
-      { id: 'Zilsp', name: 'Zilsp', desc: 'Streaming LS (prefetch)', use: 'Streaming prefetch hints' },
-      { id: 'Zilsme', name: 'Zilsme', desc: 'Streaming Stores (exclusive)', use: 'Streaming store hints' },
-      { id: 'Zilsmea', name: 'Zilsmea', desc: 'Streaming Stores (alloc)', use: 'Streaming store + allocate' },
-      { id: 'Zilsm*', name: 'Zilsm*', desc: 'Streaming Mem (pattern)', use: 'Wildcard for Zilsm<x>b family' },
-      { id: 'Zilsm<x>b', name: 'Zilsm<x>b', desc: 'Streaming Mem (x-byte)', use: 'Line-size specific streaming ops' },
+  return Array.from(rows.values()).map((row) => {
+    const freeRuns = [];
+    for (const slot of row.slots) {
+      const value = valueField ? slot.values[valueField.name] : 0;
+      const last = freeRuns[freeRuns.length - 1];
+      if (slot.status !== 'free') continue;
+      if (last && last.to === value - 1) last.to = value;
+      else freeRuns.push({ from: value, to: value, slot });
+    }
+    return {
+      ...row,
+      freeRuns,
+      freeCount: row.slots.filter((slot) => slot.status === 'free').length,
+      partial: row.slots.filter((slot) => slot.status === 'partial'),
+      used: row.slots.filter((slot) => slot.status === 'used'),
+    };
+  });
+};
 
-      { id: 'Zclsd', name: 'Zclsd', desc: 'Compressed LS Pair', use: 'Compressed LS pairs (RV32)' },
+// Splits a comma/space separated list into known extension IDs (matched case-insensitively) and unknown tokens.
+const parseExtensionIdList = (text, knownIds) => {
+  const byLower = new Map(knownIds.map((id) => [id.toLowerCase(), id]));
+  const ids = [];
+  const unknown = [];
+  for (const token of String(text ?? '').split(/[\s,]+/).filter(Boolean)) {
+    const id = byLower.get(token.toLowerCase());
+    if (id) ids.push(id);
+    else unknown.push(token);
+  }
+  return { ids, unknown };
+};
 
-      // PMA / cache-block / reservation set / misc
-      { id: 'Za64rs', name: 'Za64rs', desc: '64B Reservation Set', use: 'Reservation set granularity (64-byte)' },
-      { id: 'Za128rs', name: 'Za128rs', desc: '128B Reservation Set', use: 'Reservation set granularity (128-byte)' },
-      { id: 'Zic64b', name: 'Zic64b', desc: '64B Cache Blocks', use: 'Requires 64B naturally aligned cache lines' },
-      { id: 'Ziccif', name: 'Ziccif', desc: 'Inst-Fetch Atomicity', use: 'Atomic I-fetch in cacheable+coherent regions' },
-      { id: 'Ziccrse', name: 'Ziccrse', desc: 'RsrvEventual', use: 'Reservation-set eventuality guarantees' },
-      { id: 'Ziccamoa', name: 'Ziccamoa', desc: 'Atomics PMA', use: 'PMA guarantees for A-extension atomics' },
-      { id: 'Zicclsm', name: 'Zicclsm', desc: 'Misaligned L/S Support', use: 'Misaligned loads/stores in cacheable+coherent regions' },
-      { id: 'Ziccamoc', name: 'Ziccamoc', desc: 'CAS PMA', use: 'PMA guarantees for CAS-style atomics' },
+// Canonical order of the single-letter extensions in an ISA naming string, starting with the bases. It also
+// orders the categories of Z extensions, which sort by their second letter (Zicsr before Zmmul before Zba).
+const ISA_SINGLE_LETTER_ORDER = 'iemafdqlcbkjtpvnh';
 
-      { id: 'Zibi', name: 'Zibi', desc: 'Interruptible Mem Ops', use: 'Interruptible load/store semantics' },
-      { id: 'Zicntrpmf', name: 'Zicntrpmf', desc: 'Counter Filtering', use: 'Mode-based filtering for counters' },
-      { id: 'Zimt', name: 'Zimt', desc: 'Time Instructions', use: 'Extended time/TIMECMP instructions' },
-      { id: 'Zitagelide', name: 'Zitagelide', desc: 'Tag & ELIDE', use: 'Tagged-memory / elide behaviors' },
-      { id: 'Zjid', name: 'Zjid', desc: 'ICache Coherence Alt', use: 'Alternative to Zifencei for I-cache coherence' },
-      { id: 'Zjpm', name: 'Zjpm', desc: 'Pointer-Mask Qualifier', use: 'Auxiliary pointer-masking semantics' },
-      { id: 'Zccid', name: 'Zccid', desc: 'Cache-Block ID', use: 'Cache block identity / debugging' },
-      { id: 'Zama16b', name: 'Zama16b', desc: '16B Misaligned Atomicity', use: 'Misaligned atomicity granule (16 bytes)' },
-    ],
+// G is shorthand for IMAFD_Zicsr_Zifencei.
+const ISA_G_EXTENSIONS = ['M', 'A', 'F', 'D', 'Zicsr', 'Zifencei'];
 
-    // S / Sv: memory & address-translation
-    s_mem: [
-      { id: 'Sv32', name: 'Sv32', desc: 'Virtual Memory, 32-bit', use: '2-level page tables (RV32 Linux)' },
-      { id: 'Sv39', name: 'Sv39', desc: 'Virtual Memory, 39-bit VA', use: '3-level page tables (RV64 Linux)' },
-      { id: 'Sv48', name: 'Sv48', desc: 'Virtual Memory, 48-bit VA', use: '4-level page tables' },
-      { id: 'Sv57', name: 'Sv57', desc: 'Virtual Memory, 57-bit VA', use: '5-level page tables' },
+const ISA_BASE_IDS = { '32i': 'RV32I', '32e': 'RV32E', '64i': 'RV64I', '64e': 'RV64E', '128i': 'RV128I' };
 
-      { id: 'Svbare', name: 'Svbare', desc: 'Bare Mode', use: 'No address translation (satp bare)' },
+// A version suffix: major, or major `p` minor (2p1 = version 2.1).
+const ISA_VERSION_PATTERN = /\d+(?:p\d+)?$/;
 
-      { id: 'Svpbmt', name: 'Svpbmt', desc: 'Page-Based Memory Types', use: 'Per-page memory types / cacheability' },
-      { id: 'Svnapot', name: 'Svnapot', desc: 'NAPOT Mappings', use: 'Hugepages via NAPOT PTEs' },
-      { id: 'Svinval', name: 'Svinval', desc: 'Fine-Grained TLB Invalidate', use: 'Fine-grain TLB shootdown instructions' },
-      { id: 'Svade', name: 'Svade', desc: 'Access/Dirty Exceptions', use: 'Page-fault on A/D bit issues' },
-      { id: 'Svadu', name: 'Svadu', desc: 'Access/Dirty Update', use: 'Hardware A/D-bit updates' },
-      { id: 'Svvptc', name: 'Svvptc', desc: 'Visible PTE Changes', use: 'Bounded-time PTE visibility guarantees' },
-      { id: 'Svrsw60t59b', name: 'Svrsw60t59b', desc: 'PTE RSW Bits', use: 'Standard RSW field behavior' },
+// Sort key of a multi-letter extension: Z extensions by category then name, then S extensions, then X extensions.
+const multiLetterIsaRank = (name) => {
+  const lower = name.toLowerCase();
+  if (lower.startsWith('z')) {
+    const category = ISA_SINGLE_LETTER_ORDER.indexOf(lower[1]);
+    return [0, category === -1 ? ISA_SINGLE_LETTER_ORDER.length : category, lower];
+  }
+  return [lower.startsWith('s') ? 1 : 2, 0, lower];
+};
 
-      { id: 'Svatag', name: 'Svatag', desc: 'Tagged Translations', use: 'Address-tagged translation behavior' },
-      { id: 'Svukte', name: 'Svukte', desc: 'User-Keyed TLB Entries', use: 'Per-user TLB tagging' },
+const compareIsaRank = (a, b) => a[0] - b[0] || a[1] - b[1] || (a[2] < b[2] ? -1 : a[2] > b[2] ? 1 : 0);
+
+// Parses an ISA naming string (`rv64imafdc_zicsr_zba_zbb`, `-march=rv64gcv`, `isa : rv64imafdch_...` from
+// /proc/cpuinfo) or a device-tree `riscv,isa-extensions` list into catalog extension IDs. Versions are accepted
+// and dropped; names are case-insensitive. Multi-letter names are looked up whole first, since some IDs end in
+// digits (Zvl128b, Ss1p13, Sv39), and only then without a version suffix. Ordering mistakes and duplicates are
+// warnings; names missing from the catalog are returned in `unknown` rather than failing the whole string.
+const parseIsaString = (text, knownIds) => {
+  const byLower = new Map(knownIds.map((id) => [id.toLowerCase(), id]));
+  const ids = [];
+  const unknown = [];
+  const warnings = [];
+  const add = (id, source) => {
+    if (ids.includes(id)) warnings.push(`${source} is listed more than once.`);
+    else ids.push(id);
+  };
 
-      // Pointer masking (user/supervisor view)
-      { id: 'Supm', name: 'Supm', desc: 'User Pointer Masking', use: 'Mask user pointers' },
-      { id: 'Ssnpm', name: 'Ssnpm', desc: 'Supervisor Next-Pointer Mask', use: 'Mask next-mode pointers (S)' },
-      { id: 'Sspm', name: 'Sspm', desc: 'Supervisor Pointer Masking', use: 'Supervisor pointer-mask policy' },
-    ],
+  const lookupMultiLetter = (token) => {
+    const lower = token.toLowerCase();
+    if (byLower.has(lower)) return byLower.get(lower);
+    const unversioned = lower.replace(ISA_VERSION_PATTERN, '');
+    return unversioned && unversioned !== lower ? byLower.get(unversioned) ?? null : null;
+  };
 
-    // S / Sm / Ss: interrupts, counters, QoS, AIA, etc.
-    s_interrupt: [
-      { id: 'Smaia', name: 'Smaia', desc: 'AIA Machine Extension', use: 'Advanced interrupt arch (M)' },
-      { id: 'Ssaia', name: 'Ssaia', desc: 'AIA Supervisor Extension', use: 'Advanced interrupt arch (S)' },
+  let input = String(text ?? '')
+    .trim()
+    .replace(/^-march=/i, '')
+    .replace(/^isa\s*:\s*/i, '')
+    .replace(/^riscv,isa\s*=\s*/i, '');
+
+  // Device-tree properties: riscv,isa-base = "rv64i"; riscv,isa-extensions = "i", "m", "a", "zicsr";
+  if (/riscv,isa-extensions\s*=/i.test(input) || /"\s*,\s*"/.test(input)) {
+    const names = input
+      .replace(/riscv,isa-[\w-]+\s*=/gi, ' ')
+      .split(/[\s,;"<>]+/)
+      .filter(Boolean);
+    let base = null;
+    let baseLetter = null;
+    for (const name of names) {
+      const lower = name.toLowerCase();
+      const baseMatch = /^rv(32|64|128)([ie])$/.exec(lower);
+      if (baseMatch) {
+        base = ISA_BASE_IDS[`${baseMatch[1]}${baseMatch[2]}`] ?? null;
+      } else if (lower === 'i' || lower === 'e') {
+        baseLetter = lower;
+      } else {
+        const id = lower.length === 1 ? byLower.get(lower) : lookupMultiLetter(name);
+        if (id) add(id, name);
+        else unknown.push(name);
+      }
+    }
+    if (base) ids.unshift(base);
+    else if (baseLetter) warnings.push(`The base width is missing: add riscv,isa-base = "rv64${baseLetter}" (or rv32${baseLetter}).`);
+    return { base, xlen: base ? Number(/\d+/.exec(base)[0]) : null, ids, unknown, warnings, error: null };
+  }
 
-      { id: 'Smclic', name: 'Smclic', desc: 'Machine CLIC', use: 'Machine-level CLIC interrupt controller' },
-      { id: 'Smclicconfig', name: 'Smclicconfig', desc: 'Machine CLIC Config', use: 'MCLIC configuration CSRs' },
-      { id: 'Smclicshv', name: 'Smclicshv', desc: 'Machine CLIC SHV', use: 'Selective hardware vectored interrupts' },
+  input = input.replace(/^["']|["';]+$/g, '').toLowerCase();
+  const prefix = /^rv(32|64|128)([ieg])/.exec(input);
+  if (!prefix) {
+    return {
+      base: null,
+      xlen: null,
+      ids: [],
+      unknown: [],
+      warnings: [],
+      error: 'An ISA string starts with rv32, rv64 or rv128 followed by the base: i, e or g (e.g. rv64imafdc).',
+    };
+  }
 
-      { id: 'Ssclic', name: 'Ssclic', desc: 'Supervisor CLIC', use: 'Supervisor-level CLIC interface' },
-      { id: 'Suclic', name: 'Suclic', desc: 'User CLIC', use: 'User-level CLIC interface' },
+  const xlen = Number(prefix[1]);
+  const base = ISA_BASE_IDS[`${prefix[1]}${prefix[2] === 'e' ? 'e' : 'i'}`];
+  if (!base) return { base: null, xlen, ids: [], unknown: [], warnings: [], error: `rv${xlen}e is not defined.` };
+  ids.push(base);
+  if (prefix[2] === 'g') ISA_G_EXTENSIONS.forEach((id) => add(id, 'g'));
+
+  let lastLetterIndex = -1;
+  let lastMultiLetter = null;
+  const parts = input.slice(prefix[0].length).split('_');
+
+  const addMultiLetter = (token) => {
+    const id = lookupMultiLetter(token);
+    const name = id || token.replace(ISA_VERSION_PATTERN, '');
+    const rank = multiLetterIsaRank(name);
+    if (lastMultiLetter && compareIsaRank(rank, lastMultiLetter.rank) < 0) {
+      warnings.push(`${name} should come before ${lastMultiLetter.name}.`);
+    }
+    lastMultiLetter = { name, rank };
+    if (id) add(id, name);
+    else unknown.push(name);
+  };
 
-      { id: 'Sstc', name: 'Sstc', desc: 'Supervisor Timer Compare', use: 'Per-hart timer interrupts' },
+  parts.forEach((part, index) => {
+    if (!part) return;
+    // Multi-letter extensions start a new underscore-separated part.
+    if (index > 0 && /^[zsx]./.test(part)) {
+      addMultiLetter(part);
+      return;
+    }
 
-      { id: 'Smcdeleg', name: 'Smcdeleg', desc: 'M-Mode Counter Delegation', use: 'Delegates HPM counters to S' },
-      { id: 'Smcntrpmf', name: 'Smcntrpmf', desc: 'M-Mode Counter Filtering', use: 'Filter counters by privilege' },
-      { id: 'Ssccfg', name: 'Ssccfg', desc: 'Counter Configuration (S)', use: 'S-mode control of delegated HPM' },
-      { id: 'Sscntrcfg', name: 'Sscntrcfg', desc: 'S-Mode Counter Config', use: 'Supervisor counter configuration' },
-      { id: 'Sscounterenw', name: 'Sscounterenw', desc: 'Writable scounteren', use: 'Writable enables for HPMs' },
-      { id: 'Sscofpmf', name: 'Sscofpmf', desc: 'Counter Overflow & Filtering', use: 'Overflow + filtering in S-mode' },
-      { id: 'Ssccptr', name: 'Ssccptr', desc: 'S Counter Pointer CSR', use: 'Supervisor counter pointer CSR' },
+    // A run of single letters, each with an optional version (the leading version belongs to the base).
+    let rest = part;
+    if (index === 0) rest = rest.replace(/^\d+(?:p\d+)?/, '');
+    while (rest) {
+      const letter = rest[0];
+      // A multi-letter name glued to the single letters (rv64imaczicsr): the rest of the part is that name.
+      if ((letter === 'z' || letter === 'x' || (letter === 's' && lookupMultiLetter(rest))) && rest.length > 1) {
+        warnings.push(`${rest} should be separated from the single-letter extensions by "_".`);
+        addMultiLetter(rest);
+        break;
+      }
+      rest = rest.slice(1).replace(/^\d+(?:p\d+)?/, '');
+      if (lastMultiLetter) {
+        warnings.push(`Single-letter extension ${letter} should come before the multi-letter extensions.`);
+      }
+      const order = ISA_SINGLE_LETTER_ORDER.indexOf(letter);
+      if (order !== -1 && order < lastLetterIndex) {
+        warnings.push(`${letter.toUpperCase()} is out of canonical order (${ISA_SINGLE_LETTER_ORDER.toUpperCase()}).`);
+      }
+      if (order !== -1) lastLetterIndex = Math.max(lastLetterIndex, order);
+      if (letter === 'g') {
+        warnings.push('G is a base shorthand and belongs right after rv32/rv64.');
+        ISA_G_EXTENSIONS.forEach((id) => add(id, 'g'));
+      } else if (letter === 's' || letter === 'u') {
+        // Older kernels print supervisor/user mode support as letters (rv64imafdcsu).
+        warnings.push(`${letter.toUpperCase()} names a privilege mode, not an ISA extension.`);
+        if (byLower.has(letter)) add(byLower.get(letter), letter.toUpperCase());
+      } else if (letter === 'i' || letter === 'e') {
+        warnings.push(`${letter.toUpperCase()} is a base ISA and only appears right after rv${xlen}.`);
+      } else if (order !== -1 && byLower.has(letter)) {
+        add(byLower.get(letter), letter.toUpperCase());
+      } else {
+        unknown.push(letter.toUpperCase());
+      }
+    }
+  });
 
-      { id: 'Ssqosid', name: 'Ssqosid', desc: 'QoS Identifiers', use: 'Per-thread QoS tagging' },
-      { id: 'Sshpmcfg', name: 'Sshpmcfg', desc: 'S-Mode HPM Config', use: 'Supervisor HPM configuration' },
+  return { base, xlen, ids, unknown, warnings, error: null };
+};
 
-      { id: 'Smrnmi', name: 'Smrnmi', desc: 'Resumable NMI', use: 'Restartable non-maskable interrupts' },
-    ],
+// Name under which a parsed ISA string is highlighted like a profile.
+const ISA_STRING_PROFILE = 'ISA string';
+
+// Catalog entries that have a tile but no name in an ISA naming string: privilege modes and umbrella groupings.
+const ISA_STRING_EXCLUDED = {
+  S: 'a privilege mode, not an ISA extension',
+  U: 'a privilege mode, not an ISA extension',
+  Zv: 'a catalog grouping of the vector extensions',
+  Zve: 'a catalog grouping of Zve32x…Zve64d',
+  Zvf: 'a catalog grouping of the vector FP extensions',
+  Zvk: 'a catalog grouping of the vector crypto extensions',
+};
 
-    // Traps, debug, state enable, PMP, CSR indirection, profile tags, hypervisor aux
-    s_trap: [
-      // Debug
-      { id: 'Sdext', name: 'Sdext', desc: 'External Debug', use: 'External debug architecture' },
-      { id: 'Sdtrig', name: 'Sdtrig', desc: 'Debug Triggers', use: 'HW breakpoints / watchpoints' },
-      { id: 'Sdtrigepm', name: 'Sdtrigepm', desc: 'Debug Trigger EPM', use: 'Trigger matching for external PM' },
-      { id: 'Sdtrigpend', name: 'Sdtrigpend', desc: 'Debug Trigger Pending', use: 'Pending trigger cause reporting' },
+// Default -mabi for a base and the floating-point extensions present (hard float when F or D is there).
+const isaStringAbi = (base, ids) => {
+  const float = ids.includes('D') ? 'd' : ids.includes('F') ? 'f' : '';
+  if (base === 'RV32E') return 'ilp32e';
+  if (base === 'RV64E') return 'lp64e';
+  if (base === 'RV32I') return `ilp32${float}`;
+  if (base === 'RV64I') return `lp64${float}`;
+  return null;
+};
 
-      // Trap / CSR behavior
-      { id: 'Smcsrind', name: 'Smcsrind', desc: 'Indirect CSR Access (M)', use: 'CSR indirection at M-mode' },
-      { id: 'Sscsrind', name: 'Sscsrind', desc: 'Indirect CSR Access (S)', use: 'CSR indirection at S-mode' },
-      { id: 'Smctr', name: 'Smctr', desc: 'Control Transfer Records (M)', use: 'Hardware CFI logs (M)' },
-      { id: 'Ssctr', name: 'Ssctr', desc: 'Control Transfer Records (S)', use: 'Hardware CFI logs (S)' },
+// Inverse of parseIsaString: formats a set of catalog extension IDs as the canonical ISA naming string. The base
+// comes first, then the single letters in ISA_SINGLE_LETTER_ORDER, then Z extensions by category, S extensions
+// and X extensions, each group alphabetically and joined with "_". Also returns the same set as a compiler
+// -march/-mabi pair and as device-tree `riscv,isa-base` / `riscv,isa-extensions` properties.
+const formatIsaString = (ids) => {
+  const warnings = [];
+  const omitted = [];
+  const bases = Object.values(ISA_BASE_IDS).filter((id) => ids.includes(id));
+  let base = bases.find((id) => id.startsWith('RV64')) || bases[0];
+  if (!base) {
+    base = 'RV64I';
+    warnings.push('No base ISA is selected; RV64I is assumed.');
+  } else if (bases.length > 1) {
+    warnings.push(`Several bases are selected (${bases.join(', ')}); ${base} is used.`);
+  }
 
-      { id: 'Sddbltrp', name: 'Sddbltrp', desc: 'Debug Double Trap', use: 'Debug-level nested traps' },
-      { id: 'Ssdbltrp', name: 'Ssdbltrp', desc: 'Supervisor Double Trap', use: 'Recoverable nested traps (S)' },
-      { id: 'Smdbltrp', name: 'Smdbltrp', desc: 'Machine Double Trap', use: 'Recoverable nested traps (M)' },
+  const letters = [];
+  const multiLetter = [];
+  for (const id of ids) {
+    if (Object.values(ISA_BASE_IDS).includes(id)) continue;
+    if (ISA_STRING_EXCLUDED[id]) {
+      omitted.push({ id, reason: ISA_STRING_EXCLUDED[id] });
+    } else if (/^[A-Z]$/.test(id) && ISA_SINGLE_LETTER_ORDER.includes(id.toLowerCase())) {
+      letters.push(id.toLowerCase());
+    } else if (/^[ZSX][a-z][a-z0-9]*$/.test(id)) {
+      multiLetter.push(id.toLowerCase());
+    } else {
+      omitted.push({ id, reason: 'not a name an ISA string can carry' });
+    }
+  }
+  letters.sort((a, b) => ISA_SINGLE_LETTER_ORDER.indexOf(a) - ISA_SINGLE_LETTER_ORDER.indexOf(b));
+  multiLetter.sort((a, b) => compareIsaRank(multiLetterIsaRank(a), multiLetterIsaRank(b)));
+
+  const [, xlen, baseLetter] = /^RV(\d+)([IE])$/.exec(base);
+  const isa = [`rv${xlen}${baseLetter.toLowerCase()}${letters.join('')}`, ...multiLetter].join('_');
+  const abi = isaStringAbi(base, ids);
+  const deviceTreeNames = [baseLetter.toLowerCase(), ...letters, ...multiLetter];
+
+  return {
+    base,
+    isa,
+    march: `-march=${isa}${abi ? ` -mabi=${abi}` : ''}`,
+    deviceTree: [
+      `riscv,isa-base = "rv${xlen}${baseLetter.toLowerCase()}";`,
+      `riscv,isa-extensions = ${deviceTreeNames.map((name) => `"${name}"`).join(', ')};`,
+    ].join('\n'),
+    count: letters.length + multiLetter.length,
+    omitted,
+    warnings,
+  };
+};
 
-      // State enable / PMP / security-ish arch
-      { id: 'Smstateen', name: 'Smstateen', desc: 'M-Mode State Enable', use: 'Gate access to extension CSRs' },
-      { id: 'Ssstateen', name: 'Ssstateen', desc: 'S-Mode State Enable', use: 'State-enable for S/VS/VU' },
-      { id: 'Smepmp', name: 'Smepmp', desc: 'Enhanced PMP', use: 'More flexible PMP rules' },
-      { id: 'Smmpm', name: 'Smmpm', desc: 'Machine PMP Mgmt', use: 'Machine-level PMP management' },
+// Dependency metadata of the catalog entries: `implies` (having the extension means having these too),
+// `requires` (these must be present as well, but are not brought in) and `conflicts` (cannot be present together).
+// `xlen` lists the base widths an extension exists for; null when it exists for all of them.
+const buildExtensionDependencies = (catalog) => {
+  const dependencies = new Map();
+  for (const ext of Object.values(catalog).flat()) {
+    dependencies.set(ext.id, {
+      implies: ext.implies || [],
+      requires: ext.requires || [],
+      conflicts: ext.conflicts || [],
+      xlen: ext.xlen || null,
+    });
+  }
+  // Conflicts go both ways, whichever entry records them.
+  for (const [id, entry] of dependencies) {
+    for (const other of entry.conflicts) {
+      const otherEntry = dependencies.get(other);
+      if (otherEntry && !otherEntry.conflicts.includes(id)) otherEntry.conflicts = [...otherEntry.conflicts, id];
+    }
+  }
+  return dependencies;
+};
 
-      // Profile-visible architectural tags
-      { id: 'Sm1p11', name: 'Sm1p11', desc: 'Priv Spec M v1.11', use: 'Machine architecture tag' },
-      { id: 'Ss1p11', name: 'Ss1p11', desc: 'Priv Spec S v1.11', use: 'Supervisor architecture tag' },
-      { id: 'Sm1p12', name: 'Sm1p12', desc: 'Priv Spec M v1.12', use: 'Machine architecture tag' },
-      { id: 'Ss1p12', name: 'Ss1p12', desc: 'Priv Spec S v1.12', use: 'Supervisor architecture tag' },
-      { id: 'Sm1p13', name: 'Sm1p13', desc: 'Priv Spec M v1.13', use: 'Machine architecture tag' },
-      { id: 'Ss1p13', name: 'Ss1p13', desc: 'Priv Spec S v1.13', use: 'Supervisor architecture tag' },
+// What an extension brings along. `implied` is the transitive closure of `implies`; `required` is what the
+// extension and everything it implies require without implying it, followed transitively through `requires`;
+// `conflicts` is every extension that conflicts with one of them. Each list holds { id, via }, where `via` is the
+// extension whose entry names `id` (the extension itself for direct dependencies).
+const extensionDependencyClosure = (dependencies, id) => {
+  const implied = new Map();
+  const walk = (start, kind, found, skip) => {
+    const queue = [...start];
+    while (queue.length) {
+      const current = queue.shift();
+      for (const next of dependencies.get(current)?.[kind] ?? []) {
+        if (next === id || found.has(next) || skip.has(next)) continue;
+        found.set(next, current);
+        queue.push(next);
+      }
+    }
+  };
+  walk([id], 'implies', implied, new Map());
+  const required = new Map();
+  walk([id, ...implied.keys()], 'requires', required, implied);
+
+  const conflicts = new Map();
+  for (const member of [id, ...implied.keys()]) {
+    for (const other of dependencies.get(member)?.conflicts ?? []) {
+      if (!conflicts.has(other)) conflicts.set(other, member);
+    }
+  }
 
-      // Trap-behavior niceties
-      { id: 'Sstvala', name: 'Sstvala', desc: 'stval Address Rule', use: 'Precise faulting VA / instruction' },
-      { id: 'Sstvecd', name: 'Sstvecd', desc: 'stvec Direct Mode', use: 'Direct-mode trap vector' },
-      { id: 'Sstvecv', name: 'Sstvecv', desc: 'stvec Vectored Mode', use: 'Vectored trap routing' },
-      { id: 'Ssdtso', name: 'Ssdtso', desc: 'Supervisor TSO Opt-in', use: 'Supervisors opt into TSO behavior' },
-      { id: 'Sstcfg', name: 'Sstcfg', desc: 'Trap Config', use: 'Per-trap configuration controls' },
-      { id: 'Ssstrict', name: 'Ssstrict', desc: 'No Non-Conforming Exts', use: 'Disallows non-conforming extensions' },
+  const toList = (found) => Array.from(found, ([depId, via]) => ({ id: depId, via }));
+  return { implied: toList(implied), required: toList(required), conflicts: toList(conflicts) };
+};
 
-      { id: 'Ssu32xl', name: 'Ssu32xl', desc: 'UXL=32 support', use: 'User XLEN=32 capability' },
-      { id: 'Ssu64xl', name: 'Ssu64xl', desc: 'UXL=64 support', use: 'User XLEN=64 capability' },
-      { id: 'Ssube', name: 'Ssube', desc: 'Big-Endian S', use: 'Supervisor big-endian/bi-endian' },
-      { id: 'Ssvxscr', name: 'Ssvxscr', desc: 'VS CSR', use: 'Vector state control at S-mode' },
+// Sidebar sections of the selected extension's dependencies. `verb` describes how an indirect entry relates to
+// its `via`; the reverse sections only say whether the other extension names the selected one itself.
+const DEPENDENCY_SECTIONS = [
+  { key: 'implied', title: 'Implies', color: 'text-emerald-300', verb: 'implied by' },
+  { key: 'required', title: 'Requires', color: 'text-amber-300', verb: 'required by' },
+  { key: 'conflicts', title: 'Conflicts with', color: 'text-red-300', verb: 'conflicts with' },
+  { key: 'impliedBy', title: 'Implied by', color: 'text-emerald-300/80', verb: null },
+  { key: 'requiredBy', title: 'Required by', color: 'text-amber-300/80', verb: null },
+];
 
-      { id: 'Ssptead', name: 'Ssptead', desc: 'Sup PTE A/D (legacy)', use: 'Legacy name for Svade-style semantics' },
+const CONFIGURATION_ISSUE_KINDS = {
+  base: 'Base ISA',
+  requires: 'Missing requirement',
+  conflicts: 'Conflict',
+  xlen: 'XLEN mismatch',
+  unexpanded: 'Unexpanded bundle',
+};
 
-      // Machine-level trap / debug extras
-      { id: 'Smcfiss', name: 'Smcfiss', desc: 'M-Mode Shadow Stack', use: 'Machine-level shadow stack config' },
-      { id: 'Smdid', name: 'Smdid', desc: 'Debug ID', use: 'Debug/trace identification' },
-      { id: 'Smrnpt', name: 'Smrnpt', desc: 'Non-Precise Traps', use: 'Relaxed trap precision' },
-      { id: 'Smrntt', name: 'Smrntt', desc: 'Non-Taken Traps', use: 'Trap behavior when not taken' },
-      { id: 'Smnpm', name: 'Smnpm', desc: 'Non-Maskable PM', use: 'Power-management/trap interactions' },
-      { id: 'Smpmpmt', name: 'Smpmpmt', desc: 'PMP Machine Trap', use: 'PMP-related trap behavior' },
-      { id: 'Smsdia', name: 'Smsdia', desc: 'Soft Debug/Instr', use: 'Soft-debug / diagnostics assist' },
-      { id: 'Smtdeleg', name: 'Smtdeleg', desc: 'Trap Delegation', use: 'Fine-grain trap delegation controls' },
-      { id: 'Smvatag', name: 'Smvatag', desc: 'VA Tagging (M)', use: 'Machine-level virtual-address tagging' },
+// Checks a set of extension IDs against the dependency metadata: exactly one base, every requirement present,
+// no conflicting pair, nothing outside the base's XLEN, and every implied extension listed. Implied extensions
+// count as present for the first four checks, and so do `assumed` ones (the privilege modes a profile's name
+// already implies, such as S in RVA23S64). Returns { xlen, issues }; each issue is
+// { severity: 'error' | 'warning', kind, ids, message, fixes }, and each fix is { label, add, remove } in terms
+// of listed IDs, so it can be applied with applyConfigurationFix.
+const checkExtensionConfiguration = (ids, dependencies, assumed = []) => {
+  const listed = new Set(ids);
+  // The listed IDs that bring in each present extension (itself when listed).
+  const sources = new Map();
+  const addSource = (id, source) => sources.set(id, [...(sources.get(id) || []), source]);
+  const closures = new Map();
+  for (const id of listed) {
+    const closure = extensionDependencyClosure(dependencies, id);
+    closures.set(id, closure);
+    addSource(id, id);
+    closure.implied.forEach((dep) => addSource(dep.id, id));
+  }
+  const present = new Set([...sources.keys(), ...assumed]);
+  const issues = [];
 
-      // Non-ISA “spec tags” modeled as tiles too
-      { id: 'RERI', name: 'RERI', desc: 'RAS Error Reporting', use: 'RAS error reporting arch tag' },
-      { id: 'HTI', name: 'HTI', desc: 'Trace & Instrumentation', use: 'Trace / instrumentation spec tag' },
-    ],
+  const via = (id) => (listed.has(id) ? '' : ` (implied by ${sources.get(id).join(', ')})`);
+  const removal = (id) => {
+    const remove = sources.get(id) || [];
+    return { label: `Remove ${remove.join(', ')}`, add: [], remove };
   };
-  */
 
-  // ---------------------------------------------------------------------------
-  // Profile Definitions – mandatory sets (U64+S64) for RVA20/22/23/RVB23
-  // ---------------------------------------------------------------------------
-  const profiles = {
-    // RVA20U64 + RVA20S64 – baseline “RV64GC-like” profile
-    RVA20: [
-      'RV64I',
-      'M',
-      'A',
-      'F',
-      'D',
-      'C',
-      'Zicsr',
-      'Zicntr',
-      'Ziccif',
-      'Ziccrse',
-      'Ziccamoa',
-      'Za128rs',
-      'Zicclsm',
-      'Zifencei',
-      'Ss1p11',
-      'Svbare',
-      'Sv39',
-      'Svade',
-      'Ssccptr',
-      'Sstvecd',
-      'Sstvala',
-    ],
+  const baseIds = Object.values(ISA_BASE_IDS);
+  const bases = baseIds.filter((id) => listed.has(id));
+  if (!bases.length) {
+    issues.push({
+      severity: 'error',
+      kind: 'base',
+      ids: [],
+      message: 'No base ISA is selected.',
+      fixes: ['RV64I', 'RV32I'].map((id) => ({ label: `Add ${id}`, add: [id], remove: [] })),
+    });
+  } else if (bases.length > 1) {
+    issues.push({
+      severity: 'error',
+      kind: 'base',
+      ids: bases,
+      message: `Only one base ISA can be selected, not ${bases.join(', ')}.`,
+      fixes: bases.map((keep) => ({ label: `Keep ${keep} only`, add: [], remove: bases.filter((id) => id !== keep) })),
+    });
+  }
+  const base = bases.length === 1 ? bases[0] : null;
+  const xlen = base ? dependencies.get(base)?.xlen?.[0] ?? null : null;
+
+  // One issue per missing extension, naming everything that requires it.
+  const requiredBy = new Map();
+  for (const id of present) {
+    for (const dep of dependencies.get(id)?.requires ?? []) {
+      if (!present.has(dep)) requiredBy.set(dep, [...(requiredBy.get(dep) || []), id]);
+    }
+  }
+  for (const [missing, requirers] of requiredBy) {
+    const remove = Array.from(new Set(requirers.flatMap((id) => sources.get(id) || [])));
+    const names = requirers.map((id) => `${id}${via(id)}`);
+    issues.push({
+      severity: 'error',
+      kind: 'requires',
+      ids: [missing, ...requirers],
+      message: `${names.slice(0, -1).join(', ')}${names.length > 1 ? ' and ' : ''}${names[names.length - 1]} ${
+        names.length > 1 ? 'require' : 'requires'
+      } ${missing}.`,
+      fixes: [
+        { label: `Add ${missing}`, add: [missing], remove: [] },
+        { label: `Remove ${remove.join(', ')}`, add: [], remove },
+      ],
+    });
+  }
 
-    // RVA22U64 + RVA22S64 – as referenced by RVA23 spec
-    RVA22: [
-      'RV64I',
-      'M',
-      'A',
-      'F',
-      'D',
-      'C',
-      'Zicsr',
-      'Zicntr',
-      'Zihpm',
-      'Ziccif',
-      'Ziccrse',
-      'Ziccamoa',
-      'Zicclsm',
-      'Za64rs',
-      'Zihintpause',
-      'Zba',
-      'Zbb',
-      'Zbs',
-      'Zic64b',
-      'Zicbom',
-      'Zicbop',
-      'Zicboz',
-      'Zfhmin',
-      'Zkt',
-      'Zifencei',
-      'Ss1p12',
-      'Svbare',
-      'Sv39',
-      'Svade',
-      'Ssccptr',
-      'Sstvecd',
-      'Sstvala',
-      'Sscounterenw',
-      'Svpbmt',
-      'Svinval',
-    ],
+  for (const id of present) {
+    for (const other of dependencies.get(id)?.conflicts ?? []) {
+      if (!present.has(other) || other < id) continue;
+      issues.push({
+        severity: 'error',
+        kind: 'conflicts',
+        ids: [id, other],
+        message: `${id}${via(id)} and ${other}${via(other)} cannot be used together.`,
+        fixes: [removal(id), removal(other)],
+      });
+    }
+  }
 
-    // RVA23U64 + RVA23S64 – full mandatory set
-    RVA23: [
-      'RV64I',
-      'M',
-      'A',
-      'F',
-      'D',
-      'C',
-      'Zicsr',
-      'Zicntr',
-      'Zihpm',
-      'Ziccif',
-      'Ziccrse',
-      'Ziccamoa',
-      'Zicclsm',
-      'Za64rs',
-      'Zihintpause',
-      'Zba',
-      'Zbb',
-      'Zbs',
-      'Zic64b',
-      'Zicbom',
-      'Zicbop',
-      'Zicboz',
-      'Zfhmin',
-      'Zkt',
-
-      // New mandatory in RVA23U64
-      'V',
-      'Zvfhmin',
-      'Zvbb',
-      'Zvkt',
-      'Zihintntl',
-      'Zicond',
-      'Zimop',
-      'Zcmop',
-      'Zcb',
-      'Zfa',
-      'Zawrs',
-      'Supm',
-
-      // S-profile extras
-      'Zifencei',
-      'Ss1p13',
-      'Svbare',
-      'Sv39',
-      'Svade',
-      'Ssccptr',
-      'Sstvecd',
-      'Sstvala',
-      'Sscounterenw',
-      'Svpbmt',
-      'Svinval',
-      'Svnapot',
-      'Sstc',
-      'Sscofpmf',
-      'Ssnpm',
-      'Ssu64xl',
-
-      // Hypervisor bundle
-      'Sha',
-      'H',
-    ],
+  if (xlen) {
+    for (const id of present) {
+      const widths = dependencies.get(id)?.xlen;
+      if (baseIds.includes(id) || !widths || widths.includes(xlen)) continue;
+      // Keep the base flavor (I or E) when switching widths.
+      const otherBase = `RV${widths[0]}${base.slice(-1)}`;
+      issues.push({
+        severity: 'error',
+        kind: 'xlen',
+        ids: [id, base],
+        message: `${id}${via(id)} only exists on RV${widths.join('/RV')}, not on ${base}.`,
+        fixes: [
+          removal(id),
+          ...(dependencies.has(otherBase) ? [{ label: `Use ${otherBase}`, add: [otherBase], remove: [base] }] : []),
+        ],
+      });
+    }
+  }
 
-    // RVB23U64 + RVB23S64 – embedded-leaning profile
-    RVB23: [
-      'RV64I',
-      'M',
-      'A',
-      'F',
-      'D',
-      'C',
-      'Zicsr',
-      'Zicntr',
-      'Zihpm',
-      'Ziccif',
-      'Ziccrse',
-      'Ziccamoa',
-      'Zicclsm',
-      'Za64rs',
-      'Zihintpause',
-      'Zic64b',
-      'Zicbom',
-      'Zicbop',
-      'Zicboz',
-      'Zkt',
-
-      // RVA23-style unprivileged add-ons (minus V/Zfhmin/Supm mandates)
-      'Zihintntl',
-      'Zicond',
-      'Zimop',
-      'Zcmop',
-      'Zcb',
-      'Zfa',
-      'Zawrs',
-
-      'Zifencei',
-
-      'Ss1p13',
-      'Svnapot',
-      'Svbare',
-      'Sv39',
-      'Svade',
-      'Ssccptr',
-      'Sstvecd',
-      'Sstvala',
-      'Sscounterenw',
-      'Svpbmt',
-      'Svinval',
-      'Sstc',
-      'Sscofpmf',
-      'Ssu64xl',
-    ],
-  };
+  for (const id of listed) {
+    const unlisted = closures.get(id).implied.map((dep) => dep.id).filter((dep) => !listed.has(dep));
+    if (!unlisted.length) continue;
+    issues.push({
+      severity: 'warning',
+      kind: 'unexpanded',
+      ids: [id, ...unlisted],
+      message: `${id} implies ${unlisted.join(', ')}, which ${unlisted.length === 1 ? 'is' : 'are'} not listed.`,
+      fixes: [{ label: `Add ${unlisted.join(', ')}`, add: unlisted, remove: [] }],
+    });
+  }
 
-  // ---------------------------------------------------------------------------
-  // Instruction lists per extension (used in the details sidebar)
-  // ---------------------------------------------------------------------------
-  const extensionInstructions = {
-    RV32I: [
-      'LUI', 'AUIPC',
-      'JAL', 'JALR',
-      'BEQ', 'BNE', 'BLT', 'BGE', 'BLTU', 'BGEU',
-      'LB', 'LH', 'LW', 'LBU', 'LHU',
-      'SB', 'SH', 'SW',
-      'ADDI', 'SLTI', 'SLTIU', 'XORI', 'ORI', 'ANDI',
-      'SLLI', 'SRLI', 'SRAI',
-      'ADD', 'SUB', 'SLL', 'SLT', 'SLTU', 'XOR', 'SRL', 'SRA', 'OR', 'AND',
-      'FENCE', 'FENCE.I',
-      'ECALL', 'EBREAK',
-      'CSRRW', 'CSRRS', 'CSRRC', 'CSRRWI', 'CSRRSI', 'CSRRCI',
-    ],
-    RV32E: [
-      'LUI', 'AUIPC',
-      'JAL', 'JALR',
-      'BEQ', 'BNE', 'BLT', 'BGE', 'BLTU', 'BGEU',
-      'LB', 'LH', 'LW', 'LBU', 'LHU',
-      'SB', 'SH', 'SW',
-      'ADDI', 'SLTI', 'SLTIU', 'XORI', 'ORI', 'ANDI',
-      'SLLI', 'SRLI', 'SRAI',
-      'ADD', 'SUB', 'SLL', 'SLT', 'SLTU', 'XOR', 'SRL', 'SRA', 'OR', 'AND',
-      'FENCE', 'FENCE.I',
-      'ECALL', 'EBREAK',
-      'CSRRW', 'CSRRS', 'CSRRC', 'CSRRWI', 'CSRRSI', 'CSRRCI',
-    ],
-    RV64I: [
-      'LUI', 'AUIPC',
-      'JAL', 'JALR',
-      'BEQ', 'BNE', 'BLT', 'BGE', 'BLTU', 'BGEU',
-      'LB', 'LH', 'LW', 'LBU', 'LHU', 'LWU', 'LD',
-      'SB', 'SH', 'SW', 'SD',
-      'ADDI', 'SLTI', 'SLTIU', 'XORI', 'ORI', 'ANDI',
-      'SLLI', 'SRLI', 'SRAI',
-      'ADD', 'SUB', 'SLL', 'SLT', 'SLTU', 'XOR', 'SRL', 'SRA', 'OR', 'AND',
-      'ADDIW', 'SLLIW', 'SRLIW', 'SRAIW',
-      'ADDW', 'SUBW', 'SLLW', 'SRLW', 'SRAW',
-      'FENCE', 'FENCE.I',
-      'ECALL', 'EBREAK',
-      'CSRRW', 'CSRRS', 'CSRRC', 'CSRRWI', 'CSRRSI', 'CSRRCI',
-    ],
-    RV64E: [
-      'LUI', 'AUIPC',
-      'JAL', 'JALR',
-      'BEQ', 'BNE', 'BLT', 'BGE', 'BLTU', 'BGEU',
-      'LB', 'LH', 'LW', 'LBU', 'LHU', 'LWU', 'LD',
-      'SB', 'SH', 'SW', 'SD',
-      'ADDI', 'SLTI', 'SLTIU', 'XORI', 'ORI', 'ANDI',
-      'SLLI', 'SRLI', 'SRAI',
-      'ADD', 'SUB', 'SLL', 'SLT', 'SLTU', 'XOR', 'SRL', 'SRA', 'OR', 'AND',
-      'ADDIW', 'SLLIW', 'SRLIW', 'SRAIW',
-      'ADDW', 'SUBW', 'SLLW', 'SRLW', 'SRAW',
-      'FENCE', 'FENCE.I',
-      'ECALL', 'EBREAK',
-      'CSRRW', 'CSRRS', 'CSRRC', 'CSRRWI', 'CSRRSI', 'CSRRCI',
-    ],
-    RV128I: [
-      'LUI', 'AUIPC',
-      'JAL', 'JALR',
-      'BEQ', 'BNE', 'BLT', 'BGE', 'BLTU', 'BGEU',
-      'LB', 'LH', 'LW', 'LBU', 'LHU', 'LWU', 'LD',
-      'SB', 'SH', 'SW', 'SD',
-      'ADDI', 'SLTI', 'SLTIU', 'XORI', 'ORI', 'ANDI',
-      'SLLI', 'SRLI', 'SRAI',
-      'ADD', 'SUB', 'SLL', 'SLT', 'SLTU', 'XOR', 'SRL', 'SRA', 'OR', 'AND',
-      'ADDIW', 'SLLIW', 'SRLIW', 'SRAIW',
-      'ADDW', 'SUBW', 'SLLW', 'SRLW', 'SRAW',
-      'FENCE', 'FENCE.I',
-      'ECALL', 'EBREAK',
-      'CSRRW', 'CSRRS', 'CSRRC', 'CSRRWI', 'CSRRSI', 'CSRRCI',
-    ],
-    M: [
-      // Multiply
-      'MUL', 'MULH', 'MULHSU', 'MULHU',
-      // Divide
-      'DIV', 'DIVU', 'REM', 'REMU',
-      // RV64 word variants
-      'MULW', 'DIVW', 'DIVUW', 'REMW', 'REMUW',
-    ],
-    A: [
-      // Load-Reserved / Store-Conditional
-      'LR.W', 'SC.W',
-      // RV64 LR/SC
-      'LR.D', 'SC.D',
-      // Word AMO operations
-      'AMOSWAP.W', 'AMOADD.W', 'AMOXOR.W', 'AMOOR.W', 'AMOAND.W',
-      'AMOMIN.W', 'AMOMAX.W', 'AMOMINU.W', 'AMOMAXU.W',
-      // RV64 Doubleword AMO operations
-      'AMOSWAP.D', 'AMOADD.D', 'AMOXOR.D', 'AMOOR.D', 'AMOAND.D',
-      'AMOMIN.D', 'AMOMAX.D', 'AMOMINU.D', 'AMOMAXU.D',
-    ],
-    Zaamo: [
-      // Atomic Memory Operations (AMO only, no LR/SC)
-      // Word AMOs
-      'AMOSWAP.W', 'AMOADD.W', 'AMOXOR.W', 'AMOOR.W', 'AMOAND.W',
-      'AMOMIN.W', 'AMOMAX.W', 'AMOMINU.W', 'AMOMAXU.W',
-      // RV64 Doubleword AMOs
-      'AMOSWAP.D', 'AMOADD.D', 'AMOXOR.D', 'AMOOR.D', 'AMOAND.D',
-      'AMOMIN.D', 'AMOMAX.D', 'AMOMINU.D', 'AMOMAXU.D',
-    ],
-    Zalrsc: [
-      // Load-Reserved / Store-Conditional
-      'LR.W', 'SC.W',
-      // RV64
-      'LR.D', 'SC.D',
-    ],
-    Zacas: [
-      // Atomic Compare-and-Swap
-      'AMOCAS.W', 'AMOCAS.D',
-      // RV64 quadword
-      'AMOCAS.Q',
-      // With Zabha (byte/halfword)
-      'AMOCAS.B', 'AMOCAS.H',
-    ],
-    Zabha: [
-      // Byte AMO operations
-      'AMOSWAP.B', 'AMOADD.B', 'AMOXOR.B', 'AMOOR.B', 'AMOAND.B',
-      'AMOMIN.B', 'AMOMAX.B', 'AMOMINU.B', 'AMOMAXU.B',
-      // Halfword AMO operations
-      'AMOSWAP.H', 'AMOADD.H', 'AMOXOR.H', 'AMOOR.H', 'AMOAND.H',
-      'AMOMIN.H', 'AMOMAX.H', 'AMOMINU.H', 'AMOMAXU.H',
-    ],
-    Zawrs: [
-      // Wait-on-Reservation-Set
-      'WRS.NTO', 'WRS.STO',
-    ],
-    Zalasr: [
-      // Load-Acquire
-      'LB.AQ', 'LH.AQ', 'LW.AQ', 'LD.AQ',
-      // Store-Release
-      'SB.RL', 'SH.RL', 'SW.RL', 'SD.RL',
-    ],
-    Zicsr: [
-      // CSR read-write
-      'CSRRW', 'CSRRS', 'CSRRC',
-      // CSR immediate
-      'CSRRWI', 'CSRRSI', 'CSRRCI',
-    ],
-    Zicond: [
-      // Conditional zero
-      'CZERO.EQZ', 'CZERO.NEZ',
-    ],
-    Zifencei: [
-      // Instruction-fetch fence
-      'FENCE.I',
-    ],
-    Zicbom: [
-      // Cache-block management
-      'CBO.CLEAN', 'CBO.FLUSH', 'CBO.INVAL',
-    ],
-    Zicboz: [
-      // Cache-block zero
-      'CBO.ZERO',
-    ],
-    Zicfiss: [
-      // Shadow stack atomic swap
-      'SSAMOSWAP.W', 'SSAMOSWAP.D',
-    ],
-    Zimop: [
-      // May-be operations (reserved NOPs)
-      // Note: MOP.R.N, MOP.RR.N have encoding but naming mismatch in dictionary
-    ],
-    F: [
-      // Load/Store
-      'FLW', 'FSW',
-      // Fused multiply-add
-      'FMADD.S', 'FMSUB.S', 'FNMADD.S', 'FNMSUB.S',
-      // Arithmetic
-      'FADD.S', 'FSUB.S', 'FMUL.S', 'FDIV.S', 'FSQRT.S',
-      // Sign-inject
-      'FSGNJ.S', 'FSGNJN.S', 'FSGNJX.S',
-      // Min/Max
-      'FMIN.S', 'FMAX.S',
-      // Compare
-      'FEQ.S', 'FLT.S', 'FLE.S',
-      // Convert to/from integer (RV32)
-      'FCVT.W.S', 'FCVT.WU.S', 'FCVT.S.W', 'FCVT.S.WU',
-      // RV64 conversions
-      'FCVT.L.S', 'FCVT.LU.S', 'FCVT.S.L', 'FCVT.S.LU',
-      // Move
-      'FMV.X.W', 'FMV.W.X',
-      // Classify
-      'FCLASS.S',
-    ],
-    D: [
-      // Load/Store
-      'FLD', 'FSD',
-      // Fused multiply-add
-      'FMADD.D', 'FMSUB.D', 'FNMADD.D', 'FNMSUB.D',
-      // Arithmetic
-      'FADD.D', 'FSUB.D', 'FMUL.D', 'FDIV.D', 'FSQRT.D',
-      // Sign-inject
-      'FSGNJ.D', 'FSGNJN.D', 'FSGNJX.D',
-      // Min/Max
-      'FMIN.D', 'FMAX.D',
-      // Compare
-      'FEQ.D', 'FLT.D', 'FLE.D',
-      // Convert to/from integer (RV32)
-      'FCVT.W.D', 'FCVT.WU.D', 'FCVT.D.W', 'FCVT.D.WU',
-      // RV64 conversions
-      'FCVT.L.D', 'FCVT.LU.D', 'FCVT.D.L', 'FCVT.D.LU',
-      // Convert to/from single
-      'FCVT.S.D', 'FCVT.D.S',
-      // Move (RV64)
-      'FMV.X.D', 'FMV.D.X',
-      // Classify
-      'FCLASS.D',
-    ],
-    Q: [
-      // Load/Store
-      'FLQ', 'FSQ',
-      // Fused multiply-add
-      'FMADD.Q', 'FMSUB.Q', 'FNMADD.Q', 'FNMSUB.Q',
-      // Arithmetic
-      'FADD.Q', 'FSUB.Q', 'FMUL.Q', 'FDIV.Q', 'FSQRT.Q',
-      // Sign-inject
-      'FSGNJ.Q', 'FSGNJN.Q', 'FSGNJX.Q',
-      // Min/Max
-      'FMIN.Q', 'FMAX.Q',
-      // Compare
-      'FEQ.Q', 'FLT.Q', 'FLE.Q',
-      // Convert to/from integer
-      'FCVT.W.Q', 'FCVT.WU.Q', 'FCVT.Q.W', 'FCVT.Q.WU',
-      // RV64 conversions
-      'FCVT.L.Q', 'FCVT.LU.Q', 'FCVT.Q.L', 'FCVT.Q.LU',
-      // Convert to/from other FP formats
-      'FCVT.S.Q', 'FCVT.Q.S', 'FCVT.D.Q', 'FCVT.Q.D',
-      // Move
-      'FMV.X.Q', 'FMV.Q.X',
-      // Classify
-      'FCLASS.Q',
-    ],
-    Zfh: [
-      // Half-precision floating-point
-      // Load/Store
-      'FLH', 'FSH',
-      // Fused multiply-add
-      'FMADD.H', 'FMSUB.H', 'FNMADD.H', 'FNMSUB.H',
-      // Arithmetic
-      'FADD.H', 'FSUB.H', 'FMUL.H', 'FDIV.H', 'FSQRT.H',
-      // Sign-inject
-      'FSGNJ.H', 'FSGNJN.H', 'FSGNJX.H',
-      // Min/Max
-      'FMIN.H', 'FMAX.H',
-      // Compare
-      'FEQ.H', 'FLT.H', 'FLE.H',
-      // Convert to/from integer
-      'FCVT.W.H', 'FCVT.WU.H', 'FCVT.H.W', 'FCVT.H.WU',
-      // RV64 conversions
-      'FCVT.L.H', 'FCVT.LU.H', 'FCVT.H.L', 'FCVT.H.LU',
-      // Convert to/from single
-      'FCVT.S.H', 'FCVT.H.S',
-      // Convert to/from double
-      'FCVT.D.H', 'FCVT.H.D',
-      // Convert to/from quad
-      'FCVT.Q.H', 'FCVT.H.Q',
-      // Move
-      'FMV.X.H', 'FMV.H.X',
-      // Classify
-      'FCLASS.H',
-    ],
-    Zfhmin: [
-      // Minimal half-precision (conversions only)
-      'FCVT.S.H', 'FCVT.H.S',
-    ],
-    Zfa: [
-      // Additional FP instructions
-      // Load immediate
-      'FLI.S', 'FLI.D', 'FLI.H', 'FLI.Q',
-      // Min/Max magnitude
-      'FMINM.S', 'FMAXM.S', 'FMINM.D', 'FMAXM.D',
-      'FMINM.H', 'FMAXM.H', 'FMINM.Q', 'FMAXM.Q',
-      // Quiet compare
-      'FLEQ.S', 'FLTQ.S', 'FLEQ.D', 'FLTQ.D',
-      'FLEQ.H', 'FLTQ.H', 'FLEQ.Q', 'FLTQ.Q',
-      // Round to integer
-      'FROUND.S', 'FROUNDNX.S', 'FROUND.D', 'FROUNDNX.D',
-      'FROUND.H', 'FROUNDNX.H', 'FROUND.Q', 'FROUNDNX.Q',
-      // Modular conversion (D only)
-      'FCVTMOD.W.D',
-      // High/pair move (RV32 with D)
-      'FMVH.X.D', 'FMVP.D.X',
-      // High/pair move (RV32/64 with Q)
-      'FMVH.X.Q', 'FMVP.Q.X',
-    ],
-    Zfbfmin: [
-      // BF16 conversions
-      'FCVT.BF16.S', 'FCVT.S.BF16',
-    ],
-    Zfinx: [
-      // Single-precision FP in integer registers
-      // Same operations as F but use x registers
-      'FADD.S', 'FSUB.S', 'FMUL.S', 'FDIV.S', 'FSQRT.S',
-      'FMADD.S', 'FMSUB.S', 'FNMADD.S', 'FNMSUB.S',
-      'FSGNJ.S', 'FSGNJN.S', 'FSGNJX.S',
-      'FMIN.S', 'FMAX.S',
-      'FEQ.S', 'FLT.S', 'FLE.S',
-      'FCVT.W.S', 'FCVT.WU.S', 'FCVT.S.W', 'FCVT.S.WU',
-      'FCLASS.S',
-    ],
-    Zdinx: [
-      // Double-precision FP in integer registers
-      'FADD.D', 'FSUB.D', 'FMUL.D', 'FDIV.D', 'FSQRT.D',
-      'FMADD.D', 'FMSUB.D', 'FNMADD.D', 'FNMSUB.D',
-      'FSGNJ.D', 'FSGNJN.D', 'FSGNJX.D',
-      'FMIN.D', 'FMAX.D',
-      'FEQ.D', 'FLT.D', 'FLE.D',
-      'FCVT.W.D', 'FCVT.WU.D', 'FCVT.D.W', 'FCVT.D.WU',
-      'FCVT.S.D', 'FCVT.D.S',
-      'FCLASS.D',
-    ],
-    Zhinx: [
-      // Half-precision FP in integer registers
-      'FADD.H', 'FSUB.H', 'FMUL.H', 'FDIV.H', 'FSQRT.H',
-      'FMADD.H', 'FMSUB.H', 'FNMADD.H', 'FNMSUB.H',
-      'FSGNJ.H', 'FSGNJN.H', 'FSGNJX.H',
-      'FMIN.H', 'FMAX.H',
-      'FEQ.H', 'FLT.H', 'FLE.H',
-      'FCVT.W.H', 'FCVT.WU.H', 'FCVT.H.W', 'FCVT.H.WU',
-      'FCVT.S.H', 'FCVT.H.S',
-      'FCLASS.H',
-    ],
-    Zhinxmin: [
-      // Minimal half-precision in integer registers
-      'FCVT.S.H', 'FCVT.H.S',
-    ],
-    Zmmul: [
-      // Multiply-only (no division)
-      'MUL', 'MULH', 'MULHSU', 'MULHU',
-      // RV64
-      'MULW',
-    ],
-    C: [
-      // Integer compressed (base)
-      'C.ADDI4SPN', 'C.LW', 'C.SW',
-      'C.NOP', 'C.ADDI', 'C.LI',
-      'C.ADDI16SP', 'C.LUI',
-      'C.SRLI', 'C.SRAI', 'C.ANDI',
-      'C.SUB', 'C.XOR', 'C.OR', 'C.AND', 'C.ADD',
-      'C.J', 'C.BEQZ', 'C.BNEZ',
-      'C.SLLI', 'C.LWSP', 'C.SWSP',
-      'C.JR', 'C.MV', 'C.EBREAK', 'C.JALR',
-      // RV32 only
-      'C.JAL',
-      // RV64 only
-      'C.LD', 'C.SD', 'C.LDSP', 'C.SDSP',
-      'C.ADDIW', 'C.ADDW', 'C.SUBW',
-      // FP compressed (Zcf - RV32 with F)
-      'C.FLW', 'C.FSW', 'C.FLWSP', 'C.FSWSP',
-      // FP compressed (Zcd - with D)
-      'C.FLD', 'C.FSD', 'C.FLDSP', 'C.FSDSP',
-    ],
-    Zca: [
-      // Base compressed integer (no FP)
-      'C.ADDI4SPN', 'C.LW', 'C.SW',
-      'C.NOP', 'C.ADDI', 'C.LI',
-      'C.ADDI16SP', 'C.LUI',
-      'C.SRLI', 'C.SRAI', 'C.ANDI',
-      'C.SUB', 'C.XOR', 'C.OR', 'C.AND', 'C.ADD',
-      'C.J', 'C.BEQZ', 'C.BNEZ',
-      'C.SLLI', 'C.LWSP', 'C.SWSP',
-      'C.JR', 'C.MV', 'C.EBREAK', 'C.JALR',
-      // RV32 only
-      'C.JAL',
-      // RV64 only
-      'C.LD', 'C.SD', 'C.LDSP', 'C.SDSP',
-      'C.ADDIW', 'C.ADDW', 'C.SUBW',
-    ],
-    Zcb: [
-      // Byte/halfword load/store
-      'C.LBU', 'C.LH', 'C.LHU', 'C.SB', 'C.SH',
-      // Zero/sign extension
-      'C.ZEXT.B', 'C.ZEXT.H', 'C.ZEXT.W',
-      'C.SEXT.B', 'C.SEXT.H',
-      // Logical/arithmetic
-      'C.NOT', 'C.MUL',
-    ],
-    Zcf: [
-      // Compressed single-precision float (RV32 with F)
-      'C.FLW', 'C.FSW', 'C.FLWSP', 'C.FSWSP',
-    ],
-    Zcd: [
-      // Compressed double-precision float (with D)
-      'C.FLD', 'C.FSD', 'C.FLDSP', 'C.FSDSP',
-    ],
-    Zcmp: [
-      // Push/pop
-      'CM.PUSH', 'CM.POP', 'CM.POPRET', 'CM.POPRETZ',
-      // Register move
-      'CM.MVA01S', 'CM.MVSA01',
-    ],
-    Zcmt: [
-      // Table jump
-      'CM.JALT',
-    ],
-    Zcmop: [
-      // May-be-operations (reserved NOPs)
-      // Note: C.MOP.N has encoding but naming mismatch in dictionary
-    ],
-    B: [
-      // Aggregates Zba + Zbb + Zbc + Zbs
-
-      // Zba: Address-generation helpers
-      'SH1ADD', 'SH2ADD', 'SH3ADD',
-      'ADD.UW', 'SLLI.UW',
-      'SH1ADD.UW', 'SH2ADD.UW', 'SH3ADD.UW',
-
-      // Zbb: Logical operations
-      'ANDN', 'ORN', 'XNOR',
-      // Zbb: Count leading/trailing zeros and population count
-      'CLZ', 'CTZ', 'CPOP',
-      'CLZW', 'CTZW', 'CPOPW',
-      // Zbb: Min/Max
-      'MIN', 'MINU', 'MAX', 'MAXU',
-      // Zbb: Sign/zero extension
-      'SEXT.B', 'SEXT.H', 'ZEXT.H',
-      // Zbb: Rotate
-      'ROL', 'ROR', 'RORI',
-      'ROLW', 'RORW', 'RORIW',
-
-      // Zbc: Carry-less multiply
-      'CLMUL', 'CLMULH', 'CLMULR',
-
-      // Zbs: Single-bit operations
-      'BSET', 'BSETI',
-      'BCLR', 'BCLRI',
-      'BINV', 'BINVI',
-      'BEXT', 'BEXTI',
-    ],
-    Zba: [
-      // Address-generation helpers
-      'SH1ADD', 'SH2ADD', 'SH3ADD',
-      // RV64 only
-      'ADD.UW', 'SLLI.UW',
-      'SH1ADD.UW', 'SH2ADD.UW', 'SH3ADD.UW',
-    ],
-    Zbb: [
-      // Logical operations
-      'ANDN', 'ORN', 'XNOR',
-      // Count leading/trailing zeros and population count
-      'CLZ', 'CTZ', 'CPOP',
-      // RV64 word variants
-      'CLZW', 'CTZW', 'CPOPW',
-      // Min/Max
-      'MIN', 'MINU', 'MAX', 'MAXU',
-      // Sign/zero extension
-      'SEXT.B', 'SEXT.H', 'ZEXT.H',
-      // Rotate
-      'ROL', 'ROR', 'RORI',
-      // RV64 rotate variants
-      'ROLW', 'RORW', 'RORIW',
-    ],
-    Zbc: [
-      // Carry-less multiply
-      'CLMUL', 'CLMULH', 'CLMULR',
-    ],
-    Zbs: [
-      // Single-bit set
-      'BSET', 'BSETI',
-      // Single-bit clear
-      'BCLR', 'BCLRI',
-      // Single-bit invert
-      'BINV', 'BINVI',
-      // Single-bit extract
-      'BEXT', 'BEXTI',
-    ],
-    V: [
-      // Configuration
-      'VSETVL', 'VSETVLI', 'VSETIVLI',
-
-      // Unit-stride loads
-      'VLE8.V', 'VLE16.V', 'VLE32.V', 'VLE64.V',
-      'VLM.V',
-      // Unit-stride stores
-      'VSE8.V', 'VSE16.V', 'VSE32.V', 'VSE64.V',
-      'VSM.V',
-      // Strided loads/stores
-      'VLSE8.V', 'VLSE16.V', 'VLSE32.V', 'VLSE64.V',
-      'VSSE8.V', 'VSSE16.V', 'VSSE32.V', 'VSSE64.V',
-      // Indexed loads/stores
-      'VLUXEI8.V', 'VLUXEI16.V', 'VLUXEI32.V', 'VLUXEI64.V',
-      'VLOXEI8.V', 'VLOXEI16.V', 'VLOXEI32.V', 'VLOXEI64.V',
-      'VSUXEI8.V', 'VSUXEI16.V', 'VSUXEI32.V', 'VSUXEI64.V',
-      'VSOXEI8.V', 'VSOXEI16.V', 'VSOXEI32.V', 'VSOXEI64.V',
-      // Whole register loads/stores
-      'VL1RE8.V', 'VL1RE16.V', 'VL1RE32.V', 'VL1RE64.V',
-      'VL2RE8.V', 'VL2RE16.V', 'VL2RE32.V', 'VL2RE64.V',
-      'VL4RE8.V', 'VL4RE16.V', 'VL4RE32.V', 'VL4RE64.V',
-      'VL8RE8.V', 'VL8RE16.V', 'VL8RE32.V', 'VL8RE64.V',
-      'VS1R.V', 'VS2R.V', 'VS4R.V', 'VS8R.V',
-
-      // Integer arithmetic
-      'VADD.VV', 'VADD.VX', 'VADD.VI',
-      'VSUB.VV', 'VSUB.VX',
-      'VRSUB.VX', 'VRSUB.VI',
-      'VWADDU.VV', 'VWADDU.VX', 'VWSUBU.VV', 'VWSUBU.VX',
-      'VWADD.VV', 'VWADD.VX', 'VWSUB.VV', 'VWSUB.VX',
-      'VADC.VVM', 'VADC.VXM', 'VADC.VIM',
-      'VMADC.VVM', 'VMADC.VXM', 'VMADC.VIM',
-      'VSBC.VVM', 'VSBC.VXM',
-      'VMSBC.VVM', 'VMSBC.VXM',
-      // Bitwise
-      'VAND.VV', 'VAND.VX', 'VAND.VI',
-      'VOR.VV', 'VOR.VX', 'VOR.VI',
-      'VXOR.VV', 'VXOR.VX', 'VXOR.VI',
-      // Shifts
-      'VSLL.VV', 'VSLL.VX', 'VSLL.VI',
-      'VSRL.VV', 'VSRL.VX', 'VSRL.VI',
-      'VSRA.VV', 'VSRA.VX', 'VSRA.VI',
-      'VNSRL.WV', 'VNSRL.WX', 'VNSRL.WI',
-      'VNSRA.WV', 'VNSRA.WX', 'VNSRA.WI',
-      // Comparisons
-      'VMSEQ.VV', 'VMSEQ.VX', 'VMSEQ.VI',
-      'VMSNE.VV', 'VMSNE.VX', 'VMSNE.VI',
-      'VMSLTU.VV', 'VMSLTU.VX', 'VMSLT.VV', 'VMSLT.VX',
-      'VMSLEU.VV', 'VMSLEU.VX', 'VMSLEU.VI',
-      'VMSLE.VV', 'VMSLE.VX', 'VMSLE.VI',
-      'VMSGTU.VX', 'VMSGTU.VI', 'VMSGT.VX', 'VMSGT.VI',
-      // Min/Max
-      'VMINU.VV', 'VMINU.VX', 'VMIN.VV', 'VMIN.VX',
-      'VMAXU.VV', 'VMAXU.VX', 'VMAX.VV', 'VMAX.VX',
-      // Multiply
-      'VMUL.VV', 'VMUL.VX',
-      'VMULH.VV', 'VMULH.VX', 'VMULHU.VV', 'VMULHU.VX', 'VMULHSU.VV', 'VMULHSU.VX',
-      'VWMUL.VV', 'VWMUL.VX', 'VWMULU.VV', 'VWMULU.VX', 'VWMULSU.VV', 'VWMULSU.VX',
-      // Divide
-      'VDIVU.VV', 'VDIVU.VX', 'VDIV.VV', 'VDIV.VX',
-      'VREMU.VV', 'VREMU.VX', 'VREM.VV', 'VREM.VX',
-      // Multiply-accumulate
-      'VMACC.VV', 'VMACC.VX', 'VNMSAC.VV', 'VNMSAC.VX',
-      'VMADD.VV', 'VMADD.VX', 'VNMSUB.VV', 'VNMSUB.VX',
-      'VWMACCU.VV', 'VWMACCU.VX', 'VWMACC.VV', 'VWMACC.VX',
-      'VWMACCSU.VV', 'VWMACCSU.VX', 'VWMACCUS.VX',
-      // Merge/Move
-      'VMERGE.VVM', 'VMERGE.VXM', 'VMERGE.VIM',
-      'VMV.V.V', 'VMV.V.X', 'VMV.V.I',
-      // Fixed-point
-      'VSADDU.VV', 'VSADDU.VX', 'VSADDU.VI',
-      'VSADD.VV', 'VSADD.VX', 'VSADD.VI',
-      'VSSUBU.VV', 'VSSUBU.VX', 'VSSUB.VV', 'VSSUB.VX',
-      'VSMUL.VV', 'VSMUL.VX',
-      'VSSRL.VV', 'VSSRL.VX', 'VSSRL.VI',
-      'VSSRA.VV', 'VSSRA.VX', 'VSSRA.VI',
-      'VNCLIPU.WV', 'VNCLIPU.WX', 'VNCLIPU.WI',
-      'VNCLIP.WV', 'VNCLIP.WX', 'VNCLIP.WI',
-
-      // FP arithmetic
-      'VFADD.VV', 'VFADD.VF', 'VFSUB.VV', 'VFSUB.VF', 'VFRSUB.VF',
-      'VFWADD.VV', 'VFWADD.VF', 'VFWSUB.VV', 'VFWSUB.VF',
-      'VFWADD.WV', 'VFWADD.WF', 'VFWSUB.WV', 'VFWSUB.WF',
-      'VFMUL.VV', 'VFMUL.VF', 'VFDIV.VV', 'VFDIV.VF', 'VFRDIV.VF',
-      'VFWMUL.VV', 'VFWMUL.VF',
-      'VFMACC.VV', 'VFMACC.VF', 'VFNMACC.VV', 'VFNMACC.VF',
-      'VFMSAC.VV', 'VFMSAC.VF', 'VFNMSAC.VV', 'VFNMSAC.VF',
-      'VFMADD.VV', 'VFMADD.VF', 'VFNMADD.VV', 'VFNMADD.VF',
-      'VFMSUB.VV', 'VFMSUB.VF', 'VFNMSUB.VV', 'VFNMSUB.VF',
-      'VFWMACC.VV', 'VFWMACC.VF', 'VFWNMACC.VV', 'VFWNMACC.VF',
-      'VFWMSAC.VV', 'VFWMSAC.VF', 'VFWNMSAC.VV', 'VFWNMSAC.VF',
-      'VFSQRT.V', 'VFRSQRT7.V', 'VFREC7.V',
-      'VFMIN.VV', 'VFMIN.VF', 'VFMAX.VV', 'VFMAX.VF',
-      'VFSGNJ.VV', 'VFSGNJ.VF', 'VFSGNJN.VV', 'VFSGNJN.VF', 'VFSGNJX.VV', 'VFSGNJX.VF',
-      // FP compare
-      'VMFEQ.VV', 'VMFEQ.VF', 'VMFNE.VV', 'VMFNE.VF',
-      'VMFLT.VV', 'VMFLT.VF', 'VMFLE.VV', 'VMFLE.VF',
-      'VMFGT.VF', 'VMFGE.VF',
-      'VFCLASS.V',
-      'VFMERGE.VFM', 'VFMV.V.F',
-      // FP conversions
-      'VFCVT.XU.F.V', 'VFCVT.X.F.V', 'VFCVT.RTZ.XU.F.V', 'VFCVT.RTZ.X.F.V',
-      'VFCVT.F.XU.V', 'VFCVT.F.X.V',
-      'VFWCVT.XU.F.V', 'VFWCVT.X.F.V', 'VFWCVT.RTZ.XU.F.V', 'VFWCVT.RTZ.X.F.V',
-      'VFWCVT.F.XU.V', 'VFWCVT.F.X.V', 'VFWCVT.F.F.V',
-      'VFNCVT.XU.F.W', 'VFNCVT.X.F.W', 'VFNCVT.RTZ.XU.F.W', 'VFNCVT.RTZ.X.F.W',
-      'VFNCVT.F.XU.W', 'VFNCVT.F.X.W', 'VFNCVT.F.F.W', 'VFNCVT.ROD.F.F.W',
-
-      // Reductions
-      'VREDSUM.VS', 'VREDMAXU.VS', 'VREDMAX.VS', 'VREDMINU.VS', 'VREDMIN.VS',
-      'VREDAND.VS', 'VREDOR.VS', 'VREDXOR.VS',
-      'VWREDSUMU.VS', 'VWREDSUM.VS',
-      'VFREDUSUM.VS', 'VFREDOSUM.VS', 'VFREDMAX.VS', 'VFREDMIN.VS',
-      'VFWREDUSUM.VS', 'VFWREDOSUM.VS',
-
-      // Mask operations
-      'VMAND.MM', 'VMNAND.MM', 'VMANDN.MM',
-      'VMXOR.MM', 'VMOR.MM', 'VMNOR.MM', 'VMORN.MM', 'VMXNOR.MM',
-      'VCPOP.M', 'VFIRST.M',
-      'VMSBF.M', 'VMSIF.M', 'VMSOF.M',
-      'VIOTA.M', 'VID.V',
-
-      // Permutation
-      'VMV.X.S', 'VMV.S.X', 'VFMV.F.S', 'VFMV.S.F',
-      'VSLIDEUP.VX', 'VSLIDEUP.VI', 'VSLIDEDOWN.VX', 'VSLIDEDOWN.VI',
-      'VSLIDE1UP.VX', 'VFSLIDE1UP.VF', 'VSLIDE1DOWN.VX', 'VFSLIDE1DOWN.VF',
-      'VRGATHER.VV', 'VRGATHER.VX', 'VRGATHER.VI', 'VRGATHEREI16.VV',
-      'VCOMPRESS.VM',
-      // Whole register move
-      'VMV1R.V', 'VMV2R.V', 'VMV4R.V', 'VMV8R.V',
-    ],
-    Zvfh: [
-      // Vector half-precision FP
-      'VFADD.VV', 'VFADD.VF', 'VFSUB.VV', 'VFSUB.VF',
-      'VFMUL.VV', 'VFMUL.VF', 'VFDIV.VV', 'VFDIV.VF',
-      'VFMACC.VV', 'VFMACC.VF', 'VFNMACC.VV', 'VFNMACC.VF',
-      'VFMSAC.VV', 'VFMSAC.VF', 'VFNMSAC.VV', 'VFNMSAC.VF',
-      'VFSQRT.V', 'VFMIN.VV', 'VFMAX.VV',
-      'VMFEQ.VV', 'VMFNE.VV', 'VMFLT.VV', 'VMFLE.VV',
-    ],
-    Zvfhmin: [
-      // Vector half-precision minimal (conversions)
-      'VFWCVT.F.F.V', 'VFNCVT.F.F.W',
-    ],
-    Zvfbfmin: [
-      // Vector BF16 conversions
-      'VFNCVTBF16.F.F.W', 'VFWCVTBF16.F.F.V',
-    ],
-    Zvfbfwma: [
-      // Vector BF16 widening multiply-accumulate
-      'VFWMACCBF16.VV', 'VFWMACCBF16.VF',
-    ],
-    Zvbb: [
-      // Vector bitmanip base
-      'VANDN.VV', 'VANDN.VX',
-      'VBREV.V', 'VBREV8.V', 'VREV8.V',
-      'VCLZ.V', 'VCTZ.V', 'VCPOP.V',
-      'VROL.VV', 'VROL.VX', 'VROR.VV', 'VROR.VX', 'VROR.VI',
-      'VWSLL.VV', 'VWSLL.VX', 'VWSLL.VI',
-    ],
-    Zvbc: [
-      // Vector carryless multiply
-      'VCLMUL.VV', 'VCLMUL.VX',
-      'VCLMULH.VV', 'VCLMULH.VX',
-    ],
-    Zvkg: [
-      // Vector GCM/GMAC
-      'VGHSH.VV', 'VGMUL.VV',
-    ],
-    Zvkned: [
-      // Vector AES
-      'VAESDF.VV', 'VAESDF.VS',
-      'VAESDM.VV', 'VAESDM.VS',
-      'VAESEF.VV', 'VAESEF.VS',
-      'VAESEM.VV', 'VAESEM.VS',
-      'VAESKF1.VI', 'VAESKF2.VI',
-      'VAESZ.VS',
-    ],
-    Zvknha: [
-      // Vector SHA-256
-      'VSHA2MS.VV', 'VSHA2CH.VV', 'VSHA2CL.VV',
-    ],
-    Zvknhb: [
-      // Vector SHA-256/512
-      'VSHA2MS.VV', 'VSHA2CH.VV', 'VSHA2CL.VV',
-    ],
-    Zvksed: [
-      // Vector SM4
-      'VSM4K.VI', 'VSM4R.VV', 'VSM4R.VS',
-    ],
-    Zvksh: [
-      // Vector SM3
-      'VSM3C.VI', 'VSM3ME.VV',
-    ],
+  return { xlen, issues };
+};
 
-    // Scalar Cryptography Extensions
-    Zbkb: [
-      // Crypto bitmanip (byte operations)
-      'PACK', 'PACKH',
-      // RV64
-      'PACKW',
-      // Also includes from Zbb
-      'ROL', 'ROR', 'RORI',
-      'ANDN', 'ORN', 'XNOR',
-      // RV64
-      'ROLW', 'RORW', 'RORIW',
-      // Note: REV8, BREV8, ZIP, UNZIP not in dictionary
-    ],
-    Zbkc: [
-      // Crypto carryless multiply
-      'CLMUL', 'CLMULH',
-    ],
-    Zbkx: [
-      // Crypto crossbar permutation
-      'XPERM4', 'XPERM8',
-    ],
-    Zknd: [
-      // AES decryption
-      // RV32
-      'AES32DSI', 'AES32DSMI',
-      // RV64
-      'AES64DS', 'AES64DSM', 'AES64IM',
-      'AES64KS1I', 'AES64KS2',
-    ],
-    Zkne: [
-      // AES encryption
-      // RV32
-      'AES32ESI', 'AES32ESMI',
-      // RV64
-      'AES64ES', 'AES64ESM',
-      'AES64KS1I', 'AES64KS2',
-    ],
-    Zknh: [
-      // SHA-2 hash
-      // SHA-256
-      'SHA256SIG0', 'SHA256SIG1', 'SHA256SUM0', 'SHA256SUM1',
-      // SHA-512 (RV32)
-      'SHA512SIG0H', 'SHA512SIG0L', 'SHA512SIG1H', 'SHA512SIG1L',
-      'SHA512SUM0R', 'SHA512SUM1R',
-      // SHA-512 (RV64)
-      'SHA512SIG0', 'SHA512SIG1', 'SHA512SUM0', 'SHA512SUM1',
-    ],
-    Zksed: [
-      // SM4 block cipher
-      'SM4ED', 'SM4KS',
-    ],
-    Zksh: [
-      // SM3 hash
-      'SM3P0', 'SM3P1',
-    ],
-    Zkr: [
-      // Entropy source (CSR access, no new instructions)
-      // Uses SEED CSR via CSRRW/CSRRS
-    ],
-    Zkn: [
-      // NIST crypto suite (combines Zbkb + Zbkc + Zbkx + Zkne + Zknd + Zknh)
-      // Zbkb
-      'PACK', 'PACKH', 'PACKW',
-      'ROL', 'ROR', 'RORI', 'ROLW', 'RORW', 'RORIW',
-      'ANDN', 'ORN', 'XNOR',
-      // Zbkc
-      'CLMUL', 'CLMULH',
-      // Zbkx
-      'XPERM4', 'XPERM8',
-      // Zkne
-      'AES32ESI', 'AES32ESMI', 'AES64ES', 'AES64ESM',
-      'AES64KS1I', 'AES64KS2',
-      // Zknd
-      'AES32DSI', 'AES32DSMI', 'AES64DS', 'AES64DSM', 'AES64IM',
-      // Zknh
-      'SHA256SIG0', 'SHA256SIG1', 'SHA256SUM0', 'SHA256SUM1',
-      'SHA512SIG0H', 'SHA512SIG0L', 'SHA512SIG1H', 'SHA512SIG1L',
-      'SHA512SUM0R', 'SHA512SUM1R',
-      'SHA512SIG0', 'SHA512SIG1', 'SHA512SUM0', 'SHA512SUM1',
-    ],
-    Zks: [
-      // ShangMi crypto suite (combines Zbkb + Zbkc + Zbkx + Zksed + Zksh)
-      // Zbkb
-      'PACK', 'PACKH', 'PACKW',
-      'ROL', 'ROR', 'RORI', 'ROLW', 'RORW', 'RORIW',
-      'ANDN', 'ORN', 'XNOR',
-      // Zbkc
-      'CLMUL', 'CLMULH',
-      // Zbkx
-      'XPERM4', 'XPERM8',
-      // Zksed
-      'SM4ED', 'SM4KS',
-      // Zksh
-      'SM3P0', 'SM3P1',
-    ],
-    Zk: [
-      // Scalar crypto base (combines Zkn + Zkr + Zkt)
-      // All Zkn instructions
-      'PACK', 'PACKH', 'PACKW',
-      'ROL', 'ROR', 'RORI', 'ROLW', 'RORW', 'RORIW',
-      'ANDN', 'ORN', 'XNOR',
-      'CLMUL', 'CLMULH',
-      'XPERM4', 'XPERM8',
-      'AES32ESI', 'AES32ESMI', 'AES64ES', 'AES64ESM',
-      'AES64KS1I', 'AES64KS2',
-      'AES32DSI', 'AES32DSMI', 'AES64DS', 'AES64DSM', 'AES64IM',
-      'SHA256SIG0', 'SHA256SIG1', 'SHA256SUM0', 'SHA256SUM1',
-      'SHA512SIG0H', 'SHA512SIG0L', 'SHA512SIG1H', 'SHA512SIG1L',
-      'SHA512SUM0R', 'SHA512SUM1R',
-      'SHA512SIG0', 'SHA512SIG1', 'SHA512SUM0', 'SHA512SUM1',
-    ],
+const applyConfigurationFix = (ids, fix) => [
+  ...ids.filter((id) => !fix.remove.includes(id)),
+  ...fix.add.filter((id) => !ids.includes(id)),
+];
 
-    H: [
-      // Hypervisor control & fences
-      'HFENCE.VVMA', 'HFENCE.GVMA',
-      'HINVAL.VVMA', 'HINVAL.GVMA',
+// Node and spacing sizes of the dependency graph, in unscaled pixels.
+const DEPENDENCY_GRAPH_LAYOUT = { nodeWidth: 88, nodeHeight: 24, gapX: 14, rowGap: 56, columns: 14, padding: 24 };
+
+// Layered layout of the dependency graph. Edges point from an extension to what it implies or requires, so
+// umbrellas such as K sit on the top layer and their leaves further down: a node's layer is the longest
+// implies/requires path below it. Each layer wraps into rows of `columns` nodes, ordered by the mean position of
+// the nodes pointing at them (then by catalog group) to keep edges short. Extensions with no recorded dependency
+// at all are laid out by group in a band below the graph, starting at `isolatedTop`.
+const layoutDependencyGraph = (extensionList, dependencies, groupById) => {
+  const { nodeWidth, nodeHeight, gapX, rowGap, columns, padding } = DEPENDENCY_GRAPH_LAYOUT;
+  const groupOrder = Array.from(new Set(extensionList.map((ext) => groupById.get(ext.id))));
+  const groupRank = (id) => groupOrder.indexOf(groupById.get(id));
+  const known = new Set(extensionList.map((ext) => ext.id));
+
+  const edges = [];
+  for (const ext of extensionList) {
+    const entry = dependencies.get(ext.id);
+    for (const kind of ['implies', 'requires']) {
+      for (const to of entry?.[kind] ?? []) if (known.has(to)) edges.push({ from: ext.id, to, kind });
+    }
+    // Conflicts are stored both ways; draw each pair once.
+    for (const other of entry?.conflicts ?? []) {
+      if (known.has(other) && ext.id < other) edges.push({ from: ext.id, to: other, kind: 'conflicts' });
+    }
+  }
+  const connected = new Set(edges.flatMap((edge) => [edge.from, edge.to]));
+
+  const layerOf = new Map();
+  const layer = (id, visiting = new Set()) => {
+    if (layerOf.has(id)) return layerOf.get(id);
+    if (visiting.has(id)) return 0;
+    visiting.add(id);
+    const below = edges
+      .filter((edge) => edge.from === id && edge.kind !== 'conflicts')
+      .map((edge) => layer(edge.to, visiting) + 1);
+    const value = Math.max(0, ...below);
+    layerOf.set(id, value);
+    return value;
+  };
+  connected.forEach((id) => layer(id));
+
+  const nodes = [];
+  const position = new Map();
+  const stepX = nodeWidth + gapX;
+  const stepY = nodeHeight + rowGap;
+  let y = padding;
+  const placeRows = (ids) => {
+    for (let start = 0; start < ids.length; start += columns) {
+      const row = ids.slice(start, start + columns);
+      const offset = padding + ((columns - row.length) * stepX) / 2;
+      row.forEach((id, index) => {
+        const node = { id, group: groupById.get(id), x: offset + index * stepX, y };
+        position.set(id, node.x);
+        nodes.push(node);
+      });
+      y += stepY;
+    }
+  };
 
-      // Hypervisor guest memory access loads
-      'HLV.B', 'HLV.BU',
-      'HLV.H', 'HLV.HU',
-      'HLV.W', 'HLV.WU',
-      'HLV.D',
+  const maxLayer = Math.max(0, ...layerOf.values());
+  for (let current = maxLayer; current >= 0; current -= 1) {
+    const ids = Array.from(connected).filter((id) => layerOf.get(id) === current);
+    const meanParentX = (id) => {
+      const xs = edges.filter((edge) => edge.to === id && position.has(edge.from)).map((edge) => position.get(edge.from));
+      return xs.length ? xs.reduce((sum, x) => sum + x, 0) / xs.length : Infinity;
+    };
+    const keys = new Map(ids.map((id) => [id, meanParentX(id)]));
+    ids.sort((a, b) => keys.get(a) - keys.get(b) || groupRank(a) - groupRank(b) || (a < b ? -1 : 1));
+    placeRows(ids);
+  }
 
-      // Hypervisor guest memory access stores
-      'HSV.B',
-      'HSV.H',
-      'HSV.W',
-      'HSV.D',
+  const isolatedTop = y;
+  y += nodeHeight;
+  placeRows(extensionList.map((ext) => ext.id).filter((id) => !connected.has(id)));
 
-      // Hypervisor execute-from-guest helpers
-      'HLVX.HU', 'HLVX.WU',
+  return {
+    nodes,
+    edges,
+    isolatedTop,
+    width: padding * 2 + columns * stepX - gapX,
+    height: y - rowGap + padding,
+  };
+};
 
-      // Hypervisor return
-      'HRET',
-    ],
+// Option categories of the profile documents, in the order tiles and reports list them.
+const PROFILE_OPTION_KINDS = {
+  localized: { label: 'Localized option', short: 'LOC' },
+  development: { label: 'Development option', short: 'DEV' },
+  expansion: { label: 'Expansion option', short: 'EXP' },
+};
 
-    K: [
-      // AES round / mixcolumn (representative NIST scalar crypto ops)
-      'AES32ESMI', 'AES32ESI',
-      'AES32DSMI', 'AES32DSI',
-      'AES64ES', 'AES64ESM',
-      'AES64DS', 'AES64DSM',
-      'AES64IM',
-
-      // SHA-2 helpers (scalar)
-      'SHA256SIG0', 'SHA256SIG1',
-      'SHA256SUM0', 'SHA256SUM1',
-      'SHA512SIG0', 'SHA512SIG1',
-      'SHA512SUM0', 'SHA512SUM1',
-
-      // Entropy / random source (representative)
-      'CSRRAND', 'CSRRAND64',
-    ],
-    S: [
-      // Supervisor return and fences
-      'SRET',
-      'SFENCE.VMA',
-      'WFI',
-    ],
-    U: [
-      // User-level environment instructions (Volume II)
-      // Note: U-mode mostly reuses unprivileged ISA, so only traps/syscalls are distinct
-      'URET',
-      'ECALL',
-      'EBREAK',
-    ],
-  };
+// Privilege modes a profile can define (`U` = user-mode profile, `S` = supervisor-mode profile).
+const PROFILE_MODES = ['U', 'S'];
 
-  const extensionCsrs = {
-    S: [
-      'SSTATUS',
-      'SIE', 'SIP',
-      'STVEC',
-      'SSCRATCH',
-      'SEPC',
-      'SCAUSE',
-      'STVAL',
-      'SATP',
-    ],
-    U: [
-      'USTATUS',
-      'UIE', 'UIP',
-      'UTVEC',
-      'USCRATCH',
-      'UEPC',
-      'UCAUSE',
-      'UTVAL',
-    ],
-  };
+const profileModes = (profile, mode = 'all') =>
+  PROFILE_MODES.filter((key) => profile?.[key] && (mode === 'all' || mode === key)).map((key) => profile[key]);
 
-  const extensionCsrLabels = {
-    S: 'Supervisor CSRs',
-    U: 'User CSRs',
-  };
+const profileMandatoryIds = (profile, mode = 'all') =>
+  Array.from(new Set(profileModes(profile, mode).flatMap((set) => set.mandatory)));
 
-  // ---------------------------------------------------------------------------
-  // Derived helpers
-  // ---------------------------------------------------------------------------
-  const volumeMembership = React.useMemo(() => {
-    const allIds = new Set(
-      Object.values(extensions)
-        .flat()
-        .filter(Boolean)
-        .map((ext) => ext.id)
-    );
+// Where an extension stands in a profile: mandatory in any selected mode wins over optional, and an extension
+// the profile does not mention is unsupported. `profileName` is the mode-specific name, e.g. RVA23S64.
+const profileExtensionStatus = (profile, id, mode = 'all') => {
+  const sets = profileModes(profile, mode);
+  const mandatoryIn = sets.find((set) => set.mandatory.includes(id));
+  if (mandatoryIn) return { status: 'mandatory', profileName: mandatoryIn.name };
+  for (const set of sets) {
+    const kind = Object.keys(PROFILE_OPTION_KINDS).find((key) => set.optional?.[key]?.includes(id));
+    if (kind) return { status: 'optional', kind, profileName: set.name };
+  }
+  return { status: 'unsupported', profileName: sets.map((set) => set.name).join(' + ') };
+};
 
-    const vol2Ids = new Set();
+// Mandatory extensions (U + S) added, removed and kept when moving from one profile to another, in profile order.
+const diffProfiles = (fromProfile, toProfile) => {
+  const fromIds = profileMandatoryIds(fromProfile);
+  const toIds = profileMandatoryIds(toProfile);
+  return {
+    added: toIds.filter((id) => !fromIds.includes(id)),
+    removed: fromIds.filter((id) => !toIds.includes(id)),
+    unchanged: toIds.filter((id) => fromIds.includes(id)),
+  };
+};
 
-    for (const ext of extensions.standard || []) {
-      if (['S', 'U', 'H', 'N'].includes(ext.id)) vol2Ids.add(ext.id);
+// Custom targets are user-defined profiles (one per SoC variant, say), kept in localStorage as
+// `{ name, basedOn, extensions }` and exported/imported as `{ version, targets }`.
+const CUSTOM_TARGETS_STORAGE_KEY = 'riscv-landscape.customTargets';
+const CUSTOM_TARGETS_FILE_VERSION = 1;
+
+// Reads targets from parsed JSON: an export file, an array of targets or a single target. Unknown extension IDs
+// are dropped and reported; targets without a name or an `extensions` list are rejected.
+const parseCustomTargets = (data, knownIds) => {
+  const known = new Set(knownIds);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.targets) ? data.targets : [data];
+  const targets = [];
+  const errors = [];
+  const unknown = new Set();
+
+  list.forEach((item, index) => {
+    const name = String(item?.name ?? '').trim();
+    if (!name || !Array.isArray(item?.extensions)) {
+      errors.push(`Target ${index + 1}: expected an object with a name and an extensions list.`);
+      return;
     }
-    for (const ext of extensions.s_mem || []) vol2Ids.add(ext.id);
-    for (const ext of extensions.s_interrupt || []) vol2Ids.add(ext.id);
-    for (const ext of extensions.s_trap || []) vol2Ids.add(ext.id);
+    const extensionIds = [];
+    for (const id of item.extensions.map(String)) {
+      if (!known.has(id)) unknown.add(id);
+      else if (!extensionIds.includes(id)) extensionIds.push(id);
+    }
+    targets.push({ name, basedOn: item.basedOn ? String(item.basedOn) : null, extensions: extensionIds });
+  });
 
-    const vol1Ids = new Set(Array.from(allIds).filter((id) => !vol2Ids.has(id)));
-    return {
-      I: vol1Ids,
-      II: vol2Ids,
-    };
-  }, []);
+  return { targets, errors, unknown: Array.from(unknown) };
+};
 
-  const instructionMatchesQuery = (mnemonic, details, q) => {
-    const needle = String(q || '').trim().toLowerCase();
-    if (!needle) return false;
+const loadCustomTargets = () => {
+  try {
+    const raw = window.localStorage.getItem(CUSTOM_TARGETS_STORAGE_KEY);
+    if (!raw) return [];
+    const knownIds = Object.values(extensions)
+      .flat()
+      .filter(Boolean)
+      .map((ext) => ext.id);
+    return parseCustomTargets(JSON.parse(raw), knownIds).targets;
+  } catch {
+    return [];
+  }
+};
 
-    if (mnemonic && String(mnemonic).toLowerCase().includes(needle)) return true;
-    if (!details || typeof details !== 'object') return false;
+const serializeCustomTargets = (targets) =>
+  `${JSON.stringify({ version: CUSTOM_TARGETS_FILE_VERSION, targets }, null, 2)}\n`;
+
+// A custom target is a single-mode profile whose extensions are all mandatory, so it highlights, dims and
+// scopes tools exactly like a built-in profile.
+const customTargetProfile = (target) => ({
+  custom: true,
+  basedOn: target.basedOn,
+  U: { name: target.name, mandatory: target.extensions, optional: {} },
+});
+
+// Scope of a tool run: every extension (`ids: null`), the mandatory extensions of a profile, a custom ID list,
+// or every extension that is not discontinued. Profile and custom sets also cover what their extensions imply
+// (B brings in Zba, Zbb and Zbs), like the configuration checker.
+const resolveExtensionScope = (scope, profiles, allExts, dependencies) => {
+  const withImplied = (ids) =>
+    new Set(ids.flatMap((id) => [id, ...extensionDependencyClosure(dependencies, id).implied.map((dep) => dep.id)]));
+  if (scope.mode === 'profile') return { ids: withImplied(profileMandatoryIds(profiles[scope.profile])), unknown: [] };
+  if (scope.mode === 'custom') {
+    const { ids, unknown } = parseExtensionIdList(
+      scope.customIds,
+      allExts.map((ext) => ext.id)
+    );
+    return { ids: withImplied(ids), unknown };
+  }
+  if (scope.mode === 'active') {
+    return { ids: new Set(allExts.filter((ext) => ext.discontinued !== 1).map((ext) => ext.id)), unknown: [] };
+  }
+  return { ids: null, unknown: [] };
+};
 
-    for (const field of [details.encoding, details.match, details.mask]) {
-      if (field && String(field).toLowerCase().includes(needle)) return true;
+const describeExtensionScope = (scope) => {
+  if (scope.mode === 'profile') return `Profile ${scope.profile}`;
+  if (scope.mode === 'custom') return `Custom set (${String(scope.customIds || '').trim() || 'empty'})`;
+  if (scope.mode === 'active') return 'All extensions except discontinued';
+  return 'All extensions';
+};
+
+// Names for fixed bits, by the slot of the base instruction formats they fall into.
+const ENCODING_FIELD_SLOTS = {
+  32: [
+    { name: 'funct7', bits: [31, 25] },
+    { name: 'rs2', bits: [24, 20] },
+    { name: 'rs1', bits: [19, 15] },
+    { name: 'funct3', bits: [14, 12] },
+    { name: 'rd', bits: [11, 7] },
+    { name: 'opcode', bits: [6, 0] },
+  ],
+  16: [
+    { name: 'funct', bits: [15, 2] },
+    { name: 'op', bits: [1, 0] },
+  ],
+  // Longer instructions only standardize their length-encoding prefix.
+  48: [
+    { name: 'funct', bits: [47, 6] },
+    { name: 'prefix', bits: [5, 0] },
+  ],
+  64: [
+    { name: 'funct', bits: [63, 7] },
+    { name: 'prefix', bits: [6, 0] },
+  ],
+};
+
+const variableFieldLabel = (field) => {
+  const layout = VARIABLE_FIELD_LAYOUT[field];
+  return layout?.imm ? `${layout.operand}[${layout.imm}]` : field;
+};
+
+// Splits an encoding into labeled runs of bits, like the format diagrams of the ISA manual:
+// variable bits are named after the `variable_fields` entry covering them, fixed bits after their format slot.
+// `encoding` is native width: 16 characters for compressed instructions, 32/48/64 for longer ones.
+const buildEncodingSegments = (encoding, variableFields) => {
+  const width = encoding.length;
+  const slots = ENCODING_FIELD_SLOTS[width] || ENCODING_FIELD_SLOTS[32];
+  const owners = [];
+
+  for (let i = 0; i < width; i++) {
+    const bit = width - 1 - i;
+    if (encoding[i] === '-') {
+      const field = (variableFields || []).find((name) => {
+        const bits = VARIABLE_FIELD_LAYOUT[name]?.bits;
+        return bits && bit <= bits[0] && bit >= bits[1];
+      });
+      owners.push({ key: `var:${field || ''}`, kind: 'variable', label: field ? variableFieldLabel(field) : '' });
+    } else {
+      const slot = slots.find((s) => bit <= s.bits[0] && bit >= s.bits[1]);
+      owners.push({ key: `fixed:${slot?.name || ''}`, kind: 'fixed', label: slot?.name || '', slot });
     }
-    for (const list of [details.variable_fields, details.extension]) {
-      if (Array.isArray(list) && list.join(' ').toLowerCase().includes(needle)) return true;
+  }
+
+  const segments = [];
+  owners.forEach((owner, i) => {
+    const bit = width - 1 - i;
+    const last = segments[segments.length - 1];
+    if (last && last.key === owner.key) {
+      last.lsb = bit;
+      last.value += encoding[i];
+      return;
     }
+    segments.push({ ...owner, msb: bit, lsb: bit, value: encoding[i] });
+  });
 
-    return false;
-  };
+  for (const segment of segments) {
+    // A funct slot that is only partly fixed is named after the width of the fixed run (funct5, funct6, ...).
+    const slot = segment.slot;
+    if (slot && slot.name.startsWith('funct') && segment.msb - segment.lsb !== slot.bits[0] - slot.bits[1]) {
+      segment.label = `funct${segment.msb - segment.lsb + 1}`;
+    }
+    delete segment.slot;
+  }
 
-  const selectInstructionByMnemonic = React.useCallback((ext, mnemonic) => {
-    const details = ext?.instructions?.[mnemonic];
-    setSelectedInstruction(details ? { mnemonic, ...details } : null);
-  }, []);
+  return segments;
+};
 
-  const instructionIndex = React.useMemo(() => {
-    const index = new Map();
-    const allExts = Object.values(extensions).flat().filter(Boolean);
+const FIELD_COMPARISON_STATUS = {
+  same: 'fixed to the same value in both',
+  free: 'variable in both',
+  existing: 'fixed only by the existing pattern',
+  proposed: 'fixed only by your pattern',
+  mixed: 'partly fixed',
+};
 
-    for (const ext of allExts) {
-      const instructions = ext?.instructions;
-      if (!instructions || typeof instructions !== 'object') continue;
+// Bit-by-bit comparison of two overlapping patterns of the same length, per format slot (opcode, funct3, rs2,
+// ...). Two patterns stop overlapping as soon as one bit is fixed in both with different values, so the bits
+// that can separate them are:
+// - `narrowBits`: fixed by the existing pattern but variable in the proposal; fixing any one of them to the
+//   opposite value narrows the proposal away from the existing instruction.
+// - `changeBits`: fixed to the same value in both; flipping any one of them moves the proposal elsewhere.
+// Bits of the length-encoding prefix are never suggested, since changing them changes the instruction length.
+const compareConflictFields = (proposed, other) => {
+  const { length } = proposed;
+  const slots = ENCODING_FIELD_SLOTS[length] || ENCODING_FIELD_SLOTS[32];
+  const proposedEncoding = matchMaskToEncoding(proposed.matchValue, proposed.maskValue, length);
+  const existingEncoding = matchMaskToEncoding(other.match, other.mask, length);
+  const prefixStep = LENGTH_ENCODING_STEPS.find((step) => step.length === length);
+  const prefixBits = prefixStep ? bitMask(prefixStep.bits[0] + 1) : 0n;
+  const narrowBits = other.mask & ~proposed.maskValue & bitMask(length) & ~prefixBits;
+  const changeBits = other.mask & proposed.maskValue & ~prefixBits;
+
+  const operandsIn = (segments, [msb, lsb]) =>
+    Array.from(
+      new Set(
+        segments
+          .filter((segment) => segment.kind === 'variable' && segment.label)
+          .filter((segment) => segment.msb >= lsb && segment.lsb <= msb)
+          .map((segment) => segment.label)
+      )
+    );
+  const proposedSegments = buildEncodingSegments(proposedEncoding, proposed.variableFields);
+  const existingSegments = buildEncodingSegments(existingEncoding, other.variableFields);
+  const slice = (encoding, [msb, lsb]) => encoding.slice(length - 1 - msb, length - lsb);
+
+  const fields = slots.map((slot) => {
+    const slotMask = fieldBitsMask(slot.bits);
+    const both = proposed.maskValue & other.mask & slotMask;
+    const none = ~(proposed.maskValue | other.mask) & slotMask;
+    const status =
+      both === slotMask
+        ? 'same'
+        : none === slotMask
+          ? 'free'
+          : (other.mask & slotMask) === slotMask && (proposed.maskValue & slotMask) === 0n
+            ? 'existing'
+            : (proposed.maskValue & slotMask) === slotMask && (other.mask & slotMask) === 0n
+              ? 'proposed'
+              : 'mixed';
+    return {
+      name: slot.name,
+      bits: slot.bits,
+      proposed: slice(proposedEncoding, slot.bits),
+      existing: slice(existingEncoding, slot.bits),
+      status,
+      proposedOperands: operandsIn(proposedSegments, slot.bits),
+      existingOperands: operandsIn(existingSegments, slot.bits),
+    };
+  });
 
-      for (const [mnemonic, details] of Object.entries(instructions)) {
-        const key = normalizeMnemonicKey(mnemonic);
-        if (!key) continue;
-        if (!index.has(key)) index.set(key, []);
-        index.get(key).push({ ext, mnemonic, details });
-      }
-    }
+  // One suggestion per run of separating bits, named after the slot it lies in.
+  const fixesFor = (bits, kind) =>
+    slots.flatMap((slot) =>
+      bitRuns(bits & fieldBitsMask(slot.bits), length).map((run) => ({
+        kind,
+        field: slot.name,
+        bits: run,
+        existing: slice(existingEncoding, run),
+      }))
+    );
+  const fixes = [...fixesFor(narrowBits, 'narrow'), ...fixesFor(changeBits, 'change')];
+
+  return {
+    length,
+    proposedEncoding,
+    existingEncoding,
+    proposedVariableFields: proposed.variableFields || [],
+    fields,
+    narrowBits,
+    changeBits,
+    fixes,
+  };
+};
 
-    return index;
-  }, []);
+// One sentence per separating run, e.g. "funct7 [31:25]: fix at least one bit so it differs from 0000000".
+const describeFieldFix = (fix) =>
+  `${fix.field} ${formatFieldRange(fix.bits)}: ${
+    fix.kind === 'narrow' ? 'fix at least one of these bits' : 'change at least one of these bits'
+  } so the field differs from ${fix.existing}`;
 
-  const selectInstructionByMnemonicKey = React.useCallback(
-    (mnemonicKey, preferredExtIds = []) => {
-      const key = normalizeMnemonicKey(mnemonicKey);
-      if (!key) return false;
-      const candidates = instructionIndex.get(key);
-      if (!candidates || !candidates.length) return false;
+// The cheapest way out first: narrowing the proposal keeps its other fixed bits, changing one moves it.
+const suggestedFieldFixes = (comparison) => {
+  const narrow = comparison.fixes.filter((fix) => fix.kind === 'narrow');
+  return narrow.length ? narrow : comparison.fixes;
+};
 
-      let chosen = null;
-      for (const extId of preferredExtIds) {
-        chosen = candidates.find((entry) => entry.ext.id === extId);
-        if (chosen) break;
-      }
-      if (!chosen && selectedExt) {
-        chosen = candidates.find((entry) => entry.ext.id === selectedExt.id);
-      }
-      if (!chosen) [chosen] = candidates;
+const describeFieldComparison = (comparison, otherLabel = 'the existing instruction') => {
+  if (comparison.narrowBits) {
+    return `Fixing any bit that ${otherLabel} fixes but your pattern leaves variable, to the opposite value, removes the overlap.`;
+  }
+  if (comparison.changeBits) {
+    return `Your pattern already fixes every bit ${otherLabel} fixes, to the same value: only a different value in one of them removes the overlap.`;
+  }
+  return `${otherLabel} only fixes the length-encoding prefix, so no other bit of your pattern can remove the overlap.`;
+};
 
-      if (!chosen) return false;
-      setSelectedExt(chosen.ext);
-      setSelectedInstruction({ mnemonic: chosen.mnemonic, ...chosen.details });
-      setSearchMatches(null);
-      return true;
-    },
-    [instructionIndex, selectedExt]
-  );
+// `highlightBits` (a bit mask, bit 0 = LSB) outlines bits to draw attention to, such as the bits that separate
+// two conflicting patterns.
+const EncodingDiagram = ({ encoding, variableFields, highlightBits = 0n }) => {
+  const scrollRef = React.useRef(null);
+  const rafRef = React.useRef(null);
+  const dragRef = React.useRef(null);
+  const [scrollState, setScrollState] = React.useState({
+    scrollLeft: 0,
+    scrollWidth: 0,
+    clientWidth: 0,
+  });
 
-  const selectStandardEquivalent = React.useCallback(
-    (mnemonic) => selectInstructionByMnemonicKey(mnemonic, STANDARD_EQUIVALENT_PRIORITY),
-    [selectInstructionByMnemonicKey]
+  const normalized = toNativeEncoding(String(encoding || '').replace(/\s+/g, ''));
+  const width = normalized.length;
+  const isValid = INSTRUCTION_LENGTHS.includes(width);
+  const segments = React.useMemo(
+    () => (isValid ? buildEncodingSegments(normalized, variableFields) : []),
+    [isValid, normalized, variableFields]
   );
 
-  const selectCompressedEquivalent = React.useCallback(
-    (mnemonic) => selectInstructionByMnemonicKey(mnemonic, ['C']),
-    [selectInstructionByMnemonicKey]
-  );
+  const updateScrollState = React.useCallback(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    setScrollState((prev) => {
+      const next = {
+        scrollLeft: el.scrollLeft,
+        scrollWidth: el.scrollWidth,
+        clientWidth: el.clientWidth,
+      };
+      if (
+        prev.scrollLeft === next.scrollLeft &&
+        prev.scrollWidth === next.scrollWidth &&
+        prev.clientWidth === next.clientWidth
+      ) {
+        return prev;
+      }
+      return next;
+    });
+  }, []);
 
-  const compressedMapping = selectedInstruction
-    ? COMPRESSED_INSTRUCTION_LOOKUP[normalizeMnemonicKey(selectedInstruction.mnemonic)]
-    : null;
-  const standardEquivalentMnemonic = compressedMapping
-    ? normalizeMnemonicKey(compressedMapping.standard)
-    : '';
-  const hasStandardEquivalent =
-    Boolean(standardEquivalentMnemonic) && instructionIndex.get(standardEquivalentMnemonic)?.length;
-  const compressedEquivalents = selectedInstruction
-    ? (COMPRESSED_BY_STANDARD[normalizeMnemonicKey(selectedInstruction.mnemonic)] || []).filter((entry) =>
-        instructionIndex.has(normalizeMnemonicKey(entry.mnemonic))
-      )
-    : [];
+  React.useEffect(() => {
+    updateScrollState();
+    const el = scrollRef.current;
+    if (!el) return;
 
-  const formatInstructionForClipboard = React.useCallback((ext, instr) => {
-    if (!ext || !instr) return '';
-    const lines = [
-      `RISC-V Extension: ${ext.name} (${ext.id})`,
-      ext.desc ? `Description: ${ext.desc}` : null,
-      ext.use ? `Use: ${ext.use}` : null,
-      `Reference: ${ext.url || 'https://github.com/riscv/riscv-isa-manual'}`,
-      '',
-      `Instruction: ${instr.mnemonic}`,
-      instr.encoding ? `Encoding: ${instr.encoding}` : null,
-      Array.isArray(instr.variable_fields) && instr.variable_fields.length
-        ? `Variable fields: ${instr.variable_fields.join(', ')}`
-        : null,
-      instr.match ? `Match: ${instr.match}` : null,
-      instr.mask ? `Mask: ${instr.mask}` : null,
-      Array.isArray(instr.extension) && instr.extension.length
-        ? `Extension tags: ${instr.extension.join(', ')}`
-        : null,
-    ].filter(Boolean);
-    return `${lines.join('\n')}\n`;
-  }, []);
+    const onScroll = () => {
+      if (rafRef.current) return;
+      rafRef.current = requestAnimationFrame(() => {
+        rafRef.current = null;
+        updateScrollState();
+      });
+    };
+    el.addEventListener('scroll', onScroll, { passive: true });
 
-  const copyTextToClipboard = React.useCallback(async (text) => {
-    if (!text) return false;
-    try {
-      if (navigator?.clipboard?.writeText) {
-        await navigator.clipboard.writeText(text);
-        return true;
-      }
-    } catch {
-      // fall through
-    }
+    const onResize = () => updateScrollState();
+    window.addEventListener('resize', onResize);
 
-    try {
-      const el = document.createElement('textarea');
-      el.value = text;
-      el.setAttribute('readonly', 'true');
-      el.style.position = 'fixed';
-      el.style.top = '0';
-      el.style.left = '0';
-      el.style.opacity = '0';
-      document.body.appendChild(el);
-      el.focus();
-      el.select();
-      const ok = document.execCommand('copy');
-      document.body.removeChild(el);
-      return ok;
-    } catch {
-      return false;
-    }
-  }, []);
+    return () => {
+      el.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onResize);
+      if (rafRef.current) cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    };
+  }, [updateScrollState, normalized]);
 
-  const allInstructionPatterns = React.useMemo(() => {
-    const patterns = [];
-    const allExts = Object.values(extensions).flat().filter(Boolean);
+  if (!isValid) {
+    return (
+      <div className="font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1 break-all">
+        {encoding}
+      </div>
+    );
+  }
 
-    for (const ext of allExts) {
-      const instructions = ext?.instructions;
-      if (!instructions || typeof instructions !== 'object') continue;
+  const maxScrollLeft = Math.max(0, scrollState.scrollWidth - scrollState.clientWidth);
+  const canScroll = maxScrollLeft > 0;
+  const atLeft = scrollState.scrollLeft <= 0;
+  const atRight = scrollState.scrollLeft >= maxScrollLeft - 1;
+  const scrollProgress = canScroll ? scrollState.scrollLeft / maxScrollLeft : 0;
+  const thumbRatio = canScroll ? Math.min(1, scrollState.clientWidth / scrollState.scrollWidth) : 1;
+  const thumbLeftPct = (1 - thumbRatio) * scrollProgress * 100;
+  const thumbWidthPct = thumbRatio * 100;
 
-      for (const [mnemonic, details] of Object.entries(instructions)) {
-        const encoding = normalizeEncodingString(details?.encoding);
-        const matchParsed = parseHexToBigInt(details?.match);
-        const maskParsed = parseHexToBigInt(details?.mask);
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-[10px] uppercase tracking-wider text-slate-500 font-bold">
+          <span>Bits</span>
+          {canScroll && (
+            <span className="inline-flex items-center gap-1 text-yellow-200/80 font-mono normal-case tracking-normal">
+              scroll <ArrowRight size={12} />
+            </span>
+          )}
+        </div>
 
-        let match = matchParsed;
-        let mask = maskParsed;
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            className="p-1 rounded border border-slate-600 bg-slate-800 text-slate-100 disabled:opacity-30"
+            onClick={() => scrollRef.current?.scrollBy({ left: -220, behavior: 'smooth' })}
+            disabled={!canScroll || atLeft}
+            title="Scroll left"
+          >
+            <ChevronLeft size={14} />
+          </button>
+          <button
+            type="button"
+            className="p-1 rounded border border-slate-600 bg-slate-800 text-slate-100 disabled:opacity-30"
+            onClick={() => scrollRef.current?.scrollBy({ left: 220, behavior: 'smooth' })}
+            disabled={!canScroll || atRight}
+            title="Scroll right"
+          >
+            <ChevronRight size={14} />
+          </button>
+        </div>
+      </div>
 
-        if ((match == null || mask == null) && encoding) {
-          const derived = encodingToMatchMask(encoding);
-          match = derived.match;
-          mask = derived.mask;
-        }
+      <div ref={scrollRef} className="overflow-x-auto">
+        <div className="inline-block pr-2">
+          <div
+            className="grid mb-0.5"
+            style={{ gridTemplateColumns: `repeat(${normalized.length}, 18px)` }}
+          >
+            {segments.map((segment) => (
+              <div
+                key={`${segment.msb}-${segment.lsb}`}
+                style={{ gridColumn: `span ${segment.msb - segment.lsb + 1}` }}
+                className={[
+                  'mx-px h-5 px-0.5 rounded-sm border text-[9px] font-mono leading-[18px] text-center truncate',
+                  !segment.label
+                    ? 'border-transparent text-slate-600'
+                    : segment.kind === 'variable'
+                      ? 'border-purple-400/30 bg-purple-500/10 text-purple-200'
+                      : 'border-slate-600 bg-slate-700/40 text-slate-300',
+                ].join(' ')}
+                title={`${segment.label || 'unassigned'} · bits ${formatFieldRange([segment.msb, segment.lsb])}${
+                  segment.kind === 'fixed' ? ` = ${segment.value}` : ''
+                }`}
+              >
+                {segment.label}
+              </div>
+            ))}
+          </div>
 
-        if (match == null || mask == null) continue;
-
-        patterns.push({
-          extId: ext.id,
-          extName: ext.name,
-          mnemonic,
-          encoding: encoding || matchMaskToEncoding(match, mask),
-          match: match & BIT_MASK_32,
-          mask: mask & BIT_MASK_32,
-          url: ext.url || 'https://github.com/riscv/riscv-isa-manual',
-        });
-      }
-    }
+          <div className="inline-grid grid-flow-col auto-cols-[18px] rounded border border-slate-700 bg-slate-900/40">
+            {normalized.split('').map((bit, i) => {
+              const isVar = bit === '-';
+              const isHighlighted = ((highlightBits >> BigInt(width - 1 - i)) & 1n) === 1n;
+              const isLast = i === width - 1;
+              const isGroupEnd = (i + 1) % 4 === 0 && !isLast;
+              const value = isVar ? 'x' : bit;
+              return (
+                <div
+                  key={`${i}-${bit}`}
+                  className={[
+                    'h-7 flex items-center justify-center font-mono text-[11px]',
+                    i === 0 ? 'rounded-l' : '',
+                    isLast ? 'rounded-r' : '',
+                    isHighlighted
+                      ? 'bg-amber-500/25 text-amber-100 ring-1 ring-inset ring-amber-300/70'
+                      : isVar
+                        ? 'bg-slate-800/60 text-purple-100'
+                        : 'bg-slate-700/40 text-slate-100',
+                    isLast
+                      ? ''
+                      : isGroupEnd
+                          ? 'border-r-2 border-slate-600'
+                          : 'border-r border-slate-700',
+                  ].join(' ')}
+                  title={`bit ${width - 1 - i}`}
+                >
+                  {value}
+                </div>
+              );
+            })}
+          </div>
 
-    return patterns;
-  }, []);
+          <div className="mt-1 flex justify-between text-[10px] font-mono text-slate-500 px-0.5">
+            <span>{width - 1}</span>
+            <span>0</span>
+          </div>
+        </div>
+      </div>
 
-  const formatEncoderValidatorReport = React.useCallback((proposed, result) => {
-    const lines = [];
-    const now = new Date();
-    lines.push(`RISC-V Encoder Validation Report`);
-    lines.push(`Generated: ${now.toISOString()}`);
-    lines.push('');
-    if (proposed.mnemonic) lines.push(`Proposed mnemonic: ${proposed.mnemonic}`);
-    if (proposed.encoding) lines.push(`Proposed encoding: ${proposed.encoding}`);
-    if (proposed.match) lines.push(`Proposed match: ${proposed.match}`);
-    if (proposed.mask) lines.push(`Proposed mask: ${proposed.mask}`);
-    lines.push('');
+      {canScroll && (
+        <div
+          className="mt-2 h-2 rounded bg-purple-300/15 border border-purple-300/20 relative cursor-pointer"
+          onClick={(e) => {
+            const el = scrollRef.current;
+            if (!el) return;
+            const rect = e.currentTarget.getBoundingClientRect();
+            const x = Math.min(Math.max(0, e.clientX - rect.left), rect.width);
+            const next = (x / rect.width) * maxScrollLeft;
+            el.scrollTo({ left: next, behavior: 'smooth' });
+          }}
+          role="presentation"
+          title="Click to scroll"
+        >
+          <div
+            className="absolute top-0 bottom-0 rounded bg-purple-200/40 border border-purple-200/30 cursor-grab active:cursor-grabbing"
+            style={{ left: `${thumbLeftPct}%`, width: `${thumbWidthPct}%` }}
+            onPointerDown={(e) => {
+              const el = scrollRef.current;
+              if (!el) return;
+              e.stopPropagation();
+              const track = e.currentTarget.parentElement;
+              if (!track) return;
+              const trackRect = track.getBoundingClientRect();
+              dragRef.current = {
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startScrollLeft: el.scrollLeft,
+                trackWidth: trackRect.width,
+              };
+              e.currentTarget.setPointerCapture(e.pointerId);
+            }}
+            onPointerMove={(e) => {
+              const el = scrollRef.current;
+              const drag = dragRef.current;
+              if (!el || !drag || drag.pointerId !== e.pointerId) return;
+              const dx = e.clientX - drag.startX;
+              const delta = (dx / drag.trackWidth) * maxScrollLeft;
+              el.scrollLeft = Math.min(maxScrollLeft, Math.max(0, drag.startScrollLeft + delta));
+            }}
+            onPointerUp={(e) => {
+              const drag = dragRef.current;
+              if (!drag || drag.pointerId !== e.pointerId) return;
+              dragRef.current = null;
+              try {
+                e.currentTarget.releasePointerCapture(e.pointerId);
+              } catch {
+                // no-op
+              }
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
 
-    if (result.errors.length) {
-      lines.push(`Errors (${result.errors.length}):`);
-      for (const err of result.errors) lines.push(`- ${err}`);
-      lines.push('');
-    }
+// Picks which extensions a tool run considers; see resolveExtensionScope.
+const ExtensionScopePicker = ({ scope, onChange, profileNames }) => (
+  <div className="space-y-2">
+    <select
+      value={scope.mode}
+      onChange={(e) => onChange({ ...scope, mode: e.target.value })}
+      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+    >
+      <option value="all">All extensions</option>
+      <option value="profile">Extensions of a profile</option>
+      <option value="custom">Custom extension list</option>
+      <option value="active">Exclude discontinued</option>
+    </select>
+
+    {scope.mode === 'profile' && (
+      <select
+        value={scope.profile}
+        onChange={(e) => onChange({ ...scope, profile: e.target.value })}
+        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs font-mono text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+      >
+        {profileNames.map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+      </select>
+    )}
+
+    {scope.mode === 'custom' && (
+      <input
+        type="text"
+        value={scope.customIds}
+        onChange={(e) => onChange({ ...scope, customIds: e.target.value })}
+        placeholder="RV64I, M, A, Zba, Zbb"
+        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+      />
+    )}
+  </div>
+);
+
+// Expandable bit-by-bit comparison of a validator conflict (see compareConflictFields). The diagrams are only
+// rendered once opened: a wide proposal can conflict with hundreds of instructions.
+const ConflictFieldComparison = ({ conflict }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <details className="mt-2" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="text-[10px] uppercase tracking-wider text-slate-400 font-bold cursor-pointer">
+        Field comparison
+      </summary>
+      {open && (
+        <>
+          <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-2">
+            {[
+              {
+                key: 'proposed',
+                title: 'Your pattern',
+                encoding: conflict.comparison.proposedEncoding,
+                variableFields: conflict.comparison.proposedVariableFields,
+              },
+              {
+                key: 'existing',
+                title: conflict.other.mnemonic,
+                encoding: conflict.comparison.existingEncoding,
+                variableFields: conflict.other.variableFields,
+              },
+            ].map((side) => (
+              <div key={side.key} className="min-w-0 border border-slate-700 rounded p-2 bg-slate-800/40">
+                <div className="font-mono text-[11px] text-slate-300 mb-1">{side.title}</div>
+                <EncodingDiagram
+                  encoding={side.encoding}
+                  variableFields={side.variableFields}
+                  highlightBits={conflict.comparison.narrowBits || conflict.comparison.changeBits}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 overflow-x-auto">
+            <table className="w-full text-left text-[11px] font-mono">
+              <thead className="text-[10px] uppercase tracking-wider text-slate-500">
+                <tr>
+                  <th className="py-1 pr-3 font-bold">Field</th>
+                  <th className="py-1 pr-3 font-bold">Bits</th>
+                  <th className="py-1 pr-3 font-bold">Yours</th>
+                  <th className="py-1 pr-3 font-bold">{conflict.other.mnemonic}</th>
+                  <th className="py-1 font-bold">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflict.comparison.fields.map((field) => (
+                  <tr key={field.name} className="border-t border-slate-700/60 align-top text-slate-200">
+                    <td className="py-1 pr-3">{field.name}</td>
+                    <td className="py-1 pr-3 text-slate-500">{formatFieldRange(field.bits)}</td>
+                    <td className="py-1 pr-3" title={field.proposedOperands.join(', ')}>
+                      {field.proposed}
+                    </td>
+                    <td className="py-1 pr-3" title={field.existingOperands.join(', ')}>
+                      {field.existing}
+                      {field.existingOperands.length > 0 && (
+                        <span className="text-purple-300/80"> {field.existingOperands.join(', ')}</span>
+                      )}
+                    </td>
+                    <td
+                      className={`py-1 font-sans ${
+                        field.status === 'existing' || field.status === 'mixed' ? 'text-amber-200' : 'text-slate-400'
+                      }`}
+                    >
+                      {FIELD_COMPARISON_STATUS[field.status]}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-slate-300">
+            {describeFieldComparison(conflict.comparison, conflict.other.mnemonic)}
+          </div>
+          {suggestedFieldFixes(conflict.comparison).length > 0 && (
+            <ul className="mt-1 space-y-0.5 text-[11px] font-mono text-amber-200">
+              {suggestedFieldFixes(conflict.comparison).map((fix) => (
+                <li key={`${fix.kind}:${fix.bits.join(':')}`}>{describeFieldFix(fix)}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </details>
+  );
+};
 
-    lines.push(`Conflicts (${result.conflicts.length}):`);
-    if (!result.conflicts.length) {
-      lines.push(`- None found within the current instruction set database.`);
-      return `${lines.join('\n')}\n`;
-    }
+// Zoomable node-link view of layoutDependencyGraph. Scrolling zooms around the pointer, dragging pans, and
+// clicking a node selects it. When the selection changes elsewhere, the view pans to the selected node if it is
+// out of sight; the selected node and the extensions related to it (`relatedIds`) stay bright.
+const DependencyGraph = ({ layout, extensionById, selectedId, relatedIds, onSelect }) => {
+  const { nodeWidth, nodeHeight } = DEPENDENCY_GRAPH_LAYOUT;
+  const containerRef = React.useRef(null);
+  const dragRef = React.useRef(null);
+  // Set when a pan ends so the click that follows it does not select a node.
+  const suppressClickRef = React.useRef(false);
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const nodeById = React.useMemo(() => new Map(layout.nodes.map((node) => [node.id, node])), [layout]);
 
-    for (const conflict of result.conflicts) {
-      lines.push(`- ${conflict.other.extId}:${conflict.other.mnemonic} (${conflict.type})`);
-      lines.push(`  Why: ${conflict.why}`);
-      if (conflict.commonMask) lines.push(`  Common mask: ${conflict.commonMask}`);
-      if (conflict.exampleWord) lines.push(`  Example word: ${conflict.exampleWord}`);
-    }
-    return `${lines.join('\n')}\n`;
+  const fit = React.useCallback(() => {
+    const width = containerRef.current?.clientWidth || layout.width;
+    const scale = Math.min(1, width / layout.width);
+    setView({ scale, x: (width - layout.width * scale) / 2, y: 0 });
+  }, [layout]);
+
+  React.useEffect(() => {
+    fit();
+  }, [fit]);
+
+  const zoomAt = React.useCallback((factor, px, py) => {
+    setView((current) => {
+      const scale = Math.min(3, Math.max(0.2, current.scale * factor));
+      const ratio = scale / current.scale;
+      return { scale, x: px - (px - current.x) * ratio, y: py - (py - current.y) * ratio };
+    });
   }, []);
 
-  const runEncoderValidation = React.useCallback(() => {
-    const input = encoderValidatorInput;
-    const errors = [];
+  const zoomAtCenter = (factor) =>
+    zoomAt(factor, (containerRef.current?.clientWidth || 0) / 2, (containerRef.current?.clientHeight || 0) / 2);
 
-    const proposedMnemonic = String(input.mnemonic || '').trim();
-    const proposedEncoding = normalizeEncodingString(input.encoding);
-    const proposedMatchInput = String(input.match || '').trim();
-    const proposedMaskInput = String(input.mask || '').trim();
+  // React registers wheel listeners as passive, so preventing the page scroll needs a native listener.
+  React.useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? 1.15 : 1 / 1.15, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    container.addEventListener('wheel', onWheel, { passive: false });
+    return () => container.removeEventListener('wheel', onWheel);
+  }, [zoomAt]);
 
-    let proposedMatch = null;
-    let proposedMask = null;
-    let normalizedEncoding = '';
-
-    const hasEncoding = Boolean(proposedEncoding);
-    const hasMatchMask = Boolean(proposedMatchInput || proposedMaskInput);
-
-    if (!hasEncoding && !hasMatchMask) {
-      errors.push('Provide either Encoding, or both Match and Mask.');
+  React.useEffect(() => {
+    const node = selectedId && nodeById.get(selectedId);
+    const container = containerRef.current;
+    if (!node || !container) return;
+    setView((current) => {
+      const left = current.x + node.x * current.scale;
+      const top = current.y + node.y * current.scale;
+      const visible =
+        left >= 0 &&
+        top >= 0 &&
+        left + nodeWidth * current.scale <= container.clientWidth &&
+        top + nodeHeight * current.scale <= container.clientHeight;
+      if (visible) return current;
+      return {
+        ...current,
+        x: container.clientWidth / 2 - (node.x + nodeWidth / 2) * current.scale,
+        y: container.clientHeight / 2 - (node.y + nodeHeight / 2) * current.scale,
+      };
+    });
+  }, [selectedId, nodeById, nodeWidth, nodeHeight]);
+
+  const isFocused = (id) => !selectedId || id === selectedId || relatedIds.has(id);
+  const edgeFocused = (edge) =>
+    !selectedId ||
+    ((edge.from === selectedId || relatedIds.has(edge.from)) && (edge.to === selectedId || relatedIds.has(edge.to)));
+
+  const edgePath = (edge) => {
+    const from = nodeById.get(edge.from);
+    const to = nodeById.get(edge.to);
+    if (edge.kind === 'conflicts' || from.y === to.y) {
+      const x1 = from.x + nodeWidth / 2;
+      const x2 = to.x + nodeWidth / 2;
+      const y1 = from.y + (from.y === to.y ? 0 : nodeHeight / 2);
+      const y2 = to.y + (from.y === to.y ? 0 : nodeHeight / 2);
+      const lift = from.y === to.y ? 24 : 0;
+      return `M ${x1} ${y1} C ${x1} ${y1 - lift}, ${x2} ${y2 - lift}, ${x2} ${y2}`;
     }
+    const x1 = from.x + nodeWidth / 2;
+    const y1 = from.y + nodeHeight;
+    const x2 = to.x + nodeWidth / 2;
+    const y2 = to.y;
+    const bend = Math.max(20, (y2 - y1) / 2);
+    return `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+  };
 
-    if (hasEncoding) {
-      const derived = encodingToMatchMask(proposedEncoding);
-      if (derived.error) errors.push(derived.error);
-      proposedMatch = derived.match;
-      proposedMask = derived.mask;
-      normalizedEncoding = proposedEncoding;
-    }
+  return (
+    <div className="relative border border-slate-700 rounded-lg bg-slate-900/60 overflow-hidden">
+      <div className="absolute top-2 right-2 z-10 flex items-center gap-1">
+        {[
+          { label: '+', title: 'Zoom in', onClick: () => zoomAtCenter(1.25) },
+          { label: '−', title: 'Zoom out', onClick: () => zoomAtCenter(1 / 1.25) },
+          { label: 'Fit', title: 'Fit the graph to the width of the view', onClick: fit },
+        ].map((control) => (
+          <button
+            key={control.label}
+            type="button"
+            onClick={control.onClick}
+            className="px-2 py-0.5 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+            title={control.title}
+          >
+            {control.label}
+          </button>
+        ))}
+      </div>
 
-    if (hasMatchMask) {
-      const matchParsed = parseHexToBigInt(proposedMatchInput);
-      const maskParsed = parseHexToBigInt(proposedMaskInput);
-      if (matchParsed == null) errors.push('Match must be a hex value like 0x1234.');
-      if (maskParsed == null) errors.push('Mask must be a hex value like 0x707f.');
+      <div
+        ref={containerRef}
+        className="h-[70vh] cursor-grab active:cursor-grabbing touch-none select-none"
+        onPointerDown={(e) => {
+          dragRef.current = { startX: e.clientX, startY: e.clientY, view, moved: false };
+          suppressClickRef.current = false;
+        }}
+        onPointerMove={(e) => {
+          const drag = dragRef.current;
+          if (!drag) return;
+          const dx = e.clientX - drag.startX;
+          const dy = e.clientY - drag.startY;
+          if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+          if (drag.moved) setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+        }}
+        onPointerUp={() => {
+          suppressClickRef.current = Boolean(dragRef.current?.moved);
+          dragRef.current = null;
+        }}
+        onPointerLeave={() => {
+          dragRef.current = null;
+        }}
+      >
+        <div
+          className="relative origin-top-left"
+          style={{
+            width: layout.width,
+            height: layout.height,
+            transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+          }}
+        >
+          <svg className="absolute inset-0" width={layout.width} height={layout.height}>
+            <defs>
+              <marker
+                id="dependency-arrow-implies"
+                viewBox="0 0 8 8"
+                refX="8"
+                refY="4"
+                markerWidth="6"
+                markerHeight="6"
+                orient="auto"
+              >
+                <path d="M 0 0 L 8 4 L 0 8 z" className="fill-slate-400" />
+              </marker>
+              <marker
+                id="dependency-arrow-requires"
+                viewBox="0 0 8 8"
+                refX="8"
+                refY="4"
+                markerWidth="6"
+                markerHeight="6"
+                orient="auto"
+              >
+                <path d="M 0 0 L 8 4 L 0 8 z" className="fill-amber-400" />
+              </marker>
+            </defs>
+            {layout.edges.map((edge) => (
+              <path
+                key={`${edge.kind}:${edge.from}:${edge.to}`}
+                d={edgePath(edge)}
+                fill="none"
+                strokeWidth={1.5}
+                strokeDasharray={edge.kind === 'requires' ? '5 3' : edge.kind === 'conflicts' ? '2 3' : undefined}
+                markerEnd={edge.kind === 'conflicts' ? undefined : `url(#dependency-arrow-${edge.kind})`}
+                className={`${
+                  edge.kind === 'implies'
+                    ? 'stroke-slate-400'
+                    : edge.kind === 'requires'
+                    ? 'stroke-amber-400'
+                    : 'stroke-red-400'
+                } ${edgeFocused(edge) ? 'opacity-80' : 'opacity-10'}`}
+              />
+            ))}
+            <line
+              x1={DEPENDENCY_GRAPH_LAYOUT.padding}
+              x2={layout.width - DEPENDENCY_GRAPH_LAYOUT.padding}
+              y1={layout.isolatedTop}
+              y2={layout.isolatedTop}
+              className="stroke-slate-700"
+              strokeDasharray="4 4"
+            />
+            <text x={DEPENDENCY_GRAPH_LAYOUT.padding} y={layout.isolatedTop + 14} className="fill-slate-500 text-[11px]">
+              No recorded dependencies
+            </text>
+          </svg>
+
+          {layout.nodes.map((node) => {
+            const ext = extensionById.get(node.id);
+            const selected = node.id === selectedId;
+            return (
+              <button
+                key={node.id}
+                id={`graph-${node.id}`}
+                type="button"
+                onClick={() => {
+                  if (suppressClickRef.current) {
+                    suppressClickRef.current = false;
+                    return;
+                  }
+                  onSelect(node.id);
+                }}
+                className={`absolute px-1 rounded border text-[11px] font-bold truncate transition-opacity ${
+                  EXTENSION_GROUP_COLORS[node.group] || 'bg-slate-900/60 border-slate-700 text-slate-500'
+                } ${selected ? 'ring-2 ring-yellow-400' : ''} ${isFocused(node.id) ? '' : 'opacity-25'}`}
+                style={{ left: node.x, top: node.y, width: nodeWidth, height: nodeHeight }}
+                title={ext ? `${ext.name}: ${ext.desc}` : node.id}
+              >
+                {ext?.name ?? node.id}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
 
-      if (matchParsed != null && maskParsed != null) {
-        const matchNorm = matchParsed & BIT_MASK_32;
-        const maskNorm = maskParsed & BIT_MASK_32;
-        if ((matchNorm & ~maskNorm) !== 0n) {
-          errors.push('Match contains bits outside Mask (match & ~mask must be 0).');
-        }
+// Format picker with Copy and Download buttons for a report.
+const ReportExportControls = ({ format, onFormatChange, onCopy, onDownload, disabled, copyStatus }) => (
+  <div className="flex items-center gap-2">
+    <select
+      value={format}
+      onChange={(e) => onFormatChange(e.target.value)}
+      className="px-2 py-2 rounded bg-slate-800 border border-slate-600 text-xs text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+      title="Report format"
+    >
+      {Object.entries(VALIDATOR_EXPORT_FORMATS).map(([key, { label }]) => (
+        <option key={key} value={key}>
+          {label}
+        </option>
+      ))}
+    </select>
+    <button
+      type="button"
+      disabled={disabled}
+      onClick={onCopy}
+      className="inline-flex items-center gap-2 px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500 disabled:opacity-30"
+      title="Copy the report in the selected format"
+    >
+      <Copy size={14} />
+      {copyStatus === 'copied' ? 'Copied' : copyStatus === 'failed' ? 'Copy failed' : 'Copy report'}
+    </button>
+    <button
+      type="button"
+      disabled={disabled}
+      onClick={onDownload}
+      className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500 disabled:opacity-30"
+      title="Download the report in the selected format"
+    >
+      <Download size={14} />
+    </button>
+  </div>
+);
 
-        if (!hasEncoding) {
-          proposedMatch = matchNorm;
-          proposedMask = maskNorm;
-          normalizedEncoding = matchMaskToEncoding(matchNorm, maskNorm);
-        } else if (proposedMatch != null && proposedMask != null) {
-          const derivedMatchNorm = proposedMatch & BIT_MASK_32;
-          const derivedMaskNorm = proposedMask & BIT_MASK_32;
-          if (derivedMatchNorm !== matchNorm || derivedMaskNorm !== maskNorm) {
-            errors.push('Encoding does not match the provided Match/Mask.');
-          }
-        }
-      }
-    }
+const RISCVExplorer = () => {
+  const [activeProfile, setActiveProfile] = useState(null);
+  // Which mode sets of the active profile count: 'all', 'U' or 'S'.
+  const [activeProfileMode, setActiveProfileMode] = useState('all');
+  // Profile compare mode: null, or the two profiles being compared ({ from, to }).
+  const [profileCompare, setProfileCompare] = useState(null);
+  const [customTargets, setCustomTargets] = useState(loadCustomTargets);
+  // While true, clicking a tile adds it to or removes it from the active custom target.
+  const [targetEditMode, setTargetEditMode] = useState(false);
+  const [targetNameDraft, setTargetNameDraft] = useState('');
+  const [customTargetMessage, setCustomTargetMessage] = useState(null);
+  const [isaStringInput, setIsaStringInput] = useState('');
+  const [isaStringResult, setIsaStringResult] = useState(null);
+  // Tiles picked with Shift/Ctrl-click; when non-empty they are the source of the ISA string generator.
+  const [multiSelectedIds, setMultiSelectedIds] = useState([]);
+  const [isaGeneratorOpen, setIsaGeneratorOpen] = useState(false);
+  const [isaGeneratorCopyStatus, setIsaGeneratorCopyStatus] = useState(null);
+  // What the main area shows: the extension tiles ('tiles') or the dependency graph ('graph').
+  const [landscapeView, setLandscapeView] = useState('tiles');
+  const [configCheckOpen, setConfigCheckOpen] = useState(false);
+  const [activeVolume, setActiveVolume] = useState(null);
+  const [selectedExt, setSelectedExt] = useState(null);
+  const [selectedInstruction, setSelectedInstruction] = useState(null);
+  const [copyStatus, setCopyStatus] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchMatches, setSearchMatches] = useState(null);
+  const [encoderValidatorOpen, setEncoderValidatorOpen] = useState(false);
+  const [encoderValidatorInput, setEncoderValidatorInput] = useState({
+    mnemonic: '',
+    encoding: '',
+    match: '',
+    mask: '',
+  });
+  const [encoderValidatorScope, setEncoderValidatorScope] = useState({ mode: 'all', profile: 'RVA23', customIds: '' });
+  const [encoderValidatorResult, setEncoderValidatorResult] = useState(null);
+  const [encoderValidatorCopyStatus, setEncoderValidatorCopyStatus] = useState(null);
+  const [encoderValidatorExportFormat, setEncoderValidatorExportFormat] = useState('text');
+  const [encoderValidatorMode, setEncoderValidatorMode] = useState('single');
+  const [encoderOpcodesLine, setEncoderOpcodesLine] = useState('');
+  const [encoderBatchInput, setEncoderBatchInput] = useState('');
+  const [encoderBatchResult, setEncoderBatchResult] = useState(null);
+  const [decoderOpen, setDecoderOpen] = useState(false);
+  const [decoderInput, setDecoderInput] = useState('');
+  const [decoderResult, setDecoderResult] = useState(null);
+  const [decoderMode, setDecoderMode] = useState('word');
+  const [decoderDumpInput, setDecoderDumpInput] = useState('');
+  const [decoderDumpResult, setDecoderDumpResult] = useState(null);
+  const [decoderCopyStatus, setDecoderCopyStatus] = useState(null);
+  const [assemblerOpen, setAssemblerOpen] = useState(false);
+  const [assemblerInput, setAssemblerInput] = useState({ mnemonic: '', variant: '', operands: {} });
+  const [assemblerResult, setAssemblerResult] = useState(null);
+  const [assemblerCopyStatus, setAssemblerCopyStatus] = useState(null);
+  const [opcodeFinderOpen, setOpcodeFinderOpen] = useState(false);
+  const [opcodeFinderInput, setOpcodeFinderInput] = useState({
+    scope: { mode: 'all', profile: 'RVA23', customIds: '' },
+    opcode: 0b0001011,
+    format: 'R',
+  });
+  const [opcodeFinderResult, setOpcodeFinderResult] = useState(null);
+  const [opcodeMapOpen, setOpcodeMapOpen] = useState(false);
+  const [opcodeMapFilter, setOpcodeMapFilter] = useState(null);
+  const [auditOpen, setAuditOpen] = useState(false);
+  const [catalogAudit, setCatalogAudit] = useState(null);
+  const [auditCopyStatus, setAuditCopyStatus] = useState(null);
+  const lastScrolledKeyRef = React.useRef(null);
 
-    if (proposedMatch == null || proposedMask == null) {
-      setEncoderValidatorResult({ errors, proposed: null, conflicts: [] });
-      return;
-    }
+  // ---------------------------------------------------------------------------
+  // Extension Catalog – loaded from `src/riscv_extensions.json`
+  // ---------------------------------------------------------------------------
+  /*
+  const extensions = {
+    base: [
+      { id: 'RV32I', name: 'RV32I', desc: 'Standard Integer Base (32-bit)', use: 'Microcontrollers, IoT' },
+      { id: 'RV64I', name: 'RV64I', desc: 'Standard Integer Base (64-bit)', use: 'Servers, Mobile, PC' },
+      { id: 'RV32E', name: 'RV32E', desc: 'Embedded Base (16 regs)', use: 'Tiny cores (Reduced silicon)' },
+      { id: 'RV64E', name: 'RV64E', desc: 'Embedded Base (64-bit, 16 regs)', use: 'Efficient 64-bit controllers' },
+      { id: 'RV128I', name: 'RV128I', desc: '128-bit Address Space', use: 'Experimental/Research' },
+    ],
 
-    const matchNorm = (proposedMatch ?? 0n) & BIT_MASK_32;
-    const maskNorm = (proposedMask ?? 0n) & BIT_MASK_32;
+    // Single-letter + top-level “ISA environment” markers
+    standard: [
+      { id: 'A', name: 'A', desc: 'Atomics', use: 'LR/SC & AMO ops in hardware', discontinued: 0 },
+      { id: 'B', name: 'B', desc: 'Bit-Manip Bundle', use: 'Aggregates Zba/Zbb/Zbc/Zbs', discontinued: 0 },
+      { id: 'C', name: 'C', desc: 'Compressed', use: '16-bit instruction encodings', discontinued: 0 },
+      { id: 'D', name: 'D', desc: 'Double-Precision Float (64-bit)', use: 'General-purpose FP, HPC', discontinued: 0 },
+      { id: 'F', name: 'F', desc: 'Single-Precision Float (32-bit)', use: 'Basic floating-point workloads', discontinued: 0 },
+      { id: 'H', name: 'H', desc: 'Hypervisor', use: 'Virtualization / VMs', discontinued: 0 },
+      { id: 'K', name: 'K', desc: 'Crypto Umbrella (Scalar + Vector)', use: 'Top-level tag signaling bundled Zk* /Zvk* NIST & ShangMi crypto support', discontinued: 0 },
+      { id: 'M', name: 'M', desc: 'Integer Multiply/Divide', use: 'Hardware multiplication and division', discontinued: 0 },
+      { id: 'N', name: 'N', desc: 'User-Level Interrupts', use: 'User-mode interrupt handling', discontinued: 1 },
+      { id: 'P', name: 'P', desc: 'Packed-SIMD', use: 'Packed SIMD / DSP-style operations', discontinued: 0 },
+      { id: 'Q', name: 'Q', desc: 'Quad-Precision Float (128-bit)', use: 'High-precision scientific math', discontinued: 0 },
+      { id: 'S', name: 'S', desc: 'Supervisor ISA', use: 'Supervisor privilege level (Volume II)', discontinued: 0 },
+      { id: 'U', name: 'U', desc: 'User ISA', use: 'User privilege level (Volume II)', discontinued: 0 },
+      { id: 'V', name: 'V', desc: 'Vector (RVV)', use: 'Full RVV 1.0 vector ISA', discontinued: 0 },
+    ],
 
-    const proposed = {
-      mnemonic: proposedMnemonic,
-      encoding: normalizeEncodingString(normalizedEncoding) || matchMaskToEncoding(matchNorm, maskNorm),
-      match: toHex32(matchNorm),
-      mask: toHex32(maskNorm),
-      matchValue: matchNorm,
-      maskValue: maskNorm,
-    };
+    // Zb* scalar bit-manip
+    z_bit: [
+      { id: 'Zba', name: 'Zba', desc: 'Address-Generation Bitmanip', use: 'Shift/add address generation' },
+      { id: 'Zbb', name: 'Zbb', desc: 'Basic Bitmanip', use: 'CLZ/CTZ, popcnt, min/max, etc.' },
+      { id: 'Zbc', name: 'Zbc', desc: 'Carry-less Multiply', use: 'CRC, Galois-field crypto' },
+      { id: 'Zbs', name: 'Zbs', desc: 'Single-Bit Ops', use: 'Set/clear/invert bit in word' },
+    ],
 
-    const conflicts = [];
-    for (const other of allInstructionPatterns) {
-      const overlaps = patternsOverlap(matchNorm, maskNorm, other.match, other.mask);
-      if (!overlaps) continue;
-
-      const commonMask = (maskNorm & other.mask) & BIT_MASK_32;
-      const type =
-        matchNorm === other.match && maskNorm === other.mask
-          ? 'identical'
-          : isSubsetPattern(matchNorm, maskNorm, other.match, other.mask)
-            ? 'proposed_subset_of_existing'
-            : isSubsetPattern(other.match, other.mask, matchNorm, maskNorm)
-              ? 'existing_subset_of_proposed'
-              : 'partial_overlap';
-
-      let why = 'Overlapping decode space (there exist instruction words that satisfy both patterns).';
-      if (type === 'identical') {
-        why = 'Exact same match/mask pattern.';
-      } else if (type === 'proposed_subset_of_existing') {
-        why =
-          'Your proposed pattern is more specific, but every word it matches also matches the existing instruction.';
-      } else if (type === 'existing_subset_of_proposed') {
-        why =
-          'Your proposed pattern is more general, and it would also match words intended for the existing instruction.';
-      }
+    // Zc* compressed
+    z_compress: [
+      { id: 'Zca', name: 'Zca', desc: 'Base Compressed (no FP)', use: 'Compressed base integer ops' },
+      { id: 'Zcb', name: 'Zcb', desc: 'Extra Compressed Integer', use: 'More 16-bit ALU/control ops' },
+      { id: 'Zcd', name: 'Zcd', desc: 'Compressed Double Float', use: '16-bit encodings for 64-bit FP' },
+      { id: 'Zce', name: 'Zce', desc: 'Embedded Compressed', use: 'RV32E/RV64E-focused compressed subset' },
+      { id: 'Zcf', name: 'Zcf', desc: 'Compressed Float Load/Store', use: '16-bit encodings for FP LD/ST' },
+      { id: 'Zcmp', name: 'Zcmp', desc: 'Push/Pop & Reg Save/Restore', use: 'Stack push/pop, frame save' },
+      { id: 'Zcmt', name: 'Zcmt', desc: 'Compressed Table Jumps', use: 'Switch/jumptable compression' },
+      { id: 'Zcmop', name: 'Zcmop', desc: 'Compressed May-Be-Ops', use: 'Reserved 16-bit NOP/future ops' },
+      { id: 'Zclsd', name: 'Zclsd', desc: 'Compressed LS-Pair', use: 'Compressed load/store pairs' },
+      { id: 'Zcmlsd', name: 'Zcmlsd', desc: 'Compressed Mem-Loop', use: 'Compact memcpy/memset-style sequences' },
+    ],
 
-      const exampleWord = overlapExampleWord(matchNorm, maskNorm, other.match, other.mask);
-      conflicts.push({
-        other,
-        type,
-        why,
-        commonMask: toHex32(commonMask),
-        exampleWord: toHex32(exampleWord),
-      });
-    }
+    // Zf* /Za* floating-point & atomics family
+    z_float: [
+      { id: 'Zfh', name: 'Zfh', desc: 'Half-Precision FP (16-bit)', use: 'Low-precision FP (AI/graphics)' },
+      { id: 'Zfhmin', name: 'Zfhmin', desc: 'Minimal Half-Precision FP', use: 'Conversions, no arithmetic' },
+      { id: 'Zfbfmin', name: 'Zfbfmin', desc: 'Minimal BF16 FP', use: 'BFloat16 conversions and storage' },
+      { id: 'Zfa', name: 'Zfa', desc: 'Additional FP Instructions', use: 'Fused ops, sign inject, etc.' },
+      { id: 'Zfinx', name: 'Zfinx', desc: 'FP in Integer Regs (F)', use: 'Single-precision FP in x-regs' },
+      { id: 'Zdinx', name: 'Zdinx', desc: 'FP in Integer Regs (D)', use: 'Double-precision FP in x-regs' },
+      { id: 'Zhinx', name: 'Zhinx', desc: 'FP in Integer Regs (Half)', use: 'Half-precision FP in x-regs' },
+      { id: 'Zhinxmin', name: 'Zhinxmin', desc: 'Minimal Half-in-Int', use: 'Minimal half-precision in x-regs' },
+      { id: 'Zacas', name: 'Zacas', desc: 'Atomic Compare-and-Swap', use: 'Lock-free algorithms (CAS)' },
+      { id: 'Zawrs', name: 'Zawrs', desc: 'Wait-on-Reservation-Set', use: 'Low-power waiting on LR/SC reservations' },
+    ],
 
-    conflicts.sort((a, b) => {
-      const order = {
-        identical: 0,
-        proposed_subset_of_existing: 1,
-        existing_subset_of_proposed: 2,
-        partial_overlap: 3,
-      };
-      return (order[a.type] ?? 99) - (order[b.type] ?? 99);
-    });
+    // Vector subsets & capabilities (non-crypto)
+    z_vector: [
+      // Embedded vector base subsets
+      { id: 'Zve', name: 'Zve', desc: 'Embedded Vector Base', use: 'Baseline V subset for MCUs' },
+      { id: 'Zve32x', name: 'Zve32x', desc: 'Vec Int (32-bit, embedded)', use: 'Int-only embedded vectors' },
+      { id: 'Zve32f', name: 'Zve32f', desc: 'Vec FP32 (embedded)', use: 'Embedded FP32 vector compute' },
+      { id: 'Zve64x', name: 'Zve64x', desc: 'Vec Int (64-bit, embedded)', use: '64-bit int embedded vectors' },
+      { id: 'Zve64f', name: 'Zve64f', desc: 'Vec FP32+Int (64-bit, embedded)', use: 'FP32 + 64-bit int vectors' },
+      { id: 'Zve64d', name: 'Zve64d', desc: 'Vec FP64+FP32+Int', use: 'Full FP64 embedded vectors' },
 
-    setEncoderValidatorResult({ errors, proposed, conflicts });
-  }, [allInstructionPatterns, encoderValidatorInput]);
+      // Aliases and VLEN capabilities
+      { id: 'Zv', name: 'Zv', desc: 'Vector Alias for V', use: 'ISA alias for full RVV' },
+      { id: 'Zvl32b', name: 'Zvl32b', desc: 'Min VLEN ≥ 32b', use: 'Vector length capability' },
+      { id: 'Zvl64b', name: 'Zvl64b', desc: 'Min VLEN ≥ 64b', use: 'Vector length capability' },
+      { id: 'Zvl128b', name: 'Zvl128b', desc: 'Min VLEN ≥ 128b', use: 'Vector length capability' },
+      { id: 'Zvl256b', name: 'Zvl256b', desc: 'Min VLEN ≥ 256b', use: 'Vector length capability' },
+      { id: 'Zvl512b', name: 'Zvl512b', desc: 'Min VLEN ≥ 512b', use: 'Vector length capability' },
+      { id: 'Zvl1024b', name: 'Zvl1024b', desc: 'Min VLEN ≥ 1024b', use: 'Vector length capability' },
 
-  const isHighlightedByProfile = (id) => {
-    if (!activeProfile) return false;
-    return profiles[activeProfile].includes(id);
-  };
+      // Vector FP numerics
+      { id: 'Zvf', name: 'Zvf', desc: 'Vector FP minimal', use: 'Minimal scalar-like vector FP' },
+      { id: 'Zvfh', name: 'Zvfh', desc: 'Vector Half-Precision FP', use: '16-bit FP vector arithmetic' },
+      { id: 'Zvfhmin', name: 'Zvfhmin', desc: 'Vector Half-Precision Minimal', use: 'Conv/storage, minimal Zvfh' },
+      { id: 'Zvfbfmin', name: 'Zvfbfmin', desc: 'Vector BF16 Minimal', use: 'BF16 conversions in vectors' },
+      { id: 'Zvfbfa', name: 'Zvfbfa', desc: 'Vector BF16 Arithmetic', use: 'BF16 arithmetic in vectors' },
+      { id: 'Zvfbfwma', name: 'Zvfbfwma', desc: 'Vector BF16 Widening MAC', use: 'BF16 GEMM-style MAC' },
+      { id: 'Zvfofp8min', name: 'Zvfofp8min', desc: 'Vector FP8 Minimal', use: 'Minimal FP8 vector support' },
 
-  const isHighlightedByVolume = (id) => {
-    if (!activeVolume) return false;
-    return volumeMembership[activeVolume]?.has(id) ?? false;
-  };
+      // Non-crypto vector arithmetic helpers
+      { id: 'Zvabd', name: 'Zvabd', desc: 'Vector Abs-Diff', use: 'Absolute-difference operations' },
+      { id: 'Zvbb', name: 'Zvbb', desc: 'Vector Bitmanip Base', use: 'Vectorized scalar Zbb ops' },
+      { id: 'Zvbc', name: 'Zvbc', desc: 'Vector Carryless Multiply', use: 'Vector CRC / GF ops' },
+      { id: 'Zvbc32e', name: 'Zvbc32e', desc: 'Vector CLMUL (32E)', use: 'Carryless multiply for embedded vectors' },
+      { id: 'Zvbdota', name: 'Zvbdota', desc: 'Vector BF16 Dot-Acc', use: 'BF16 dot-product accumulate' },
+      { id: 'Zvdota', name: 'Zvdota', desc: 'Vector Dot-Acc', use: 'Generic FP dot-product accumulate' },
+      { id: 'Zvdot4a', name: 'Zvdot4a', desc: 'Vector 4-way Dot-Acc', use: '4-way dot-product accumulate' },
 
-  const extensionSearchIndexById = React.useMemo(() => {
-    const index = new Map();
-    const allExts = Object.values(extensions).flat().filter(Boolean);
+      { id: 'Zvw', name: 'Zvw', desc: 'Vector Wide Groups', use: 'Wider element/vector width options' },
+    ],
 
-    for (const ext of allExts) {
-      const parts = [];
+    // Control-flow integrity, hints & “maybe ops”
+    z_security: [
+      { id: 'Zicfilp', name: 'Zicfilp', desc: 'CFI Landing Pads', use: 'Forward-edge CFI for calls' },
+      { id: 'Zicfiss', name: 'Zicfiss', desc: 'CFI Shadow Stacks', use: 'Backward-edge CFI (returns)' },
+      { id: 'Zicond', name: 'Zicond', desc: 'Integer Conditional Ops', use: 'Branchless selects / cmov' },
+      { id: 'Ziccrse', name: 'Ziccrse', desc: 'LR/SC Forward Progress', use: 'Guarantees LR/SC forward progress' },
+      { id: 'Zimop', name: 'Zimop', desc: 'May-Be-Ops (NOP family)', use: 'Reserved NOP encodings for future' },
+    ],
 
-      for (const field of [ext.id, ext.name, ext.desc, ext.use]) {
-        if (field) parts.push(String(field));
-      }
+    // Scalar & vector crypto
+    z_crypto: [
+      // Scalar crypto umbrella + splits
+      { id: 'Zk', name: 'Zk', desc: 'Scalar Crypto Base', use: 'Top-level scalar crypto bundle' },
+      { id: 'Zkn', name: 'Zkn', desc: 'NIST Suite (Scalar)', use: 'AES/SHA NIST suite' },
+      { id: 'Zknd', name: 'Zknd', desc: 'NIST AES Decrypt', use: 'AES decryption instructions' },
+      { id: 'Zkne', name: 'Zkne', desc: 'NIST AES Encrypt', use: 'AES encryption instructions' },
+      { id: 'Zknh', name: 'Zknh', desc: 'NIST Hash', use: 'SHA-2 hash instructions' },
+      { id: 'Zkr', name: 'Zkr', desc: 'Entropy Source', use: 'True random source interface' },
 
-      const mnemonicList = extensionInstructions[ext.id];
-      if (Array.isArray(mnemonicList) && mnemonicList.length) {
-        parts.push(mnemonicList.join(' '));
-      }
-      const csrList = extensionCsrs[ext.id];
-      if (Array.isArray(csrList) && csrList.length) {
-        parts.push(csrList.join(' '));
-      }
+      { id: 'Zks', name: 'Zks', desc: 'ShangMi Suite (Scalar)', use: 'Chinese SMx crypto bundle' },
+      { id: 'Zksed', name: 'Zksed', desc: 'SM4 Block Cipher', use: 'SM4 encrypt/decrypt' },
+      { id: 'Zksh', name: 'Zksh', desc: 'SM3 Hash', use: 'SM3 hash operations' },
 
-      const instructions = ext.instructions;
-      if (instructions && typeof instructions === 'object') {
-        for (const [mnemonic, details] of Object.entries(instructions)) {
-          parts.push(mnemonic);
+      { id: 'Zkt', name: 'Zkt', desc: 'Timing-Safe Crypto', use: 'Data-independent latency constraints' },
 
-          if (!details || typeof details !== 'object') {
-            if (details != null) parts.push(String(details));
-            continue;
-          }
+      // Scalar crypto bitmanip
+      { id: 'Zbkb', name: 'Zbkb', desc: 'Crypto Bitmanip (byte)', use: 'Byte-wise crypto bit ops' },
+      { id: 'Zbkc', name: 'Zbkc', desc: 'Crypto Bitmanip (carryless)', use: 'Carryless ops for crypto' },
+      { id: 'Zbkx', name: 'Zbkx', desc: 'Crypto Bitmanip (crossbar)', use: 'Bit/byte crossbar operations' },
 
-          if (details.encoding) parts.push(String(details.encoding));
-          if (details.match) parts.push(String(details.match));
-          if (details.mask) parts.push(String(details.mask));
+      // Vector crypto umbrella
+      { id: 'Zvk', name: 'Zvk', desc: 'Vector Crypto (umbrella)', use: 'Top-level vector crypto suite' },
 
-          if (Array.isArray(details.variable_fields)) {
-            parts.push(details.variable_fields.join(' '));
-          }
-          if (Array.isArray(details.extension)) {
-            parts.push(details.extension.join(' '));
-          }
-        }
-      }
+      // Vector crypto subsets
+      { id: 'Zvkb', name: 'Zvkb', desc: 'Vector Crypto Bitmanip', use: 'Vector crypto bit ops' },
+      { id: 'Zvkg', name: 'Zvkg', desc: 'Vector GCM/GMAC', use: 'AES-GCM/GMAC acceleration' },
+      { id: 'Zvkgs', name: 'Zvkgs', desc: 'Vector GCM Shim', use: 'Profile-specific GCM subset' },
+      { id: 'Zvkn', name: 'Zvkn', desc: 'Vector NIST Suite', use: 'Vector AES/SHA suite' },
+      { id: 'Zvknc', name: 'Zvknc', desc: 'Vector NIST + CLMUL', use: 'NIST crypto with carryless multiply' },
+      { id: 'Zvkned', name: 'Zvkned', desc: 'Vector AES', use: 'Vector AES-ECB/CTR/GCM cores' },
+      { id: 'Zvknf', name: 'Zvknf', desc: 'Vector AES Finite-field', use: 'Vector AES finite-field helpers' },
+      { id: 'Zvkng', name: 'Zvkng', desc: 'Vector NIST + GCM', use: 'NIST suite + GCM vector bundle' },
+      { id: 'Zvknha', name: 'Zvknha', desc: 'Vector SHA-2 (subset)', use: 'Vector SHA-256 subset' },
+      { id: 'Zvknhb', name: 'Zvknhb', desc: 'Vector SHA-2 (full)', use: 'Vector SHA-256/512' },
+      { id: 'Zvks', name: 'Zvks', desc: 'Vector ShangMi Suite', use: 'Vector SMx algorithms' },
+      { id: 'Zvksc', name: 'Zvksc', desc: 'Vector ShangMi + CLMUL', use: 'SMx with carryless multiply' },
+      { id: 'Zvksed', name: 'Zvksed', desc: 'Vector SM4', use: 'Vector SM4 cipher' },
+      { id: 'Zvksg', name: 'Zvksg', desc: 'Vector ShangMi + GCM', use: 'ShangMi + GCM vectors' },
+      { id: 'Zvksh', name: 'Zvksh', desc: 'Vector SM3 Hash', use: 'Vector SM3' },
+      { id: 'Zvkt', name: 'Zvkt', desc: 'Vector Timing-Safe Crypto', use: 'Vector data-independent latency' },
+    ],
 
-      index.set(ext.id, parts.join(' ').toLowerCase());
-    }
+    // System / caches / atomics / load-store utilities
+    z_system: [
+      { id: 'Zicsr', name: 'Zicsr', desc: 'CSR Access', use: 'Explicit CSR read/write' },
+      { id: 'Zifencei', name: 'Zifencei', desc: 'Instruction-Fetch Fence', use: 'Sync I-cache with writes' },
 
-    return index;
-  }, []);
+      { id: 'Zicntr', name: 'Zicntr', desc: 'Base Counters/Timers', use: 'cycle/instret + timers' },
+      { id: 'Zihpm', name: 'Zihpm', desc: 'Perf Counters', use: 'Hardware performance monitors' },
 
-  const isHighlighted = (id) => {
-    return isHighlightedByProfile(id) || isHighlightedByVolume(id);
-  };
+      { id: 'Zihintpause', name: 'Zihintpause', desc: 'Pause Hint', use: 'Power-friendly spin-wait' },
+      { id: 'Zihintntl', name: 'Zihintntl', desc: 'Non-Temporal Locality Hints', use: 'NT load/store hints' },
 
-  const isDimmed = (id) => {
-    if (activeVolume) return false;
-    if (!activeProfile) return false;
-    return !profiles[activeProfile].includes(id);
-  };
+      { id: 'Zicbom', name: 'Zicbom', desc: 'Cache Management Operations', use: 'Invalidate/clean/flush blocks' },
+      { id: 'Zicbop', name: 'Zicbop', desc: 'Cache Prefetch', use: 'Prefetch cache blocks' },
+      { id: 'Zicboz', name: 'Zicboz', desc: 'Cache Block Zero', use: 'Fast memset-to-zero' },
 
-  const ExtensionBlock = ({ data, colorClass, searchQuery }) => {
-    const q = searchQuery.trim().toLowerCase();
-    const searchIndex = extensionSearchIndexById.get(data.id) || '';
-    const matchesSearch = q.length ? searchIndex.includes(q) : false;
+      { id: 'Zmmul', name: 'Zmmul', desc: 'Multiply-Only (no DIV)', use: 'Cheaper M subset (mul only)' },
 
-    const isDiscontinued = data.discontinued === 1;
+      { id: 'Zaamo', name: 'Zaamo', desc: 'Atomic Memory Operations', use: 'Defines atomic granularity' },
+      { id: 'Zabha', name: 'Zabha', desc: 'Byte/Halfword AMO', use: 'Subword AMO support' },
 
-    const isSelected = selectedExt?.id === data.id;
-    const highlighted = isHighlighted(data.id) || matchesSearch || isSelected;
-    const baseColor = isDiscontinued
-      ? 'bg-slate-700 border-slate-500 text-slate-200'
-      : colorClass;
+      { id: 'Zalrsc', name: 'Zalrsc', desc: 'LR/SC Extension', use: 'Extended LR/SC semantics' },
+      { id: 'Zalasr', name: 'Zalasr', desc: 'LR/SC Alias Rules', use: 'Alias rules for LR/SC sequences' },
 
-	    return (
-	      <div
-	        id={`ext-${data.id}`}
-	        onClick={() =>
-	          setSelectedExt((current) => {
-	            const next = current?.id === data.id ? null : data;
-	            setSelectedInstruction(null);
-	            setSearchMatches(null);
-	            return next;
-	          })
-	        }
-	        className={`
-	          relative p-2 rounded border cursor-pointer transition-all duration-200
-	          ${
-            highlighted
-              ? 'ring-2 ring-yellow-400 bg-slate-800 scale-105 shadow-lg shadow-yellow-900/20'
-              : ''
-          }
-          ${
-            isDimmed(data.id) && !matchesSearch && !isSelected
-              ? 'opacity-20 grayscale'
-              : `${baseColor} hover:brightness-110`
-          }
-          ${isSelected ? 'z-20 shadow-xl shadow-yellow-900/40' : 'z-10'}
-	        `}
-	      >
-	        {isDiscontinued && (
-	          <span className="absolute top-1 right-1 px-1.5 py-0.5 rounded border border-red-600/60 bg-red-950/40 text-[8px] font-mono uppercase tracking-tight text-red-200">
-	            Discontinued
-	          </span>
-	        )}
-	        <div className="flex items-center justify-between mb-0.5">
-	          <span className="font-bold text-xs">{data.name}</span>
-	        </div>
-        <div className="text-[9px] leading-tight opacity-80 truncate">
-          {data.desc}
-        </div>
-      </div>
-    );
-  };
+      { id: 'Ztso', name: 'Ztso', desc: 'Total Store Ordering', use: 'x86-style TSO memory model' },
 
-  // Scroll to extension tile when search matches an extension ID or instruction mnemonic,
-  // and automatically open the Selected Details panel. Use a ref to avoid re-scrolling
-  // on every render while the query stays the same.
-	  React.useEffect(() => {
-	    const q = searchQuery.trim().toLowerCase();
+      { id: 'Zilsd', name: 'Zilsd', desc: 'Streaming LS (data)', use: 'Streaming loads/stores (data)' },
+      { id: 'Zilsp', name: 'Zilsp', desc: 'Streaming LS (prefetch)', use: 'Streaming prefetch hints' },
+      { id: 'Zilsme', name: 'Zilsme', desc: 'Streaming Stores (exclusive)', use: 'Streaming store hints' },
+      { id: 'Zilsmea', name: 'Zilsmea', desc: 'Streaming Stores (alloc)', use: 'Streaming store + allocate' },
+      { id: 'Zilsm*', name: 'Zilsm*', desc: 'Streaming Mem (pattern)', use: 'Wildcard for Zilsm<x>b family' },
+      { id: 'Zilsm<x>b', name: 'Zilsm<x>b', desc: 'Streaming Mem (x-byte)', use: 'Line-size specific streaming ops' },
 
-	    if (!q) {
-	      // Reset tracking when query is cleared
-	      lastScrolledKeyRef.current = null;
-	      setSearchMatches(null);
-	      return;
-	    }
+      { id: 'Zclsd', name: 'Zclsd', desc: 'Compressed LS Pair', use: 'Compressed LS pairs (RV32)' },
 
-	    const allExts = Object.values(extensions).flat();
-	    let matchedMnemonic = null;
-	    let matchedDetails = null;
+      // PMA / cache-block / reservation set / misc
+      { id: 'Za64rs', name: 'Za64rs', desc: '64B Reservation Set', use: 'Reservation set granularity (64-byte)' },
+      { id: 'Za128rs', name: 'Za128rs', desc: '128B Reservation Set', use: 'Reservation set granularity (128-byte)' },
+      { id: 'Zic64b', name: 'Zic64b', desc: '64B Cache Blocks', use: 'Requires 64B naturally aligned cache lines' },
+      { id: 'Ziccif', name: 'Ziccif', desc: 'Inst-Fetch Atomicity', use: 'Atomic I-fetch in cacheable+coherent regions' },
+      { id: 'Ziccrse', name: 'Ziccrse', desc: 'RsrvEventual', use: 'Reservation-set eventuality guarantees' },
+      { id: 'Ziccamoa', name: 'Ziccamoa', desc: 'Atomics PMA', use: 'PMA guarantees for A-extension atomics' },
+      { id: 'Zicclsm', name: 'Zicclsm', desc: 'Misaligned L/S Support', use: 'Misaligned loads/stores in cacheable+coherent regions' },
+      { id: 'Ziccamoc', name: 'Ziccamoc', desc: 'CAS PMA', use: 'PMA guarantees for CAS-style atomics' },
 
-	    // First, try an exact extension ID match
-	    let targetExt = allExts.find((ext) => ext.id.toLowerCase() === q);
+      { id: 'Zibi', name: 'Zibi', desc: 'Interruptible Mem Ops', use: 'Interruptible load/store semantics' },
+      { id: 'Zicntrpmf', name: 'Zicntrpmf', desc: 'Counter Filtering', use: 'Mode-based filtering for counters' },
+      { id: 'Zimt', name: 'Zimt', desc: 'Time Instructions', use: 'Extended time/TIMECMP instructions' },
+      { id: 'Zitagelide', name: 'Zitagelide', desc: 'Tag & ELIDE', use: 'Tagged-memory / elide behaviors' },
+      { id: 'Zjid', name: 'Zjid', desc: 'ICache Coherence Alt', use: 'Alternative to Zifencei for I-cache coherence' },
+      { id: 'Zjpm', name: 'Zjpm', desc: 'Pointer-Mask Qualifier', use: 'Auxiliary pointer-masking semantics' },
+      { id: 'Zccid', name: 'Zccid', desc: 'Cache-Block ID', use: 'Cache block identity / debugging' },
+      { id: 'Zama16b', name: 'Zama16b', desc: '16B Misaligned Atomicity', use: 'Misaligned atomicity granule (16 bytes)' },
+    ],
 
-	    // If no exact extension ID match, try to match an instruction mnemonic
-	    if (!targetExt) {
-	      const matchEntry = Object.entries(extensionInstructions).find(([, mnemonics]) =>
-	        mnemonics.some((m) => m.toLowerCase() === q)
-	      );
+    // S / Sv: memory & address-translation
+    s_mem: [
+      { id: 'Sv32', name: 'Sv32', desc: 'Virtual Memory, 32-bit', use: '2-level page tables (RV32 Linux)' },
+      { id: 'Sv39', name: 'Sv39', desc: 'Virtual Memory, 39-bit VA', use: '3-level page tables (RV64 Linux)' },
+      { id: 'Sv48', name: 'Sv48', desc: 'Virtual Memory, 48-bit VA', use: '4-level page tables' },
+      { id: 'Sv57', name: 'Sv57', desc: 'Virtual Memory, 57-bit VA', use: '5-level page tables' },
 
-	      if (matchEntry) {
-	        const [extId, mnemonics] = matchEntry;
-	        targetExt = allExts.find((ext) => ext.id === extId) || null;
-	        matchedMnemonic = mnemonics.find((m) => m.toLowerCase() === q) || null;
-	        matchedDetails = targetExt?.instructions?.[matchedMnemonic] || null;
-	      }
-	    }
+      { id: 'Svbare', name: 'Svbare', desc: 'Bare Mode', use: 'No address translation (satp bare)' },
 
-	    // If still no match, try a deep search against indexed extension+instruction details
-	    if (!targetExt) {
-	      targetExt =
-	        allExts.find((ext) => (extensionSearchIndexById.get(ext.id) || '').includes(q)) ||
-	        null;
-	    }
+      { id: 'Svpbmt', name: 'Svpbmt', desc: 'Page-Based Memory Types', use: 'Per-page memory types / cacheability' },
+      { id: 'Svnapot', name: 'Svnapot', desc: 'NAPOT Mappings', use: 'Hugepages via NAPOT PTEs' },
+      { id: 'Svinval', name: 'Svinval', desc: 'Fine-Grained TLB Invalidate', use: 'Fine-grain TLB shootdown instructions' },
+      { id: 'Svade', name: 'Svade', desc: 'Access/Dirty Exceptions', use: 'Page-fault on A/D bit issues' },
+      { id: 'Svadu', name: 'Svadu', desc: 'Access/Dirty Update', use: 'Hardware A/D-bit updates' },
+      { id: 'Svvptc', name: 'Svvptc', desc: 'Visible PTE Changes', use: 'Bounded-time PTE visibility guarantees' },
+      { id: 'Svrsw60t59b', name: 'Svrsw60t59b', desc: 'PTE RSW Bits', use: 'Standard RSW field behavior' },
 
-	    if (targetExt) {
-	      const hits = [];
-	      if (targetExt.instructions && typeof targetExt.instructions === 'object') {
-	        for (const [mnemonic, details] of Object.entries(targetExt.instructions)) {
-	          if (instructionMatchesQuery(mnemonic, details, q)) {
-	            hits.push(mnemonic);
-	          }
-	        }
-	      }
+      { id: 'Svatag', name: 'Svatag', desc: 'Tagged Translations', use: 'Address-tagged translation behavior' },
+      { id: 'Svukte', name: 'Svukte', desc: 'User-Keyed TLB Entries', use: 'Per-user TLB tagging' },
 
-	      if (matchedMnemonic && !hits.includes(matchedMnemonic)) hits.unshift(matchedMnemonic);
-	      if (!matchedMnemonic && hits.length) matchedMnemonic = hits[0];
-	      matchedDetails = matchedMnemonic ? targetExt?.instructions?.[matchedMnemonic] : null;
+      // Pointer masking (user/supervisor view)
+      { id: 'Supm', name: 'Supm', desc: 'User Pointer Masking', use: 'Mask user pointers' },
+      { id: 'Ssnpm', name: 'Ssnpm', desc: 'Supervisor Next-Pointer Mask', use: 'Mask next-mode pointers (S)' },
+      { id: 'Sspm', name: 'Sspm', desc: 'Supervisor Pointer Masking', use: 'Supervisor pointer-mask policy' },
+    ],
 
-	      // Always open/update the Selected Details panel for the matched extension
-	      setSelectedExt(targetExt);
-	      setSearchMatches(hits.length ? { extId: targetExt.id, query: q, mnemonics: hits, index: 0 } : null);
-	      setSelectedInstruction(matchedMnemonic && matchedDetails ? { mnemonic: matchedMnemonic, ...matchedDetails } : null);
+    // S / Sm / Ss: interrupts, counters, QoS, AIA, etc.
+    s_interrupt: [
+      { id: 'Smaia', name: 'Smaia', desc: 'AIA Machine Extension', use: 'Advanced interrupt arch (M)' },
+      { id: 'Ssaia', name: 'Ssaia', desc: 'AIA Supervisor Extension', use: 'Advanced interrupt arch (S)' },
 
-	      const key = `${targetExt.id}:${q}`;
+      { id: 'Smclic', name: 'Smclic', desc: 'Machine CLIC', use: 'Machine-level CLIC interrupt controller' },
+      { id: 'Smclicconfig', name: 'Smclicconfig', desc: 'Machine CLIC Config', use: 'MCLIC configuration CSRs' },
+      { id: 'Smclicshv', name: 'Smclicshv', desc: 'Machine CLIC SHV', use: 'Selective hardware vectored interrupts' },
 
-	      // Only auto-scroll once per unique (extension, query) pair
-	      if (lastScrolledKeyRef.current !== key) {
-        const el = document.getElementById(`ext-${targetExt.id}`);
-        if (el) {
-          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        }
-	        lastScrolledKeyRef.current = key;
-	      }
-	    }
-	  }, [searchQuery, extensionSearchIndexById]);
+      { id: 'Ssclic', name: 'Ssclic', desc: 'Supervisor CLIC', use: 'Supervisor-level CLIC interface' },
+      { id: 'Suclic', name: 'Suclic', desc: 'User CLIC', use: 'User-level CLIC interface' },
 
-  return (
-    <div className="min-h-screen bg-slate-900 text-slate-50 p-2 md:p-6 font-sans">
-	      <div className="max-w-[1600px] mx-auto grid grid-cols-1 lg:grid-cols-12 gap-6">
-	        {/* Header */}
-	        <div className="lg:col-span-12 flex flex-col md:flex-row justify-between items-start md:items-end border-b border-slate-700 pb-4 mb-2">
-	          <div>
-            <h1 className="text-2xl md:text-3xl font-black text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 via-amber-400 to-yellow-500">
-              RISC-V Extension Landscape
-            </h1>
-            <p className="text-slate-500 text-xs md:text-sm mt-1">
-              Interactive breakdown of RISC-V Extensions.
-            </p>
-          </div>
+      { id: 'Sstc', name: 'Sstc', desc: 'Supervisor Timer Compare', use: 'Per-hart timer interrupts' },
 
-	          <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mt-4 md:mt-0">
-	            <div className="flex items-center gap-2">
-	              <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
-	                Profiles
-	              </span>
-	              <div className="flex gap-2">
-	                {Object.keys(profiles).map((profile) => (
-	                  <button
-	                    key={profile}
-	                    onClick={() =>
-	                      setActiveProfile((current) => {
-	                        setSelectedExt(null);
-	                        setSelectedInstruction(null);
-	                        setSearchMatches(null);
-	                        return current === profile ? null : profile;
-	                      })
-	                    }
-	                    className={`
-	                      px-3 py-1 rounded text-xs font-bold border transition-all
-	                      ${
-		                        activeProfile === profile
-		                          ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
-		                          : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
-	                      }
-	                    `}
-	                  >
-	                    {profile}
-	                  </button>
-	                ))}
-	              </div>
-	            </div>
+      { id: 'Smcdeleg', name: 'Smcdeleg', desc: 'M-Mode Counter Delegation', use: 'Delegates HPM counters to S' },
+      { id: 'Smcntrpmf', name: 'Smcntrpmf', desc: 'M-Mode Counter Filtering', use: 'Filter counters by privilege' },
+      { id: 'Ssccfg', name: 'Ssccfg', desc: 'Counter Configuration (S)', use: 'S-mode control of delegated HPM' },
+      { id: 'Sscntrcfg', name: 'Sscntrcfg', desc: 'S-Mode Counter Config', use: 'Supervisor counter configuration' },
+      { id: 'Sscounterenw', name: 'Sscounterenw', desc: 'Writable scounteren', use: 'Writable enables for HPMs' },
+      { id: 'Sscofpmf', name: 'Sscofpmf', desc: 'Counter Overflow & Filtering', use: 'Overflow + filtering in S-mode' },
+      { id: 'Ssccptr', name: 'Ssccptr', desc: 'S Counter Pointer CSR', use: 'Supervisor counter pointer CSR' },
 
-	            <div className="hidden md:block h-7 w-px bg-slate-800" />
+      { id: 'Ssqosid', name: 'Ssqosid', desc: 'QoS Identifiers', use: 'Per-thread QoS tagging' },
+      { id: 'Sshpmcfg', name: 'Sshpmcfg', desc: 'S-Mode HPM Config', use: 'Supervisor HPM configuration' },
 
-		            <div className="flex items-center gap-2">
-		              <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
-		                Volumes
-		              </span>
-	              <div className="flex gap-2">
-	                {['I', 'II'].map((vol) => (
-	                  <button
-	                    key={vol}
-	                    onClick={() =>
-	                      setActiveVolume((current) => {
-	                        setSelectedExt(null);
-	                        setSelectedInstruction(null);
-	                        setSearchMatches(null);
-	                        return current === vol ? null : vol;
-	                      })
-	                    }
-	                    className={`
-	                      px-3 py-1 rounded text-xs font-bold border transition-all
-	                      ${
-		                        activeVolume === vol
-		                          ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
-		                          : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
-	                      }
-	                    `}
-	                  >
-	                    Vol {vol}
-	                  </button>
-	                ))}
-		              </div>
+      { id: 'Smrnmi', name: 'Smrnmi', desc: 'Resumable NMI', use: 'Restartable non-maskable interrupts' },
+    ],
+
+    // Traps, debug, state enable, PMP, CSR indirection, profile tags, hypervisor aux
+    s_trap: [
+      // Debug
+      { id: 'Sdext', name: 'Sdext', desc: 'External Debug', use: 'External debug architecture' },
+      { id: 'Sdtrig', name: 'Sdtrig', desc: 'Debug Triggers', use: 'HW breakpoints / watchpoints' },
+      { id: 'Sdtrigepm', name: 'Sdtrigepm', desc: 'Debug Trigger EPM', use: 'Trigger matching for external PM' },
+      { id: 'Sdtrigpend', name: 'Sdtrigpend', desc: 'Debug Trigger Pending', use: 'Pending trigger cause reporting' },
+
+      // Trap / CSR behavior
+      { id: 'Smcsrind', name: 'Smcsrind', desc: 'Indirect CSR Access (M)', use: 'CSR indirection at M-mode' },
+      { id: 'Sscsrind', name: 'Sscsrind', desc: 'Indirect CSR Access (S)', use: 'CSR indirection at S-mode' },
+      { id: 'Smctr', name: 'Smctr', desc: 'Control Transfer Records (M)', use: 'Hardware CFI logs (M)' },
+      { id: 'Ssctr', name: 'Ssctr', desc: 'Control Transfer Records (S)', use: 'Hardware CFI logs (S)' },
+
+      { id: 'Sddbltrp', name: 'Sddbltrp', desc: 'Debug Double Trap', use: 'Debug-level nested traps' },
+      { id: 'Ssdbltrp', name: 'Ssdbltrp', desc: 'Supervisor Double Trap', use: 'Recoverable nested traps (S)' },
+      { id: 'Smdbltrp', name: 'Smdbltrp', desc: 'Machine Double Trap', use: 'Recoverable nested traps (M)' },
+
+      // State enable / PMP / security-ish arch
+      { id: 'Smstateen', name: 'Smstateen', desc: 'M-Mode State Enable', use: 'Gate access to extension CSRs' },
+      { id: 'Ssstateen', name: 'Ssstateen', desc: 'S-Mode State Enable', use: 'State-enable for S/VS/VU' },
+      { id: 'Smepmp', name: 'Smepmp', desc: 'Enhanced PMP', use: 'More flexible PMP rules' },
+      { id: 'Smmpm', name: 'Smmpm', desc: 'Machine PMP Mgmt', use: 'Machine-level PMP management' },
+
+      // Profile-visible architectural tags
+      { id: 'Sm1p11', name: 'Sm1p11', desc: 'Priv Spec M v1.11', use: 'Machine architecture tag' },
+      { id: 'Ss1p11', name: 'Ss1p11', desc: 'Priv Spec S v1.11', use: 'Supervisor architecture tag' },
+      { id: 'Sm1p12', name: 'Sm1p12', desc: 'Priv Spec M v1.12', use: 'Machine architecture tag' },
+      { id: 'Ss1p12', name: 'Ss1p12', desc: 'Priv Spec S v1.12', use: 'Supervisor architecture tag' },
+      { id: 'Sm1p13', name: 'Sm1p13', desc: 'Priv Spec M v1.13', use: 'Machine architecture tag' },
+      { id: 'Ss1p13', name: 'Ss1p13', desc: 'Priv Spec S v1.13', use: 'Supervisor architecture tag' },
+
+      // Trap-behavior niceties
+      { id: 'Sstvala', name: 'Sstvala', desc: 'stval Address Rule', use: 'Precise faulting VA / instruction' },
+      { id: 'Sstvecd', name: 'Sstvecd', desc: 'stvec Direct Mode', use: 'Direct-mode trap vector' },
+      { id: 'Sstvecv', name: 'Sstvecv', desc: 'stvec Vectored Mode', use: 'Vectored trap routing' },
+      { id: 'Ssdtso', name: 'Ssdtso', desc: 'Supervisor TSO Opt-in', use: 'Supervisors opt into TSO behavior' },
+      { id: 'Sstcfg', name: 'Sstcfg', desc: 'Trap Config', use: 'Per-trap configuration controls' },
+      { id: 'Ssstrict', name: 'Ssstrict', desc: 'No Non-Conforming Exts', use: 'Disallows non-conforming extensions' },
+
+      { id: 'Ssu32xl', name: 'Ssu32xl', desc: 'UXL=32 support', use: 'User XLEN=32 capability' },
+      { id: 'Ssu64xl', name: 'Ssu64xl', desc: 'UXL=64 support', use: 'User XLEN=64 capability' },
+      { id: 'Ssube', name: 'Ssube', desc: 'Big-Endian S', use: 'Supervisor big-endian/bi-endian' },
+      { id: 'Ssvxscr', name: 'Ssvxscr', desc: 'VS CSR', use: 'Vector state control at S-mode' },
+
+      { id: 'Ssptead', name: 'Ssptead', desc: 'Sup PTE A/D (legacy)', use: 'Legacy name for Svade-style semantics' },
+
+      // Machine-level trap / debug extras
+      { id: 'Smcfiss', name: 'Smcfiss', desc: 'M-Mode Shadow Stack', use: 'Machine-level shadow stack config' },
+      { id: 'Smdid', name: 'Smdid', desc: 'Debug ID', use: 'Debug/trace identification' },
+      { id: 'Smrnpt', name: 'Smrnpt', desc: 'Non-Precise Traps', use: 'Relaxed trap precision' },
+      { id: 'Smrntt', name: 'Smrntt', desc: 'Non-Taken Traps', use: 'Trap behavior when not taken' },
+      { id: 'Smnpm', name: 'Smnpm', desc: 'Non-Maskable PM', use: 'Power-management/trap interactions' },
+      { id: 'Smpmpmt', name: 'Smpmpmt', desc: 'PMP Machine Trap', use: 'PMP-related trap behavior' },
+      { id: 'Smsdia', name: 'Smsdia', desc: 'Soft Debug/Instr', use: 'Soft-debug / diagnostics assist' },
+      { id: 'Smtdeleg', name: 'Smtdeleg', desc: 'Trap Delegation', use: 'Fine-grain trap delegation controls' },
+      { id: 'Smvatag', name: 'Smvatag', desc: 'VA Tagging (M)', use: 'Machine-level virtual-address tagging' },
+
+      // Non-ISA “spec tags” modeled as tiles too
+      { id: 'RERI', name: 'RERI', desc: 'RAS Error Reporting', use: 'RAS error reporting arch tag' },
+      { id: 'HTI', name: 'HTI', desc: 'Trace & Instrumentation', use: 'Trace / instrumentation spec tag' },
+    ],
+  };
+  */
+
+  // Built-in profiles plus the custom targets; only the header buttons tell them apart.
+  const allProfiles = {
+    ...profiles,
+    ...Object.fromEntries(customTargets.map((target) => [target.name, customTargetProfile(target)])),
+    ...(isaStringResult && !isaStringResult.error
+      ? { [ISA_STRING_PROFILE]: { isaString: true, U: { name: ISA_STRING_PROFILE, mandatory: isaStringResult.ids, optional: {} } } }
+      : {}),
+  };
+  const editingTarget = targetEditMode && allProfiles[activeProfile]?.custom ? activeProfile : null;
+
+  // ---------------------------------------------------------------------------
+  // Derived helpers
+  // ---------------------------------------------------------------------------
+  const volumeMembership = React.useMemo(() => {
+    const allIds = new Set(
+      Object.values(extensions)
+        .flat()
+        .filter(Boolean)
+        .map((ext) => ext.id)
+    );
+
+    const vol2Ids = new Set();
+
+    for (const ext of extensions.standard || []) {
+      if (['S', 'U', 'H', 'N'].includes(ext.id)) vol2Ids.add(ext.id);
+    }
+    for (const ext of extensions.s_mem || []) vol2Ids.add(ext.id);
+    for (const ext of extensions.s_interrupt || []) vol2Ids.add(ext.id);
+    for (const ext of extensions.s_trap || []) vol2Ids.add(ext.id);
+
+    const vol1Ids = new Set(Array.from(allIds).filter((id) => !vol2Ids.has(id)));
+    return {
+      I: vol1Ids,
+      II: vol2Ids,
+    };
+  }, []);
+
+  const instructionMatchesQuery = (mnemonic, details, q) => {
+    const needle = String(q || '').trim().toLowerCase();
+    if (!needle) return false;
+
+    if (mnemonic && String(mnemonic).toLowerCase().includes(needle)) return true;
+    if (!details || typeof details !== 'object') return false;
+
+    for (const field of [details.encoding, details.match, details.mask]) {
+      if (field && String(field).toLowerCase().includes(needle)) return true;
+    }
+    for (const list of [details.variable_fields, details.extension]) {
+      if (Array.isArray(list) && list.join(' ').toLowerCase().includes(needle)) return true;
+    }
+
+    return false;
+  };
+
+  const selectInstructionByMnemonic = React.useCallback((ext, mnemonic) => {
+    const details = ext?.instructions?.[mnemonic];
+    setSelectedInstruction(details ? { mnemonic, ...details } : null);
+  }, []);
+
+  const instructionIndex = React.useMemo(() => {
+    const index = new Map();
+    const allExts = Object.values(extensions).flat().filter(Boolean);
+
+    for (const ext of allExts) {
+      const instructions = ext?.instructions;
+      if (!instructions || typeof instructions !== 'object') continue;
+
+      for (const [mnemonic, details] of Object.entries(instructions)) {
+        const key = normalizeMnemonicKey(mnemonic);
+        if (!key) continue;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ ext, mnemonic, details });
+      }
+    }
+
+    return index;
+  }, []);
+
+  const selectInstructionByMnemonicKey = React.useCallback(
+    (mnemonicKey, preferredExtIds = [], extraDetails = {}) => {
+      const key = normalizeMnemonicKey(mnemonicKey);
+      if (!key) return false;
+      const candidates = instructionIndex.get(key);
+      if (!candidates || !candidates.length) return false;
+
+      let chosen = null;
+      for (const extId of preferredExtIds) {
+        chosen = candidates.find((entry) => entry.ext.id === extId);
+        if (chosen) break;
+      }
+      if (!chosen && selectedExt) {
+        chosen = candidates.find((entry) => entry.ext.id === selectedExt.id);
+      }
+      if (!chosen) [chosen] = candidates;
+
+      if (!chosen) return false;
+      setSelectedExt(chosen.ext);
+      setSelectedInstruction({ mnemonic: chosen.mnemonic, ...chosen.details, ...extraDetails });
+      setSearchMatches(null);
+      return true;
+    },
+    [instructionIndex, selectedExt]
+  );
+
+  const selectStandardEquivalent = React.useCallback(
+    (mnemonic) => selectInstructionByMnemonicKey(mnemonic, STANDARD_EQUIVALENT_PRIORITY),
+    [selectInstructionByMnemonicKey]
+  );
+
+  const selectCompressedEquivalent = React.useCallback(
+    (mnemonic) => selectInstructionByMnemonicKey(mnemonic, ['C']),
+    [selectInstructionByMnemonicKey]
+  );
+
+  const compressedMapping = selectedInstruction
+    ? COMPRESSED_INSTRUCTION_LOOKUP[normalizeMnemonicKey(selectedInstruction.mnemonic)]
+    : null;
+  const standardEquivalentMnemonic = compressedMapping
+    ? normalizeMnemonicKey(compressedMapping.standard)
+    : '';
+  const hasStandardEquivalent =
+    Boolean(standardEquivalentMnemonic) && instructionIndex.get(standardEquivalentMnemonic)?.length;
+  const compressedEquivalents = selectedInstruction
+    ? (COMPRESSED_BY_STANDARD[normalizeMnemonicKey(selectedInstruction.mnemonic)] || []).filter((entry) =>
+        instructionIndex.has(normalizeMnemonicKey(entry.mnemonic))
+      )
+    : [];
+
+  const formatInstructionForClipboard = React.useCallback((ext, instr) => {
+    if (!ext || !instr) return '';
+    const lines = [
+      `RISC-V Extension: ${ext.name} (${ext.id})`,
+      ext.desc ? `Description: ${ext.desc}` : null,
+      ext.use ? `Use: ${ext.use}` : null,
+      `Reference: ${ext.url || 'https://github.com/riscv/riscv-isa-manual'}`,
+      '',
+      `Instruction: ${instr.mnemonic}`,
+      instr.encoding ? `Encoding: ${instr.encoding}` : null,
+      Array.isArray(instr.variable_fields) && instr.variable_fields.length
+        ? `Variable fields: ${instr.variable_fields.join(', ')}`
+        : null,
+      instr.match ? `Match: ${instr.match}` : null,
+      instr.mask ? `Mask: ${instr.mask}` : null,
+      Array.isArray(instr.extension) && instr.extension.length
+        ? `Extension tags: ${instr.extension.join(', ')}`
+        : null,
+    ].filter(Boolean);
+    return `${lines.join('\n')}\n`;
+  }, []);
+
+  const copyTextToClipboard = React.useCallback(async (text) => {
+    if (!text) return false;
+    try {
+      if (navigator?.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return true;
+      }
+    } catch {
+      // fall through
+    }
+
+    try {
+      const el = document.createElement('textarea');
+      el.value = text;
+      el.setAttribute('readonly', 'true');
+      el.style.position = 'fixed';
+      el.style.top = '0';
+      el.style.left = '0';
+      el.style.opacity = '0';
+      document.body.appendChild(el);
+      el.focus();
+      el.select();
+      const ok = document.execCommand('copy');
+      document.body.removeChild(el);
+      return ok;
+    } catch {
+      return false;
+    }
+  }, []);
+
+  const downloadTextFile = React.useCallback((filename, text, mimeType) => {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.setTimeout(() => URL.revokeObjectURL(url), 0);
+  }, []);
+
+  const allExtensionList = React.useMemo(() => Object.values(extensions).flat().filter(Boolean), []);
+
+  const allInstructionPatterns = React.useMemo(() => buildInstructionPatterns(extensions), []);
+  const extensionDependencies = React.useMemo(() => buildExtensionDependencies(extensions), []);
+
+  React.useEffect(() => {
+    try {
+      window.localStorage.setItem(CUSTOM_TARGETS_STORAGE_KEY, serializeCustomTargets(customTargets));
+    } catch {
+      // Storage unavailable (private browsing, quota): targets last for this session only.
+    }
+  }, [customTargets]);
+
+  // Names of the other `allProfiles` entries: built-in profiles and the parsed ISA string.
+  const isReservedTargetName = (name) => Boolean(profiles[name]) || name === ISA_STRING_PROFILE;
+
+  const isTargetNameTaken = (name) =>
+    isReservedTargetName(name) || customTargets.some((target) => target.name === name);
+
+  const updateActiveTarget = (update) =>
+    setCustomTargets((prev) => prev.map((target) => (target.name === activeProfile ? update(target) : target)));
+
+  // Adds a target under the first free name (`<baseName>`, `<baseName> 2`, ...) and opens it for editing.
+  const addCustomTarget = (baseName, basedOn, extensionIds) => {
+    let name = baseName;
+    for (let n = 2; isTargetNameTaken(name); n += 1) name = `${baseName} ${n}`;
+    setCustomTargets((prev) => [...prev, { name, basedOn, extensions: extensionIds }]);
+    setActiveProfile(name);
+    setActiveProfileMode('all');
+    setProfileCompare(null);
+    setSelectedExt(null);
+    setSelectedInstruction(null);
+    setSearchMatches(null);
+    setTargetNameDraft(name);
+    setTargetEditMode(true);
+  };
+
+  // Starts a new target from the active built-in profile (RVA23 otherwise).
+  const createCustomTarget = () => {
+    const basedOn = profiles[activeProfile] ? activeProfile : 'RVA23';
+    addCustomTarget(`${basedOn} custom`, basedOn, profileMandatoryIds(profiles[basedOn]));
+  };
+
+  // Parses the ISA string input and highlights the result like a profile.
+  const applyIsaString = () => {
+    const result = parseIsaString(
+      isaStringInput,
+      allExtensionList.map((ext) => ext.id)
+    );
+    setIsaStringResult(result);
+    if (result.error) return;
+    setActiveProfile(ISA_STRING_PROFILE);
+    setActiveProfileMode('all');
+    setProfileCompare(null);
+    setSelectedExt(null);
+    setSelectedInstruction(null);
+    setSearchMatches(null);
+  };
+
+  const clearIsaString = () => {
+    setIsaStringResult(null);
+    if (activeProfile === ISA_STRING_PROFILE) setActiveProfile(null);
+  };
+
+  const toggleMultiSelected = (id) =>
+    setMultiSelectedIds((prev) => (prev.includes(id) ? prev.filter((extId) => extId !== id) : [...prev, id]));
+
+  // The extension set the ISA string generator and the configuration checker work on: the multi-selected tiles,
+  // otherwise the highlighted ISA string, custom target or profile. `kind` decides how a fix is applied.
+  const selectionSource = multiSelectedIds.length
+    ? {
+        kind: 'tiles',
+        label: `${multiSelectedIds.length} selected tile${multiSelectedIds.length === 1 ? '' : 's'}`,
+        ids: multiSelectedIds,
+      }
+    : activeProfile && allProfiles[activeProfile]
+    ? {
+        kind: allProfiles[activeProfile].isaString ? 'isaString' : allProfiles[activeProfile].custom ? 'target' : 'profile',
+        label:
+          activeProfileMode === 'all' ? activeProfile : allProfiles[activeProfile][activeProfileMode]?.name ?? activeProfile,
+        ids: profileMandatoryIds(allProfiles[activeProfile], activeProfileMode),
+        // A U-mode profile set implies user mode, an S-mode set supervisor and user mode.
+        assumed:
+          profiles[activeProfile] && (activeProfileMode !== 'U' && profiles[activeProfile].S ? ['S', 'U'] : ['U']),
+      }
+    : null;
+  const isaGeneratorResult = isaGeneratorOpen && selectionSource ? formatIsaString(selectionSource.ids) : null;
+
+  // Applies a configuration fix to the source it was found in. Built-in profiles are read-only.
+  const applySelectionFix = (fix) => {
+    if (!selectionSource) return;
+    if (selectionSource.kind === 'tiles') {
+      setMultiSelectedIds((prev) => applyConfigurationFix(prev, fix));
+    } else if (selectionSource.kind === 'target') {
+      updateActiveTarget((target) => ({ ...target, extensions: applyConfigurationFix(target.extensions, fix) }));
+    } else if (selectionSource.kind === 'isaString') {
+      const ids = applyConfigurationFix(isaStringResult.ids, fix);
+      setIsaStringResult((prev) => ({ ...prev, ids }));
+      setIsaStringInput(formatIsaString(ids).isa);
+    }
+  };
+
+  const copyIsaGeneratorOutput = async (key, text) => {
+    const ok = await copyTextToClipboard(text);
+    setIsaGeneratorCopyStatus({ key, ok });
+    window.setTimeout(() => setIsaGeneratorCopyStatus(null), 1500);
+  };
+
+  const toggleTargetExtension = (id) =>
+    updateActiveTarget((target) => ({
+      ...target,
+      extensions: target.extensions.includes(id)
+        ? target.extensions.filter((extId) => extId !== id)
+        : [...target.extensions, id],
+    }));
+
+  const renameActiveTarget = () => {
+    const name = targetNameDraft.trim();
+    if (!name || name === activeProfile) {
+      setTargetNameDraft(activeProfile);
+      return;
+    }
+    if (isTargetNameTaken(name)) {
+      setCustomTargetMessage(`"${name}" is already the name of a profile or target.`);
+      setTargetNameDraft(activeProfile);
+      return;
+    }
+    updateActiveTarget((target) => ({ ...target, name }));
+    setActiveProfile(name);
+    setTargetNameDraft(name);
+  };
+
+  const resetActiveTarget = (basedOn) =>
+    updateActiveTarget((target) => ({ ...target, basedOn, extensions: profileMandatoryIds(profiles[basedOn]) }));
+
+  const deleteActiveTarget = () => {
+    setCustomTargets((prev) => prev.filter((target) => target.name !== activeProfile));
+    setActiveProfile(null);
+    setTargetEditMode(false);
+  };
+
+  // Imported targets replace saved ones of the same name; a name taken by a built-in profile or the ISA
+  // string entry gets a suffix.
+  const importCustomTargets = (text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      setCustomTargetMessage('The file is not valid JSON.');
+      return;
+    }
+    const { targets, errors, unknown } = parseCustomTargets(
+      data,
+      allExtensionList.map((ext) => ext.id)
+    );
+    const imported = targets.map((target) =>
+      isReservedTargetName(target.name) ? { ...target, name: `${target.name} (imported)` } : target
+    );
+    setCustomTargets((prev) => [
+      ...prev.filter((target) => !imported.some((candidate) => candidate.name === target.name)),
+      ...imported,
+    ]);
+    setCustomTargetMessage(
+      [
+        `Imported ${imported.length} target${imported.length === 1 ? '' : 's'}.`,
+        ...errors,
+        unknown.length ? `Ignored unknown extension IDs: ${unknown.join(', ')}.` : '',
+      ]
+        .filter(Boolean)
+        .join(' ')
+    );
+  };
+
+  const formatEncoderValidatorReport = React.useCallback((proposed, result) => {
+    const lines = [];
+    const now = new Date();
+    lines.push(`RISC-V Encoder Validation Report`);
+    lines.push(`Generated: ${now.toISOString()}`);
+    lines.push('');
+    if (proposed.mnemonic) lines.push(`Proposed mnemonic: ${proposed.mnemonic}`);
+    if (proposed.length) lines.push(`Proposed length: ${proposed.length}-bit`);
+    if (proposed.encoding) lines.push(`Proposed encoding: ${proposed.encoding}`);
+    if (proposed.match) lines.push(`Proposed match: ${proposed.match}`);
+    if (proposed.mask) lines.push(`Proposed mask: ${proposed.mask}`);
+    lines.push('');
+
+    if (result.errors.length) {
+      lines.push(`Errors (${result.errors.length}):`);
+      for (const err of result.errors) lines.push(`- ${err}`);
+      lines.push('');
+    }
+
+    if (result.warnings.length) {
+      lines.push(`Warnings (${result.warnings.length}):`);
+      for (const warning of result.warnings) lines.push(`- ${warning}`);
+      lines.push('');
+    }
+
+    const pushConflicts = (conflicts) => {
+      for (const conflict of conflicts) {
+        lines.push(`- ${conflict.other.extId}:${conflict.other.mnemonic} (${conflict.type})`);
+        lines.push(`  Why: ${conflict.why}`);
+        if (conflict.commonMask) lines.push(`  Common mask: ${conflict.commonMask}`);
+        if (conflict.exampleWord) lines.push(`  Example word: ${conflict.exampleWord}`);
+        lines.push('  Fields (proposed / existing):');
+        for (const field of conflict.comparison.fields) {
+          lines.push(
+            `    ${`${field.name} ${formatFieldRange(field.bits)}`.padEnd(16)} ${field.proposed} / ${field.existing}  ${
+              FIELD_COMPARISON_STATUS[field.status]
+            }`
+          );
+        }
+        lines.push(`  ${describeFieldComparison(conflict.comparison, conflict.other.mnemonic)}`);
+        for (const fix of suggestedFieldFixes(conflict.comparison)) lines.push(`  Fix: ${describeFieldFix(fix)}`);
+      }
+    };
+
+    if (result.scope && result.scope.mode !== 'all') {
+      const inScope = result.conflicts.filter((conflict) => conflict.inScope);
+      const outOfScope = result.conflicts.filter((conflict) => !conflict.inScope);
+      lines.push(`Scope: ${result.scope.label}`);
+      if (result.scope.unknown.length) lines.push(`Ignored unknown extension IDs: ${result.scope.unknown.join(', ')}`);
+      lines.push('');
+      lines.push(`Conflicts in scope (${inScope.length}):`);
+      if (!inScope.length) lines.push(`- None found within the selected extensions.`);
+      pushConflicts(inScope);
+      lines.push('');
+      lines.push(`Conflicts out of scope (${outOfScope.length}):`);
+      if (!outOfScope.length) lines.push(`- None.`);
+      pushConflicts(outOfScope);
+      return `${lines.join('\n')}\n`;
+    }
+
+    lines.push(`Conflicts (${result.conflicts.length}):`);
+    if (!result.conflicts.length) {
+      lines.push(`- None found within the current instruction set database.`);
+      return `${lines.join('\n')}\n`;
+    }
+
+    pushConflicts(result.conflicts);
+    return `${lines.join('\n')}\n`;
+  }, []);
+
+  const formatBatchValidationReport = React.useCallback((result) => {
+    const lines = [];
+    const now = new Date();
+    const { summary, scope } = result;
+    lines.push(`RISC-V Batch Encoder Validation Report`);
+    lines.push(`Generated: ${now.toISOString()}`);
+    lines.push(`Scope: ${scope.label}`);
+    if (scope.unknown.length) lines.push(`Ignored unknown extension IDs: ${scope.unknown.join(', ')}`);
+    lines.push('');
+    lines.push(
+      `Entries: ${summary.total} · invalid: ${summary.invalid} · conflicting with the database` +
+        `${scope.mode === 'all' ? '' : ' (in scope)'}: ${summary.conflictingInScope}` +
+        ` · conflicting within the batch: ${summary.conflictingInBatch}`
+    );
+    lines.push('');
+
+    if (result.parseErrors.length) {
+      lines.push(`Unreadable input (${result.parseErrors.length}):`);
+      for (const err of result.parseErrors) {
+        lines.push(`- ${err.line ? `Line ${err.line}: ` : ''}${err.message}${err.text ? ` (${err.text})` : ''}`);
+      }
+      lines.push('');
+    }
+
+    if (result.duplicateMnemonics.length) {
+      lines.push(`Duplicate mnemonics: ${result.duplicateMnemonics.join(', ')}`);
+      lines.push('');
+    }
+
+    lines.push(`Conflicts within the batch (${result.batchConflicts.length}):`);
+    if (!result.batchConflicts.length) lines.push(`- None.`);
+    for (const pair of result.batchConflicts) {
+      const a = result.entries[pair.a];
+      const b = result.entries[pair.b];
+      lines.push(`- ${proposalLabel(a)} (${a.source}) vs ${proposalLabel(b)} (${b.source}): ${pair.type}`);
+      lines.push(`  Why: ${pair.why}`);
+      lines.push(`  Common mask: ${pair.commonMask}`);
+      lines.push(`  Example word: ${pair.exampleWord}`);
+    }
+    lines.push('');
+
+    for (const entry of result.entries) {
+      lines.push(`## ${proposalLabel(entry)} (${entry.source})`);
+      if (entry.proposed) {
+        lines.push(`Encoding: ${entry.proposed.encoding} (${entry.proposed.length}-bit)`);
+        lines.push(`Match: ${entry.proposed.match}  Mask: ${entry.proposed.mask}`);
+      }
+      for (const err of entry.errors) lines.push(`Error: ${err}`);
+      for (const warning of entry.warnings) lines.push(`Warning: ${warning}`);
+      if (entry.proposed) {
+        const inScope = entry.conflicts.filter((conflict) => conflict.inScope);
+        const outOfScope = entry.conflicts.filter((conflict) => !conflict.inScope);
+        if (!entry.conflicts.length) lines.push(`No conflicts with the database.`);
+        for (const conflict of inScope) {
+          lines.push(`- ${conflict.other.extId}:${conflict.other.mnemonic} (${conflict.type})`);
+        }
+        if (scope.mode !== 'all' && outOfScope.length) {
+          lines.push(
+            `Out of scope: ${outOfScope
+              .map((conflict) => `${conflict.other.extId}:${conflict.other.mnemonic} (${conflict.type})`)
+              .join(', ')}`
+          );
+        }
+      }
+      lines.push('');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }, []);
+
+  const runBatchValidation = React.useCallback(() => {
+    const { ids: scopeIds, unknown: scopeUnknown } = resolveExtensionScope(
+      encoderValidatorScope,
+      allProfiles,
+      allExtensionList,
+      extensionDependencies
+    );
+    const { entries, errors: parseErrors } = parseProposalBatch(encoderBatchInput);
+    setEncoderBatchResult({
+      ...validateProposalBatch(entries, allInstructionPatterns, scopeIds),
+      parseErrors,
+      scope: { ...encoderValidatorScope, label: describeExtensionScope(encoderValidatorScope), unknown: scopeUnknown },
+    });
+  }, [allExtensionList, allInstructionPatterns, encoderBatchInput, encoderValidatorScope, allProfiles, extensionDependencies]);
+
+  // Single and batch results in the selected export format; `text` is the clipboard report.
+  const formatValidatorExport = React.useCallback(
+    (result, format) => {
+      if (format === 'text') {
+        return result.entries ? formatBatchValidationReport(result) : formatEncoderValidatorReport(result.proposed, result);
+      }
+      const data = validatorReportData(result);
+      if (format === 'json') return `${JSON.stringify(data, null, 2)}\n`;
+      if (format === 'csv') return formatValidatorReportCsv(data);
+      return formatValidatorReportMarkdown(data);
+    },
+    [formatBatchValidationReport, formatEncoderValidatorReport]
+  );
+
+  const exportValidatorResult = React.useCallback(
+    async (result, action) => {
+      const format = VALIDATOR_EXPORT_FORMATS[encoderValidatorExportFormat];
+      const text = formatValidatorExport(result, encoderValidatorExportFormat);
+      if (action === 'download') {
+        const name = result.entries ? 'batch-validation' : `validation-${result.proposed.mnemonic || 'proposal'}`;
+        downloadTextFile(`${name.toLowerCase().replace(/[^a-z0-9.-]+/g, '_')}.${format.extension}`, text, format.mimeType);
+        return;
+      }
+      const ok = await copyTextToClipboard(text);
+      setEncoderValidatorCopyStatus(ok ? 'copied' : 'failed');
+      window.setTimeout(() => setEncoderValidatorCopyStatus(null), 1500);
+    },
+    [copyTextToClipboard, downloadTextFile, encoderValidatorExportFormat, formatValidatorExport]
+  );
+
+  const runEncoderValidation = React.useCallback((input = encoderValidatorInput, warnings = []) => {
+    const { ids: scopeIds, unknown: scopeUnknown } = resolveExtensionScope(
+      encoderValidatorScope,
+      allProfiles,
+      allExtensionList,
+      extensionDependencies
+    );
+    const { errors, proposed } = normalizeProposal(input);
+
+    if (!proposed) {
+      setEncoderValidatorResult({ errors, warnings, proposed: null, conflicts: [] });
+      return;
+    }
+
+    setEncoderValidatorResult({
+      errors,
+      warnings,
+      proposed,
+      conflicts: findEncodingConflicts(proposed, allInstructionPatterns, scopeIds),
+      scope: { ...encoderValidatorScope, label: describeExtensionScope(encoderValidatorScope), unknown: scopeUnknown },
+    });
+  }, [allExtensionList, allInstructionPatterns, encoderValidatorInput, encoderValidatorScope, allProfiles, extensionDependencies]);
+
+  // Fills the validator fields from a riscv-opcodes line and validates the result right away.
+  const importOpcodesLine = React.useCallback(() => {
+    const parsed = parseOpcodesLine(encoderOpcodesLine);
+    if (parsed.error) {
+      setEncoderValidatorResult({ errors: [parsed.error], warnings: [], proposed: null, conflicts: [] });
+      return;
+    }
+    const input = {
+      mnemonic: parsed.mnemonic,
+      encoding: parsed.encoding,
+      match: parsed.match,
+      mask: parsed.mask,
+      variableFields: parsed.variableFields,
+    };
+    setEncoderValidatorInput(input);
+    runEncoderValidation(input, parsed.warnings);
+  }, [encoderOpcodesLine, runEncoderValidation]);
+
+  const runInstructionDecode = React.useCallback(() => {
+    const parsed = parseInstructionWord(decoderInput);
+    if (parsed.error) {
+      setDecoderResult({ errors: [parsed.error], word: null, length: 0, matches: [], illegal: null });
+      return;
+    }
+
+    setDecoderResult({
+      errors: [],
+      word: parsed.word,
+      length: parsed.length,
+      matches: decodeInstructionWord(parsed.word, parsed.length, allInstructionPatterns),
+      illegal: illegalInstructionNote(parsed.word, parsed.length),
+    });
+  }, [allInstructionPatterns, decoderInput]);
+
+  const runHexDumpDisassembly = React.useCallback(() => {
+    setDecoderDumpResult(disassembleHexDump(decoderDumpInput, allInstructionPatterns));
+    setDecoderCopyStatus(null);
+  }, [allInstructionPatterns, decoderDumpInput]);
+
+  const assemblerMnemonics = React.useMemo(
+    () => Array.from(new Set(allInstructionPatterns.map((pattern) => pattern.mnemonic))).sort(),
+    [allInstructionPatterns]
+  );
+
+  // Encodings of the picked mnemonic; extensions that share an encoding (e.g. C and Zca) are one variant.
+  const assemblerVariants = React.useMemo(() => {
+    const key = normalizeMnemonicKey(assemblerInput.mnemonic);
+    if (!key) return [];
+    const byEncoding = new Map();
+    for (const pattern of allInstructionPatterns) {
+      if (pattern.mnemonic.toUpperCase() !== key) continue;
+      const id = `${pattern.match}:${pattern.mask}:${pattern.variableFields.join(',')}`;
+      if (!byEncoding.has(id)) byEncoding.set(id, { id, pattern, extensions: [] });
+      byEncoding.get(id).extensions.push({ extId: pattern.extId, extName: pattern.extName });
+    }
+    return Array.from(byEncoding.values());
+  }, [allInstructionPatterns, assemblerInput.mnemonic]);
+
+  const assemblerVariant =
+    assemblerVariants.find((variant) => variant.id === assemblerInput.variant) || assemblerVariants[0] || null;
+
+  const assemblerSlots = React.useMemo(
+    () =>
+      assemblerVariant
+        ? assemblerOperandSlots(assemblerVariant.pattern.mnemonic, assemblerVariant.pattern.variableFields)
+        : [],
+    [assemblerVariant]
+  );
+
+  const runAssembler = React.useCallback(() => {
+    setAssemblerCopyStatus(null);
+    if (!assemblerVariant) {
+      setAssemblerResult({
+        errors: [
+          assemblerInput.mnemonic.trim()
+            ? `Unknown instruction "${assemblerInput.mnemonic.trim()}".`
+            : 'Pick an instruction to assemble.',
+        ],
+        word: null,
+        fields: [],
+        warnings: [],
+      });
+      return;
+    }
+
+    const { pattern } = assemblerVariant;
+    const assembled = assembleInstruction(pattern, assemblerInput.operands);
+    const warnings = [];
+    if (assembled.word != null) {
+      // Operand values can land in a more specific encoding carved out of this one (hints, reserved forms).
+      for (const match of decodeInstructionWord(assembled.word, assembled.length, allInstructionPatterns)) {
+        if (match.mnemonic !== pattern.mnemonic && match.specificity > countSetBits(pattern.mask)) {
+          warnings.push(`The word also decodes as ${match.mnemonic}, which is more specific than ${pattern.mnemonic}.`);
+        }
+      }
+    }
+    setAssemblerResult({ ...assembled, mnemonic: pattern.mnemonic, warnings });
+  }, [allInstructionPatterns, assemblerInput, assemblerVariant]);
+
+  const runOpcodeFinder = React.useCallback(() => {
+    const { scope, opcode, format } = opcodeFinderInput;
+    const { ids, unknown } = resolveExtensionScope(scope, allProfiles, allExtensionList, extensionDependencies);
+    const patterns = ids ? allInstructionPatterns.filter((pattern) => ids.has(pattern.extId)) : allInstructionPatterns;
+    const slots = findOpcodeSpaceSlots(opcode, format, patterns);
+    setOpcodeFinderResult({
+      opcode,
+      format,
+      unknown,
+      extensionCount: ids ? ids.size : allExtensionList.length,
+      freeCount: slots.filter((slot) => slot.status === 'free').length,
+      slotCount: slots.length,
+      rows: summarizeOpcodeSpace(slots, format),
+    });
+  }, [allExtensionList, allInstructionPatterns, opcodeFinderInput, allProfiles, extensionDependencies]);
+
+  // Hands a free slot to the Encoder Validator, with the same scope, so a proposal can start from it.
+  const validateOpcodeSlot = React.useCallback(
+    (slot) => {
+      setEncoderValidatorInput({ mnemonic: '', encoding: slot.encoding, match: '', mask: '' });
+      setEncoderValidatorScope(opcodeFinderInput.scope);
+      setEncoderValidatorResult(null);
+      setEncoderValidatorCopyStatus(null);
+      setOpcodeFinderOpen(false);
+      setEncoderValidatorOpen(true);
+    },
+    [opcodeFinderInput.scope]
+  );
+
+  const opcodeMap = React.useMemo(() => buildOpcodeMap(allInstructionPatterns), [allInstructionPatterns]);
+
+  const extensionGroupById = React.useMemo(() => {
+    const groups = new Map();
+    for (const [group, list] of Object.entries(extensions)) {
+      for (const ext of list || []) groups.set(ext.id, group);
+    }
+    return groups;
+  }, []);
+
+  const dependencyClosures = React.useMemo(
+    () =>
+      new Map(allExtensionList.map((ext) => [ext.id, extensionDependencyClosure(extensionDependencies, ext.id)])),
+    [allExtensionList, extensionDependencies]
+  );
+
+  // The selected extension's closure, plus the reverse direction: every extension whose closure implies or
+  // requires it (`direct` when that extension's own entry names it).
+  const selectedDependencies = React.useMemo(() => {
+    if (!selectedExt) return null;
+    const closure = dependencyClosures.get(selectedExt.id);
+    const impliedBy = [];
+    const requiredBy = [];
+    for (const [otherId, other] of dependencyClosures) {
+      const implied = other.implied.find((dep) => dep.id === selectedExt.id);
+      const required = other.required.find((dep) => dep.id === selectedExt.id);
+      if (implied) impliedBy.push({ id: otherId, direct: implied.via === otherId });
+      else if (required) requiredBy.push({ id: otherId, direct: required.via === otherId });
+    }
+    return { ...closure, impliedBy, requiredBy };
+  }, [selectedExt, dependencyClosures]);
+
+  const dependencyGraphLayout = React.useMemo(
+    () =>
+      landscapeView === 'graph'
+        ? layoutDependencyGraph(allExtensionList, extensionDependencies, extensionGroupById)
+        : null,
+    [landscapeView, allExtensionList, extensionDependencies, extensionGroupById]
+  );
+
+  const extensionById = React.useMemo(
+    () => new Map(allExtensionList.map((ext) => [ext.id, ext])),
+    [allExtensionList]
+  );
+
+  const dependencyGraphRelatedIds = React.useMemo(
+    () =>
+      new Set(
+        selectedDependencies
+          ? DEPENDENCY_SECTIONS.flatMap((section) => selectedDependencies[section.key].map((dep) => dep.id))
+          : []
+      ),
+    [selectedDependencies]
+  );
+
+  const configurationCheck =
+    configCheckOpen && selectionSource
+      ? checkExtensionConfiguration(selectionSource.ids, extensionDependencies, selectionSource.assumed)
+      : null;
+
+  // A cell takes the tile color of the group contributing most of its instructions.
+  const opcodeMapCellColor = React.useCallback(
+    (cell) => {
+      const counts = new Map();
+      for (const instruction of cell.instructions) {
+        const group = extensionGroupById.get(instruction.extId);
+        counts.set(group, (counts.get(group) || 0) + 1);
+      }
+      const [group] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [];
+      return EXTENSION_GROUP_COLORS[group] || 'bg-slate-900/60 border-slate-700 text-slate-500';
+    },
+    [extensionGroupById]
+  );
+
+  const openDecodedInstruction = React.useCallback(
+    (match, word, length) => {
+      const opened = selectInstructionByMnemonicKey(
+        match.mnemonic,
+        match.extensions.map((ext) => ext.extId),
+        { decodedWord: word, decodedLength: length }
+      );
+      if (opened) setDecoderOpen(false);
+    },
+    [selectInstructionByMnemonicKey]
+  );
+
+  // The audit runs over the whole catalog, so it is only computed the first time the view is opened.
+  const openAudit = React.useCallback(() => {
+    setCatalogAudit((prev) => prev ?? auditInstructionCatalog(extensions));
+    setAuditOpen(true);
+  }, []);
+
+  const openAuditedInstruction = React.useCallback(
+    (mnemonic, extIds) => {
+      if (selectInstructionByMnemonicKey(mnemonic, extIds)) setAuditOpen(false);
+    },
+    [selectInstructionByMnemonicKey]
+  );
+
+  const profileStatusOf = (id) =>
+    activeProfile ? profileExtensionStatus(allProfiles[activeProfile], id, activeProfileMode) : null;
+
+  const isHighlightedByProfile = (id) => profileStatusOf(id)?.status === 'mandatory';
+
+  const profileDiff = profileCompare
+    ? diffProfiles(allProfiles[profileCompare.from], allProfiles[profileCompare.to])
+    : null;
+
+  const profileDiffStatusOf = (id) => {
+    if (!profileDiff) return null;
+    return ['added', 'removed', 'unchanged'].find((status) => profileDiff[status].includes(id)) || null;
+  };
+
+  // Distinct mnemonics of a set of extensions: RV64I and RV32I share most of theirs.
+  const countInstructions = (ids) => new Set(ids.flatMap((id) => extensionInstructions[id] || [])).size;
+
+  const profileDiffCounts = profileDiff && {
+    from: countInstructions(profileMandatoryIds(allProfiles[profileCompare.from])),
+    to: countInstructions(profileMandatoryIds(allProfiles[profileCompare.to])),
+  };
+
+  const isHighlightedByVolume = (id) => {
+    if (!activeVolume) return false;
+    return volumeMembership[activeVolume]?.has(id) ?? false;
+  };
+
+  const extensionSearchIndexById = React.useMemo(() => {
+    const index = new Map();
+    const allExts = Object.values(extensions).flat().filter(Boolean);
+
+    for (const ext of allExts) {
+      const parts = [];
+
+      for (const field of [ext.id, ext.name, ext.desc, ext.use]) {
+        if (field) parts.push(String(field));
+      }
+
+      const mnemonicList = extensionInstructions[ext.id];
+      if (Array.isArray(mnemonicList) && mnemonicList.length) {
+        parts.push(mnemonicList.join(' '));
+      }
+      const csrList = extensionCsrs[ext.id];
+      if (Array.isArray(csrList) && csrList.length) {
+        parts.push(csrList.join(' '));
+      }
+
+      const instructions = ext.instructions;
+      if (instructions && typeof instructions === 'object') {
+        for (const [mnemonic, details] of Object.entries(instructions)) {
+          parts.push(mnemonic);
+
+          if (!details || typeof details !== 'object') {
+            if (details != null) parts.push(String(details));
+            continue;
+          }
+
+          if (details.encoding) parts.push(String(details.encoding));
+          if (details.match) parts.push(String(details.match));
+          if (details.mask) parts.push(String(details.mask));
+
+          if (Array.isArray(details.variable_fields)) {
+            parts.push(details.variable_fields.join(' '));
+          }
+          if (Array.isArray(details.extension)) {
+            parts.push(details.extension.join(' '));
+          }
+        }
+      }
+
+      index.set(ext.id, parts.join(' ').toLowerCase());
+    }
+
+    return index;
+  }, []);
+
+  const isHighlighted = (id) => {
+    return isHighlightedByProfile(id) || isHighlightedByVolume(id);
+  };
+
+  // Instruction Set Snapshot of the selected extension, narrowed to the opcode map cell when one is picked.
+  const snapshotMnemonics = (() => {
+    const list = (selectedExt && extensionInstructions[selectedExt.id]) || [];
+    if (!opcodeMapFilter || !selectedExt) return list;
+    const inCell = new Set(
+      opcodeMapFilter.instructions
+        .filter((instruction) => instruction.extId === selectedExt.id)
+        .map((instruction) => instruction.mnemonic)
+    );
+    return list.filter((mnemonic) => inCell.has(mnemonic));
+  })();
+
+  const selectedProfileStatus = selectedExt ? profileStatusOf(selectedExt.id) : null;
+
+  const isDimmed = (id) => {
+    if (opcodeMapFilter) return !opcodeMapFilter.extIds.includes(id);
+    if (profileDiff) return !profileDiffStatusOf(id);
+    if (activeVolume) return false;
+    if (!activeProfile) return false;
+    return profileStatusOf(id).status === 'unsupported';
+  };
+
+  const ExtensionBlock = ({ data, colorClass, searchQuery }) => {
+    const q = searchQuery.trim().toLowerCase();
+    const searchIndex = extensionSearchIndexById.get(data.id) || '';
+    const matchesSearch = q.length ? searchIndex.includes(q) : false;
+
+    const isDiscontinued = data.discontinued === 1;
+
+    const isSelected = selectedExt?.id === data.id;
+    const isMultiSelected = multiSelectedIds.includes(data.id);
+    const highlighted = isHighlighted(data.id) || matchesSearch || isSelected;
+    const profileStatus = profileStatusOf(data.id);
+    const optionKind = profileStatus?.status === 'optional' ? profileStatus.kind : null;
+    const diffStatus = profileDiffStatusOf(data.id);
+    const baseColor = isDiscontinued
+      ? 'bg-slate-700 border-slate-500 text-slate-200'
+      : colorClass;
+
+	    return (
+	      <div
+	        id={`ext-${data.id}`}
+	        onClick={(e) =>
+	          editingTarget
+	            ? toggleTargetExtension(data.id)
+	            : e.shiftKey || e.ctrlKey || e.metaKey
+	            ? toggleMultiSelected(data.id)
+	            : setSelectedExt((current) => {
+	                const next = current?.id === data.id ? null : data;
+	                setSelectedInstruction(null);
+	                setSearchMatches(null);
+	                return next;
+	              })
+	        }
+	        title={editingTarget ? `Click to add to or remove from ${editingTarget}` : undefined}
+	        className={`
+	          relative p-2 rounded border cursor-pointer transition-all duration-200
+	          ${
+            highlighted
+              ? 'ring-2 ring-yellow-400 bg-slate-800 scale-105 shadow-lg shadow-yellow-900/20'
+              : ''
+          }
+          ${
+            isDimmed(data.id) && !matchesSearch && !isSelected
+              ? 'opacity-20 grayscale'
+              : `${baseColor} hover:brightness-110`
+          }
+          ${optionKind && !highlighted ? 'outline-dashed outline-2 outline-offset-1 outline-sky-400/70' : ''}
+          ${diffStatus === 'added' && !highlighted ? 'ring-2 ring-emerald-400' : ''}
+          ${diffStatus === 'removed' && !highlighted ? 'ring-2 ring-red-400' : ''}
+          ${isMultiSelected ? 'outline outline-2 outline-offset-2 outline-fuchsia-400' : ''}
+          ${isSelected ? 'z-20 shadow-xl shadow-yellow-900/40' : 'z-10'}
+	        `}
+	      >
+	        {isDiscontinued && (
+	          <span className="absolute top-1 right-1 px-1.5 py-0.5 rounded border border-red-600/60 bg-red-950/40 text-[8px] font-mono uppercase tracking-tight text-red-200">
+	            Discontinued
+	          </span>
+	        )}
+	        <div className="flex items-center justify-between mb-0.5">
+	          <span className="font-bold text-xs">{data.name}</span>
+	          {optionKind && !isDiscontinued && (
+	            <span
+	              className="px-1 rounded border border-sky-400/50 bg-sky-950/50 text-[8px] font-mono tracking-tight text-sky-200"
+	              title={`${PROFILE_OPTION_KINDS[optionKind].label} in ${profileStatus.profileName}`}
+	            >
+	              {PROFILE_OPTION_KINDS[optionKind].short}
+	            </span>
+	          )}
+	          {(diffStatus === 'added' || diffStatus === 'removed') && (
+	            <span
+	              className={`px-1 rounded border text-[8px] font-mono tracking-tight ${
+	                diffStatus === 'added'
+	                  ? 'border-emerald-400/50 bg-emerald-950/50 text-emerald-200'
+	                  : 'border-red-400/50 bg-red-950/50 text-red-200'
+	              }`}
+	              title={`${diffStatus === 'added' ? 'Added in' : 'Removed from'} ${profileCompare.to} · ${
+	                extensionInstructions[data.id]?.length ?? 0
+	              } instructions`}
+	            >
+	              {diffStatus === 'added' ? '+' : '−'}
+	              {extensionInstructions[data.id]?.length ?? 0}
+	            </span>
+	          )}
+	        </div>
+        <div className="text-[9px] leading-tight opacity-80 truncate">
+          {data.desc}
+        </div>
+      </div>
+    );
+  };
+
+  // Scroll to extension tile when search matches an extension ID or instruction mnemonic,
+  // and automatically open the Selected Details panel. Use a ref to avoid re-scrolling
+  // on every render while the query stays the same.
+	  React.useEffect(() => {
+	    const q = searchQuery.trim().toLowerCase();
+
+	    if (!q) {
+	      // Reset tracking when query is cleared
+	      lastScrolledKeyRef.current = null;
+	      setSearchMatches(null);
+	      return;
+	    }
+
+	    const allExts = Object.values(extensions).flat();
+	    let matchedMnemonic = null;
+	    let matchedDetails = null;
+
+	    // First, try an exact extension ID match
+	    let targetExt = allExts.find((ext) => ext.id.toLowerCase() === q);
+
+	    // If no exact extension ID match, try to match an instruction mnemonic
+	    if (!targetExt) {
+	      const matchEntry = Object.entries(extensionInstructions).find(([, mnemonics]) =>
+	        mnemonics.some((m) => m.toLowerCase() === q)
+	      );
+
+	      if (matchEntry) {
+	        const [extId, mnemonics] = matchEntry;
+	        targetExt = allExts.find((ext) => ext.id === extId) || null;
+	        matchedMnemonic = mnemonics.find((m) => m.toLowerCase() === q) || null;
+	        matchedDetails = targetExt?.instructions?.[matchedMnemonic] || null;
+	      }
+	    }
+
+	    // If still no match, try a deep search against indexed extension+instruction details
+	    if (!targetExt) {
+	      targetExt =
+	        allExts.find((ext) => (extensionSearchIndexById.get(ext.id) || '').includes(q)) ||
+	        null;
+	    }
+
+	    if (targetExt) {
+	      const hits = [];
+	      if (targetExt.instructions && typeof targetExt.instructions === 'object') {
+	        for (const [mnemonic, details] of Object.entries(targetExt.instructions)) {
+	          if (instructionMatchesQuery(mnemonic, details, q)) {
+	            hits.push(mnemonic);
+	          }
+	        }
+	      }
+
+	      if (matchedMnemonic && !hits.includes(matchedMnemonic)) hits.unshift(matchedMnemonic);
+	      if (!matchedMnemonic && hits.length) matchedMnemonic = hits[0];
+	      matchedDetails = matchedMnemonic ? targetExt?.instructions?.[matchedMnemonic] : null;
+
+	      // Always open/update the Selected Details panel for the matched extension
+	      setSelectedExt(targetExt);
+	      setSearchMatches(hits.length ? { extId: targetExt.id, query: q, mnemonics: hits, index: 0 } : null);
+	      setSelectedInstruction(matchedMnemonic && matchedDetails ? { mnemonic: matchedMnemonic, ...matchedDetails } : null);
+
+	      const key = `${targetExt.id}:${q}`;
+
+	      // Only auto-scroll once per unique (extension, query) pair
+	      if (lastScrolledKeyRef.current !== key) {
+        const el = document.getElementById(`ext-${targetExt.id}`);
+        if (el) {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+	        lastScrolledKeyRef.current = key;
+	      }
+	    }
+	  }, [searchQuery, extensionSearchIndexById]);
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-50 p-2 md:p-6 font-sans">
+	      <div className="max-w-[1600px] mx-auto grid grid-cols-1 lg:grid-cols-12 gap-6">
+	        {/* Header */}
+	        <div className="lg:col-span-12 flex flex-col md:flex-row justify-between items-start md:items-end border-b border-slate-700 pb-4 mb-2">
+	          <div>
+            <h1 className="text-2xl md:text-3xl font-black text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 via-amber-400 to-yellow-500">
+              RISC-V Extension Landscape
+            </h1>
+            <p className="text-slate-500 text-xs md:text-sm mt-1">
+              Interactive breakdown of RISC-V Extensions.
+            </p>
+          </div>
+
+	          <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mt-4 md:mt-0">
+	            <div className="flex items-center gap-2">
+	              <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
+	                Profiles
+	              </span>
+	              <div className="flex flex-wrap gap-2">
+	                {Object.keys(profiles).map((profile) => (
+	                  <button
+	                    key={profile}
+	                    onClick={() =>
+	                      setActiveProfile((current) => {
+	                        setSelectedExt(null);
+	                        setSelectedInstruction(null);
+	                        setSearchMatches(null);
+	                        setActiveProfileMode('all');
+	                        setProfileCompare(null);
+	                        return current === profile ? null : profile;
+	                      })
+	                    }
+	                    className={`
+	                      px-3 py-1 rounded text-xs font-bold border transition-all
+	                      ${
+		                        activeProfile === profile
+		                          ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
+		                          : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
+	                      }
+	                    `}
+	                  >
+	                    {profile}
+	                  </button>
+	                ))}
+	                <button
+	                  type="button"
+	                  onClick={() => {
+	                    setActiveProfile(null);
+	                    setSelectedExt(null);
+	                    setSelectedInstruction(null);
+	                    setSearchMatches(null);
+	                    setProfileCompare((current) => (current ? null : { from: 'RVA22', to: 'RVA23' }));
+	                  }}
+	                  className={`
+	                    px-2 py-1 rounded text-xs font-bold border transition-all inline-flex items-center gap-1
+	                    ${
+	                      profileCompare
+	                        ? 'bg-emerald-500/20 border-emerald-500 text-emerald-200'
+	                        : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
+	                    }
+	                  `}
+	                  title="Compare the mandatory extensions of two profiles"
+	                >
+	                  <GitCompare size={12} /> Compare
+	                </button>
+	              </div>
+	            </div>
+
+	            <div className="hidden md:block h-7 w-px bg-slate-800" />
+
+	            <div className="flex items-center gap-2">
+	              <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
+	                Targets
+	              </span>
+	              <div className="flex flex-wrap gap-2">
+	                {customTargets.map((target) => (
+	                  <button
+	                    key={target.name}
+	                    onClick={() =>
+	                      setActiveProfile((current) => {
+	                        setSelectedExt(null);
+	                        setSelectedInstruction(null);
+	                        setSearchMatches(null);
+	                        setActiveProfileMode('all');
+	                        setProfileCompare(null);
+	                        setTargetEditMode(false);
+	                        return current === target.name ? null : target.name;
+	                      })
+	                    }
+	                    className={`
+	                      px-3 py-1 rounded text-xs font-bold border transition-all
+	                      ${
+	                        activeProfile === target.name
+	                          ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
+	                          : 'bg-slate-800 border-dashed border-slate-500 text-slate-200 hover:border-slate-400'
+	                      }
+	                    `}
+	                    title={`${target.extensions.length} extensions${target.basedOn ? `, started from ${target.basedOn}` : ''}`}
+	                  >
+	                    {target.name}
+	                  </button>
+	                ))}
+	                <button
+	                  type="button"
+	                  onClick={createCustomTarget}
+	                  className="p-1.5 rounded border border-slate-600 bg-slate-800 text-slate-200 hover:border-slate-500"
+	                  title="New target from the active profile (RVA23 if none is active)"
+	                >
+	                  <Plus size={12} />
+	                </button>
+	                <label
+	                  className="p-1.5 rounded border border-slate-600 bg-slate-800 text-slate-200 hover:border-slate-500 cursor-pointer"
+	                  title="Import targets from a JSON file"
+	                >
+	                  <Upload size={12} />
+	                  <input
+	                    type="file"
+	                    accept=".json,application/json"
+	                    className="hidden"
+	                    onChange={async (e) => {
+	                      const file = e.target.files?.[0];
+	                      e.target.value = '';
+	                      if (!file) return;
+	                      importCustomTargets(await file.text());
+	                    }}
+	                  />
+	                </label>
+	                <button
+	                  type="button"
+	                  onClick={() =>
+	                    downloadTextFile('riscv-targets.json', serializeCustomTargets(customTargets), 'application/json')
+	                  }
+	                  disabled={!customTargets.length}
+	                  className="p-1.5 rounded border border-slate-600 bg-slate-800 text-slate-200 hover:border-slate-500 disabled:opacity-40"
+	                  title="Export all targets as JSON"
+	                >
+	                  <Download size={12} />
+	                </button>
+	              </div>
+	            </div>
+
+	            <div className="hidden md:block h-7 w-px bg-slate-800" />
+
+		            <div className="flex items-center gap-2">
+		              <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
+		                Volumes
+		              </span>
+	              <div className="flex gap-2">
+	                {['I', 'II'].map((vol) => (
+	                  <button
+	                    key={vol}
+	                    onClick={() =>
+	                      setActiveVolume((current) => {
+	                        setSelectedExt(null);
+	                        setSelectedInstruction(null);
+	                        setSearchMatches(null);
+	                        return current === vol ? null : vol;
+	                      })
+	                    }
+	                    className={`
+	                      px-3 py-1 rounded text-xs font-bold border transition-all
+	                      ${
+		                        activeVolume === vol
+		                          ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
+		                          : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
+	                      }
+	                    `}
+	                  >
+	                    Vol {vol}
+	                  </button>
+	                ))}
+		              </div>
+		            </div>
+
+		            <div className="hidden md:block h-7 w-px bg-slate-700" />
+
+		            <button
+		              type="button"
+		              onClick={() => {
+		                setEncoderValidatorOpen(true);
+		                if (activeProfile) setEncoderValidatorScope((prev) => ({ ...prev, profile: activeProfile }));
+		                setEncoderValidatorResult(null);
+		                setEncoderValidatorCopyStatus(null);
+		              }}
+		              className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+		              title="Validate a proposed instruction encoding against existing instructions"
+		            >
+		              <ScanSearch size={16} />
+		              Encoder Validator
+		            </button>
+
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setDecoderOpen(true);
+                        setDecoderResult(null);
+                        setDecoderDumpResult(null);
+                        setDecoderCopyStatus(null);
+                      }}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Decode a raw instruction word into matching instructions and operand values"
+                    >
+                      <Binary size={16} />
+                      Decoder
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setAssemblerOpen(true);
+                        setAssemblerResult(null);
+                        setAssemblerCopyStatus(null);
+                      }}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Encode an instruction and its operands into a machine word"
+                    >
+                      <Hammer size={16} />
+                      Assemble
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setOpcodeFinderOpen(true);
+                        setOpcodeFinderResult(null);
+                      }}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Find unallocated funct3/funct7 space under a major opcode"
+                    >
+                      <Target size={16} />
+                      Opcode Space
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => setOpcodeMapOpen(true)}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Show which instructions and extensions use each major opcode"
+                    >
+                      <Grid3x3 size={16} />
+                      Opcode Map
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={openAudit}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Check the instruction database for encoding errors and unexplained overlaps"
+                    >
+                      <ShieldCheck size={16} />
+                      Audit
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => setLandscapeView((current) => (current === 'graph' ? 'tiles' : 'graph'))}
+                      className={`inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all ${
+                        landscapeView === 'graph'
+                          ? 'bg-violet-500/20 border-violet-400 text-violet-100'
+                          : 'bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500'
+                      }`}
+                      title="Show the implies/requires/conflicts graph of the catalog instead of the tiles"
+                    >
+                      <Network size={16} />
+                      Dependency Graph
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setIsaGeneratorOpen(true);
+                        setIsaGeneratorCopyStatus(null);
+                      }}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Format the highlighted profile, target or selected tiles as an ISA string"
+                    >
+                      <Cpu size={16} />
+                      ISA String
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => setConfigCheckOpen(true)}
+                      className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
+                      title="Check the highlighted profile, target, ISA string or selected tiles for illegal combinations"
+                    >
+                      <Wrench size={16} />
+                      Check Config
+                    </button>
+		          </div>
+		        </div>
+
+	        {/* Main Grid */}
+	        <div className="lg:col-span-9 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 auto-rows-min">
+	          {/* Search Bar – centered, before Base Architectures */}
+		          <div className="col-span-full flex justify-center mb-3 -mt-1">
+		            <div className="w-full max-w-lg">
+		              <input
+		                type="text"
+		                value={searchQuery}
+		                onChange={(e) => setSearchQuery(e.target.value)}
+		                placeholder="Search extensions by ID, name, or description..."
+		                className="w-full px-4 py-2.5 rounded-lg bg-slate-800 border border-yellow-200/40 text-sm text-slate-100 placeholder-slate-400 shadow-sm shadow-yellow-900/10 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+		              />
+		              <p className="mt-1 text-[10px] text-center text-slate-500">
+		                Typing here will highlight matching tiles in yellow (case-insensitive).
+		              </p>
+                  <div className="mt-2 flex gap-2">
+                    <input
+                      type="text"
+                      value={isaStringInput}
+                      onChange={(e) => setIsaStringInput(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') applyIsaString();
+                      }}
+                      placeholder="Paste an ISA string, e.g. rv64imafdc_zicsr_zba_zbb"
+                      className="flex-1 min-w-0 px-3 py-1.5 rounded-lg bg-slate-800 border border-slate-600 font-mono text-xs text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                      title="ISA naming string, -march value, /proc/cpuinfo isa line or device-tree riscv,isa-extensions list"
+                    />
+                    <button
+                      type="button"
+                      onClick={applyIsaString}
+                      disabled={!isaStringInput.trim()}
+                      className="px-3 py-1.5 rounded-lg border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500 disabled:opacity-40"
+                    >
+                      Highlight
+                    </button>
+                  </div>
+                  {isaStringResult && (
+                    <div className="mt-2 text-[11px] text-center space-y-0.5">
+                      {isaStringResult.error ? (
+                        <div className="text-red-200">{isaStringResult.error}</div>
+                      ) : (
+                        <div className="flex flex-wrap items-center justify-center gap-x-2 gap-y-1 text-slate-300">
+                          <span>
+                            {isaStringResult.ids.length} extensions
+                            {isaStringResult.base ? ` on ${isaStringResult.base}` : ''}
+                          </span>
+                          {isaStringResult.unknown.length > 0 && (
+                            <span className="text-amber-200">
+                              · Not in the catalog: <span className="font-mono">{isaStringResult.unknown.join(', ')}</span>
+                            </span>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() =>
+                              addCustomTarget(isaStringInput.trim().slice(0, 40), null, isaStringResult.ids)
+                            }
+                            className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                            title="Save these extensions as a custom target"
+                          >
+                            <Plus size={12} /> Save as target
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setConfigCheckOpen(true)}
+                            className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                            title="Check these extensions for illegal combinations"
+                          >
+                            <Wrench size={12} /> Check
+                          </button>
+                        </div>
+                      )}
+                      {isaStringResult.warnings.map((warning, index) => (
+                        <div key={index} className="text-amber-200/80">
+                          {warning}
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={clearIsaString}
+                        className="text-slate-500 hover:text-slate-300 underline"
+                      >
+                        Clear ISA string
+                      </button>
+                    </div>
+                  )}
+                  {multiSelectedIds.length > 0 && (
+                    <div className="mt-2 flex flex-wrap items-center justify-center gap-2 text-[11px] text-slate-300">
+                      <span className="w-2.5 h-2.5 rounded-sm outline outline-2 outline-fuchsia-400" />
+                      <span>
+                        {multiSelectedIds.length} selected tile{multiSelectedIds.length === 1 ? '' : 's'} (Shift- or
+                        Ctrl-click to add or remove)
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setIsaGeneratorOpen(true);
+                          setIsaGeneratorCopyStatus(null);
+                        }}
+                        className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                        title="Format the selected tiles as an ISA string"
+                      >
+                        <Cpu size={12} /> ISA string
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setConfigCheckOpen(true)}
+                        className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                        title="Check the selected tiles for illegal combinations"
+                      >
+                        <Wrench size={12} /> Check
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setMultiSelectedIds([])}
+                        className="p-0.5 rounded text-slate-400 hover:text-slate-100"
+                        title="Clear the multi-selection"
+                      >
+                        <X size={12} />
+                      </button>
+                    </div>
+                  )}
+                  {opcodeMapFilter && (
+                    <div className="mt-2 flex items-center justify-center gap-2 text-[11px] text-slate-300">
+                      <Grid3x3 size={12} className="text-yellow-300" />
+                      <span>
+                        Opcode filter: <span className="font-mono text-yellow-200">{opcodeMapFilter.name}</span>{' '}
+                        <span className="font-mono text-slate-500">({opcodeMapFilter.code})</span> ·{' '}
+                        {new Set(opcodeMapFilter.instructions.map((instruction) => instruction.mnemonic)).size}{' '}
+                        instructions in {opcodeMapFilter.extIds.length} extensions
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setOpcodeMapFilter(null)}
+                        className="p-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                        title="Clear opcode filter"
+                      >
+                        <X size={12} />
+                      </button>
+                    </div>
+                  )}
+                  {profileDiff && (
+                    <div className="mt-2 flex flex-wrap items-center justify-center gap-x-3 gap-y-1 text-[11px] text-slate-300">
+                      <span className="inline-flex items-center gap-1">
+                        <GitCompare size={12} className="text-emerald-300" />
+                        Compare
+                      </span>
+                      {['from', 'to'].map((side) => (
+                        <React.Fragment key={side}>
+                          {side === 'to' && <ArrowRight size={12} className="text-slate-500" />}
+                          <select
+                            value={profileCompare[side]}
+                            onChange={(e) => setProfileCompare((prev) => ({ ...prev, [side]: e.target.value }))}
+                            className="px-1.5 py-0.5 rounded bg-slate-800 border border-slate-600 font-mono text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60"
+                            title={side === 'from' ? 'Profile to compare from' : 'Profile to compare to'}
+                          >
+                            {Object.keys(allProfiles).map((name) => (
+                              <option key={name} value={name}>
+                                {name}
+                              </option>
+                            ))}
+                          </select>
+                        </React.Fragment>
+                      ))}
+                      <span className="inline-flex items-center gap-1">
+                        <span className="w-2.5 h-2.5 rounded-sm ring-2 ring-emerald-400" />
+                        Added ({profileDiff.added.length})
+                      </span>
+                      <span className="inline-flex items-center gap-1">
+                        <span className="w-2.5 h-2.5 rounded-sm ring-2 ring-red-400" />
+                        Removed ({profileDiff.removed.length})
+                      </span>
+                      <span className="inline-flex items-center gap-1">
+                        <span className="w-2.5 h-2.5 rounded-sm bg-slate-500" />
+                        Unchanged ({profileDiff.unchanged.length})
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setProfileCompare(null)}
+                        className="p-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                        title="Leave compare mode"
+                      >
+                        <X size={12} />
+                      </button>
+                    </div>
+                  )}
+                  {activeProfile && (
+                    <div className="mt-2 flex flex-wrap items-center justify-center gap-x-3 gap-y-1 text-[11px] text-slate-300">
+                      <span>
+                        {allProfiles[activeProfile].custom ? 'Target' : 'Profile'}:{' '}
+                        <span className="font-mono text-yellow-200">{activeProfile}</span>
+                      </span>
+                      {allProfiles[activeProfile].S && (
+                        <div className="flex rounded border border-slate-600 overflow-hidden font-mono">
+                          {[
+                            ['all', 'U + S'],
+                            ['U', 'U'],
+                            ['S', 'S'],
+                          ].map(([mode, label]) => (
+                            <button
+                              key={mode}
+                              type="button"
+                              onClick={() => setActiveProfileMode(mode)}
+                              className={`px-1.5 py-0.5 ${
+                                activeProfileMode === mode
+                                  ? 'bg-yellow-500/20 text-yellow-200'
+                                  : 'bg-slate-800 text-slate-300 hover:text-slate-100'
+                              }`}
+                              title={profileModes(allProfiles[activeProfile], mode)
+                                .map((set) => set.name)
+                                .join(' + ')}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      <span className="inline-flex items-center gap-1">
+                        <span className="w-2.5 h-2.5 rounded-sm ring-2 ring-yellow-400" />
+                        {profiles[activeProfile] ? 'Mandatory' : 'Included'}
+                      </span>
+                      {profiles[activeProfile] && (
+                        <span className="inline-flex items-center gap-1">
+                          <span className="w-2.5 h-2.5 rounded-sm outline-dashed outline-2 outline-offset-1 outline-sky-400/70" />
+                          Optional ({Object.values(PROFILE_OPTION_KINDS)
+                            .map((kind) => kind.short)
+                            .join(' / ')})
+                        </span>
+                      )}
+                      <span className="inline-flex items-center gap-1">
+                        <span className="w-2.5 h-2.5 rounded-sm bg-slate-500 opacity-30" />
+                        {profiles[activeProfile] ? 'Unsupported' : 'Not included'}
+                      </span>
+                      {allProfiles[activeProfile].custom && (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setTargetNameDraft(activeProfile);
+                            setTargetEditMode((current) => !current);
+                          }}
+                          className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded border ${
+                            editingTarget
+                              ? 'border-yellow-500 bg-yellow-500/20 text-yellow-200'
+                              : 'border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500'
+                          }`}
+                          title={editingTarget ? 'Stop editing this target' : 'Add or remove extensions by clicking tiles'}
+                        >
+                          <Pencil size={12} /> {editingTarget ? 'Done' : 'Edit'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {editingTarget && (
+                    <div className="mt-2 flex flex-wrap items-center justify-center gap-x-3 gap-y-1 text-[11px] text-slate-300">
+                      <input
+                        type="text"
+                        value={targetNameDraft}
+                        onChange={(e) => setTargetNameDraft(e.target.value)}
+                        onBlur={renameActiveTarget}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') e.currentTarget.blur();
+                        }}
+                        className="w-40 px-1.5 py-0.5 rounded bg-slate-800 border border-slate-600 font-mono text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60"
+                        title="Target name"
+                      />
+                      <span>{allProfiles[editingTarget].U.mandatory.length} extensions · click tiles to add or remove</span>
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && resetActiveTarget(e.target.value)}
+                        className="px-1.5 py-0.5 rounded bg-slate-800 border border-slate-600 font-mono text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60"
+                        title="Replace the extensions with the mandatory set of a profile"
+                      >
+                        <option value="">Reset to…</option>
+                        {Object.keys(profiles).map((name) => (
+                          <option key={name} value={name}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={deleteActiveTarget}
+                        className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-red-600/60 bg-red-950/40 text-red-200 hover:border-red-500"
+                        title="Delete this target"
+                      >
+                        <Trash2 size={12} /> Delete
+                      </button>
+                    </div>
+                  )}
+                  {customTargetMessage && (
+                    <div className="mt-2 flex items-center justify-center gap-2 text-[11px] text-slate-300">
+                      <span>{customTargetMessage}</span>
+                      <button
+                        type="button"
+                        onClick={() => setCustomTargetMessage(null)}
+                        className="p-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                        title="Dismiss"
+                      >
+                        <X size={12} />
+                      </button>
+                    </div>
+                  )}
+		            </div>
+		          </div>
+
+          {landscapeView === 'graph' && dependencyGraphLayout && (
+            <div className="col-span-full space-y-2">
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-[11px] text-slate-400">
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-5 border-t-2 border-slate-400" /> implies
+                </span>
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-5 border-t-2 border-dashed border-amber-400" /> requires
+                </span>
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-5 border-t-2 border-dotted border-red-400" /> conflicts
+                </span>
+                <span>Nodes use the tile colors of their group. Scroll to zoom, drag to pan, click to select.</span>
+                <button
+                  type="button"
+                  onClick={() => setLandscapeView('tiles')}
+                  className="ml-auto inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  title="Back to the extension tiles"
+                >
+                  <LayoutGrid size={12} /> Tiles
+                </button>
+              </div>
+              <DependencyGraph
+                layout={dependencyGraphLayout}
+                extensionById={extensionById}
+                selectedId={selectedExt?.id ?? null}
+                relatedIds={dependencyGraphRelatedIds}
+                onSelect={(id) => {
+                  setSelectedExt((current) => (current?.id === id ? null : extensionById.get(id) ?? null));
+                  setSelectedInstruction(null);
+                  setSearchMatches(null);
+                }}
+              />
+            </div>
+          )}
+
+          {landscapeView === 'tiles' && (
+            <>
+          {/* 1. Base */}
+          <div className="space-y-2 col-span-full">
+            <h3 className="text-blue-400 text-xs font-bold uppercase flex items-center gap-2">
+              Base ISA
+            </h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              {extensions.base.map((item) => (
+                <ExtensionBlock
+                  key={item.id}
+                  data={item}
+                  searchQuery={searchQuery}
+                  colorClass={EXTENSION_GROUP_COLORS.base}
+                />
+              ))}
+            </div>
+          </div>
+
+	          {/* 2. Single-Letter Extensions */}
+	          <div className="space-y-2 col-span-full">
+	            <h3 className="text-emerald-400 text-xs font-bold uppercase flex items-center gap-2">
+	              Single-Letter Extensions
+	            </h3>
+	            <div className="grid grid-cols-4 md:grid-cols-8 gap-2">
+	              {extensions.standard.map((item) => (
+	                <ExtensionBlock
+                  key={item.id}
+                  data={item}
+                  searchQuery={searchQuery}
+                  colorClass={EXTENSION_GROUP_COLORS.standard}
+                />
+              ))}
+            </div>
+          </div>
+
+          {/* 3. Z-Extensions (User Mode) */}
+	          <div className="col-span-full grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 pt-4 border-t border-slate-700">
+	            <div className="space-y-2">
+	              <h3 className="text-purple-400 text-xs font-bold uppercase flex items-center gap-2">
+	                Bit Manipulation (Zb)
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_bit.map((item) => (
+	                  <ExtensionBlock
+                    key={item.id}
+                    data={item}
+                    searchQuery={searchQuery}
+                    colorClass={EXTENSION_GROUP_COLORS.z_bit}
+                  />
+                ))}
+	              </div>
+	            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-amber-400 text-xs font-bold uppercase flex items-center gap-2">
+	                Atomics (Za/Zic*)
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_atomics.map((item) => (
+	                  <ExtensionBlock
+	                    key={item.id}
+	                    data={item}
+	                    searchQuery={searchQuery}
+	                    colorClass={EXTENSION_GROUP_COLORS.z_atomics}
+	                  />
+	                ))}
+	              </div>
+	            </div>
+
+		            <div className="space-y-2">
+		              <h3 className="text-indigo-400 text-xs font-bold uppercase flex items-center gap-2">
+		                Compressed Instructions (Zc)
+		              </h3>
+		              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_compress.map((item) => (
+	                  <ExtensionBlock
+	                    key={item.id}
+                    data={item}
+                    searchQuery={searchQuery}
+                    colorClass={EXTENSION_GROUP_COLORS.z_compress}
+                  />
+                ))}
+	              </div>
+	            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-pink-400 text-xs font-bold uppercase flex items-center gap-2">
+	                Float & Numerics (Zf/Za)
+              </h3>
+              <div className="grid grid-cols-2 gap-2">
+                {extensions.z_float.map((item) => (
+                  <ExtensionBlock
+                    key={item.id}
+                    data={item}
+                    searchQuery={searchQuery}
+                    colorClass={EXTENSION_GROUP_COLORS.z_float}
+                  />
+                ))}
+	              </div>
+	            </div>
+
+		            <div className="space-y-2">
+		              <h3 className="text-sky-400 text-xs font-bold uppercase flex items-center gap-2">
+		                Load/Store
+		              </h3>
+		              <div className="grid grid-cols-2 gap-2">
+		                {extensions.z_load_store.map((item) => (
+		                  <ExtensionBlock
+		                    key={item.id}
+		                    data={item}
+		                    searchQuery={searchQuery}
+		                    colorClass={EXTENSION_GROUP_COLORS.z_load_store}
+		                  />
+		                ))}
+		              </div>
+		            </div>
+
+		            <div className="space-y-2">
+		              <h3 className="text-fuchsia-300 text-xs font-bold uppercase flex items-center gap-2">
+		                Integer
+		              </h3>
+		              <div className="grid grid-cols-2 gap-2">
+		                {extensions.z_integer.map((item) => (
+		                  <ExtensionBlock
+		                    key={item.id}
+		                    data={item}
+		                    searchQuery={searchQuery}
+		                    colorClass={EXTENSION_GROUP_COLORS.z_integer}
+		                  />
+		                ))}
+		              </div>
 		            </div>
 
-		            <div className="hidden md:block h-7 w-px bg-slate-700" />
+	            <div className="space-y-2">
+	              <h3 className="text-teal-400 text-xs font-bold uppercase flex items-center gap-2">
+	                Vector Subsets (Zv/Zve)
+	              </h3>
+              <div className="grid grid-cols-2 gap-2">
+                {extensions.z_vector.map((item) => (
+                  <ExtensionBlock
+                    key={item.id}
+                    data={item}
+                    searchQuery={searchQuery}
+                    colorClass={EXTENSION_GROUP_COLORS.z_vector}
+                  />
+                ))}
+              </div>
+            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-red-400 text-xs font-bold uppercase flex items-center gap-2">
+	                Security (Zi)
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_security.map((item) => (
+	                  <ExtensionBlock
+                    key={item.id}
+                    data={item}
+                    searchQuery={searchQuery}
+                    colorClass={EXTENSION_GROUP_COLORS.z_security}
+                  />
+                ))}
+              </div>
+            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-slate-400 text-xs font-bold uppercase flex items-center gap-2">
+	                Cryptography (Zk)
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_crypto.map((item) => (
+	                  <ExtensionBlock
+                    key={item.id}
+                    data={item}
+                    searchQuery={searchQuery}
+                    colorClass={EXTENSION_GROUP_COLORS.z_crypto}
+                  />
+                ))}
+	              </div>
+	            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-violet-300 text-xs font-bold uppercase flex items-center gap-2">
+	                Vector Cryptography (Zvk)
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_vector_crypto.map((item) => (
+	                  <ExtensionBlock
+	                    key={item.id}
+	                    data={item}
+	                    searchQuery={searchQuery}
+	                    colorClass={EXTENSION_GROUP_COLORS.z_vector_crypto}
+	                  />
+	                ))}
+	              </div>
+	            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-orange-400 text-xs font-bold uppercase flex items-center gap-2">
+	                System
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_system.map((item) => (
+	                  <ExtensionBlock
+	                    key={item.id}
+	                    data={item}
+	                    searchQuery={searchQuery}
+	                    colorClass={EXTENSION_GROUP_COLORS.z_system}
+	                  />
+	                ))}
+	              </div>
+	            </div>
+
+	            <div className="space-y-2">
+	              <h3 className="text-orange-200 text-xs font-bold uppercase flex items-center gap-2">
+	                Caches
+	              </h3>
+	              <div className="grid grid-cols-2 gap-2">
+	                {extensions.z_caches.map((item) => (
+	                  <ExtensionBlock
+	                    key={item.id}
+	                    data={item}
+	                    searchQuery={searchQuery}
+	                    colorClass={EXTENSION_GROUP_COLORS.z_caches}
+	                  />
+	                ))}
+	              </div>
+	            </div>
+	          </div>
+
+          {/* 4. S-Extensions (Privileged) */}
+	          <div className="col-span-full pt-4 border-t border-slate-700">
+            <h3 className="text-cyan-400 text-xs font-bold uppercase flex items-center gap-2 mb-3">
+              S & Sv Extensions (Privileged)
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <h4 className="text-[10px] uppercase text-slate-500 font-bold">Memory (Sv)</h4>
+                <div className="grid grid-cols-2 gap-2">
+                  {extensions.s_mem.map((item) => (
+                    <ExtensionBlock
+                      key={item.id}
+                      data={item}
+                      searchQuery={searchQuery}
+                      colorClass={EXTENSION_GROUP_COLORS.s_mem}
+                    />
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2">
+                <h4 className="text-[10px] uppercase text-slate-500 font-bold">Interrupts (Sm/Ss)</h4>
+                <div className="grid grid-cols-2 gap-2">
+                  {extensions.s_interrupt.map((item) => (
+                    <ExtensionBlock
+                      key={item.id}
+                      data={item}
+                      searchQuery={searchQuery}
+                      colorClass={EXTENSION_GROUP_COLORS.s_interrupt}
+                    />
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2">
+                <h4 className="text-[10px] uppercase text-slate-500 font-bold">
+                  Trap, Debug & Hypervisor Aux
+                </h4>
+                <div className="grid grid-cols-2 gap-2">
+                  {extensions.s_trap.map((item) => (
+                    <ExtensionBlock
+                      key={item.id}
+                      data={item}
+                      searchQuery={searchQuery}
+                      colorClass={EXTENSION_GROUP_COLORS.s_trap}
+                    />
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+            </>
+          )}
+        </div>
+
+	        {/* Sidebar Info Panel */}
+		        <div className="lg:col-span-3 mt-6 lg:mt-0">
+		          <div className="sticky top-6 bg-slate-800/80 border border-slate-700 backdrop-blur-sm rounded-xl shadow-2xl min-h-[400px] max-h-[calc(100vh-3rem)] flex flex-col overflow-hidden">
+		            <div className="p-4 pb-3 border-b border-slate-700/60">
+	              <h2 className="text-sm font-bold text-slate-400 flex items-center gap-2 uppercase tracking-wide">
+	                <Info size={16} /> Selected Details
+	              </h2>
+	            </div>
+
+	            <div className="flex-1 overflow-y-auto overscroll-contain p-4 pt-3">
+	              {selectedExt ? (
+	                <div className="animate-in fade-in slide-in-from-right-4 duration-300">
+	                <div className="mb-6 flex items-start justify-between gap-3">
+	                  <div className="min-w-0">
+	                    <a
+	                      href={selectedExt.url || 'https://github.com/riscv/riscv-isa-manual'}
+	                      target="_blank"
+	                      rel="noreferrer"
+	                      className="inline-flex items-start gap-1 text-3xl font-black text-white tracking-tight break-words hover:text-purple-300"
+	                      title="Open reference link"
+	                    >
+	                      <span>{selectedExt.name}</span>
+	                      <ArrowUpRight size={18} className="mt-1 shrink-0 opacity-80" />
+	                    </a>
+                  </div>
+
+                  {selectedExt.discontinued === 1 && (
+                    <span className="shrink-0 px-2 py-1 rounded-md text-[10px] font-mono uppercase tracking-wide border bg-red-950/40 text-red-200 border-red-600/60">
+                      Discontinued
+                    </span>
+                  )}
+                </div>
+
+                <div className="space-y-6">
+                  <div>
+                    <h4 className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                      Description
+                    </h4>
+                    <p className="text-slate-200 leading-snug">{selectedExt.desc}</p>
+                  </div>
+
+                  <div className="bg-slate-900 p-3 rounded border border-slate-700">
+                    <h4 className="text-[10px] uppercase tracking-wider text-blue-400 font-bold mb-2 flex items-center gap-1">
+                      <ArrowRight size={10} /> Use Case
+                    </h4>
+                    <p className="text-slate-400 text-sm italic">{selectedExt.use}</p>
+                  </div>
+
+                  {selectedDependencies && (
+                    <div className="bg-slate-900 p-3 rounded border border-slate-700">
+                      <h4 className="text-[10px] uppercase tracking-wider text-violet-300 font-bold mb-2">
+                        Dependencies
+                      </h4>
+                      {DEPENDENCY_SECTIONS.every((section) => selectedDependencies[section.key].length === 0) ? (
+                        <div className="text-xs text-slate-500">No dependencies recorded.</div>
+                      ) : (
+                        <div className="space-y-2">
+                          {DEPENDENCY_SECTIONS.filter((section) => selectedDependencies[section.key].length > 0)
+                            .map((section) => (
+                              <div key={section.key}>
+                                <div className={`text-[10px] uppercase tracking-wider font-bold mb-1 ${section.color}`}>
+                                  {section.title} ({selectedDependencies[section.key].length})
+                                </div>
+                                <div className="flex flex-wrap gap-1">
+                                  {selectedDependencies[section.key].map((dep) => {
+                                    const ext = allExtensionList.find((candidate) => candidate.id === dep.id);
+                                    // Direct dependencies are named by the selected entry (or name it); the rest
+                                    // come in through another extension.
+                                    const direct = section.verb ? dep.via === selectedExt.id : dep.direct;
+                                    return (
+                                      <button
+                                        key={dep.id}
+                                        type="button"
+                                        disabled={!ext}
+                                        onClick={() => {
+                                          setSelectedExt(ext);
+                                          setSelectedInstruction(null);
+                                        }}
+                                        className={`px-1.5 py-0.5 rounded border font-mono text-[11px] hover:border-slate-400 ${
+                                          direct
+                                            ? 'border-slate-500 bg-slate-800 text-slate-100'
+                                            : 'border-dashed border-slate-600 bg-slate-900 text-slate-400'
+                                        }`}
+                                        title={
+                                          direct
+                                            ? ext?.desc
+                                            : section.verb
+                                            ? `${dep.id}: ${section.verb} ${dep.via}`
+                                            : `${dep.id}: through its dependencies`
+                                        }
+                                      >
+                                        {dep.id}
+                                      </button>
+                                    );
+                                  })}
+                                </div>
+                              </div>
+                            ))}
+                          <div className="text-[10px] text-slate-500">
+                            Dashed entries come in indirectly, through another extension.
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+	                  {/* Instruction list, when available */}
+	                  {searchMatches &&
+	                    searchMatches.extId === selectedExt.id &&
+	                    searchMatches.query === searchQuery.trim().toLowerCase() &&
+	                    searchMatches.mnemonics.length > 0 && (
+	                      <div className="bg-slate-900 p-3 rounded border border-slate-700">
+	                        <div className="flex items-center justify-between gap-3">
+	                          <div className="min-w-0">
+	                            <div className="text-[10px] uppercase tracking-wider text-yellow-300 font-bold mb-0.5">
+	                              Search Hits ({searchMatches.mnemonics.length})
+	                            </div>
+	                            <div className="text-[11px] font-mono text-slate-200 truncate">
+	                              {searchMatches.mnemonics[searchMatches.index] || ''}
+	                              <span className="ml-2 text-slate-500">
+	                                ({searchMatches.index + 1}/{searchMatches.mnemonics.length})
+	                              </span>
+	                            </div>
+	                          </div>
+
+	                          <div className="flex items-center gap-2 shrink-0">
+	                            <button
+	                              type="button"
+	                              className="px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-100 disabled:opacity-40"
+	                              onClick={() => {
+	                                setSearchMatches((current) => {
+	                                  if (!current || current.extId !== selectedExt.id) return current;
+	                                  const nextIndex =
+	                                    (current.index - 1 + current.mnemonics.length) % current.mnemonics.length;
+	                                  const mnemonic = current.mnemonics[nextIndex];
+	                                  selectInstructionByMnemonic(selectedExt, mnemonic);
+	                                  return { ...current, index: nextIndex };
+	                                });
+	                              }}
+	                              disabled={searchMatches.mnemonics.length < 2}
+	                            >
+	                              Prev
+	                            </button>
+	                            <button
+	                              type="button"
+	                              className="px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-100 disabled:opacity-40"
+	                              onClick={() => {
+	                                setSearchMatches((current) => {
+	                                  if (!current || current.extId !== selectedExt.id) return current;
+	                                  const nextIndex = (current.index + 1) % current.mnemonics.length;
+	                                  const mnemonic = current.mnemonics[nextIndex];
+	                                  selectInstructionByMnemonic(selectedExt, mnemonic);
+	                                  return { ...current, index: nextIndex };
+	                                });
+	                              }}
+	                              disabled={searchMatches.mnemonics.length < 2}
+	                            >
+	                              Next
+	                            </button>
+	                          </div>
+	                        </div>
+	                      </div>
+	                    )}
+
+	                  {extensionInstructions[selectedExt.id] && (
+	                    <div className="bg-slate-900 p-3 rounded border border-slate-700">
+	                      <h4 className="text-[10px] uppercase tracking-wider text-emerald-400 font-bold mb-2">
+	                        Instruction Set Snapshot ({extensionInstructions[selectedExt.id].length})
+                          {opcodeMapFilter && (
+                            <span className="ml-1 normal-case tracking-normal font-normal text-yellow-300">
+                              · {snapshotMnemonics.length} in {opcodeMapFilter.name}
+                            </span>
+                          )}
+	                      </h4>
+	                      <div className="flex flex-wrap gap-1">
+		                        {snapshotMnemonics.map((mnemonic) => {
+		                          const q = searchQuery.trim().toLowerCase();
+		                          const instructionDetails = selectedExt.instructions?.[mnemonic];
+		                          const isHit =
+		                            q.length &&
+		                            (mnemonic.toLowerCase().includes(q) ||
+		                              instructionMatchesQuery(mnemonic, instructionDetails, q));
+		                          const isActive = selectedInstruction?.mnemonic === mnemonic;
+		                          const isClickable = Boolean(instructionDetails);
+		                          const isDeprecated = Boolean(instructionDetails?.deprecated);
+		                          return (
+	                            <button
+	                              key={mnemonic}
+	                              type="button"
+		                              onClick={() => {
+		                                if (!isClickable) return;
+		                                setSelectedInstruction(
+		                                  isActive ? null : { mnemonic, ...instructionDetails }
+		                                );
+		                                setSearchMatches((current) => {
+		                                  if (
+		                                    !current ||
+		                                    current.extId !== selectedExt.id ||
+		                                    current.query !== searchQuery.trim().toLowerCase()
+		                                  ) {
+		                                    return current;
+		                                  }
+		                                  const idx = current.mnemonics.indexOf(mnemonic);
+		                                  if (idx === -1) return current;
+		                                  return { ...current, index: idx };
+		                                });
+		                              }}
+	                              className={`px-1.5 py-0.5 rounded border text-[10px] font-mono tracking-tight ${
+	                                isActive
+	                                  ? isDeprecated
+	                                      ? 'border-red-400 bg-red-500/10 text-red-200'
+	                                      : 'border-emerald-400 bg-emerald-500/10 text-emerald-200'
+	                                  : isHit
+	                                      ? 'border-yellow-400 bg-yellow-500/10 text-yellow-200'
+	                                      : isDeprecated
+	                                          ? 'border-red-500/60 bg-red-500/5 text-red-200'
+	                                          : 'border-slate-700 bg-slate-800/70'
+	                              }`}
+	                              title={
+	                                isClickable
+	                                  ? `View details for ${mnemonic}`
+	                                  : `${mnemonic} (no details yet)`
+	                              }
+	                              disabled={!isClickable}
+	                            >
+	                              {mnemonic}
+	                            </button>
+	                          );
+	                        })}
+	                      </div>
+	                    </div>
+	                  )}
+
+                    {extensionCsrs[selectedExt.id] && (
+                      <div className="bg-slate-900 p-3 rounded border border-slate-700">
+                        <h4 className="text-[10px] uppercase tracking-wider text-sky-300 font-bold mb-2">
+                          {(extensionCsrLabels[selectedExt.id] || 'CSRs')}{' '}
+                          ({extensionCsrs[selectedExt.id].length})
+                        </h4>
+                        <div className="flex flex-wrap gap-1">
+                          {extensionCsrs[selectedExt.id].map((csr) => (
+                            <span
+                              key={csr}
+                              className="px-1.5 py-0.5 rounded border border-slate-700 bg-slate-800/70 text-[10px] font-mono text-slate-200"
+                            >
+                              {csr}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+		                  {selectedInstruction && (
+		                    <div className="bg-slate-900 p-3 rounded border border-slate-700">
+		                      <div className="flex items-start justify-between gap-3 mb-2">
+		                        <h4 className="text-[10px] uppercase tracking-wider text-purple-300 font-bold flex items-center gap-1">
+		                          <ArrowRight size={10} /> Instruction Details
+		                        </h4>
+		                        <div className="flex items-center gap-2">
+		                          <button
+		                            type="button"
+		                            className="inline-flex items-center gap-1 px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-100 hover:border-slate-500"
+		                            onClick={async () => {
+		                              const text = formatInstructionForClipboard(selectedExt, selectedInstruction);
+		                              const ok = await copyTextToClipboard(text);
+		                              setCopyStatus(ok ? 'copied' : 'failed');
+		                              window.setTimeout(() => setCopyStatus(null), 1500);
+		                            }}
+		                            title="Copy extension + instruction details"
+		                          >
+		                            <Copy size={12} />
+		                            {copyStatus === 'copied'
+		                              ? 'Copied'
+		                              : copyStatus === 'failed'
+		                                  ? 'Copy failed'
+		                                  : 'Copy'}
+		                          </button>
+		                          <button
+		                            type="button"
+		                            className="text-[10px] font-mono text-slate-500 hover:text-slate-300"
+		                            onClick={() => setSelectedInstruction(null)}
+		                          >
+		                            Close
+		                          </button>
+		                        </div>
+		                      </div>
+
+	                      <div className="mb-3 flex items-start justify-between gap-2">
+	                        <div className="text-white font-black tracking-tight text-xl">
+	                          {selectedInstruction.mnemonic}
+	                        </div>
+	                        {selectedInstruction.deprecated && (
+	                          <span className="shrink-0 px-2 py-1 rounded-md text-[10px] font-mono uppercase tracking-wide border bg-red-950/40 text-red-200 border-red-600/60">
+	                            Discontinued
+	                          </span>
+	                        )}
+	                      </div>
+
+	                      <div className="space-y-3">
+	                        <div>
+	                          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                            Encoding
+	                          </div>
+	                          <EncodingDiagram
+	                            encoding={selectedInstruction.encoding}
+	                            variableFields={selectedInstruction.variable_fields}
+	                          />
+	                          <div className="mt-1 text-[10px] text-slate-500">
+	                            Fixed bits are <span className="font-mono">0/1</span>, variable bits are{' '}
+	                            <span className="font-mono">x</span>. Hover a field label for its bit range.
+	                          </div>
+	                        </div>
+
+	                        <div>
+	                          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                            Variable Fields
+	                          </div>
+	                          <div className="flex flex-wrap gap-1">
+	                            {(selectedInstruction.variable_fields || []).map((field) => (
+	                              <span
+	                                key={field}
+	                                className="px-1.5 py-0.5 rounded border border-slate-700 bg-slate-800/70 text-[10px] font-mono text-slate-200"
+	                                title={describeVariableField(field) || 'Unknown field layout'}
+	                              >
+	                                {field}
+	                                {VARIABLE_FIELD_LAYOUT[field] && (
+	                                  <span className="text-slate-500">
+	                                    {' '}
+	                                    {formatFieldRange(VARIABLE_FIELD_LAYOUT[field].bits)}
+	                                  </span>
+	                                )}
+	                              </span>
+	                            ))}
+	                          </div>
+	                          {selectedInstruction.decodedWord != null && (
+	                            <div className="mt-2 rounded border border-slate-700 bg-slate-950/50 p-2">
+	                              <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                                Operands of{' '}
+	                                <span className="font-mono normal-case">{toHex(selectedInstruction.decodedWord, selectedInstruction.decodedLength)}</span>
+	                              </div>
+	                              <div className="flex flex-wrap gap-1">
+	                                {decodeOperands(
+	                                  selectedInstruction.decodedWord,
+	                                  selectedInstruction.mnemonic,
+	                                  selectedInstruction.variable_fields
+	                                ).map((operand) => (
+	                                  <span
+	                                    key={operand.name}
+	                                    className="px-1.5 py-0.5 rounded border border-purple-400/40 bg-purple-500/10 text-[10px] font-mono text-purple-100"
+	                                    title={operand.fields.join(' + ')}
+	                                  >
+	                                    {operand.name} = {operand.text}
+	                                    {operand.detail && <span className="opacity-60"> ({operand.detail})</span>}
+	                                  </span>
+	                                ))}
+	                              </div>
+	                            </div>
+	                          )}
+	                        </div>
+
+		                        <div className="grid grid-cols-2 gap-2">
+		                          <div>
+		                            <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+		                              Match
+		                            </div>
+		                            <div
+		                              className={`font-mono text-[11px] text-slate-100 bg-slate-800/70 border rounded px-2 py-1 ${
+		                                searchQuery.trim().length &&
+		                                String(selectedInstruction.match || '')
+		                                  .toLowerCase()
+		                                  .includes(searchQuery.trim().toLowerCase())
+		                                  ? 'border-yellow-400 bg-yellow-500/10'
+		                                  : 'border-slate-700'
+		                              }`}
+		                            >
+		                              {selectedInstruction.match}
+		                            </div>
+		                          </div>
+		                          <div>
+		                            <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+		                              Mask
+		                            </div>
+		                            <div
+		                              className={`font-mono text-[11px] text-slate-100 bg-slate-800/70 border rounded px-2 py-1 ${
+		                                searchQuery.trim().length &&
+		                                String(selectedInstruction.mask || '')
+		                                  .toLowerCase()
+		                                  .includes(searchQuery.trim().toLowerCase())
+		                                  ? 'border-yellow-400 bg-yellow-500/10'
+		                                  : 'border-slate-700'
+		                              }`}
+		                            >
+		                              {selectedInstruction.mask}
+		                            </div>
+		                          </div>
+		                        </div>
+
+                        {compressedMapping && (
+                          <div className="rounded border border-slate-700 bg-slate-950/50 p-3">
+                            <div className="text-[10px] uppercase tracking-wider text-cyan-300 font-bold mb-2">
+                              Compressed Mapping
+                            </div>
+                            <div className="space-y-2">
+                              <div>
+                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                                  Compressed
+                                </div>
+                                <div className="font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1">
+                                  {compressedMapping.compressed}
+                                </div>
+                              </div>
+                              <div>
+                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                                  Standard Equivalent
+                                </div>
+                                {hasStandardEquivalent ? (
+                                  <button
+                                    type="button"
+                                    className="w-full text-left font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1 hover:border-cyan-400/60"
+                                    onClick={() => selectStandardEquivalent(standardEquivalentMnemonic)}
+                                    title="Open standard instruction details"
+                                  >
+                                    <span className="inline-flex items-center gap-1">
+                                      {compressedMapping.standard}
+                                      <ArrowUpRight size={12} className="opacity-70" />
+                                    </span>
+                                  </button>
+                                ) : (
+                                  <div className="font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1">
+                                    {compressedMapping.standard}
+                                  </div>
+                                )}
+                              </div>
+                              <div>
+                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                                  Equivalent Instruction
+                                </div>
+                                {standardEquivalentMnemonic ? (
+                                  hasStandardEquivalent ? (
+                                    <button
+                                      type="button"
+                                      className="inline-flex items-center gap-1 text-[11px] font-mono text-cyan-200 hover:text-cyan-100 underline"
+                                      onClick={() => selectStandardEquivalent(standardEquivalentMnemonic)}
+                                      title="Open standard instruction details"
+                                    >
+                                      {standardEquivalentMnemonic}
+                                      <ArrowUpRight size={12} className="opacity-70" />
+                                    </button>
+                                  ) : (
+                                    <div className="text-[11px] text-slate-500 font-mono">
+                                      {standardEquivalentMnemonic}
+                                    </div>
+                                  )
+                                ) : (
+                                  <div className="text-[11px] text-slate-500">Unavailable</div>
+                                )}
+                              </div>
+                              <div>
+                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                                  Description
+                                </div>
+                                <div className="text-[11px] text-slate-200">{compressedMapping.description}</div>
+                              </div>
+                            </div>
+                          </div>
+                        )}
+
+                        {compressedEquivalents.length > 0 && (
+                          <div className="rounded border border-slate-700 bg-slate-950/40 p-3">
+                            <div className="text-[10px] uppercase tracking-wider text-emerald-300 font-bold mb-2">
+                              Compressed Equivalents
+                            </div>
+                            <div className="space-y-2">
+                              {compressedEquivalents.map((entry) => (
+                                <button
+                                  key={entry.mnemonic}
+                                  type="button"
+                                  className="w-full text-left rounded border border-slate-700 bg-slate-900/60 px-2 py-1.5 hover:border-emerald-400/60"
+                                  onClick={() => selectCompressedEquivalent(entry.mnemonic)}
+                                  title={`Open ${entry.mnemonic} details`}
+                                >
+                                  <div className="flex items-center gap-1 text-[11px] font-mono text-emerald-200">
+                                    {normalizeMnemonicKey(entry.mnemonic)}
+                                    <ArrowUpRight size={12} className="opacity-70" />
+                                  </div>
+                                  <div className="text-[10px] font-mono text-slate-400">{entry.compressed}</div>
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        )}
 
-		            <button
-		              type="button"
-		              onClick={() => {
-		                setEncoderValidatorOpen(true);
-		                setEncoderValidatorResult(null);
-		                setEncoderValidatorCopyStatus(null);
-		              }}
-		              className="inline-flex items-center gap-2 px-3 py-1 rounded text-xs font-bold border transition-all bg-slate-800 border-slate-600 text-slate-100 hover:border-slate-500"
-		              title="Validate a proposed instruction encoding against existing instructions"
-		            >
-		              <ScanSearch size={16} />
-		              Encoder Validator
-		            </button>
+		                      </div>
+		                    </div>
+		                  )}
+
+                  {activeProfile && (
+                    <div
+                      className={`
+                      mt-4 p-3 rounded text-xs flex items-center gap-2 border
+                      ${
+                        selectedProfileStatus.status === 'mandatory'
+                          ? 'bg-yellow-900/20 border-yellow-700/30 text-yellow-200'
+                          : selectedProfileStatus.status === 'optional'
+                            ? 'bg-sky-900/20 border-sky-700/30 text-sky-200'
+                            : 'bg-slate-800 border-slate-700 text-slate-500'
+                      }
+                    `}
+                    >
+                      {selectedProfileStatus.status === 'mandatory' ? (
+                        <>
+                          <div className="w-1.5 h-1.5 rounded-full bg-yellow-400 animate-pulse" />
+                          {profiles[activeProfile] ? 'Mandatory in' : 'Included in'}{' '}
+                          <strong>{selectedProfileStatus.profileName}</strong>
+                        </>
+                      ) : selectedProfileStatus.status === 'optional' ? (
+                        <>
+                          <div className="w-1.5 h-1.5 rounded-full bg-sky-400" />
+                          {PROFILE_OPTION_KINDS[selectedProfileStatus.kind].label} in{' '}
+                          <strong>{selectedProfileStatus.profileName}</strong>
+                        </>
+                      ) : (
+                        <>
+                          <div className="w-1.5 h-1.5 rounded-full bg-slate-600" />
+                          {profiles[activeProfile] ? 'Not supported by' : 'Not included in'}{' '}
+                          {selectedProfileStatus.profileName}
+                        </>
+	                      )}
+	                    </div>
+	                  )}
+
+                  {profileDiff && (
+                    <div
+                      className={`
+                      mt-4 p-3 rounded text-xs flex items-center gap-2 border
+                      ${
+                        profileDiffStatusOf(selectedExt.id) === 'added'
+                          ? 'bg-emerald-900/20 border-emerald-700/30 text-emerald-200'
+                          : profileDiffStatusOf(selectedExt.id) === 'removed'
+                            ? 'bg-red-900/20 border-red-700/30 text-red-200'
+                            : 'bg-slate-800 border-slate-700 text-slate-400'
+                      }
+                    `}
+                    >
+                      <GitCompare size={12} className="shrink-0" />
+                      {{
+                        added: `Mandatory in ${profileCompare.to}, not in ${profileCompare.from}`,
+                        removed: `Mandatory in ${profileCompare.from}, not in ${profileCompare.to}`,
+                        unchanged: `Mandatory in both ${profileCompare.from} and ${profileCompare.to}`,
+                      }[profileDiffStatusOf(selectedExt.id)] ||
+                        `Mandatory in neither ${profileCompare.from} nor ${profileCompare.to}`}
+                    </div>
+                  )}
+	                </div>
+	                </div>
+	              ) : profileDiff ? (
+                <div className="space-y-5">
+                  <div>
+                    <h4 className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Profile diff</h4>
+                    <div className="font-mono text-lg font-bold text-white">
+                      {profileCompare.from} → {profileCompare.to}
+                    </div>
+                    <div className="text-xs text-slate-400 mt-1">
+                      Instructions: {profileDiffCounts.from} → {profileDiffCounts.to} (
+                      {profileDiffCounts.to >= profileDiffCounts.from
+                        ? `+${profileDiffCounts.to - profileDiffCounts.from}`
+                        : `−${profileDiffCounts.from - profileDiffCounts.to}`}
+                      )
+                    </div>
+                  </div>
+
+                  {[
+                    { key: 'added', title: 'Added', color: 'text-emerald-300', sign: '+', other: profileCompare.from },
+                    { key: 'removed', title: 'Removed', color: 'text-red-300', sign: '−', other: profileCompare.to },
+                    { key: 'unchanged', title: 'Unchanged', color: 'text-slate-400', sign: '', other: null },
+                  ].map((section) => (
+                    <div key={section.key}>
+                      <h4 className={`text-[10px] uppercase tracking-wider font-bold mb-2 ${section.color}`}>
+                        {section.title} ({profileDiff[section.key].length})
+                      </h4>
+                      {profileDiff[section.key].length === 0 ? (
+                        <div className="text-xs text-slate-500">None.</div>
+                      ) : (
+                        <div className="space-y-1">
+                          {profileDiff[section.key].map((id) => {
+                            const ext = allExtensionList.find((candidate) => candidate.id === id);
+                            // An extension that moves between mandatory and optional is not a full add or removal.
+                            const otherStatus = section.other
+                              ? profileExtensionStatus(allProfiles[section.other], id)
+                              : null;
+                            return (
+                              <button
+                                key={id}
+                                type="button"
+                                disabled={!ext}
+                                onClick={() => setSelectedExt(ext)}
+                                className="w-full flex items-center justify-between gap-2 px-2 py-1 rounded border border-slate-700 bg-slate-900/50 text-left hover:border-slate-500 disabled:opacity-60"
+                                title={ext ? ext.desc : `${id} is not in the extension catalog`}
+                              >
+                                <span className="min-w-0 font-mono text-xs text-slate-200 truncate">
+                                  {id}
+                                  {otherStatus?.status === 'optional' && (
+                                    <span className="ml-1 text-[10px] text-sky-300">
+                                      ({section.key === 'added' ? 'was' : 'now'}{' '}
+                                      {PROFILE_OPTION_KINDS[otherStatus.kind].label.toLowerCase()})
+                                    </span>
+                                  )}
+                                </span>
+                                <span className={`shrink-0 font-mono text-[10px] ${section.color}`}>
+                                  {section.sign}
+                                  {extensionInstructions[id]?.length ?? 0}
+                                </span>
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+	              ) : (
+	                <div className="h-[300px] flex flex-col items-center justify-center text-slate-600 text-center space-y-4">
+	                  <LayoutGrid size={32} className="opacity-50" />
+	                  <p className="text-xs max-w-[150px]">
+	                    Click any block on the left to view technical specifications and use cases.
+	                  </p>
+	                </div>
+	              )}
+	            </div>
 		          </div>
 		        </div>
+	      </div>
 
-	        {/* Main Grid */}
-	        <div className="lg:col-span-9 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 auto-rows-min">
-	          {/* Search Bar – centered, before Base Architectures */}
-		          <div className="col-span-full flex justify-center mb-3 -mt-1">
-		            <div className="w-full max-w-lg">
-		              <input
-		                type="text"
-		                value={searchQuery}
-		                onChange={(e) => setSearchQuery(e.target.value)}
-		                placeholder="Search extensions by ID, name, or description..."
-		                className="w-full px-4 py-2.5 rounded-lg bg-slate-800 border border-yellow-200/40 text-sm text-slate-100 placeholder-slate-400 shadow-sm shadow-yellow-900/10 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
-		              />
-		              <p className="mt-1 text-[10px] text-center text-slate-500">
-		                Typing here will highlight matching tiles in yellow (case-insensitive).
-		              </p>
-		            </div>
-		          </div>
+	      {encoderValidatorOpen && (
+	        <div className="fixed inset-0 z-50">
+	          <div
+	            className="absolute inset-0 bg-black/60"
+	            onClick={() => setEncoderValidatorOpen(false)}
+	            role="presentation"
+	          />
 
-          {/* 1. Base */}
-          <div className="space-y-2 col-span-full">
-            <h3 className="text-blue-400 text-xs font-bold uppercase flex items-center gap-2">
-              Base ISA
-            </h3>
-            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
-              {extensions.base.map((item) => (
-                <ExtensionBlock
-                  key={item.id}
-                  data={item}
-                  searchQuery={searchQuery}
-                  colorClass="bg-blue-950 border-blue-800 text-blue-100"
-                />
-              ))}
-            </div>
-          </div>
+	          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+	            <div className="w-full max-w-3xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+	              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+	                <div className="min-w-0">
+	                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+	                    <ScanSearch size={16} /> Encoder Validator
+	                  </h3>
+	                  <p className="text-xs text-slate-500 mt-1">
+	                    Provide either an Encoding pattern (0/1/-) of 16 (compressed), 32, 48 or 64 bits, or Match+Mask
+	                    (hex). The validator checks the length-encoding bits and lists any existing instructions of the
+	                    same length that overlap. Batch checks a whole proposed extension, including overlaps between its
+	                    own instructions.
+	                  </p>
+	                </div>
 
-	          {/* 2. Single-Letter Extensions */}
-	          <div className="space-y-2 col-span-full">
-	            <h3 className="text-emerald-400 text-xs font-bold uppercase flex items-center gap-2">
-	              Single-Letter Extensions
-	            </h3>
-	            <div className="grid grid-cols-4 md:grid-cols-8 gap-2">
-	              {extensions.standard.map((item) => (
-	                <ExtensionBlock
-                  key={item.id}
-                  data={item}
-                  searchQuery={searchQuery}
-                  colorClass="bg-emerald-950 border-emerald-800 text-emerald-100"
-                />
-              ))}
-            </div>
-          </div>
+	                <button
+	                  type="button"
+	                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+	                  onClick={() => setEncoderValidatorOpen(false)}
+	                  title="Close"
+	                >
+	                  <X size={16} />
+	                </button>
+	              </div>
+
+	              <div className="px-4 pt-4 flex gap-2">
+	                {[
+	                  ['single', 'Single'],
+	                  ['batch', 'Batch'],
+	                ].map(([mode, label]) => (
+	                  <button
+	                    key={mode}
+	                    type="button"
+	                    onClick={() => setEncoderValidatorMode(mode)}
+	                    className={`px-3 py-1 rounded text-xs font-bold border transition-all ${
+	                      encoderValidatorMode === mode
+	                        ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
+	                        : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
+	                    }`}
+	                  >
+	                    {label}
+	                  </button>
+	                ))}
+	              </div>
+
+	              {encoderValidatorMode === 'single' ? (
+	                <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+	                  <div className="space-y-3">
+	                    <div>
+	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                        riscv-opcodes line (optional)
+	                      </div>
+	                      <div className="flex items-center gap-2">
+	                        <input
+	                          type="text"
+	                          value={encoderOpcodesLine}
+	                          onChange={(e) => setEncoderOpcodesLine(e.target.value)}
+	                          onKeyDown={(e) => {
+	                            if (e.key === 'Enter') importOpcodesLine();
+	                          }}
+	                          placeholder="add rd rs1 rs2 31..25=0 14..12=0 6..2=0x0C 1..0=3"
+	                          className="flex-1 min-w-0 px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+	                        />
+	                        <button
+	                          type="button"
+	                          onClick={importOpcodesLine}
+	                          className="px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+	                          title="Convert to encoding/match/mask and validate"
+	                        >
+	                          Import
+	                        </button>
+	                      </div>
+	                    </div>
+
+	                    <div>
+	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                        Proposed mnemonic (optional)
+	                      </div>
+	                      <input
+	                        type="text"
+	                        value={encoderValidatorInput.mnemonic}
+	                        onChange={(e) =>
+	                          setEncoderValidatorInput((prev) => ({ ...prev, mnemonic: e.target.value }))
+	                        }
+	                        placeholder="e.g. MYOP"
+	                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+	                      />
+	                    </div>
+
+	                    <div>
+	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                        Encoding (required if no match/mask)
+	                      </div>
+	                      <input
+	                        type="text"
+	                        value={encoderValidatorInput.encoding}
+	                        onChange={(e) =>
+	                          setEncoderValidatorInput((prev) => ({ ...prev, encoding: e.target.value }))
+	                        }
+	                        placeholder="-----------------000-----1100111"
+	                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+	                      />
+	                    </div>
+
+	                    <div className="grid grid-cols-2 gap-3">
+	                      <div>
+	                        <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                          Match (hex)
+	                        </div>
+	                        <input
+	                          type="text"
+	                          value={encoderValidatorInput.match}
+	                          onChange={(e) =>
+	                            setEncoderValidatorInput((prev) => ({ ...prev, match: e.target.value }))
+	                          }
+	                          placeholder="0x67"
+	                          className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+	                        />
+	                      </div>
+	                      <div>
+	                        <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                          Mask (hex)
+	                        </div>
+	                        <input
+	                          type="text"
+	                          value={encoderValidatorInput.mask}
+	                          onChange={(e) =>
+	                            setEncoderValidatorInput((prev) => ({ ...prev, mask: e.target.value }))
+	                          }
+	                          placeholder="0x707f"
+	                          className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+	                        />
+	                      </div>
+	                    </div>
+
+	                    <div>
+	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                        Scope
+	                      </div>
+	                      <ExtensionScopePicker
+	                        scope={encoderValidatorScope}
+	                        onChange={setEncoderValidatorScope}
+	                        profileNames={Object.keys(allProfiles)}
+	                      />
+	                    </div>
+
+	                    <div className="flex items-center gap-2 pt-1">
+	                      <button
+	                        type="button"
+	                        onClick={() => runEncoderValidation()}
+	                        className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
+	                      >
+	                        <ScanSearch size={16} />
+	                        Validate
+	                      </button>
+
+	                      <button
+	                        type="button"
+	                        onClick={() => {
+	                          setEncoderValidatorInput({ mnemonic: '', encoding: '', match: '', mask: '' });
+	                          setEncoderOpcodesLine('');
+	                          setEncoderValidatorResult(null);
+	                          setEncoderValidatorCopyStatus(null);
+	                        }}
+	                        className="px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+	                      >
+	                        Reset
+	                      </button>
+	                    </div>
+	                  </div>
+
+	                  <div className="space-y-3">
+	                    <div className="flex items-center justify-between gap-2">
+	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
+	                        Results
+	                      </div>
+	                      <ReportExportControls
+	                        format={encoderValidatorExportFormat}
+	                        onFormatChange={setEncoderValidatorExportFormat}
+	                        disabled={!encoderValidatorResult?.proposed}
+	                        copyStatus={encoderValidatorCopyStatus}
+	                        onCopy={() => exportValidatorResult(encoderValidatorResult, 'copy')}
+	                        onDownload={() => exportValidatorResult(encoderValidatorResult, 'download')}
+	                      />
+	                    </div>
+
+	                    {!encoderValidatorResult ? (
+	                      <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
+	                        Enter a proposed encoding and click Validate.
+	                      </div>
+	                    ) : (
+	                      <div className="space-y-3">
+	                        {encoderValidatorResult.errors.length > 0 && (
+	                          <div className="border border-red-800/40 bg-red-950/30 rounded p-3">
+	                            <div className="text-[10px] uppercase tracking-wider text-red-200 font-bold mb-2">
+	                              Errors
+	                            </div>
+	                            <ul className="text-xs text-red-100 space-y-1 list-disc pl-4">
+	                              {encoderValidatorResult.errors.map((err) => (
+	                                <li key={err}>{err}</li>
+	                              ))}
+	                            </ul>
+	                          </div>
+	                        )}
+
+	                        {encoderValidatorResult.warnings.length > 0 && (
+	                          <div className="border border-amber-700/40 bg-amber-950/20 rounded p-3">
+	                            <div className="text-[10px] uppercase tracking-wider text-amber-200 font-bold mb-2">
+	                              Warnings
+	                            </div>
+	                            <ul className="text-xs text-amber-100 space-y-1 list-disc pl-4">
+	                              {encoderValidatorResult.warnings.map((warning) => (
+	                                <li key={warning}>{warning}</li>
+	                              ))}
+	                            </ul>
+	                          </div>
+	                        )}
+
+	                        {encoderValidatorResult.proposed && (
+	                          <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+	                            <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+	                              Normalized Proposal
+	                            </div>
+	                            <div className="space-y-2">
+	                              <div className="font-mono text-[11px] text-slate-200 break-all">
+	                                Encoding: {encoderValidatorResult.proposed.encoding}{' '}
+	                                <span className="text-slate-500">({encoderValidatorResult.proposed.length}-bit)</span>
+	                              </div>
+	                              <div className="grid grid-cols-2 gap-2">
+	                                <div className="font-mono text-[11px] text-slate-200">Match: {encoderValidatorResult.proposed.match}</div>
+	                                <div className="font-mono text-[11px] text-slate-200">Mask: {encoderValidatorResult.proposed.mask}</div>
+	                              </div>
+	                            </div>
+	                          </div>
+	                        )}
+
+	                        {encoderValidatorResult.proposed && encoderValidatorResult.scope.unknown.length > 0 && (
+	                          <div className="text-xs text-amber-200 border border-amber-700/40 bg-amber-950/20 rounded p-2">
+	                            Ignored unknown extension IDs: {encoderValidatorResult.scope.unknown.join(', ')}
+	                          </div>
+	                        )}
+
+	                        {encoderValidatorResult.proposed &&
+	                          (encoderValidatorResult.scope.mode === 'all'
+	                            ? [{ key: 'all', title: 'Conflicts', conflicts: encoderValidatorResult.conflicts }]
+	                            : [
+	                                {
+	                                  key: 'in',
+	                                  title: `Conflicts in scope · ${encoderValidatorResult.scope.label}`,
+	                                  conflicts: encoderValidatorResult.conflicts.filter((conflict) => conflict.inScope),
+	                                },
+	                                {
+	                                  key: 'out',
+	                                  title: 'Out of scope',
+	                                  conflicts: encoderValidatorResult.conflicts.filter((conflict) => !conflict.inScope),
+	                                },
+	                              ]
+	                          ).map((section) => (
+	                          <div
+	                            key={section.key}
+	                            className={`border border-slate-700 rounded p-3 bg-slate-800/50 ${
+	                              section.key === 'out' ? 'opacity-70' : ''
+	                            }`}
+	                          >
+	                            <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+	                              {section.title} ({section.conflicts.length})
+	                            </div>
+	                            {section.conflicts.length === 0 ? (
+	                              <div className={`text-xs ${section.key === 'out' ? 'text-slate-400' : 'text-emerald-200'}`}>
+	                                {section.key === 'all'
+	                                  ? 'No overlaps found within the current instruction set database.'
+	                                  : section.key === 'in'
+	                                    ? 'No overlaps found within the selected extensions.'
+	                                    : 'No overlaps outside the selected extensions.'}
+	                              </div>
+	                            ) : (
+	                              <div className="space-y-2 max-h-[340px] overflow-y-auto overscroll-contain pr-1">
+	                                {section.conflicts.map((conflict) => (
+	                                  <div
+	                                    key={`${conflict.other.extId}:${conflict.other.mnemonic}:${conflict.type}`}
+	                                    className="border border-slate-700 rounded p-2 bg-slate-900/50"
+	                                  >
+	                                    <div className="flex items-start justify-between gap-2">
+	                                      <div className="min-w-0">
+	                                        <div className="font-mono text-xs text-slate-200 break-words">
+	                                          {conflict.other.mnemonic}{' '}
+	                                          <span className="text-slate-500">({conflict.other.extId})</span>
+	                                        </div>
+	                                        <div className="text-[11px] text-slate-500">{conflict.other.extName}</div>
+	                                      </div>
+	                                      <span className="shrink-0 px-2 py-1 rounded text-[10px] font-mono uppercase tracking-wide border bg-slate-800 text-slate-100 border-slate-600">
+	                                        {conflict.type}
+	                                      </span>
+	                                    </div>
 
-          {/* 3. Z-Extensions (User Mode) */}
-	          <div className="col-span-full grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 pt-4 border-t border-slate-700">
-	            <div className="space-y-2">
-	              <h3 className="text-purple-400 text-xs font-bold uppercase flex items-center gap-2">
-	                Bit Manipulation (Zb)
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_bit.map((item) => (
-	                  <ExtensionBlock
-                    key={item.id}
-                    data={item}
-                    searchQuery={searchQuery}
-                    colorClass="bg-purple-950/50 border-purple-800/50 text-purple-100"
-                  />
-                ))}
-	              </div>
-	            </div>
+	                                    <div className="mt-2 text-xs text-slate-300">{conflict.why}</div>
+	                                    <div className="mt-2 grid grid-cols-2 gap-2">
+	                                      <div className="font-mono text-[10px] text-slate-400">
+	                                        Common mask: {conflict.commonMask}
+	                                      </div>
+	                                      <div className="font-mono text-[10px] text-slate-400">
+	                                        Example word: {conflict.exampleWord}
+	                                      </div>
+	                                    </div>
+	                                    <ConflictFieldComparison conflict={conflict} />
+	                                  </div>
+	                                ))}
+	                              </div>
+	                            )}
+	                          </div>
+	                          ))}
+	                      </div>
+	                    )}
+	                  </div>
+	                </div>
+	              ) : (
+	                <div className="p-4 space-y-4">
+	                  <div>
+	                    <div className="flex items-center justify-between gap-2 mb-1">
+	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
+	                        Proposed extension
+	                      </div>
+	                      <label className="inline-flex items-center gap-2 px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[11px] font-bold text-slate-100 hover:border-slate-500 cursor-pointer">
+	                        <Upload size={12} />
+	                        Upload file
+	                        <input
+	                          type="file"
+	                          accept=".txt,.json,.csv,text/plain,application/json"
+	                          className="hidden"
+	                          onChange={async (e) => {
+	                            const file = e.target.files?.[0];
+	                            e.target.value = '';
+	                            if (!file) return;
+	                            setEncoderBatchInput(await file.text());
+	                            setEncoderBatchResult(null);
+	                          }}
+	                        />
+	                      </label>
+	                    </div>
+	                    <textarea
+	                      value={encoderBatchInput}
+	                      onChange={(e) => setEncoderBatchInput(e.target.value)}
+	                      rows={8}
+	                      placeholder={
+	                        '# one instruction per line\nmyop   0000000 ----- ----- 000 ----- 0001011\nmyop.w 0x0000100b 0xfe00707f\n\nor: [{ "mnemonic": "myop", "encoding": "..." }]'
+	                      }
+	                      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+	                    />
+	                    <div className="text-[11px] text-slate-500 mt-1">
+	                      Each line is a mnemonic followed by an encoding, by match and mask (hex, or match=/mask=), or a
+	                      riscv-opcodes line (add rd rs1 rs2 31..25=0 14..12=0 6..2=0x0C 1..0=3). A JSON
+	                      array of {'{ mnemonic, encoding }'} or {'{ mnemonic, match, mask }'} objects works too.
+	                    </div>
+	                  </div>
 
-	            <div className="space-y-2">
-	              <h3 className="text-amber-400 text-xs font-bold uppercase flex items-center gap-2">
-	                Atomics (Za/Zic*)
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_atomics.map((item) => (
-	                  <ExtensionBlock
-	                    key={item.id}
-	                    data={item}
-	                    searchQuery={searchQuery}
-	                    colorClass="bg-amber-950/40 border-amber-800/50 text-amber-100"
-	                  />
-	                ))}
-	              </div>
-	            </div>
+	                  <div>
+	                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+	                      Scope
+	                    </div>
+	                    <ExtensionScopePicker
+	                      scope={encoderValidatorScope}
+	                      onChange={setEncoderValidatorScope}
+	                      profileNames={Object.keys(allProfiles)}
+	                    />
+	                  </div>
 
-		            <div className="space-y-2">
-		              <h3 className="text-indigo-400 text-xs font-bold uppercase flex items-center gap-2">
-		                Compressed Instructions (Zc)
-		              </h3>
-		              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_compress.map((item) => (
-	                  <ExtensionBlock
-	                    key={item.id}
-                    data={item}
-                    searchQuery={searchQuery}
-                    colorClass="bg-indigo-950/50 border-indigo-800/50 text-indigo-100"
-                  />
-                ))}
-	              </div>
-	            </div>
+	                  <div className="flex items-center gap-2">
+	                    <button
+	                      type="button"
+	                      onClick={runBatchValidation}
+	                      className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
+	                    >
+	                      <ScanSearch size={16} />
+	                      Validate batch
+	                    </button>
 
-	            <div className="space-y-2">
-	              <h3 className="text-pink-400 text-xs font-bold uppercase flex items-center gap-2">
-	                Float & Numerics (Zf/Za)
-              </h3>
-              <div className="grid grid-cols-2 gap-2">
-                {extensions.z_float.map((item) => (
-                  <ExtensionBlock
-                    key={item.id}
-                    data={item}
-                    searchQuery={searchQuery}
-                    colorClass="bg-pink-950/50 border-pink-800/50 text-pink-100"
-                  />
-                ))}
-	              </div>
-	            </div>
+	                    <button
+	                      type="button"
+	                      onClick={() => {
+	                        setEncoderBatchInput('');
+	                        setEncoderBatchResult(null);
+	                        setEncoderValidatorCopyStatus(null);
+	                      }}
+	                      className="px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+	                    >
+	                      Reset
+	                    </button>
 
-		            <div className="space-y-2">
-		              <h3 className="text-sky-400 text-xs font-bold uppercase flex items-center gap-2">
-		                Load/Store
-		              </h3>
-		              <div className="grid grid-cols-2 gap-2">
-		                {extensions.z_load_store.map((item) => (
-		                  <ExtensionBlock
-		                    key={item.id}
-		                    data={item}
-		                    searchQuery={searchQuery}
-		                    colorClass="bg-sky-950/40 border-sky-800/40 text-sky-100"
-		                  />
-		                ))}
-		              </div>
-		            </div>
+	                    <div className="ml-auto">
+	                      <ReportExportControls
+	                        format={encoderValidatorExportFormat}
+	                        onFormatChange={setEncoderValidatorExportFormat}
+	                        disabled={!encoderBatchResult}
+	                        copyStatus={encoderValidatorCopyStatus}
+	                        onCopy={() => exportValidatorResult(encoderBatchResult, 'copy')}
+	                        onDownload={() => exportValidatorResult(encoderBatchResult, 'download')}
+	                      />
+	                    </div>
+	                  </div>
 
-		            <div className="space-y-2">
-		              <h3 className="text-fuchsia-300 text-xs font-bold uppercase flex items-center gap-2">
-		                Integer
-		              </h3>
-		              <div className="grid grid-cols-2 gap-2">
-		                {extensions.z_integer.map((item) => (
-		                  <ExtensionBlock
-		                    key={item.id}
-		                    data={item}
-		                    searchQuery={searchQuery}
-		                    colorClass="bg-fuchsia-950/40 border-fuchsia-800/40 text-fuchsia-100"
-		                  />
-		                ))}
-		              </div>
-		            </div>
+	                  {!encoderBatchResult ? (
+	                    <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
+	                      Paste or upload the proposed instructions and click Validate batch.
+	                    </div>
+	                  ) : (
+	                    <div className="space-y-3">
+	                      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] uppercase tracking-wider font-bold">
+	                        <span className="text-slate-400">Entries ({encoderBatchResult.summary.total})</span>
+	                        <span className="text-red-200">Invalid ({encoderBatchResult.summary.invalid})</span>
+	                        <span className="text-amber-200">
+	                          {encoderBatchResult.scope.mode === 'all' ? 'Database conflicts' : 'Database conflicts in scope'} (
+	                          {encoderBatchResult.summary.conflictingInScope})
+	                        </span>
+	                        <span className="text-amber-200">Batch conflicts ({encoderBatchResult.summary.conflictingInBatch})</span>
+	                      </div>
 
-	            <div className="space-y-2">
-	              <h3 className="text-teal-400 text-xs font-bold uppercase flex items-center gap-2">
-	                Vector Subsets (Zv/Zve)
-	              </h3>
-              <div className="grid grid-cols-2 gap-2">
-                {extensions.z_vector.map((item) => (
-                  <ExtensionBlock
-                    key={item.id}
-                    data={item}
-                    searchQuery={searchQuery}
-                    colorClass="bg-teal-950/50 border-teal-800/50 text-teal-100"
-                  />
-                ))}
-              </div>
-            </div>
+	                      {encoderBatchResult.parseErrors.length > 0 && (
+	                        <div className="border border-red-800/40 bg-red-950/30 rounded p-3">
+	                          <div className="text-[10px] uppercase tracking-wider text-red-200 font-bold mb-2">
+	                            Unreadable input
+	                          </div>
+	                          <ul className="text-xs text-red-100 space-y-1 list-disc pl-4">
+	                            {encoderBatchResult.parseErrors.map((err, index) => (
+	                              <li key={`${err.line}:${index}`}>
+	                                {err.line ? `Line ${err.line}: ` : ''}
+	                                {err.message}
+	                                {err.text && <span className="font-mono text-red-200/70"> {err.text}</span>}
+	                              </li>
+	                            ))}
+	                          </ul>
+	                        </div>
+	                      )}
 
-	            <div className="space-y-2">
-	              <h3 className="text-red-400 text-xs font-bold uppercase flex items-center gap-2">
-	                Security (Zi)
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_security.map((item) => (
-	                  <ExtensionBlock
-                    key={item.id}
-                    data={item}
-                    searchQuery={searchQuery}
-                    colorClass="bg-red-950/50 border-red-800/50 text-red-100"
-                  />
-                ))}
-              </div>
-            </div>
+	                      {encoderBatchResult.scope.unknown.length > 0 && (
+	                        <div className="text-xs text-amber-200 border border-amber-700/40 bg-amber-950/20 rounded p-2">
+	                          Ignored unknown extension IDs: {encoderBatchResult.scope.unknown.join(', ')}
+	                        </div>
+	                      )}
 
-	            <div className="space-y-2">
-	              <h3 className="text-slate-400 text-xs font-bold uppercase flex items-center gap-2">
-	                Cryptography (Zk)
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_crypto.map((item) => (
-	                  <ExtensionBlock
-                    key={item.id}
-                    data={item}
-                    searchQuery={searchQuery}
-                    colorClass="bg-slate-800 border-slate-600 text-slate-300"
-                  />
-                ))}
-	              </div>
-	            </div>
+	                      {encoderBatchResult.duplicateMnemonics.length > 0 && (
+	                        <div className="text-xs text-amber-200 border border-amber-700/40 bg-amber-950/20 rounded p-2">
+	                          Duplicate mnemonics in the batch: {encoderBatchResult.duplicateMnemonics.join(', ')}
+	                        </div>
+	                      )}
 
-	            <div className="space-y-2">
-	              <h3 className="text-violet-300 text-xs font-bold uppercase flex items-center gap-2">
-	                Vector Cryptography (Zvk)
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_vector_crypto.map((item) => (
-	                  <ExtensionBlock
-	                    key={item.id}
-	                    data={item}
-	                    searchQuery={searchQuery}
-	                    colorClass="bg-violet-950/40 border-violet-800/40 text-violet-100"
-	                  />
-	                ))}
-	              </div>
-	            </div>
+	                      <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+	                        <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+	                          Conflicts within the batch ({encoderBatchResult.batchConflicts.length})
+	                        </div>
+	                        {encoderBatchResult.batchConflicts.length === 0 ? (
+	                          <div className="text-xs text-emerald-200">No two proposed instructions overlap.</div>
+	                        ) : (
+	                          <div className="space-y-2 max-h-[240px] overflow-y-auto overscroll-contain pr-1">
+	                            {encoderBatchResult.batchConflicts.map((pair) => (
+	                              <div key={`${pair.a}:${pair.b}`} className="border border-slate-700 rounded p-2 bg-slate-900/50">
+	                                <div className="flex items-start justify-between gap-2">
+	                                  <div className="font-mono text-xs text-slate-200 break-words">
+	                                    {proposalLabel(encoderBatchResult.entries[pair.a])}{' '}
+	                                    <span className="text-slate-500">vs</span>{' '}
+	                                    {proposalLabel(encoderBatchResult.entries[pair.b])}
+	                                  </div>
+	                                  <span className="shrink-0 px-2 py-1 rounded text-[10px] font-mono uppercase tracking-wide border bg-slate-800 text-slate-100 border-slate-600">
+	                                    {pair.type}
+	                                  </span>
+	                                </div>
+	                                <div className="mt-2 text-xs text-slate-300">{pair.why}</div>
+	                                <div className="mt-2 grid grid-cols-2 gap-2">
+	                                  <div className="font-mono text-[10px] text-slate-400">Common mask: {pair.commonMask}</div>
+	                                  <div className="font-mono text-[10px] text-slate-400">Example word: {pair.exampleWord}</div>
+	                                </div>
+	                              </div>
+	                            ))}
+	                          </div>
+	                        )}
+	                      </div>
 
-	            <div className="space-y-2">
-	              <h3 className="text-orange-400 text-xs font-bold uppercase flex items-center gap-2">
-	                System
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_system.map((item) => (
-	                  <ExtensionBlock
-	                    key={item.id}
-	                    data={item}
-	                    searchQuery={searchQuery}
-	                    colorClass="bg-orange-950/50 border-orange-800/50 text-orange-100"
-	                  />
-	                ))}
-	              </div>
-	            </div>
+	                      <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+	                        <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+	                          Entries ({encoderBatchResult.entries.length})
+	                        </div>
+	                        {encoderBatchResult.entries.length === 0 ? (
+	                          <div className="text-xs text-amber-200">No instructions found in the input.</div>
+	                        ) : (
+	                          <div className="space-y-2 max-h-[420px] overflow-y-auto overscroll-contain pr-1">
+	                            {encoderBatchResult.entries.map((entry) => {
+	                              const inScope = entry.conflicts.filter((conflict) => conflict.inScope);
+	                              const outOfScope = entry.conflicts.filter((conflict) => !conflict.inScope);
+	                              const status = entry.errors.length
+	                                ? 'invalid'
+	                                : inScope.length || entry.batchConflicts.length
+	                                  ? 'conflicts'
+	                                  : 'ok';
+	                              return (
+	                                <div key={entry.index} className="border border-slate-700 rounded p-2 bg-slate-900/50">
+	                                  <div className="flex items-start justify-between gap-2">
+	                                    <div className="min-w-0">
+	                                      <div className="font-mono text-xs text-slate-200 break-words">{proposalLabel(entry)}</div>
+	                                      <div className="text-[11px] text-slate-500">{entry.source}</div>
+	                                    </div>
+	                                    <span
+	                                      className={`shrink-0 px-2 py-1 rounded text-[10px] font-mono uppercase tracking-wide border ${
+	                                        status === 'ok'
+	                                          ? 'bg-emerald-500/10 text-emerald-200 border-emerald-500/40'
+	                                          : status === 'conflicts'
+	                                            ? 'bg-amber-500/10 text-amber-200 border-amber-500/40'
+	                                            : 'bg-red-500/10 text-red-200 border-red-500/40'
+	                                      }`}
+	                                    >
+	                                      {status}
+	                                    </span>
+	                                  </div>
 
-	            <div className="space-y-2">
-	              <h3 className="text-orange-200 text-xs font-bold uppercase flex items-center gap-2">
-	                Caches
-	              </h3>
-	              <div className="grid grid-cols-2 gap-2">
-	                {extensions.z_caches.map((item) => (
-	                  <ExtensionBlock
-	                    key={item.id}
-	                    data={item}
-	                    searchQuery={searchQuery}
-	                    colorClass="bg-orange-950/30 border-orange-700/30 text-orange-100"
-	                  />
-	                ))}
-	              </div>
+	                                  {entry.proposed && (
+	                                    <div className="mt-1 font-mono text-[11px] text-slate-300 break-all">
+	                                      {entry.proposed.encoding}{' '}
+	                                      <span className="text-slate-500">
+	                                        ({entry.proposed.length}-bit · {entry.proposed.match}/{entry.proposed.mask})
+	                                      </span>
+	                                    </div>
+	                                  )}
+
+	                                  {entry.errors.length > 0 && (
+	                                    <ul className="mt-1 text-[11px] text-red-200 space-y-0.5 list-disc pl-4">
+	                                      {entry.errors.map((err) => (
+	                                        <li key={err}>{err}</li>
+	                                      ))}
+	                                    </ul>
+	                                  )}
+
+	                                  {entry.warnings.length > 0 && (
+	                                    <ul className="mt-1 text-[11px] text-amber-200 space-y-0.5 list-disc pl-4">
+	                                      {entry.warnings.map((warning) => (
+	                                        <li key={warning}>{warning}</li>
+	                                      ))}
+	                                    </ul>
+	                                  )}
+
+	                                  {(entry.conflicts.length > 0 || entry.batchConflicts.length > 0) && (
+	                                    <div className="mt-2 flex flex-wrap gap-1">
+	                                      {inScope.map((conflict) => (
+	                                        <span
+	                                          key={`${conflict.other.extId}:${conflict.other.mnemonic}`}
+	                                          className="px-1.5 py-0.5 rounded border border-amber-500/40 bg-amber-500/10 text-[10px] font-mono text-amber-100"
+	                                          title={conflict.why}
+	                                        >
+	                                          {conflict.other.mnemonic} ({conflict.other.extId}) · {conflict.type}
+	                                        </span>
+	                                      ))}
+	                                      {outOfScope.map((conflict) => (
+	                                        <span
+	                                          key={`${conflict.other.extId}:${conflict.other.mnemonic}`}
+	                                          className="px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-400 opacity-70"
+	                                          title={`Out of scope · ${conflict.why}`}
+	                                        >
+	                                          {conflict.other.mnemonic} ({conflict.other.extId}) · {conflict.type}
+	                                        </span>
+	                                      ))}
+	                                      {entry.batchConflicts.map((pair) => (
+	                                        <span
+	                                          key={`batch:${pair.a}:${pair.b}`}
+	                                          className="px-1.5 py-0.5 rounded border border-orange-500/40 bg-orange-500/10 text-[10px] font-mono text-orange-100"
+	                                          title={pair.why}
+	                                        >
+	                                          batch: {proposalLabel(encoderBatchResult.entries[pair.a === entry.index ? pair.b : pair.a])}{' '}
+	                                          · {pair.type}
+	                                        </span>
+	                                      ))}
+	                                    </div>
+	                                  )}
+	                                </div>
+	                              );
+	                            })}
+	                          </div>
+	                        )}
+	                      </div>
+	                    </div>
+	                  )}
+	                </div>
+	              )}
 	            </div>
 	          </div>
+	        </div>
+	      )}
+
+      {decoderOpen && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setDecoderOpen(false)}
+            role="presentation"
+          />
 
-          {/* 4. S-Extensions (Privileged) */}
-	          <div className="col-span-full pt-4 border-t border-slate-700">
-            <h3 className="text-cyan-400 text-xs font-bold uppercase flex items-center gap-2 mb-3">
-              S & Sv Extensions (Privileged)
-            </h3>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div className="space-y-2">
-                <h4 className="text-[10px] uppercase text-slate-500 font-bold">Memory (Sv)</h4>
-                <div className="grid grid-cols-2 gap-2">
-                  {extensions.s_mem.map((item) => (
-                    <ExtensionBlock
-                      key={item.id}
-                      data={item}
-                      searchQuery={searchQuery}
-                      colorClass="bg-cyan-950/30 border-cyan-800/30 text-cyan-100"
-                    />
-                  ))}
-                </div>
-              </div>
-              <div className="space-y-2">
-                <h4 className="text-[10px] uppercase text-slate-500 font-bold">Interrupts (Sm/Ss)</h4>
-                <div className="grid grid-cols-2 gap-2">
-                  {extensions.s_interrupt.map((item) => (
-                    <ExtensionBlock
-                      key={item.id}
-                      data={item}
-                      searchQuery={searchQuery}
-                      colorClass="bg-cyan-950/30 border-cyan-800/30 text-cyan-100"
-                    />
-                  ))}
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-3xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <Binary size={16} /> Decoder
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Paste a 32-bit word or a 16-bit compressed parcel (hex), or a whole hex dump. The decoder lists
+                    every instruction whose match/mask accepts each word, with the value of each operand field.
+                  </p>
                 </div>
+
+                <button
+                  type="button"
+                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  onClick={() => setDecoderOpen(false)}
+                  title="Close"
+                >
+                  <X size={16} />
+                </button>
               </div>
-              <div className="space-y-2">
-                <h4 className="text-[10px] uppercase text-slate-500 font-bold">
-                  Trap, Debug & Hypervisor Aux
-                </h4>
-                <div className="grid grid-cols-2 gap-2">
-                  {extensions.s_trap.map((item) => (
-                    <ExtensionBlock
-                      key={item.id}
-                      data={item}
-                      searchQuery={searchQuery}
-                      colorClass="bg-cyan-950/30 border-cyan-800/30 text-cyan-100"
-                    />
+
+              <div className="p-4 space-y-4">
+                <div className="flex gap-2">
+                  {[
+                    ['word', 'Single word'],
+                    ['dump', 'Hex dump'],
+                  ].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setDecoderMode(mode)}
+                      className={`px-3 py-1 rounded text-xs font-bold border transition-all ${
+                        decoderMode === mode
+                          ? 'bg-yellow-500/20 border-yellow-500 text-yellow-200'
+                          : 'bg-slate-800 border-slate-600 text-slate-200 hover:border-slate-500'
+                      }`}
+                    >
+                      {label}
+                    </button>
                   ))}
                 </div>
+
+                {decoderMode === 'word' && (
+                  <>
+                    <div>
+                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                        Instruction word (hex)
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={decoderInput}
+                          onChange={(e) => setDecoderInput(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') runInstructionDecode();
+                          }}
+                          placeholder="0x00a50533"
+                          className="flex-1 px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                        />
+                        <button
+                          type="button"
+                          onClick={runInstructionDecode}
+                          className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
+                        >
+                          <Binary size={16} />
+                          Decode
+                        </button>
+                      </div>
+                    </div>
+
+                    {!decoderResult ? (
+                      <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
+                        Enter an instruction word and click Decode.
+                      </div>
+                    ) : decoderResult.errors.length > 0 ? (
+                      <div className="border border-red-800/40 bg-red-950/30 rounded p-3">
+                        <div className="text-[10px] uppercase tracking-wider text-red-200 font-bold mb-2">Errors</div>
+                        <ul className="text-xs text-red-100 space-y-1 list-disc pl-4">
+                          {decoderResult.errors.map((err) => (
+                            <li key={err}>{err}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    ) : (
+                      <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+                        <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+                          Matches ({decoderResult.matches.length}) ·{' '}
+                          {toHex(decoderResult.word, decoderResult.length)} · {decoderResult.length}-bit
+                        </div>
+                        {decoderResult.illegal && (
+                          <div className="mb-2 text-xs text-red-200">
+                            {decoderResult.illegal} The matches below only share its bit pattern.
+                          </div>
+                        )}
+                        {decoderResult.matches.length === 0 ? (
+                          <div className="text-xs text-amber-200">
+                            No instruction in the current database matches this word.
+                          </div>
+                        ) : (
+                          <div className="space-y-2 max-h-[420px] overflow-y-auto overscroll-contain pr-1">
+                            {decoderResult.matches.map((match) => (
+                              <div
+                                key={`${match.mnemonic}:${match.match}:${match.mask}`}
+                                className="border border-slate-700 rounded p-2 bg-slate-900/50"
+                              >
+                                <div className="flex items-start justify-between gap-2">
+                                  <div className="min-w-0">
+                                    <button
+                                      type="button"
+                                      className="inline-flex items-center gap-1 font-mono text-xs text-slate-100 hover:text-purple-300"
+                                      onClick={() => openDecodedInstruction(match, decoderResult.word, decoderResult.length)}
+                                      title={`Open ${match.mnemonic} details`}
+                                    >
+                                      {match.mnemonic}
+                                      <ArrowUpRight size={12} className="opacity-70" />
+                                    </button>
+                                    <div className="text-[11px] text-slate-500">
+                                      {match.extensions.map((ext) => `${ext.extName} (${ext.extId})`).join(', ')}
+                                    </div>
+                                  </div>
+                                  <span className="shrink-0 px-2 py-1 rounded text-[10px] font-mono border bg-slate-800 text-slate-300 border-slate-600">
+                                    {match.specificity} fixed bits
+                                  </span>
+                                </div>
+
+                                <div className="mt-2 font-mono text-[10px] text-slate-400 break-all">
+                                  Encoding: {match.encoding}
+                                </div>
+
+                                {match.operands.length > 0 && (
+                                  <div className="mt-2 flex flex-wrap gap-1">
+                                    {match.operands.map((operand) => (
+                                      <span
+                                        key={operand.name}
+                                        className="px-1.5 py-0.5 rounded border border-slate-700 bg-slate-800/70 text-[10px] font-mono text-slate-200"
+                                        title={
+                                          operand.ranges.length
+                                            ? `${operand.fields.join(' + ')}: bits ${operand.ranges
+                                                .map(formatFieldRange)
+                                                .join(' ')}`
+                                            : 'Unknown field layout'
+                                        }
+                                      >
+                                        {operand.name} = {operand.text}
+                                        {operand.detail && (
+                                          <span className="text-slate-500"> ({operand.detail})</span>
+                                        )}
+                                      </span>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </>
+                )}
+
+                {decoderMode === 'dump' && (
+                  <>
+                    <div>
+                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                        Hex dump (objdump-style <span className="font-mono normal-case">addr: word</span> lines, or a bare
+                        list of words)
+                      </div>
+                      <textarea
+                        value={decoderDumpInput}
+                        onChange={(e) => setDecoderDumpInput(e.target.value)}
+                        rows={8}
+                        placeholder={'80000000:\t00000513\tli a0,0\n80000004:\t4581\tli a1,0\n\nor: 00000513 4581 00b50533'}
+                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                      />
+                      <div className="flex items-center gap-2 pt-2">
+                        <button
+                          type="button"
+                          onClick={runHexDumpDisassembly}
+                          className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
+                        >
+                          <Binary size={16} />
+                          Disassemble
+                        </button>
+                        <button
+                          type="button"
+                          disabled={!decoderDumpResult?.rows.length}
+                          onClick={async () => {
+                            if (!decoderDumpResult?.rows.length) return;
+                            const ok = await copyTextToClipboard(formatDisassemblyTable(decoderDumpResult.rows));
+                            setDecoderCopyStatus(ok ? 'copied' : 'failed');
+                            window.setTimeout(() => setDecoderCopyStatus(null), 1500);
+                          }}
+                          className="inline-flex items-center gap-2 px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500 disabled:opacity-30"
+                          title="Copy the annotated table (tab separated)"
+                        >
+                          <Copy size={14} />
+                          {decoderCopyStatus === 'copied'
+                            ? 'Copied'
+                            : decoderCopyStatus === 'failed'
+                              ? 'Copy failed'
+                              : 'Copy table'}
+                        </button>
+                      </div>
+                    </div>
+
+                    {!decoderDumpResult ? (
+                      <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
+                        Paste a hex dump and click Disassemble.
+                      </div>
+                    ) : (
+                      <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+                        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] uppercase tracking-wider font-bold mb-2">
+                          <span className="text-slate-400">Words ({decoderDumpResult.rows.length})</span>
+                          <span className="text-amber-200">
+                            Ambiguous ({decoderDumpResult.rows.filter((row) => row.status === 'ambiguous').length})
+                          </span>
+                          <span className="text-red-200">
+                            Unknown (
+                            {decoderDumpResult.rows.filter((row) => row.status !== 'ok' && row.status !== 'ambiguous').length}
+                            )
+                          </span>
+                        </div>
+                        {decoderDumpResult.skippedLines.length > 0 && (
+                          <div className="mb-2 text-[11px] text-slate-500">
+                            Skipped non-hex line{decoderDumpResult.skippedLines.length === 1 ? '' : 's'}:{' '}
+                            {decoderDumpResult.skippedLines.join(', ')}
+                          </div>
+                        )}
+                        {decoderDumpResult.rows.length === 0 ? (
+                          <div className="text-xs text-amber-200">No instruction words found in the input.</div>
+                        ) : (
+                          <div className="max-h-[420px] overflow-auto overscroll-contain">
+                            <table className="w-full text-left text-[11px] font-mono">
+                              <thead className="text-[10px] uppercase tracking-wider text-slate-500">
+                                <tr>
+                                  <th className="py-1 pr-3 font-bold">Addr</th>
+                                  <th className="py-1 pr-3 font-bold">Word</th>
+                                  <th className="py-1 pr-3 font-bold">Mnemonic</th>
+                                  <th className="py-1 pr-3 font-bold">Extension</th>
+                                  <th className="py-1 pr-3 font-bold">Operands</th>
+                                  <th className="py-1 font-bold">Flag</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {decoderDumpResult.rows.map((row, index) => (
+                                  <tr
+                                    key={`${row.line}:${index}`}
+                                    className={`border-t border-slate-700/60 align-top ${
+                                      row.status === 'ok'
+                                        ? 'text-slate-200'
+                                        : row.status === 'ambiguous'
+                                          ? 'text-amber-200 bg-amber-500/5'
+                                          : 'text-red-200 bg-red-500/5'
+                                    }`}
+                                  >
+                                    <td className="py-1 pr-3 text-slate-500">
+                                      {row.address == null ? '' : row.address.toString(16)}
+                                    </td>
+                                    <td className="py-1 pr-3">
+                                      {row.word == null ? row.text : toHex(row.word, row.length)}
+                                    </td>
+                                    <td className="py-1 pr-3">
+                                      {row.primary ? (
+                                        <button
+                                          type="button"
+                                          className="hover:text-purple-300"
+                                          onClick={() => openDecodedInstruction(row.primary, row.word, row.length)}
+                                          title={
+                                            row.status === 'ambiguous'
+                                              ? `Also matches: ${row.matches
+                                                  .slice(1)
+                                                  .map((match) => match.mnemonic)
+                                                  .join(', ')}`
+                                              : `Open ${row.primary.mnemonic} details`
+                                          }
+                                        >
+                                          {row.primary.mnemonic}
+                                        </button>
+                                      ) : (
+                                        '—'
+                                      )}
+                                    </td>
+                                    <td className="py-1 pr-3 text-slate-400">
+                                      {row.primary ? row.primary.extensions.map((ext) => ext.extId).join(', ') : ''}
+                                    </td>
+                                    <td className="py-1 pr-3 text-slate-400">
+                                      {row.primary ? formatOperandSummary(row.primary.operands) : row.error || ''}
+                                    </td>
+                                    <td className="py-1 uppercase text-[10px]">{row.status === 'ok' ? '' : row.status}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </>
+                )}
               </div>
             </div>
           </div>
         </div>
+      )}
 
-	        {/* Sidebar Info Panel */}
-		        <div className="lg:col-span-3 mt-6 lg:mt-0">
-		          <div className="sticky top-6 bg-slate-800/80 border border-slate-700 backdrop-blur-sm rounded-xl shadow-2xl min-h-[400px] max-h-[calc(100vh-3rem)] flex flex-col overflow-hidden">
-		            <div className="p-4 pb-3 border-b border-slate-700/60">
-	              <h2 className="text-sm font-bold text-slate-400 flex items-center gap-2 uppercase tracking-wide">
-	                <Info size={16} /> Selected Details
-	              </h2>
-	            </div>
-
-	            <div className="flex-1 overflow-y-auto overscroll-contain p-4 pt-3">
-	              {selectedExt ? (
-	                <div className="animate-in fade-in slide-in-from-right-4 duration-300">
-	                <div className="mb-6 flex items-start justify-between gap-3">
-	                  <div className="min-w-0">
-	                    <a
-	                      href={selectedExt.url || 'https://github.com/riscv/riscv-isa-manual'}
-	                      target="_blank"
-	                      rel="noreferrer"
-	                      className="inline-flex items-start gap-1 text-3xl font-black text-white tracking-tight break-words hover:text-purple-300"
-	                      title="Open reference link"
-	                    >
-	                      <span>{selectedExt.name}</span>
-	                      <ArrowUpRight size={18} className="mt-1 shrink-0 opacity-80" />
-	                    </a>
-                  </div>
+      {assemblerOpen && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setAssemblerOpen(false)}
+            role="presentation"
+          />
 
-                  {selectedExt.discontinued === 1 && (
-                    <span className="shrink-0 px-2 py-1 rounded-md text-[10px] font-mono uppercase tracking-wide border bg-red-950/40 text-red-200 border-red-600/60">
-                      Discontinued
-                    </span>
-                  )}
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-3xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <Hammer size={16} /> Assemble
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Pick an instruction and fill in its operands (registers by ABI or x/f/v name, immediates in decimal
+                    or hex). The word is built from the instruction&apos;s match value and the field layout of each
+                    operand, with a range check per field.
+                  </p>
                 </div>
 
-                <div className="space-y-6">
+                <button
+                  type="button"
+                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  onClick={() => setAssemblerOpen(false)}
+                  title="Close"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+
+              <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-3">
                   <div>
-                    <h4 className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-                      Description
-                    </h4>
-                    <p className="text-slate-200 leading-snug">{selectedExt.desc}</p>
+                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Instruction</div>
+                    <input
+                      type="text"
+                      list="assembler-mnemonics"
+                      value={assemblerInput.mnemonic}
+                      onChange={(e) => {
+                        setAssemblerInput((prev) => ({ ...prev, mnemonic: e.target.value, variant: '' }));
+                        setAssemblerResult(null);
+                      }}
+                      placeholder="e.g. ADDI"
+                      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                    />
+                    <datalist id="assembler-mnemonics">
+                      {assemblerMnemonics.map((mnemonic) => (
+                        <option key={mnemonic} value={mnemonic} />
+                      ))}
+                    </datalist>
                   </div>
 
-                  <div className="bg-slate-900 p-3 rounded border border-slate-700">
-                    <h4 className="text-[10px] uppercase tracking-wider text-blue-400 font-bold mb-2 flex items-center gap-1">
-                      <ArrowRight size={10} /> Use Case
-                    </h4>
-                    <p className="text-slate-400 text-sm italic">{selectedExt.use}</p>
-                  </div>
+                  {assemblerVariants.length > 1 && (
+                    <div>
+                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Encoding</div>
+                      <select
+                        value={assemblerVariant?.id || ''}
+                        onChange={(e) => {
+                          setAssemblerInput((prev) => ({ ...prev, variant: e.target.value }));
+                          setAssemblerResult(null);
+                        }}
+                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs font-mono text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                      >
+                        {assemblerVariants.map((variant) => (
+                          <option key={variant.id} value={variant.id}>
+                            {variant.extensions.map((ext) => ext.extId).join(', ')} · {variant.pattern.encoding}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
 
-	                  {/* Instruction list, when available */}
-	                  {searchMatches &&
-	                    searchMatches.extId === selectedExt.id &&
-	                    searchMatches.query === searchQuery.trim().toLowerCase() &&
-	                    searchMatches.mnemonics.length > 0 && (
-	                      <div className="bg-slate-900 p-3 rounded border border-slate-700">
-	                        <div className="flex items-center justify-between gap-3">
-	                          <div className="min-w-0">
-	                            <div className="text-[10px] uppercase tracking-wider text-yellow-300 font-bold mb-0.5">
-	                              Search Hits ({searchMatches.mnemonics.length})
-	                            </div>
-	                            <div className="text-[11px] font-mono text-slate-200 truncate">
-	                              {searchMatches.mnemonics[searchMatches.index] || ''}
-	                              <span className="ml-2 text-slate-500">
-	                                ({searchMatches.index + 1}/{searchMatches.mnemonics.length})
-	                              </span>
-	                            </div>
-	                          </div>
+                  {assemblerVariant && (
+                    <div className="font-mono text-[10px] text-slate-400 break-all">
+                      Encoding: {assemblerVariant.pattern.encoding}
+                    </div>
+                  )}
 
-	                          <div className="flex items-center gap-2 shrink-0">
-	                            <button
-	                              type="button"
-	                              className="px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-100 disabled:opacity-40"
-	                              onClick={() => {
-	                                setSearchMatches((current) => {
-	                                  if (!current || current.extId !== selectedExt.id) return current;
-	                                  const nextIndex =
-	                                    (current.index - 1 + current.mnemonics.length) % current.mnemonics.length;
-	                                  const mnemonic = current.mnemonics[nextIndex];
-	                                  selectInstructionByMnemonic(selectedExt, mnemonic);
-	                                  return { ...current, index: nextIndex };
-	                                });
-	                              }}
-	                              disabled={searchMatches.mnemonics.length < 2}
-	                            >
-	                              Prev
-	                            </button>
-	                            <button
-	                              type="button"
-	                              className="px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-100 disabled:opacity-40"
-	                              onClick={() => {
-	                                setSearchMatches((current) => {
-	                                  if (!current || current.extId !== selectedExt.id) return current;
-	                                  const nextIndex = (current.index + 1) % current.mnemonics.length;
-	                                  const mnemonic = current.mnemonics[nextIndex];
-	                                  selectInstructionByMnemonic(selectedExt, mnemonic);
-	                                  return { ...current, index: nextIndex };
-	                                });
-	                              }}
-	                              disabled={searchMatches.mnemonics.length < 2}
-	                            >
-	                              Next
-	                            </button>
-	                          </div>
-	                        </div>
-	                      </div>
-	                    )}
+                  {assemblerVariant && assemblerSlots.length === 0 && (
+                    <div className="text-xs text-slate-400">{assemblerVariant.pattern.mnemonic} takes no operands.</div>
+                  )}
 
-	                  {extensionInstructions[selectedExt.id] && (
-	                    <div className="bg-slate-900 p-3 rounded border border-slate-700">
-	                      <h4 className="text-[10px] uppercase tracking-wider text-emerald-400 font-bold mb-2">
-	                        Instruction Set Snapshot ({extensionInstructions[selectedExt.id].length})
-	                      </h4>
-	                      <div className="flex flex-wrap gap-1">
-		                        {extensionInstructions[selectedExt.id].map((mnemonic) => {
-		                          const q = searchQuery.trim().toLowerCase();
-		                          const instructionDetails = selectedExt.instructions?.[mnemonic];
-		                          const isHit =
-		                            q.length &&
-		                            (mnemonic.toLowerCase().includes(q) ||
-		                              instructionMatchesQuery(mnemonic, instructionDetails, q));
-		                          const isActive = selectedInstruction?.mnemonic === mnemonic;
-		                          const isClickable = Boolean(instructionDetails);
-		                          const isDeprecated = Boolean(instructionDetails?.deprecated);
-		                          return (
-	                            <button
-	                              key={mnemonic}
-	                              type="button"
-		                              onClick={() => {
-		                                if (!isClickable) return;
-		                                setSelectedInstruction(
-		                                  isActive ? null : { mnemonic, ...instructionDetails }
-		                                );
-		                                setSearchMatches((current) => {
-		                                  if (
-		                                    !current ||
-		                                    current.extId !== selectedExt.id ||
-		                                    current.query !== searchQuery.trim().toLowerCase()
-		                                  ) {
-		                                    return current;
-		                                  }
-		                                  const idx = current.mnemonics.indexOf(mnemonic);
-		                                  if (idx === -1) return current;
-		                                  return { ...current, index: idx };
-		                                });
-		                              }}
-	                              className={`px-1.5 py-0.5 rounded border text-[10px] font-mono tracking-tight ${
-	                                isActive
-	                                  ? isDeprecated
-	                                      ? 'border-red-400 bg-red-500/10 text-red-200'
-	                                      : 'border-emerald-400 bg-emerald-500/10 text-emerald-200'
-	                                  : isHit
-	                                      ? 'border-yellow-400 bg-yellow-500/10 text-yellow-200'
-	                                      : isDeprecated
-	                                          ? 'border-red-500/60 bg-red-500/5 text-red-200'
-	                                          : 'border-slate-700 bg-slate-800/70'
-	                              }`}
-	                              title={
-	                                isClickable
-	                                  ? `View details for ${mnemonic}`
-	                                  : `${mnemonic} (no details yet)`
-	                              }
-	                              disabled={!isClickable}
-	                            >
-	                              {mnemonic}
-	                            </button>
-	                          );
-	                        })}
-	                      </div>
-	                    </div>
-	                  )}
+                  {assemblerSlots.map((slot) => (
+                    <div key={slot.name}>
+                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                        {slot.name}{' '}
+                        <span className="normal-case tracking-normal font-normal text-slate-600">
+                          {describeAssemblerSlot(slot)}
+                        </span>
+                      </div>
+                      <input
+                        type="text"
+                        value={assemblerInput.operands[slot.name] ?? ''}
+                        onChange={(e) =>
+                          setAssemblerInput((prev) => ({
+                            ...prev,
+                            operands: { ...prev.operands, [slot.name]: e.target.value },
+                          }))
+                        }
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') runAssembler();
+                        }}
+                        placeholder={slot.kind === 'reg' ? (slot.file === 'v' ? 'v8' : slot.file === 'f' ? 'fa0' : 'a0') : '0'}
+                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                        title={slot.fields.map((field) => `${field} ${describeVariableField(field)}`).join('\n')}
+                      />
+                    </div>
+                  ))}
 
-                    {extensionCsrs[selectedExt.id] && (
-                      <div className="bg-slate-900 p-3 rounded border border-slate-700">
-                        <h4 className="text-[10px] uppercase tracking-wider text-sky-300 font-bold mb-2">
-                          {(extensionCsrLabels[selectedExt.id] || 'CSRs')}{' '}
-                          ({extensionCsrs[selectedExt.id].length})
-                        </h4>
+                  <div className="flex items-center gap-2 pt-1">
+                    <button
+                      type="button"
+                      onClick={runAssembler}
+                      className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
+                    >
+                      <Hammer size={16} />
+                      Assemble
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setAssemblerInput({ mnemonic: '', variant: '', operands: {} });
+                        setAssemblerResult(null);
+                        setAssemblerCopyStatus(null);
+                      }}
+                      className="px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+                    >
+                      Reset
+                    </button>
+                  </div>
+                </div>
+
+                <div className="space-y-3">
+                  <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">Result</div>
+
+                  {!assemblerResult ? (
+                    <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
+                      Fill in the operands and click Assemble.
+                    </div>
+                  ) : assemblerResult.errors.length > 0 ? (
+                    <div className="border border-red-800/40 bg-red-950/30 rounded p-3">
+                      <div className="text-[10px] uppercase tracking-wider text-red-200 font-bold mb-2">Errors</div>
+                      <ul className="text-xs text-red-100 space-y-1 list-disc pl-4">
+                        {assemblerResult.errors.map((err) => (
+                          <li key={err}>{err}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  ) : (
+                    <div className="border border-slate-700 rounded p-3 bg-slate-800/50 space-y-3">
+                      <div className="flex items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold">
+                            {assemblerResult.mnemonic} · {assemblerResult.length}-bit
+                          </div>
+                          <div className="font-mono text-lg text-yellow-200">
+                            {toHex(assemblerResult.word, assemblerResult.length)}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={async () => {
+                            const ok = await copyTextToClipboard(toHex(assemblerResult.word, assemblerResult.length));
+                            setAssemblerCopyStatus(ok ? 'copied' : 'failed');
+                            window.setTimeout(() => setAssemblerCopyStatus(null), 1500);
+                          }}
+                          className="inline-flex items-center gap-2 px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+                          title="Copy the hex word"
+                        >
+                          <Copy size={14} />
+                          {assemblerCopyStatus === 'copied'
+                            ? 'Copied'
+                            : assemblerCopyStatus === 'failed'
+                              ? 'Copy failed'
+                              : 'Copy'}
+                        </button>
+                      </div>
+
+                      <div className="font-mono text-[11px] text-slate-200 break-all">
+                        {formatBinaryWord(assemblerResult.word, assemblerResult.length)}
+                      </div>
+
+                      {assemblerResult.fields.length > 0 && (
                         <div className="flex flex-wrap gap-1">
-                          {extensionCsrs[selectedExt.id].map((csr) => (
+                          {assemblerResult.fields.map((field) => (
                             <span
-                              key={csr}
+                              key={field.field}
                               className="px-1.5 py-0.5 rounded border border-slate-700 bg-slate-800/70 text-[10px] font-mono text-slate-200"
+                              title={describeVariableField(field.field)}
                             >
-                              {csr}
+                              {field.field} {formatFieldRange(field.bits)} ={' '}
+                              {field.value.toString(2).padStart(field.bits[0] - field.bits[1] + 1, '0')}
                             </span>
                           ))}
                         </div>
-                      </div>
-                    )}
+                      )}
 
-		                  {selectedInstruction && (
-		                    <div className="bg-slate-900 p-3 rounded border border-slate-700">
-		                      <div className="flex items-start justify-between gap-3 mb-2">
-		                        <h4 className="text-[10px] uppercase tracking-wider text-purple-300 font-bold flex items-center gap-1">
-		                          <ArrowRight size={10} /> Instruction Details
-		                        </h4>
-		                        <div className="flex items-center gap-2">
-		                          <button
-		                            type="button"
-		                            className="inline-flex items-center gap-1 px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[10px] font-mono text-slate-100 hover:border-slate-500"
-		                            onClick={async () => {
-		                              const text = formatInstructionForClipboard(selectedExt, selectedInstruction);
-		                              const ok = await copyTextToClipboard(text);
-		                              setCopyStatus(ok ? 'copied' : 'failed');
-		                              window.setTimeout(() => setCopyStatus(null), 1500);
-		                            }}
-		                            title="Copy extension + instruction details"
-		                          >
-		                            <Copy size={12} />
-		                            {copyStatus === 'copied'
-		                              ? 'Copied'
-		                              : copyStatus === 'failed'
-		                                  ? 'Copy failed'
-		                                  : 'Copy'}
-		                          </button>
-		                          <button
-		                            type="button"
-		                            className="text-[10px] font-mono text-slate-500 hover:text-slate-300"
-		                            onClick={() => setSelectedInstruction(null)}
-		                          >
-		                            Close
-		                          </button>
-		                        </div>
-		                      </div>
+                      {assemblerResult.warnings.length > 0 && (
+                        <ul className="text-xs text-amber-200 space-y-1 list-disc pl-4">
+                          {assemblerResult.warnings.map((warning) => (
+                            <li key={warning}>{warning}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+      {opcodeFinderOpen && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setOpcodeFinderOpen(false)}
+            role="presentation"
+          />
 
-	                      <div className="mb-3 flex items-start justify-between gap-2">
-	                        <div className="text-white font-black tracking-tight text-xl">
-	                          {selectedInstruction.mnemonic}
-	                        </div>
-	                        {selectedInstruction.deprecated && (
-	                          <span className="shrink-0 px-2 py-1 rounded-md text-[10px] font-mono uppercase tracking-wide border bg-red-950/40 text-red-200 border-red-600/60">
-	                            Discontinued
-	                          </span>
-	                        )}
-	                      </div>
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-4xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <Target size={16} /> Opcode Space
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Lists which funct combinations of a 32-bit format are still unallocated under a major opcode,
+                    considering only the instructions of the chosen extensions. Click a free slot to check a proposal
+                    in the Encoder Validator.
+                  </p>
+                </div>
 
-	                      <div className="space-y-3">
-	                        <div>
-	                          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-	                            Encoding
-	                          </div>
-	                          <EncodingDiagram encoding={selectedInstruction.encoding} />
-	                          <div className="mt-1 text-[10px] text-slate-500">
-	                            Fixed bits are <span className="font-mono">0/1</span>, variable bits are{' '}
-	                            <span className="font-mono">x</span>.
-	                          </div>
-	                        </div>
+                <button
+                  type="button"
+                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  onClick={() => setOpcodeFinderOpen(false)}
+                  title="Close"
+                >
+                  <X size={16} />
+                </button>
+              </div>
 
-	                        <div>
-	                          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-	                            Variable Fields
-	                          </div>
-	                          <div className="flex flex-wrap gap-1">
-	                            {(selectedInstruction.variable_fields || []).map((field) => (
-	                              <span
-	                                key={field}
-	                                className="px-1.5 py-0.5 rounded border border-slate-700 bg-slate-800/70 text-[10px] font-mono text-slate-200"
-	                              >
-	                                {field}
-	                              </span>
-	                            ))}
-	                          </div>
-	                        </div>
+              <div className="p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="space-y-3">
+                  <div>
+                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                      Enabled extensions
+                    </div>
+                    <ExtensionScopePicker
+                      scope={opcodeFinderInput.scope}
+                      onChange={(scope) => setOpcodeFinderInput((prev) => ({ ...prev, scope }))}
+                      profileNames={Object.keys(allProfiles)}
+                    />
+                  </div>
 
-		                        <div className="grid grid-cols-2 gap-2">
-		                          <div>
-		                            <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-		                              Match
-		                            </div>
-		                            <div
-		                              className={`font-mono text-[11px] text-slate-100 bg-slate-800/70 border rounded px-2 py-1 ${
-		                                searchQuery.trim().length &&
-		                                String(selectedInstruction.match || '')
-		                                  .toLowerCase()
-		                                  .includes(searchQuery.trim().toLowerCase())
-		                                  ? 'border-yellow-400 bg-yellow-500/10'
-		                                  : 'border-slate-700'
-		                              }`}
-		                            >
-		                              {selectedInstruction.match}
-		                            </div>
-		                          </div>
-		                          <div>
-		                            <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-		                              Mask
-		                            </div>
-		                            <div
-		                              className={`font-mono text-[11px] text-slate-100 bg-slate-800/70 border rounded px-2 py-1 ${
-		                                searchQuery.trim().length &&
-		                                String(selectedInstruction.mask || '')
-		                                  .toLowerCase()
-		                                  .includes(searchQuery.trim().toLowerCase())
-		                                  ? 'border-yellow-400 bg-yellow-500/10'
-		                                  : 'border-slate-700'
-		                              }`}
-		                            >
-		                              {selectedInstruction.mask}
-		                            </div>
-		                          </div>
-		                        </div>
+                  <div>
+                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                      Major opcode
+                    </div>
+                    <select
+                      value={opcodeFinderInput.opcode}
+                      onChange={(e) => setOpcodeFinderInput((prev) => ({ ...prev, opcode: Number(e.target.value) }))}
+                      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs font-mono text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                    >
+                      {[
+                        ['Custom', MAJOR_OPCODES.filter((entry) => CUSTOM_OPCODE_NAMES.includes(entry.name))],
+                        ['Standard', MAJOR_OPCODES.filter((entry) => !CUSTOM_OPCODE_NAMES.includes(entry.name))],
+                      ].map(([label, entries]) => (
+                        <optgroup key={label} label={label}>
+                          {entries.map((entry) => (
+                            <option key={entry.opcode} value={entry.opcode}>
+                              {entry.name} ({formatMajorOpcode(entry.opcode)})
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </div>
 
-                        {compressedMapping && (
-                          <div className="rounded border border-slate-700 bg-slate-950/50 p-3">
-                            <div className="text-[10px] uppercase tracking-wider text-cyan-300 font-bold mb-2">
-                              Compressed Mapping
-                            </div>
-                            <div className="space-y-2">
-                              <div>
-                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-                                  Compressed
-                                </div>
-                                <div className="font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1">
-                                  {compressedMapping.compressed}
-                                </div>
+                  <div>
+                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
+                      Target format
+                    </div>
+                    <select
+                      value={opcodeFinderInput.format}
+                      onChange={(e) => setOpcodeFinderInput((prev) => ({ ...prev, format: e.target.value }))}
+                      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-xs text-slate-100 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
+                    >
+                      {Object.entries(OPCODE_SPACE_FORMATS).map(([key, format]) => (
+                        <option key={key} value={key}>
+                          {format.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <button
+                    type="button"
+                    onClick={runOpcodeFinder}
+                    className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
+                  >
+                    <Target size={16} />
+                    Find free space
+                  </button>
+                </div>
+
+                <div className="md:col-span-2 space-y-3">
+                  {!opcodeFinderResult ? (
+                    <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
+                      Choose the enabled extensions, a major opcode and a format, then click Find free space.
+                    </div>
+                  ) : (
+                    <>
+                      {opcodeFinderResult.unknown.length > 0 && (
+                        <div className="text-xs text-amber-200 border border-amber-700/40 bg-amber-950/20 rounded p-2">
+                          Ignored unknown extension IDs: {opcodeFinderResult.unknown.join(', ')}
+                        </div>
+                      )}
+
+                      <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold">
+                        {formatMajorOpcode(opcodeFinderResult.opcode)} ·{' '}
+                        {OPCODE_SPACE_FORMATS[opcodeFinderResult.format].label} · {opcodeFinderResult.freeCount} of{' '}
+                        {opcodeFinderResult.slotCount} slots free · {opcodeFinderResult.extensionCount} extensions
+                      </div>
+
+                      <div className="space-y-2 max-h-[460px] overflow-y-auto overscroll-contain pr-1">
+                        {opcodeFinderResult.rows.map((row) => (
+                          <div
+                            key={row.rowValue ?? 'all'}
+                            className="border border-slate-700 rounded p-2 bg-slate-800/50"
+                          >
+                            <div className="flex items-center justify-between gap-2 mb-1">
+                              <div className="font-mono text-xs text-slate-200">
+                                {row.rowField
+                                  ? `${row.rowField.name} = ${formatSlotFieldValue(row.rowField, row.rowValue)}`
+                                  : row.valueField
+                                    ? row.valueField.name
+                                    : 'opcode'}
                               </div>
-                              <div>
-                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-                                  Standard Equivalent
-                                </div>
-                                {hasStandardEquivalent ? (
-                                  <button
-                                    type="button"
-                                    className="w-full text-left font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1 hover:border-cyan-400/60"
-                                    onClick={() => selectStandardEquivalent(standardEquivalentMnemonic)}
-                                    title="Open standard instruction details"
-                                  >
-                                    <span className="inline-flex items-center gap-1">
-                                      {compressedMapping.standard}
-                                      <ArrowUpRight size={12} className="opacity-70" />
-                                    </span>
-                                  </button>
-                                ) : (
-                                  <div className="font-mono text-[11px] text-slate-100 bg-slate-800/70 border border-slate-700 rounded px-2 py-1">
-                                    {compressedMapping.standard}
-                                  </div>
-                                )}
+                              <div className="text-[10px] font-mono text-slate-400">
+                                {row.freeCount}/{row.slots.length} free
                               </div>
-                              <div>
-                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-                                  Equivalent Instruction
-                                </div>
-                                {standardEquivalentMnemonic ? (
-                                  hasStandardEquivalent ? (
+                            </div>
+
+                            <div className="flex flex-wrap gap-1">
+                              {row.freeRuns.map((run) => (
+                                <button
+                                  key={run.from}
+                                  type="button"
+                                  onClick={() => validateOpcodeSlot(run.slot)}
+                                  className="px-1.5 py-0.5 rounded border border-emerald-500/40 bg-emerald-500/10 text-[10px] font-mono text-emerald-200 hover:border-emerald-400"
+                                  title={`Validate ${run.slot.encoding}`}
+                                >
+                                  {!row.valueField
+                                    ? 'free'
+                                    : run.from === run.to
+                                      ? formatSlotFieldValue(row.valueField, run.from)
+                                      : `${formatSlotFieldValue(row.valueField, run.from)}–${formatSlotFieldValue(
+                                          row.valueField,
+                                          run.to
+                                        )}`}
+                                </button>
+                              ))}
+                              {row.partial.map((slot) => (
+                                <span
+                                  key={slot.encoding}
+                                  className="px-1.5 py-0.5 rounded border border-amber-500/40 bg-amber-500/10 text-[10px] font-mono text-amber-200"
+                                  title={`Partly used by: ${slot.occupants.join(', ')}`}
+                                >
+                                  {row.valueField ? formatSlotFieldValue(row.valueField, slot.values[row.valueField.name]) : 'opcode'}{' '}
+                                  partial
+                                </span>
+                              ))}
+                              {row.used.map((slot) => (
+                                <span
+                                  key={slot.encoding}
+                                  className="px-1.5 py-0.5 rounded border border-slate-700 bg-slate-900/60 text-[10px] font-mono text-slate-500 line-through"
+                                  title={`Used by: ${slot.occupants.join(', ')}`}
+                                >
+                                  {row.valueField ? formatSlotFieldValue(row.valueField, slot.values[row.valueField.name]) : 'opcode'}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="text-[11px] text-slate-500">
+                        Green: free. Amber: only part of the slot is taken (hover for the instructions). Struck out:
+                        fully used.
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+      {opcodeMapOpen && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setOpcodeMapOpen(false)}
+            role="presentation"
+          />
+
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-5xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <Grid3x3 size={16} /> Opcode Map
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Every major opcode with the instructions and extensions that use it, colored like the extension
+                    group contributing most of them. Click a cell to filter the extension tiles and instruction lists.
+                  </p>
+                </div>
+
+                <button
+                  type="button"
+                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  onClick={() => setOpcodeMapOpen(false)}
+                  title="Close"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+
+              <div className="p-4 space-y-5">
+                {[
+                  {
+                    title: '32-bit (inst[1:0] = 11)',
+                    rowLabel: 'inst[6:5]',
+                    colLabel: 'inst[4:2]',
+                    rows: opcodeMap.major,
+                    rowNames: ['00', '01', '10', '11'],
+                  },
+                  {
+                    title: '16-bit compressed',
+                    rowLabel: 'inst[1:0]',
+                    colLabel: 'funct3 inst[15:13]',
+                    rows: opcodeMap.compressed,
+                    rowNames: COMPRESSED_QUADRANT_NAMES.map((name, q) => `${name} ${q.toString(2).padStart(2, '0')}`),
+                  },
+                ].map((map) => (
+                  <div key={map.title}>
+                    <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">{map.title}</div>
+                    <div className="overflow-x-auto">
+                      <table className="w-full border-separate border-spacing-1 text-[10px]">
+                        <thead>
+                          <tr className="text-slate-500 font-mono">
+                            <th className="text-left font-normal">
+                              {map.rowLabel} \ {map.colLabel}
+                            </th>
+                            {map.rows[0].map((_, col) => (
+                              <th key={col} className="font-normal">
+                                {col.toString(2).padStart(3, '0')}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {map.rows.map((row, rowIndex) => (
+                            <tr key={map.rowNames[rowIndex]}>
+                              <td className="font-mono text-slate-500 pr-1 whitespace-nowrap">{map.rowNames[rowIndex]}</td>
+                              {row.map((cell) => {
+                                const mnemonics = Array.from(
+                                  new Set(cell.instructions.map((instruction) => instruction.mnemonic))
+                                );
+                                const isActive = opcodeMapFilter?.key === cell.key;
+                                return (
+                                  <td key={cell.key} className="align-top">
                                     <button
                                       type="button"
-                                      className="inline-flex items-center gap-1 text-[11px] font-mono text-cyan-200 hover:text-cyan-100 underline"
-                                      onClick={() => selectStandardEquivalent(standardEquivalentMnemonic)}
-                                      title="Open standard instruction details"
+                                      disabled={!mnemonics.length}
+                                      onClick={() => {
+                                        setOpcodeMapFilter(isActive ? null : cell);
+                                        setOpcodeMapOpen(false);
+                                      }}
+                                      className={`w-full min-w-[88px] h-full p-1.5 rounded border text-left transition-all ${opcodeMapCellColor(
+                                        cell
+                                      )} ${isActive ? 'ring-2 ring-yellow-400' : ''} ${
+                                        mnemonics.length ? 'hover:brightness-110' : 'cursor-default opacity-60'
+                                      }`}
+                                      title={
+                                        mnemonics.length
+                                          ? `${cell.name}: ${mnemonics.slice(0, 40).join(', ')}${
+                                              mnemonics.length > 40 ? `, … (+${mnemonics.length - 40})` : ''
+                                            }`
+                                          : `${cell.name}: no instructions`
+                                      }
                                     >
-                                      {standardEquivalentMnemonic}
-                                      <ArrowUpRight size={12} className="opacity-70" />
+                                      <div className="font-bold truncate">{cell.name}</div>
+                                      <div className="font-mono opacity-60">{cell.code}</div>
+                                      <div className="mt-0.5 opacity-80">
+                                        {mnemonics.length ? `${mnemonics.length} instr.` : '—'}
+                                      </div>
+                                      {cell.extIds.length > 0 && (
+                                        <div className="font-mono opacity-70 truncate">
+                                          {cell.extIds.slice(0, 3).join(' ')}
+                                          {cell.extIds.length > 3 ? ` +${cell.extIds.length - 3}` : ''}
+                                        </div>
+                                      )}
                                     </button>
-                                  ) : (
-                                    <div className="text-[11px] text-slate-500 font-mono">
-                                      {standardEquivalentMnemonic}
-                                    </div>
-                                  )
-                                ) : (
-                                  <div className="text-[11px] text-slate-500">Unavailable</div>
-                                )}
-                              </div>
-                              <div>
-                                <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-                                  Description
-                                </div>
-                                <div className="text-[11px] text-slate-200">{compressedMapping.description}</div>
-                              </div>
-                            </div>
-                          </div>
-                        )}
+                                  </td>
+                                );
+                              })}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+      {configCheckOpen && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setConfigCheckOpen(false)}
+            role="presentation"
+          />
 
-                        {compressedEquivalents.length > 0 && (
-                          <div className="rounded border border-slate-700 bg-slate-950/40 p-3">
-                            <div className="text-[10px] uppercase tracking-wider text-emerald-300 font-bold mb-2">
-                              Compressed Equivalents
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-3xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <Wrench size={16} /> Configuration Check
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Checks a set of extensions against the <span className="font-mono">implies</span>,{' '}
+                    <span className="font-mono">requires</span>, <span className="font-mono">conflicts</span> and{' '}
+                    <span className="font-mono">xlen</span> metadata of the catalog. Fixes apply to the selected tiles,
+                    the ISA string or the custom target being checked.
+                  </p>
+                </div>
+
+                <button
+                  type="button"
+                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  onClick={() => setConfigCheckOpen(false)}
+                  title="Close"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+
+              <div className="p-4 space-y-3">
+                {!configurationCheck ? (
+                  <div className="text-xs text-slate-400">
+                    Nothing is highlighted. Pick a profile or target in the header, paste an ISA string, or Shift-click
+                    tiles to select extensions.
+                  </div>
+                ) : (
+                  <>
+                    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] uppercase tracking-wider font-bold">
+                      <span className="text-slate-400">
+                        {selectionSource.label} · {selectionSource.ids.length} extensions
+                        {configurationCheck.xlen ? ` · RV${configurationCheck.xlen}` : ''}
+                      </span>
+                      <span
+                        className={
+                          configurationCheck.issues.some((issue) => issue.severity === 'error')
+                            ? 'text-red-200'
+                            : 'text-emerald-200'
+                        }
+                      >
+                        Errors ({configurationCheck.issues.filter((issue) => issue.severity === 'error').length})
+                      </span>
+                      <span
+                        className={
+                          configurationCheck.issues.some((issue) => issue.severity === 'warning')
+                            ? 'text-amber-200'
+                            : 'text-emerald-200'
+                        }
+                      >
+                        Warnings ({configurationCheck.issues.filter((issue) => issue.severity === 'warning').length})
+                      </span>
+                    </div>
+
+                    {selectionSource.kind === 'profile' && configurationCheck.issues.length > 0 && (
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                        <span>Built-in profiles cannot be changed. Save a copy as a target to apply fixes.</span>
+                        <button
+                          type="button"
+                          onClick={() => addCustomTarget(`${activeProfile} custom`, activeProfile, selectionSource.ids)}
+                          className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                        >
+                          <Plus size={12} /> Save as target
+                        </button>
+                      </div>
+                    )}
+
+                    {configurationCheck.issues.length === 0 ? (
+                      <div className="text-xs text-emerald-200">
+                        Every requirement is present, nothing conflicts, and every implied extension is listed.
+                      </div>
+                    ) : (
+                      <div className="space-y-2">
+                        {configurationCheck.issues.map((issue) => (
+                          <div
+                            key={`${issue.kind}:${issue.ids.join(',')}`}
+                            className={`border rounded p-3 ${
+                              issue.severity === 'error'
+                                ? 'border-red-700/60 bg-red-950/20'
+                                : 'border-amber-700/50 bg-amber-950/20'
+                            }`}
+                          >
+                            <div
+                              className={`text-[10px] uppercase tracking-wider font-bold mb-1 ${
+                                issue.severity === 'error' ? 'text-red-300' : 'text-amber-300'
+                              }`}
+                            >
+                              {CONFIGURATION_ISSUE_KINDS[issue.kind]}
                             </div>
-                            <div className="space-y-2">
-                              {compressedEquivalents.map((entry) => (
+                            <div className="text-xs text-slate-200">{issue.message}</div>
+                            <div className="mt-2 flex flex-wrap gap-2">
+                              {issue.fixes.map((fix) => (
                                 <button
-                                  key={entry.mnemonic}
+                                  key={fix.label}
                                   type="button"
-                                  className="w-full text-left rounded border border-slate-700 bg-slate-900/60 px-2 py-1.5 hover:border-emerald-400/60"
-                                  onClick={() => selectCompressedEquivalent(entry.mnemonic)}
-                                  title={`Open ${entry.mnemonic} details`}
+                                  disabled={selectionSource.kind === 'profile'}
+                                  onClick={() => applySelectionFix(fix)}
+                                  className="px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[11px] font-bold text-slate-100 hover:border-slate-500 disabled:opacity-40"
+                                  title={
+                                    selectionSource.kind === 'profile'
+                                      ? 'Built-in profiles cannot be changed'
+                                      : `Apply to ${selectionSource.label}`
+                                  }
                                 >
-                                  <div className="flex items-center gap-1 text-[11px] font-mono text-emerald-200">
-                                    {normalizeMnemonicKey(entry.mnemonic)}
-                                    <ArrowUpRight size={12} className="opacity-70" />
-                                  </div>
-                                  <div className="text-[10px] font-mono text-slate-400">{entry.compressed}</div>
+                                  {fix.label}
                                 </button>
                               ))}
                             </div>
                           </div>
-                        )}
-
-		                      </div>
-		                    </div>
-		                  )}
-
-                  {activeProfile && (
-                    <div
-                      className={`
-                      mt-4 p-3 rounded text-xs flex items-center gap-2 border
-                      ${
-                        isHighlighted(selectedExt.id)
-                          ? 'bg-yellow-900/20 border-yellow-700/30 text-yellow-200'
-                          : 'bg-slate-800 border-slate-700 text-slate-500'
-                      }
-                    `}
-                    >
-                      {isHighlighted(selectedExt.id) ? (
-                        <>
-                          <div className="w-1.5 h-1.5 rounded-full bg-yellow-400 animate-pulse" />
-                          Required in <strong>{activeProfile}</strong>
-                        </>
-                      ) : (
-                        <>
-                          <div className="w-1.5 h-1.5 rounded-full bg-slate-600" />
-                          Not required in {activeProfile}
-                        </>
-	                      )}
-	                    </div>
-	                  )}
-	                </div>
-	                </div>
-	              ) : (
-	                <div className="h-[300px] flex flex-col items-center justify-center text-slate-600 text-center space-y-4">
-	                  <LayoutGrid size={32} className="opacity-50" />
-	                  <p className="text-xs max-w-[150px]">
-	                    Click any block on the left to view technical specifications and use cases.
-	                  </p>
-	                </div>
-	              )}
-	            </div>
-		          </div>
-		        </div>
-	      </div>
-
-	      {encoderValidatorOpen && (
-	        <div className="fixed inset-0 z-50">
-	          <div
-	            className="absolute inset-0 bg-black/60"
-	            onClick={() => setEncoderValidatorOpen(false)}
-	            role="presentation"
-	          />
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
 
-	          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
-	            <div className="w-full max-w-3xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
-	              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
-	                <div className="min-w-0">
-	                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
-	                    <ScanSearch size={16} /> Encoder Validator
-	                  </h3>
-	                  <p className="text-xs text-slate-500 mt-1">
-	                    Provide either a 32-bit Encoding pattern (0/1/-), or Match+Mask (hex). The validator lists any
-	                    existing instructions that overlap.
-	                  </p>
-	                </div>
+      {isaGeneratorOpen && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setIsaGeneratorOpen(false)}
+            role="presentation"
+          />
 
-	                <button
-	                  type="button"
-	                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
-	                  onClick={() => setEncoderValidatorOpen(false)}
-	                  title="Close"
-	                >
-	                  <X size={16} />
-	                </button>
-	              </div>
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-3xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <Cpu size={16} /> ISA String
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Formats a set of extensions as a canonical ISA naming string: the base, the single letters in
+                    canonical order, then Z extensions grouped by category, then S and X extensions. Shift- or
+                    Ctrl-click tiles to format a hand-picked set instead of the highlighted profile or target.
+                  </p>
+                </div>
 
-	              <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4">
-	                <div className="space-y-3">
-	                  <div>
-	                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-	                      Proposed mnemonic (optional)
-	                    </div>
-	                    <input
-	                      type="text"
-	                      value={encoderValidatorInput.mnemonic}
-	                      onChange={(e) =>
-	                        setEncoderValidatorInput((prev) => ({ ...prev, mnemonic: e.target.value }))
-	                      }
-	                      placeholder="e.g. MYOP"
-	                      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
-	                    />
-	                  </div>
+                <button
+                  type="button"
+                  className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                  onClick={() => setIsaGeneratorOpen(false)}
+                  title="Close"
+                >
+                  <X size={16} />
+                </button>
+              </div>
 
-	                  <div>
-	                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-	                      Encoding (required if no match/mask)
-	                    </div>
-	                    <input
-	                      type="text"
-	                      value={encoderValidatorInput.encoding}
-	                      onChange={(e) =>
-	                        setEncoderValidatorInput((prev) => ({ ...prev, encoding: e.target.value }))
-	                      }
-	                      placeholder="-----------------000-----1100111"
-	                      className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
-	                    />
-	                  </div>
+              <div className="p-4 space-y-4">
+                {!isaGeneratorResult ? (
+                  <div className="text-xs text-slate-400">
+                    Nothing is highlighted. Pick a profile or target in the header, paste an ISA string, or Shift-click
+                    tiles to select extensions.
+                  </div>
+                ) : (
+                  <>
+                    <div className="text-[10px] uppercase tracking-wider font-bold text-slate-400">
+                      {selectionSource.label} · {isaGeneratorResult.count} extensions on {isaGeneratorResult.base}
+                    </div>
+
+                    {[
+                      { key: 'isa', label: 'ISA string', text: isaGeneratorResult.isa },
+                      { key: 'march', label: 'Compiler (-march / -mabi)', text: isaGeneratorResult.march },
+                      { key: 'deviceTree', label: 'Device tree', text: isaGeneratorResult.deviceTree },
+                    ].map((output) => (
+                      <div key={output.key} className="border border-slate-700 rounded p-3 bg-slate-800/50">
+                        <div className="flex items-center justify-between gap-2 mb-2">
+                          <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold">
+                            {output.label}
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => copyIsaGeneratorOutput(output.key, output.text)}
+                            className="inline-flex items-center gap-1 px-2 py-1 rounded border border-slate-600 bg-slate-800 text-[11px] font-bold text-slate-100 hover:border-slate-500"
+                            title={`Copy the ${output.label.toLowerCase()}`}
+                          >
+                            <Copy size={12} />
+                            {isaGeneratorCopyStatus?.key === output.key
+                              ? isaGeneratorCopyStatus.ok
+                                ? 'Copied'
+                                : 'Copy failed'
+                              : 'Copy'}
+                          </button>
+                        </div>
+                        <pre className="font-mono text-xs text-slate-100 whitespace-pre-wrap break-all">{output.text}</pre>
+                      </div>
+                    ))}
+
+                    {isaGeneratorResult.omitted.length > 0 && (
+                      <div className="text-xs text-slate-400 space-y-0.5">
+                        <div className="text-[10px] uppercase tracking-wider font-bold">Left out</div>
+                        {isaGeneratorResult.omitted.map((item) => (
+                          <div key={item.id}>
+                            <span className="font-mono text-slate-300">{item.id}</span>: {item.reason}
+                          </div>
+                        ))}
+                      </div>
+                    )}
 
-	                  <div className="grid grid-cols-2 gap-3">
-	                    <div>
-	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-	                        Match (hex)
-	                      </div>
-	                      <input
-	                        type="text"
-	                        value={encoderValidatorInput.match}
-	                        onChange={(e) =>
-	                          setEncoderValidatorInput((prev) => ({ ...prev, match: e.target.value }))
-	                        }
-	                        placeholder="0x67"
-	                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
-	                      />
-	                    </div>
-	                    <div>
-	                      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">
-	                        Mask (hex)
-	                      </div>
-	                      <input
-	                        type="text"
-	                        value={encoderValidatorInput.mask}
-	                        onChange={(e) =>
-	                          setEncoderValidatorInput((prev) => ({ ...prev, mask: e.target.value }))
-	                        }
-	                        placeholder="0x707f"
-	                        className="w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 text-sm font-mono text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/60 focus:border-yellow-300"
-	                      />
-	                    </div>
-	                  </div>
+                    {isaGeneratorResult.warnings.map((warning, index) => (
+                      <div key={index} className="text-xs text-amber-200/80">
+                        {warning}
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
 
-	                  <div className="flex items-center gap-2 pt-1">
-	                    <button
-	                      type="button"
-	                      onClick={runEncoderValidation}
-	                      className="inline-flex items-center gap-2 px-3 py-2 rounded border border-yellow-500/50 bg-yellow-500/10 text-yellow-200 text-xs font-bold hover:border-yellow-400"
-	                    >
-	                      <ScanSearch size={16} />
-	                      Validate
-	                    </button>
+      {auditOpen && catalogAudit && (
+        <div className="fixed inset-0 z-50">
+          <div
+            className="absolute inset-0 bg-black/60"
+            onClick={() => setAuditOpen(false)}
+            role="presentation"
+          />
 
-	                    <button
-	                      type="button"
-	                      onClick={() => {
-	                        setEncoderValidatorInput({ mnemonic: '', encoding: '', match: '', mask: '' });
-	                        setEncoderValidatorResult(null);
-	                        setEncoderValidatorCopyStatus(null);
-	                      }}
-	                      className="px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
-	                    >
-	                      Reset
-	                    </button>
-	                  </div>
-	                </div>
+          <div className="absolute inset-0 p-3 md:p-8 flex items-start justify-center overflow-y-auto">
+            <div className="w-full max-w-4xl bg-slate-900 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+              <div className="p-4 border-b border-slate-700 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="text-sm font-bold text-slate-200 uppercase tracking-wide flex items-center gap-2">
+                    <ShieldCheck size={16} /> Database Audit
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Checks every instruction entry (encoding vs match/mask, length bits, variable fields) and every pair
+                    of overlapping instructions. Overlaps with a known cause are listed as explained. The same audit
+                    runs from the command line with <span className="font-mono">npm run audit</span>.
+                  </p>
+                </div>
 
-	                <div className="space-y-3">
-	                  <div className="flex items-center justify-between gap-2">
-	                    <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">
-	                      Results
-	                    </div>
-	                    <button
-	                      type="button"
-	                      disabled={!encoderValidatorResult?.proposed}
-	                      onClick={async () => {
-	                        if (!encoderValidatorResult?.proposed) return;
-	                        const report = formatEncoderValidatorReport(
-	                          encoderValidatorResult.proposed,
-	                          encoderValidatorResult
-	                        );
-	                        const ok = await copyTextToClipboard(report);
-	                        setEncoderValidatorCopyStatus(ok ? 'copied' : 'failed');
-	                        window.setTimeout(() => setEncoderValidatorCopyStatus(null), 1500);
-	                      }}
-	                      className="inline-flex items-center gap-2 px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500 disabled:opacity-30"
-	                      title="Copy validation report"
-	                    >
-	                      <Copy size={14} />
-	                      {encoderValidatorCopyStatus === 'copied'
-	                        ? 'Copied'
-	                        : encoderValidatorCopyStatus === 'failed'
-	                          ? 'Copy failed'
-	                          : 'Copy report'}
-	                    </button>
-	                  </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={async () => {
+                      const ok = await copyTextToClipboard(formatAuditReport(catalogAudit));
+                      setAuditCopyStatus(ok ? 'copied' : 'failed');
+                      window.setTimeout(() => setAuditCopyStatus(null), 1500);
+                    }}
+                    className="inline-flex items-center gap-2 px-3 py-2 rounded border border-slate-600 bg-slate-800 text-xs font-bold text-slate-100 hover:border-slate-500"
+                    title="Copy the audit report"
+                  >
+                    <Copy size={14} />
+                    {auditCopyStatus === 'copied' ? 'Copied' : auditCopyStatus === 'failed' ? 'Copy failed' : 'Copy report'}
+                  </button>
+                  <button
+                    type="button"
+                    className="p-2 rounded border border-slate-600 bg-slate-800 text-slate-100 hover:border-slate-500"
+                    onClick={() => setAuditOpen(false)}
+                    title="Close"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
 
-	                  {!encoderValidatorResult ? (
-	                    <div className="text-xs text-slate-400 border border-slate-700 rounded p-3 bg-slate-800/50">
-	                      Enter a proposed encoding and click Validate.
-	                    </div>
-	                  ) : (
-	                    <div className="space-y-3">
-	                      {encoderValidatorResult.errors.length > 0 && (
-	                        <div className="border border-red-800/40 bg-red-950/30 rounded p-3">
-	                          <div className="text-[10px] uppercase tracking-wider text-red-200 font-bold mb-2">
-	                            Errors
-	                          </div>
-	                          <ul className="text-xs text-red-100 space-y-1 list-disc pl-4">
-	                            {encoderValidatorResult.errors.map((err) => (
-	                              <li key={err}>{err}</li>
-	                            ))}
-	                          </ul>
-	                        </div>
-	                      )}
+              <div className="p-4 space-y-4">
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] uppercase tracking-wider font-bold">
+                  <span className="text-slate-400">
+                    Entries ({catalogAudit.instructionCount}) · Patterns ({catalogAudit.patternCount})
+                  </span>
+                  <span className={catalogAudit.issues.length ? 'text-red-200' : 'text-emerald-200'}>
+                    Data issues ({catalogAudit.issues.length})
+                  </span>
+                  <span className={catalogAudit.unexplained.length ? 'text-amber-200' : 'text-emerald-200'}>
+                    Unexplained overlaps ({catalogAudit.unexplained.length})
+                  </span>
+                  <span className="text-slate-400">Explained overlaps ({catalogAudit.explained.length})</span>
+                </div>
 
-	                      {encoderValidatorResult.proposed && (
-	                        <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
-	                          <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
-	                            Normalized Proposal
-	                          </div>
-	                          <div className="space-y-2">
-	                            <div className="font-mono text-[11px] text-slate-200 break-all">
-	                              Encoding: {encoderValidatorResult.proposed.encoding}
-	                            </div>
-	                            <div className="grid grid-cols-2 gap-2">
-	                              <div className="font-mono text-[11px] text-slate-200">Match: {encoderValidatorResult.proposed.match}</div>
-	                              <div className="font-mono text-[11px] text-slate-200">Mask: {encoderValidatorResult.proposed.mask}</div>
-	                            </div>
-	                          </div>
-	                        </div>
-	                      )}
+                <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+                  <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+                    Data issues ({catalogAudit.issues.length})
+                  </div>
+                  {catalogAudit.issues.length === 0 ? (
+                    <div className="text-xs text-emerald-200">
+                      Every encoding agrees with its match/mask and every variable bit belongs to a field.
+                    </div>
+                  ) : (
+                    <div className="space-y-2 max-h-[300px] overflow-y-auto overscroll-contain pr-1">
+                      {catalogAudit.issues.map((issue) => (
+                        <div
+                          key={`${issue.mnemonic}:${issue.kind}:${issue.message}`}
+                          className="border border-slate-700 rounded p-2 bg-slate-900/50"
+                        >
+                          <div className="flex items-start justify-between gap-2">
+                            <button
+                              type="button"
+                              onClick={() => openAuditedInstruction(issue.mnemonic, issue.extIds)}
+                              className="font-mono text-xs text-slate-200 hover:text-yellow-200 text-left break-words"
+                            >
+                              {issue.mnemonic} <span className="text-slate-500">({issue.extIds.join(', ')})</span>
+                            </button>
+                            <span className="shrink-0 px-2 py-1 rounded text-[10px] font-mono uppercase tracking-wide border bg-red-500/10 text-red-200 border-red-500/40">
+                              {issue.kind}
+                            </span>
+                          </div>
+                          <div className="mt-1 text-xs text-slate-300 break-words">{issue.message}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
 
-	                      {encoderValidatorResult.proposed && (
-	                        <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
-	                          <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
-	                            Conflicts ({encoderValidatorResult.conflicts.length})
-	                          </div>
-	                          {encoderValidatorResult.conflicts.length === 0 ? (
-	                            <div className="text-xs text-emerald-200">
-	                              No overlaps found within the current instruction set database.
-	                            </div>
-	                          ) : (
-	                            <div className="space-y-2 max-h-[340px] overflow-y-auto overscroll-contain pr-1">
-	                              {encoderValidatorResult.conflicts.map((conflict) => (
-	                                <div
-	                                  key={`${conflict.other.extId}:${conflict.other.mnemonic}:${conflict.type}`}
-	                                  className="border border-slate-700 rounded p-2 bg-slate-900/50"
-	                                >
-	                                  <div className="flex items-start justify-between gap-2">
-	                                    <div className="min-w-0">
-	                                      <div className="font-mono text-xs text-slate-200 break-words">
-	                                        {conflict.other.mnemonic}{' '}
-	                                        <span className="text-slate-500">({conflict.other.extId})</span>
-	                                      </div>
-	                                      <div className="text-[11px] text-slate-500">{conflict.other.extName}</div>
-	                                    </div>
-	                                    <span className="shrink-0 px-2 py-1 rounded text-[10px] font-mono uppercase tracking-wide border bg-slate-800 text-slate-100 border-slate-600">
-	                                      {conflict.type}
-	                                    </span>
-	                                  </div>
+                <div className="border border-slate-700 rounded p-3 bg-slate-800/50">
+                  <div className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-2">
+                    Unexplained overlaps ({catalogAudit.unexplained.length})
+                  </div>
+                  {catalogAudit.unexplained.length === 0 ? (
+                    <div className="text-xs text-emerald-200">Every overlap has a known explanation.</div>
+                  ) : (
+                    <div className="space-y-2 max-h-[360px] overflow-y-auto overscroll-contain pr-1">
+                      {catalogAudit.unexplained.map((overlap) => (
+                        <div
+                          key={`${overlap.a.mnemonic}:${overlap.b.mnemonic}:${overlap.type}`}
+                          className="border border-slate-700 rounded p-2 bg-slate-900/50"
+                        >
+                          <div className="flex items-start justify-between gap-2">
+                            <div className="font-mono text-xs text-slate-200 break-words">
+                              {[overlap.a, overlap.b].map((side, index) => (
+                                <React.Fragment key={side.mnemonic}>
+                                  {index > 0 && <span className="text-slate-500"> vs </span>}
+                                  <button
+                                    type="button"
+                                    onClick={() => openAuditedInstruction(side.mnemonic, side.extIds)}
+                                    className="hover:text-yellow-200"
+                                  >
+                                    {side.mnemonic}
+                                  </button>{' '}
+                                  <span className="text-slate-500">({side.extIds.join(', ')})</span>
+                                </React.Fragment>
+                              ))}
+                            </div>
+                            <span className="shrink-0 px-2 py-1 rounded text-[10px] font-mono uppercase tracking-wide border bg-slate-800 text-slate-100 border-slate-600">
+                              {overlap.type}
+                            </span>
+                          </div>
+                          <div className="mt-2 text-xs text-slate-300">{overlap.why}</div>
+                          <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2 font-mono text-[10px] text-slate-400">
+                            <div>
+                              {overlap.a.mnemonic}: {overlap.a.match}/{overlap.a.mask}
+                            </div>
+                            <div>
+                              {overlap.b.mnemonic}: {overlap.b.match}/{overlap.b.mask}
+                            </div>
+                            <div>Example word: {overlap.exampleWord}</div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
 
-	                                  <div className="mt-2 text-xs text-slate-300">{conflict.why}</div>
-	                                  <div className="mt-2 grid grid-cols-2 gap-2">
-	                                    <div className="font-mono text-[10px] text-slate-400">
-	                                      Common mask: {conflict.commonMask}
-	                                    </div>
-	                                    <div className="font-mono text-[10px] text-slate-400">
-	                                      Example word: {conflict.exampleWord}
-	                                    </div>
-	                                  </div>
-	                                </div>
-	                              ))}
-	                            </div>
-	                          )}
-	                        </div>
-	                      )}
-	                    </div>
-	                  )}
-	                </div>
-	              </div>
-	            </div>
-	          </div>
-	        </div>
-	      )}
+                <details className="border border-slate-700 rounded p-3 bg-slate-800/50">
+                  <summary className="text-[10px] uppercase tracking-wider text-slate-400 font-bold cursor-pointer">
+                    Explained overlaps ({catalogAudit.explained.length})
+                  </summary>
+                  <div className="mt-2 space-y-1 max-h-[300px] overflow-y-auto overscroll-contain pr-1">
+                    {catalogAudit.explained.map((overlap) => (
+                      <div
+                        key={`${overlap.a.mnemonic}:${overlap.b.mnemonic}:${overlap.type}:${overlap.explanation}`}
+                        className="flex flex-wrap items-baseline gap-x-2 text-[11px] border-t border-slate-700/60 pt-1"
+                      >
+                        <span className="font-mono text-slate-200">
+                          {overlap.a.mnemonic} <span className="text-slate-500">vs</span> {overlap.b.mnemonic}
+                        </span>
+                        <span className="font-mono text-[10px] text-slate-500">{overlap.type}</span>
+                        <span className="text-slate-400">{overlap.explanation}</span>
+                      </div>
+                    ))}
+                  </div>
+                </details>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
 	    </div>
 	  );
 	};